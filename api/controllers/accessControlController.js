@@ -0,0 +1,124 @@
+/**
+ * Access Control Controller
+ * Handles API endpoints for per-device access control lists
+ */
+const accessControl = require('../services/accessControl');
+const logger = require('../../utils/logger');
+
+/**
+ * List ACL entries
+ * Query: subjectType, subjectId, targetType, targetId
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.getAcls = async (req, res) => {
+  try {
+    const { subjectType, subjectId, targetType, targetId } = req.query;
+    const acls = await accessControl.listAcls({ subjectType, subjectId, targetType, targetId });
+    
+    res.json({
+      success: true,
+      acls
+    });
+  } catch (error) {
+    sendAclError(res, error, "Server error retrieving access control lists");
+  }
+};
+
+/**
+ * Grant a user or role access to a device, a group or all devices
+ * Body: { subjectType, subjectId, targetType, targetId, access }
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.createAcl = async (req, res) => {
+  try {
+    const acl = await accessControl.createAcl(req.body || {}, req.user.id);
+    
+    await logActivity(req.db, req.user.id, 'device_acl_created', {
+      aclId: acl.id,
+      subject: `${acl.subjectType}:${acl.subjectId}`,
+      target: `${acl.targetType}:${acl.targetId || '*'}`,
+      access: acl.access,
+      ip: req.ip
+    });
+    
+    res.status(201).json({
+      success: true,
+      acl
+    });
+  } catch (error) {
+    sendAclError(res, error, "Server error creating access control entry");
+  }
+};
+
+/**
+ * Remove an ACL entry
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.deleteAcl = async (req, res) => {
+  try {
+    const acl = await accessControl.deleteAcl(req.params.aclId);
+    
+    await logActivity(req.db, req.user.id, 'device_acl_deleted', {
+      aclId: acl.id,
+      subject: `${acl.subjectType}:${acl.subjectId}`,
+      target: `${acl.targetType}:${acl.targetId || '*'}`,
+      ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      acl
+    });
+  } catch (error) {
+    sendAclError(res, error, "Server error deleting access control entry");
+  }
+};
+
+/**
+ * Map service errors to HTTP responses
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the access control service
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+function sendAclError(res, error, fallbackMessage) {
+  const message = error.message || '';
+  
+  if (message.includes('not found')) {
+    return res.status(404).json({ success: false, message });
+  }
+  
+  if (message.startsWith('Invalid')) {
+    return res.status(400).json({ success: false, message });
+  }
+  
+  if (message.startsWith('ACL already exists')) {
+    return res.status(409).json({ success: false, message });
+  }
+  
+  logger.error(fallbackMessage + ':', error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+}
+
+/**
+ * Log activity to the database
+ * @param {Object} db - Database pool or client
+ * @param {number} userId - User ID
+ * @param {string} action - Action performed
+ * @param {Object} details - Additional details
+ */
+async function logActivity(db, userId, action, details = {}) {
+  try {
+    await db.query(
+      "INSERT INTO activity_logs (user_id, action, details, ip_address) VALUES ($1, $2, $3, $4)",
+      [userId, action, JSON.stringify(details), details.ip || null]
+    );
+  } catch (error) {
+    logger.error("Error logging activity:", error);
+  }
+}
@@ -0,0 +1,293 @@
+/**
+ * Alert Controller
+ * Handles API endpoints for alert rules and the alerts they raise
+ */
+const alertManager = require('../services/alertManager');
+const accessControl = require('../services/accessControl');
+const signalingService = require('../../socket/signalingService');
+const logger = require('../../utils/logger');
+
+// Constants
+const DEFAULT_ALERT_LIMIT = 100;
+const MAX_ALERT_LIMIT = 1000;
+
+/**
+ * List alerts of the devices the user can view, newest first
+ * Query: state (open|acknowledged|resolved|active), severity, remotePcId, ruleId, limit
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.getAlerts = async (req, res) => {
+  try {
+    const { state, severity, remotePcId, ruleId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_ALERT_LIMIT, MAX_ALERT_LIMIT);
+    
+    const alerts = await filterAlerts(req.user, await alertManager.listAlerts({ state, severity, remotePcId, ruleId }));
+    
+    res.json({
+      success: true,
+      total: alerts.length,
+      alerts: alerts.slice(0, limit)
+    });
+  } catch (error) {
+    sendAlertError(res, error, "Server error retrieving alerts");
+  }
+};
+
+/**
+ * Get one alert
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.getAlert = async (req, res) => {
+  try {
+    const alert = await getAccessibleAlert(req.user, req.params.alertId, 'view');
+    
+    res.json({
+      success: true,
+      alert
+    });
+  } catch (error) {
+    sendAlertError(res, error, "Server error retrieving alert");
+  }
+};
+
+/**
+ * Acknowledge an open alert
+ * Body: { note }
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.acknowledgeAlert = async (req, res) => {
+  try {
+    await getAccessibleAlert(req.user, req.params.alertId, 'control');
+    const note = typeof (req.body || {}).note === 'string' ? req.body.note.trim() : '';
+    const alert = await alertManager.acknowledgeAlert(req.params.alertId, req.user.id, note);
+    
+    await logActivity(req.db, req.user.id, 'alert_acknowledged', {
+      alertId: alert.id,
+      remotePcId: alert.remotePcId,
+      rule: alert.ruleName,
+      ip: req.ip
+    });
+    
+    signalingService.emitAlertUpdate(alert);
+    
+    res.json({
+      success: true,
+      alert
+    });
+  } catch (error) {
+    sendAlertError(res, error, "Server error acknowledging alert");
+  }
+};
+
+/**
+ * Resolve an alert by hand
+ * Body: { note }
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.resolveAlert = async (req, res) => {
+  try {
+    await getAccessibleAlert(req.user, req.params.alertId, 'control');
+    const note = typeof (req.body || {}).note === 'string' ? req.body.note.trim() : '';
+    const alert = await alertManager.resolveAlert(req.params.alertId, req.user.id, note);
+    
+    await logActivity(req.db, req.user.id, 'alert_resolved', {
+      alertId: alert.id,
+      remotePcId: alert.remotePcId,
+      rule: alert.ruleName,
+      ip: req.ip
+    });
+    
+    signalingService.emitAlertUpdate(alert);
+    
+    res.json({
+      success: true,
+      alert
+    });
+  } catch (error) {
+    sendAlertError(res, error, "Server error resolving alert");
+  }
+};
+
+/**
+ * List alert rules
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.getRules = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      rules: await alertManager.listRules()
+    });
+  } catch (error) {
+    sendAlertError(res, error, "Server error retrieving alert rules");
+  }
+};
+
+/**
+ * Create an alert rule
+ * Body: { name, enabled, severity, scope: { targetType, targetId }, condition: { type, ... } }
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.createRule = async (req, res) => {
+  try {
+    const rule = await alertManager.createRule(req.body || {}, req.user.id);
+    
+    await logActivity(req.db, req.user.id, 'alert_rule_created', {
+      ruleId: rule.id,
+      name: rule.name,
+      condition: rule.condition.type,
+      ip: req.ip
+    });
+    
+    res.status(201).json({
+      success: true,
+      rule
+    });
+  } catch (error) {
+    sendAlertError(res, error, "Server error creating alert rule");
+  }
+};
+
+/**
+ * Replace an alert rule definition
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.updateRule = async (req, res) => {
+  try {
+    const rule = await alertManager.updateRule(req.params.ruleId, req.body || {}, req.user.id);
+    
+    await logActivity(req.db, req.user.id, 'alert_rule_updated', {
+      ruleId: rule.id,
+      name: rule.name,
+      enabled: rule.enabled,
+      ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      rule
+    });
+  } catch (error) {
+    sendAlertError(res, error, "Server error updating alert rule");
+  }
+};
+
+/**
+ * Delete an alert rule
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.deleteRule = async (req, res) => {
+  try {
+    const rule = await alertManager.deleteRule(req.params.ruleId, req.user.id);
+    
+    await logActivity(req.db, req.user.id, 'alert_rule_deleted', {
+      ruleId: rule.id,
+      name: rule.name,
+      ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      rule
+    });
+  } catch (error) {
+    sendAlertError(res, error, "Server error deleting alert rule");
+  }
+};
+
+/**
+ * Keep the alerts of devices the user can view
+ * @param {Object} user - Authenticated user
+ * @param {Array} alerts - Alerts
+ * @returns {Promise<Array>} Visible alerts
+ */
+async function filterAlerts(user, alerts) {
+  if (user.role === 'admin') return alerts;
+  
+  const deviceIds = [...new Set(alerts.map(alert => alert.remotePcId))];
+  const allowed = await Promise.all(deviceIds.map(id => accessControl.canAccess(user, id, 'view')));
+  const visible = new Set(deviceIds.filter((id, index) => allowed[index]));
+  
+  return alerts.filter(alert => visible.has(alert.remotePcId));
+}
+
+/**
+ * Get an alert, checking the user's access to its device
+ * Alerts of devices the user cannot view look like missing alerts.
+ * @param {Object} user - Authenticated user
+ * @param {string} alertId - Alert identifier
+ * @param {string} level - Required access level ('view' or 'control')
+ * @returns {Promise<Object>} Alert
+ */
+async function getAccessibleAlert(user, alertId, level) {
+  const alert = await alertManager.getAlert(alertId);
+  if (user.role === 'admin') return alert;
+  
+  if (!(await accessControl.canAccess(user, alert.remotePcId, 'view'))) {
+    throw new Error(`Alert not found: ${alertId}`);
+  }
+  
+  if (level === 'control' && !(await accessControl.canAccess(user, alert.remotePcId, 'control'))) {
+    throw new Error('Access denied: control access to the device is required');
+  }
+  
+  return alert;
+}
+
+/**
+ * Map service errors to HTTP responses
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the alert service
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+function sendAlertError(res, error, fallbackMessage) {
+  const message = error.message || '';
+  
+  if (message.includes('not found')) {
+    return res.status(404).json({ success: false, message });
+  }
+  
+  if (message.startsWith('Invalid')) {
+    return res.status(400).json({ success: false, message });
+  }
+  
+  if (message.startsWith('Access denied')) {
+    return res.status(403).json({ success: false, message });
+  }
+  
+  if (message.startsWith('Alert already')) {
+    return res.status(409).json({ success: false, message });
+  }
+  
+  logger.error(fallbackMessage + ':', error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+}
+
+/**
+ * Log activity to the database
+ * @param {Object} db - Database pool or client
+ * @param {number} userId - User ID
+ * @param {string} action - Action performed
+ * @param {Object} details - Additional details
+ */
+async function logActivity(db, userId, action, details = {}) {
+  try {
+    await db.query(
+      "INSERT INTO activity_logs (user_id, action, details, ip_address) VALUES ($1, $2, $3, $4)",
+      [userId, action, JSON.stringify(details), details.ip || null]
+    );
+  } catch (error) {
+    logger.error("Error logging activity:", error);
+  }
+}
@@ -5,7 +5,22 @@
  */
 const deviceManager = require('../services/deviceManager');
 const healthMonitor = require('../services/healthMonitor');
+const groupManager = require('../services/groupManager');
+const inventoryManager = require('../services/inventoryManager');
+const deviceTransfer = require('../services/deviceTransfer');
+const customFieldManager = require('../services/customFieldManager');
+const enrollmentManager = require('../services/enrollmentManager');
+const accessControl = require('../services/accessControl');
+const deviceIdentity = require('../services/deviceIdentity');
+const maintenanceManager = require('../services/maintenanceManager');
+const metricsManager = require('../services/metricsManager');
+const statusThresholds = require('../services/statusThresholds');
+const presenceEngine = require('../services/presenceEngine');
+const heartbeatQuality = require('../services/heartbeatQuality');
+const { parseDeviceQuery, queryDevices } = require('../services/deviceQuery');
+const signalingService = require('../../socket/signalingService');
 const logger = require('../../utils/logger');
+const config = require('../../config/app');
 const { v4: uuidv4 } = require('uuid');
 
 /**
@@ -18,35 +33,52 @@ exports.registerDevice = async (req, res) => {
     // Extract remotePcId from request - this is the only identifier used in Windows app
     const remotePcId = req.body.remotePcId;
     const systemName = req.body.systemName;
-    const apiKey = req.body.apiKey;
+    // Device secret (apiKey kept as the field name the Windows app already sends)
+    const secret = req.body.deviceSecret || req.body.apiKey;
+    const enrollmentCode = req.body.enrollmentCode;
     const metadata = req.body.metadata || {};
+    const fingerprint = deviceIdentity.computeFingerprint(req.body.fingerprint || req.body.hardware);
     
     // Validate required fields
-    if (!remotePcId || !systemName || !apiKey) {
+    if (!remotePcId || !systemName || (!secret && !enrollmentCode)) {
       return res.status(400).json({
         success: false,
-        message: "Missing required fields: remotePcId, systemName, apiKey"
+        message: "Missing required fields: remotePcId, systemName, deviceSecret or enrollmentCode"
       });
     }
     
-    // Validate API key
-    const isValidKey = await deviceManager.validateApiKey(apiKey);
-    if (!isValidKey) {
+    // Validate credentials
+    const method = await enrollmentManager.authenticateDevice(remotePcId, { secret, enrollmentCode });
+    if (!method) {
       return res.status(401).json({
         success: false,
-        message: "Invalid API key"
+        message: "Invalid device credentials"
       });
     }
     
-    // Register device
-    const device = await deviceManager.registerDevice({
+    // Exchange an enrollment code for a device secret
+    const enrollment = method === 'enrollment' || (enrollmentCode && method === 'legacy-key')
+      ? await enrollmentManager.redeemCode(enrollmentCode, remotePcId)
+      : null;
+    
+    // Register device - only unknown devices without an enrollment code wait for approval
+    await deviceManager.registerDevice({
       remotePcId,
       systemName,
-      status: 'online',
-      apiKey,
-      metadata: metadata
+      metadata: metadata,
+      fingerprint,
+      ipAddress: req.ip,
+      requireApproval: config.security.requireDeviceApproval && !enrollment
     });
     
+    const deviceSecret = enrollment
+      ? await enrollmentManager.issueCredential(remotePcId, enrollment.id)
+      : undefined;
+    
+    // Registering counts as a sign of life - the presence engine brings the device online
+    await presenceEngine.heartbeat(remotePcId);
+    const device = await deviceManager.getDeviceByRemotePcId(remotePcId);
+    
     // Return success with expected response format
     res.json({
       success: true,
@@ -55,10 +87,26 @@ exports.registerDevice = async (req, res) => {
         systemName: device.systemName,
         status: device.status,
         firstConnection: device.firstConnection,
-        lastConnection: device.lastConnection
-      }
+        lastConnection: device.lastConnection,
+        approval: device.approval ? device.approval.state : 'approved'
+      },
+      deviceSecret
     });
   } catch (error) {
+    if (error.message && (error.message.startsWith('Device archived') || error.message.startsWith('Device rejected'))) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.message && (error.message.startsWith('Invalid enrollment code') || error.message.startsWith('Device already enrolled'))) {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     logger.error('Device registration error:', error);
     res.status(500).json({
       success: false,
@@ -68,31 +116,66 @@ exports.registerDevice = async (req, res) => {
 };
 
 /**
- * Get all devices
+ * Get devices - filtered, sorted and paginated
+ * Query: group, tag, status, q, metadata.<key>, lastSeenAfter, lastSeenBefore,
+ * sort ([-]field), limit, cursor
  * @param {Object} req - Express request
  * @param {Object} res - Express response
  */
 exports.getAllDevices = async (req, res) => {
   try {
-    // Get devices
-    const devices = await deviceManager.getAllDevices();
+    const options = parseDeviceQuery(req.query);
+    
+    // Get devices, narrowed by optional group/tag filters
+    const { group, tag } = req.query;
+    const tags = Array.isArray(tag) ? tag.join(',') : (tag || '');
+    const allDevices = await deviceManager.getAllDevices({ includeArchived: options.archived !== 'exclude' });
+    const visibleDevices = await accessControl.filterDevices(req.user, allDevices);
+    const devices = await groupManager.filterDevices(visibleDevices, { group, tags });
+    const page = queryDevices(devices, options);
     
     // Filter sensitive data
-    const filteredDevices = devices.map(device => ({
+    const filteredDevices = await Promise.all(page.devices.map(async device => ({
       remotePcId: device.remotePcId,
       systemName: device.systemName,
       status: device.status || 'unknown',
       firstConnection: device.firstConnection,
       lastConnection: device.lastConnection,
-      lastSeen: device.lastSeen
-    }));
+      lastSeen: device.lastSeen,
+      connections: device.connections || 0,
+      archivedAt: device.archivedAt || null,
+      approval: device.approval ? device.approval.state : 'approved',
+      identityConflict: Boolean(device.identityConflict),
+      flapping: Boolean(device.flapping),
+      connectionQuality: heartbeatQuality.getSummary(device),
+      maintenance: await maintenanceManager.getActiveMaintenance(device),
+      groups: device.groups || [],
+      dynamicGroups: await groupManager.getDynamicGroupIds(device),
+      tags: device.tags || []
+    })));
     
     // Return success
     res.json({
       success: true,
-      devices: filteredDevices
+      devices: filteredDevices,
+      total: page.total,
+      nextCursor: page.nextCursor
     });
   } catch (error) {
+    if (error.message && error.message.includes('Group not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.message && error.message.startsWith('Invalid')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     logger.error('Error getting devices:', error);
     res.status(500).json({
       success: false,
@@ -101,6 +184,110 @@ exports.getAllDevices = async (req, res) => {
   }
 };
 
+/**
+ * Export devices as CSV or JSON
+ * Accepts the same filters as the device list; pagination is ignored
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.exportDevices = async (req, res) => {
+  try {
+    const { format = 'csv', group, tag, limit, cursor, ...filters } = req.query;
+    
+    if (format !== 'csv' && format !== 'json') {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid format. Must be csv or json."
+      });
+    }
+    
+    const options = { ...parseDeviceQuery(filters), limit: Infinity };
+    const tags = Array.isArray(tag) ? tag.join(',') : (tag || '');
+    const allDevices = await deviceManager.getAllDevices({ includeArchived: options.archived !== 'exclude' });
+    const visibleDevices = await accessControl.filterDevices(req.user, allDevices);
+    const devices = queryDevices(await groupManager.filterDevices(visibleDevices, { group, tags }), options).devices;
+    
+    const exported = await deviceTransfer.exportDevices(devices, format);
+    const fileName = `devices-${new Date().toISOString().split('T')[0]}.${format}`;
+    
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    
+    if (format === 'csv') {
+      res.type('text/csv').send(exported);
+    } else {
+      res.json({
+        success: true,
+        exportedAt: new Date().toISOString(),
+        devices: exported
+      });
+    }
+  } catch (error) {
+    if (error.message && error.message.includes('Group not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.message && error.message.startsWith('Invalid')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    logger.error('Error exporting devices:', error);
+    res.status(500).json({
+      success: false,
+      message: "Server error exporting devices"
+    });
+  }
+};
+
+/**
+ * Import pre-created devices from CSV or JSON
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.importDevices = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true' || (req.body && req.body.dryRun === true);
+    
+    const result = await deviceTransfer.importDevices(req.body, {
+      dryRun,
+      userId: req.user.id,
+      username: req.user.username
+    });
+    
+    if (!dryRun) {
+      await logActivity(req.db, req.user.id, 'devices_imported', {
+        created: result.created,
+        updated: result.updated,
+        failed: result.failed,
+        ip: req.ip
+      });
+    }
+    
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    if (error.message && error.message.startsWith('Invalid')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    logger.error('Error importing devices:', error);
+    res.status(500).json({
+      success: false,
+      message: "Server error importing devices"
+    });
+  }
+};
+
 /**
  * Get online devices
  * @param {Object} req - Express request
@@ -108,8 +295,8 @@ exports.getAllDevices = async (req, res) => {
  */
 exports.getOnlineDevices = async (req, res) => {
   try {
-    // Get online devices
-    const devices = await deviceManager.getOnlineDevices();
+    // Get online devices the user may see
+    const devices = await accessControl.filterDevices(req.user, await deviceManager.getOnlineDevices());
     
     // Filter sensitive data
     const filteredDevices = devices.map(device => ({
@@ -162,7 +349,24 @@ exports.getDeviceById = async (req, res) => {
       firstConnection: device.firstConnection,
       lastConnection: device.lastConnection,
       lastSeen: device.lastSeen,
-      metadata: device.metadata || {}
+      metadata: device.metadata || {},
+      owner: device.owner || null,
+      customFields: await customFieldManager.getDeviceValues(device),
+      notes: device.notes || [],
+      credential: enrollmentManager.getCredentialStatus(device),
+      approval: device.approval || { state: 'approved' },
+      fingerprint: device.fingerprint || null,
+      ipAddress: device.ipAddress || null,
+      identityConflict: device.identityConflict || null,
+      identityHistory: device.identityHistory || [],
+      flapping: Boolean(device.flapping),
+      flappingSince: device.flappingSince || null,
+      connectionQuality: heartbeatQuality.getQuality(device),
+      maintenance: await maintenanceManager.getActiveMaintenance(device),
+      archivedAt: device.archivedAt || null,
+      groups: device.groups || [],
+      dynamicGroups: await groupManager.getDynamicGroupIds(device),
+      tags: device.tags || []
     };
     
     // Return success
@@ -188,45 +392,33 @@ exports.getDeviceById = async (req, res) => {
 };
 
 /**
- * Update device status
+ * Update editable device properties and custom field values
+ * Body: { systemName, owner, customFields: { key: value|null } } - null clears a field
  * @param {Object} req - Express request
  * @param {Object} res - Express response
  */
-exports.updateDeviceStatus = async (req, res) => {
+exports.updateDevice = async (req, res) => {
   try {
     const { remotePcId } = req.params;
-    const { status } = req.body;
-    
-    // CRITICAL FIX: Add validation for remotePcId
-    if (!remotePcId) {
-      return res.status(404).json({
-        success: false,
-        message: "Device ID is missing or undefined"
-      });
-    }
     
-    // Validate status
-    if (!status || !['online', 'offline', 'idle'].includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid status value. Must be online, offline, or idle."
-      });
-    }
+    const device = await customFieldManager.updateDevice(remotePcId, req.body || {});
     
-    // Update device status
-    const updatedDevice = await deviceManager.updateDeviceStatus(remotePcId, status);
+    await logActivity(req.db, req.user.id, 'device_updated', {
+      remotePcId,
+      fields: Object.keys(req.body || {}),
+      ip: req.ip
+    });
     
-    // Return success
     res.json({
       success: true,
       device: {
-        remotePcId: updatedDevice.remotePcId,
-        status: updatedDevice.status,
-        lastStatusChange: updatedDevice.lastStatusChange
+        remotePcId: device.remotePcId,
+        systemName: device.systemName,
+        owner: device.owner || null,
+        customFields: await customFieldManager.getDeviceValues(device)
       }
     });
   } catch (error) {
-    // Specific error for device not found
     if (error.message && error.message.includes('Device not found')) {
       return res.status(404).json({
         success: false,
@@ -234,180 +426,795 @@ exports.updateDeviceStatus = async (req, res) => {
       });
     }
     
-    logger.error('Error updating device status:', error);
+    if (error.message && error.message.startsWith('Invalid')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    logger.error('Error updating device:', error);
     res.status(500).json({
       success: false,
-      message: "Server error updating device status"
+      message: "Server error updating device"
     });
   }
 };
 
 /**
- * Get device health
+ * Add an operator note to a device
  * @param {Object} req - Express request
  * @param {Object} res - Express response
  */
-exports.getDeviceHealth = async (req, res) => {
+exports.addDeviceNote = async (req, res) => {
   try {
     const { remotePcId } = req.params;
-    const { date, limit } = req.query;
     
-    // CRITICAL FIX: Add validation for remotePcId
-    if (!remotePcId) {
+    const note = await deviceManager.addDeviceNote(remotePcId, {
+      text: req.body.text,
+      authorId: req.user.id,
+      author: req.user.username
+    });
+    
+    res.status(201).json({
+      success: true,
+      note
+    });
+  } catch (error) {
+    if (error.message && error.message.includes('Device not found')) {
       return res.status(404).json({
         success: false,
-        message: "Device ID is missing or undefined"
+        message: error.message
       });
     }
     
-    // Validate device exists
-    try {
-      await deviceManager.getDeviceByRemotePcId(remotePcId);
-    } catch (err) {
-      return res.status(404).json({
+    if (error.message && error.message.startsWith('Invalid')) {
+      return res.status(400).json({
         success: false,
-        message: `Device not found: ${remotePcId}`
+        message: error.message
       });
     }
     
-    // Get health data
-    const healthData = await healthMonitor.getDeviceHealth(remotePcId, {
-      date,
-      limit: limit ? parseInt(limit, 10) : undefined
-    });
-    
-    // Return success
-    res.json({
-      success: true,
-      ...healthData
-    });
-  } catch (error) {
-    logger.error('Error getting device health:', error);
+    logger.error('Error adding device note:', error);
     res.status(500).json({
       success: false,
-      message: "Server error retrieving device health"
+      message: "Server error adding note"
     });
   }
 };
 
 /**
- * Get device logs
+ * Delete an operator note
  * @param {Object} req - Express request
  * @param {Object} res - Express response
  */
-exports.getDeviceLogs = async (req, res) => {
+exports.deleteDeviceNote = async (req, res) => {
   try {
-    const { remotePcId } = req.params;
-    const { date, limit } = req.query;
+    const { remotePcId, noteId } = req.params;
     
-    // CRITICAL FIX: Add validation for remotePcId
-    if (!remotePcId) {
-      return res.status(404).json({
-        success: false,
-        message: "Device ID is missing or undefined"
-      });
-    }
+    await deviceManager.deleteDeviceNote(remotePcId, noteId);
     
-    // Validate device exists
-    try {
-      await deviceManager.getDeviceByRemotePcId(remotePcId);
-    } catch (err) {
+    res.json({
+      success: true,
+      message: "Note deleted"
+    });
+  } catch (error) {
+    if (error.message && (error.message.includes('Device not found') || error.message.includes('Note not found'))) {
       return res.status(404).json({
         success: false,
-        message: `Device not found: ${remotePcId}`
+        message: error.message
       });
     }
     
-    // Get logs
-    const logs = await deviceManager.getDeviceLogs(remotePcId, {
-      date,
-      limit: limit ? parseInt(limit, 10) : undefined
+    logger.error('Error deleting device note:', error);
+    res.status(500).json({
+      success: false,
+      message: "Server error deleting note"
     });
+  }
+};
+
+/**
+ * Get the custom field definitions
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.getCustomFields = async (req, res) => {
+  try {
+    const fields = await customFieldManager.getFields();
     
-    // Return success
     res.json({
       success: true,
-      logs
+      fields
     });
   } catch (error) {
-    logger.error('Error getting device logs:', error);
+    logger.error('Error getting custom fields:', error);
     res.status(500).json({
       success: false,
-      message: "Server error retrieving device logs"
+      message: "Server error retrieving custom fields"
     });
   }
 };
 
 /**
- * Initiate connection to device
+ * Replace the custom field definitions
+ * Body: { fields: [{ key, label, type, required, values, description }] }
  * @param {Object} req - Express request
  * @param {Object} res - Express response
  */
-exports.initiateConnection = async (req, res) => {
+exports.updateCustomFields = async (req, res) => {
   try {
-    const { remotePcId } = req.params;
-    // For testing, make user ID optional
-    const userId = req.user ? req.user.id : 'admin-user';
-    
-    // CRITICAL FIX: Add validation for remotePcId
-    if (!remotePcId) {
-      return res.status(404).json({
-        success: false,
-        message: "Device ID is missing or undefined"
-      });
-    }
-    
-    // Validate device exists
-    let device;
-    try {
-      device = await deviceManager.getDeviceByRemotePcId(remotePcId);
-    } catch (err) {
-      return res.status(404).json({
-        success: false,
-        message: `Device not found: ${remotePcId}`
-      });
-    }
-    
-    // Generate request ID
-    const requestId = uuidv4();
+    const fields = await customFieldManager.saveFields(req.body.fields);
     
-    // Log connection request
-    await deviceManager.logConnectionRequest({
-      remotePcId,
-      userId,
-      requestId,
-      timestamp: new Date()
+    await logActivity(req.db, req.user.id, 'custom_fields_updated', {
+      fields: fields.map(field => field.key),
+      ip: req.ip
     });
     
-    // Return connection info
     res.json({
       success: true,
-      requestId,
-      remotePcId,
-      systemName: device.systemName,
-      status: device.status || 'unknown',
-      message: "Connection request initiated. Use WebSocket API to establish connection."
+      fields
     });
   } catch (error) {
-    logger.error('Error initiating connection:', error);
+    if (error.message && error.message.startsWith('Invalid')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    logger.error('Error updating custom fields:', error);
     res.status(500).json({
       success: false,
-      message: "Server error initiating connection"
+      message: "Server error updating custom fields"
     });
   }
 };
 
 /**
- * Get system health overview
+ * Get the default idle and offline thresholds
  * @param {Object} req - Express request
  * @param {Object} res - Express response
  */
-exports.getSystemHealth = async (req, res) => {
+exports.getStatusThresholds = async (req, res) => {
   try {
-    const { date } = req.query;
+    const thresholds = await statusThresholds.getDefaults();
     
-    // Get health data
-    const healthData = await healthMonitor.getSystemHealth({ date });
+    res.json({
+      success: true,
+      thresholds
+    });
+  } catch (error) {
+    logger.error('Error getting status thresholds:', error);
+    res.status(500).json({
+      success: false,
+      message: "Server error retrieving status thresholds"
+    });
+  }
+};
+
+/**
+ * Replace the default idle and offline thresholds
+ * Body: { idleThreshold, offlineThreshold } in ms; omitted values revert to the configured ones
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.updateStatusThresholds = async (req, res) => {
+  try {
+    const { idleThreshold, offlineThreshold } = req.body || {};
+    const values = idleThreshold === undefined && offlineThreshold === undefined
+      ? null
+      : { idleThreshold, offlineThreshold };
+    
+    const thresholds = await statusThresholds.saveDefaults(values);
+    
+    await logActivity(req.db, req.user.id, 'status_thresholds_updated', {
+      ...thresholds,
+      ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      thresholds
+    });
+  } catch (error) {
+    if (error.message && error.message.startsWith('Invalid')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    logger.error('Error updating status thresholds:', error);
+    res.status(500).json({
+      success: false,
+      message: "Server error updating status thresholds"
+    });
+  }
+};
+
+/**
+ * Get the thresholds that apply to a device and where each comes from
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.getDeviceThresholds = async (req, res) => {
+  try {
+    const device = await deviceManager.getDeviceByRemotePcId(req.params.remotePcId);
+    
+    res.json({
+      success: true,
+      thresholds: await statusThresholds.resolve(device),
+      override: device.statusThresholds || null
+    });
+  } catch (error) {
+    if (error.message && error.message.includes('Device not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    logger.error('Error getting device thresholds:', error);
+    res.status(500).json({
+      success: false,
+      message: "Server error retrieving device thresholds"
+    });
+  }
+};
+
+/**
+ * Set or clear a device's own thresholds
+ * Body: { idleThreshold, offlineThreshold } in ms; omitted values are inherited, an empty body clears both
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.setDeviceThresholds = async (req, res) => {
+  try {
+    const { remotePcId } = req.params;
+    const { idleThreshold, offlineThreshold } = req.body || {};
+    const values = idleThreshold === undefined && offlineThreshold === undefined
+      ? null
+      : { idleThreshold, offlineThreshold };
+    
+    const device = await statusThresholds.setDeviceThresholds(remotePcId, values);
+    
+    await logActivity(req.db, req.user.id, 'device_thresholds_updated', {
+      remotePcId,
+      thresholds: device.statusThresholds || null,
+      ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      thresholds: await statusThresholds.resolve(device),
+      override: device.statusThresholds || null
+    });
+  } catch (error) {
+    if (error.message && error.message.includes('Device not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.message && error.message.startsWith('Invalid')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    logger.error('Error setting device thresholds:', error);
+    res.status(500).json({
+      success: false,
+      message: "Server error setting device thresholds"
+    });
+  }
+};
+
+/**
+ * Update device status
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.updateDeviceStatus = async (req, res) => {
+  try {
+    const { remotePcId } = req.params;
+    const { status } = req.body;
+    
+    // CRITICAL FIX: Add validation for remotePcId
+    if (!remotePcId) {
+      return res.status(404).json({
+        success: false,
+        message: "Device ID is missing or undefined"
+      });
+    }
+    
+    // Validate status
+    if (!status || !['online', 'offline', 'idle'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid status value. Must be online, offline, or idle."
+      });
+    }
+    
+    // Update device status - recorded and announced like any other transition
+    const updatedDevice = await presenceEngine.setStatus(remotePcId, status);
+    
+    // Return success
+    res.json({
+      success: true,
+      device: {
+        remotePcId: updatedDevice.remotePcId,
+        status: updatedDevice.status,
+        lastStatusChange: updatedDevice.lastStatusChange
+      }
+    });
+  } catch (error) {
+    // Specific error for device not found
+    if (error.message && error.message.includes('Device not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    logger.error('Error updating device status:', error);
+    res.status(500).json({
+      success: false,
+      message: "Server error updating device status"
+    });
+  }
+};
+
+/**
+ * Get device health
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.getDeviceHealth = async (req, res) => {
+  try {
+    const { remotePcId } = req.params;
+    const { date, limit } = req.query;
+    
+    // CRITICAL FIX: Add validation for remotePcId
+    if (!remotePcId) {
+      return res.status(404).json({
+        success: false,
+        message: "Device ID is missing or undefined"
+      });
+    }
+    
+    // Validate device exists
+    try {
+      await deviceManager.getDeviceByRemotePcId(remotePcId);
+    } catch (err) {
+      return res.status(404).json({
+        success: false,
+        message: `Device not found: ${remotePcId}`
+      });
+    }
+    
+    // Get health data
+    const healthData = await healthMonitor.getDeviceHealth(remotePcId, {
+      date,
+      limit: limit ? parseInt(limit, 10) : undefined
+    });
+    
+    // Return success
+    res.json({
+      success: true,
+      ...healthData
+    });
+  } catch (error) {
+    logger.error('Error getting device health:', error);
+    res.status(500).json({
+      success: false,
+      message: "Server error retrieving device health"
+    });
+  }
+};
+
+/**
+ * Get device inventory with version history and a diff
+ * Query: version (default latest), compareTo (default the previous version)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.getDeviceInventory = async (req, res) => {
+  try {
+    const { remotePcId } = req.params;
+    const { version, compareTo } = req.query;
+    
+    const inventory = await inventoryManager.getInventory(remotePcId, { version, compareTo });
+    
+    res.json({
+      success: true,
+      remotePcId,
+      ...inventory
+    });
+  } catch (error) {
+    if (error.message && (error.message.includes('Device not found') || error.message.includes('Inventory version not found'))) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    logger.error('Error getting device inventory:', error);
+    res.status(500).json({
+      success: false,
+      message: "Server error retrieving device inventory"
+    });
+  }
+};
+
+/**
+ * Get resource metrics of a device
+ * Query: from, to (ISO dates, default: last 24 hours), resolution (raw, 5m, 1h or auto)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.getDeviceMetrics = async (req, res) => {
+  try {
+    const { from, to, resolution } = req.query;
+    const metrics = await metricsManager.getMetrics(req.params.remotePcId, { from, to, resolution });
+    
+    res.json({
+      success: true,
+      ...metrics
+    });
+  } catch (error) {
+    if (error.message && error.message.includes('Device not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.message && error.message.startsWith('Invalid')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    logger.error('Error getting device metrics:', error);
+    res.status(500).json({
+      success: false,
+      message: "Server error retrieving device metrics"
+    });
+  }
+};
+
+/**
+ * Get device logs
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.getDeviceLogs = async (req, res) => {
+  try {
+    const { remotePcId } = req.params;
+    const { date, limit } = req.query;
+    
+    // CRITICAL FIX: Add validation for remotePcId
+    if (!remotePcId) {
+      return res.status(404).json({
+        success: false,
+        message: "Device ID is missing or undefined"
+      });
+    }
+    
+    // Validate device exists
+    try {
+      await deviceManager.getDeviceByRemotePcId(remotePcId);
+    } catch (err) {
+      return res.status(404).json({
+        success: false,
+        message: `Device not found: ${remotePcId}`
+      });
+    }
+    
+    // Get logs
+    const logs = await deviceManager.getDeviceLogs(remotePcId, {
+      date,
+      limit: limit ? parseInt(limit, 10) : undefined
+    });
+    
+    // Return success
+    res.json({
+      success: true,
+      logs
+    });
+  } catch (error) {
+    logger.error('Error getting device logs:', error);
+    res.status(500).json({
+      success: false,
+      message: "Server error retrieving device logs"
+    });
+  }
+};
+
+/**
+ * Initiate connection to device
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.initiateConnection = async (req, res) => {
+  try {
+    const { remotePcId } = req.params;
+    // For testing, make user ID optional
+    const userId = req.user ? req.user.id : 'admin-user';
+    
+    // CRITICAL FIX: Add validation for remotePcId
+    if (!remotePcId) {
+      return res.status(404).json({
+        success: false,
+        message: "Device ID is missing or undefined"
+      });
+    }
+    
+    // Validate device exists
+    let device;
+    try {
+      device = await deviceManager.getDeviceByRemotePcId(remotePcId);
+    } catch (err) {
+      return res.status(404).json({
+        success: false,
+        message: `Device not found: ${remotePcId}`
+      });
+    }
+    
+    if (!deviceManager.isApproved(device)) {
+      return res.status(403).json({
+        success: false,
+        message: `Device not approved: ${remotePcId}`
+      });
+    }
+    
+    const maintenance = await maintenanceManager.getActiveMaintenance(device);
+    if (maintenance && maintenance.blockRemoteControl) {
+      return res.status(403).json({
+        success: false,
+        message: `Device in maintenance until ${maintenance.endsAt}: ${remotePcId}`
+      });
+    }
+    
+    // Generate request ID
+    const requestId = uuidv4();
+    
+    // Log connection request
+    await deviceManager.logConnectionRequest({
+      remotePcId,
+      userId,
+      requestId,
+      timestamp: new Date()
+    });
+    
+    // Return connection info
+    res.json({
+      success: true,
+      requestId,
+      remotePcId,
+      systemName: device.systemName,
+      status: device.status || 'unknown',
+      message: "Connection request initiated. Use WebSocket API to establish connection."
+    });
+  } catch (error) {
+    logger.error('Error initiating connection:', error);
+    res.status(500).json({
+      success: false,
+      message: "Server error initiating connection"
+    });
+  }
+};
+
+/**
+ * Delete a device
+ * mode=archive (default) hides the device and blocks re-registration;
+ * mode=purge removes the record with its connection logs and health history
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.deleteDevice = async (req, res) => {
+  try {
+    const { remotePcId } = req.params;
+    const mode = req.query.mode || (req.body && req.body.mode) || 'archive';
+    const reason = (req.body && req.body.reason) || '';
+    
+    if (mode !== 'archive' && mode !== 'purge') {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid mode. Must be archive or purge."
+      });
+    }
+    
+    const device = mode === 'purge'
+      ? await deviceManager.purgeDevice(remotePcId)
+      : await deviceManager.archiveDevice(remotePcId, { userId: req.user.id, reason });
+    
+    // Drop the agent's live connection and tell dashboards the device is gone
+    signalingService.disconnectDevice(remotePcId, mode === 'purge' ? 'Device purged' : 'Device archived');
+    if (mode === 'purge') {
+      metricsManager.discard(remotePcId);
+    }
+    
+    await logActivity(req.db, req.user.id, mode === 'purge' ? 'device_purged' : 'device_archived', {
+      remotePcId,
+      systemName: device.systemName,
+      reason,
+      ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      mode,
+      device: {
+        remotePcId: device.remotePcId,
+        systemName: device.systemName,
+        archivedAt: device.archivedAt || null
+      }
+    });
+  } catch (error) {
+    if (error.message && error.message.includes('Device not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.message && error.message.startsWith('Device already archived')) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    logger.error('Error deleting device:', error);
+    res.status(500).json({
+      success: false,
+      message: "Server error deleting device"
+    });
+  }
+};
+
+/**
+ * Restore an archived device
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.restoreDevice = async (req, res) => {
+  try {
+    const { remotePcId } = req.params;
+    
+    const device = await deviceManager.restoreDevice(remotePcId);
+    
+    await logActivity(req.db, req.user.id, 'device_restored', {
+      remotePcId,
+      systemName: device.systemName,
+      ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      device: {
+        remotePcId: device.remotePcId,
+        systemName: device.systemName,
+        status: device.status
+      }
+    });
+  } catch (error) {
+    if (error.message && error.message.includes('Device not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.message && error.message.startsWith('Device not archived')) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    logger.error('Error restoring device:', error);
+    res.status(500).json({
+      success: false,
+      message: "Server error restoring device"
+    });
+  }
+};
+
+/**
+ * Approve a device waiting in the approval queue
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.approveDevice = async (req, res) => {
+  await decideApproval(req, res, 'approved');
+};
+
+/**
+ * Reject a device waiting in the approval queue
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.rejectDevice = async (req, res) => {
+  await decideApproval(req, res, 'rejected');
+};
+
+/**
+ * Resolve a device identity conflict
+ * Body: { action: 'accept' | 'dismiss', reason }
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.resolveIdentityConflict = async (req, res) => {
+  try {
+    const { remotePcId } = req.params;
+    const { action } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 500) : '';
+    
+    const device = await deviceManager.resolveIdentityConflict(remotePcId, action, {
+      user: { id: req.user.id, username: req.user.username },
+      reason
+    });
+    
+    await logActivity(req.db, req.user.id, 'device_identity_conflict_resolved', {
+      remotePcId,
+      action,
+      reason,
+      ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      fingerprint: device.fingerprint || null,
+      identityHistory: device.identityHistory || []
+    });
+  } catch (error) {
+    if (error.message && error.message.includes('Device not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.message && error.message.startsWith('Invalid')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.message && error.message.startsWith('Device has no identity conflict')) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    logger.error('Error resolving identity conflict:', error);
+    res.status(500).json({
+      success: false,
+      message: "Server error resolving identity conflict"
+    });
+  }
+};
+
+/**
+ * Get system health overview
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.getSystemHealth = async (req, res) => {
+  try {
+    const { date } = req.query;
+    
+    // Get health data
+    const healthData = await healthMonitor.getSystemHealth({ date }, req.user);
     
     // Return success
     res.json({
@@ -421,4 +1228,107 @@ exports.getSystemHealth = async (req, res) => {
       message: "Server error retrieving system health"
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Get fleet status counts over time and the devices that went offline
+ * Query: from, to (ISO dates, default last 24 hours), bucket (auto|5m|15m|1h|6h|1d)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.getSystemHealthHistory = async (req, res) => {
+  try {
+    const { from, to, bucket } = req.query;
+    
+    const history = await healthMonitor.getSystemHealthHistory({ from, to, bucket }, req.user);
+    
+    res.json({
+      success: true,
+      ...history
+    });
+  } catch (error) {
+    if (error.message && error.message.startsWith('Invalid')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    logger.error('Error getting system health history:', error);
+    res.status(500).json({
+      success: false,
+      message: "Server error retrieving system health history"
+    });
+  }
+};
+
+/**
+ * Record an approval decision, apply it to the live connection and log it
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} state - 'approved' or 'rejected'
+ */
+async function decideApproval(req, res, state) {
+  try {
+    const { remotePcId } = req.params;
+    const details = {
+      user: { id: req.user.id, username: req.user.username },
+      reason: typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 500) : ''
+    };
+    
+    const device = state === 'approved'
+      ? await deviceManager.approveDevice(remotePcId, details)
+      : await deviceManager.rejectDevice(remotePcId, details);
+    
+    signalingService.applyApprovalDecision(remotePcId, state);
+    
+    await logActivity(req.db, req.user.id, state === 'approved' ? 'device_approved' : 'device_rejected', {
+      remotePcId,
+      reason: details.reason,
+      ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      approval: device.approval
+    });
+  } catch (error) {
+    if (error.message && error.message.includes('Device not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.message && error.message.startsWith('Device not awaiting')) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    logger.error('Error recording approval decision:', error);
+    res.status(500).json({
+      success: false,
+      message: "Server error recording approval decision"
+    });
+  }
+}
+
+/**
+ * Log activity to the database
+ * @param {Object} db - Database pool or client
+ * @param {number} userId - User ID
+ * @param {string} action - Action performed
+ * @param {Object} details - Additional details
+ */
+async function logActivity(db, userId, action, details = {}) {
+  try {
+    await db.query(
+      "INSERT INTO activity_logs (user_id, action, details, ip_address) VALUES ($1, $2, $3, $4)",
+      [userId, action, JSON.stringify(details), details.ip || null]
+    );
+  } catch (error) {
+    logger.error("Error logging activity:", error);
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Enrollment Controller
+ * Handles API endpoints for device enrollment codes and per-device credentials
+ */
+const enrollmentManager = require('../services/enrollmentManager');
+const signalingService = require('../../socket/signalingService');
+const logger = require('../../utils/logger');
+
+/**
+ * List enrollment codes
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.getEnrollmentCodes = async (req, res) => {
+  try {
+    const codes = await enrollmentManager.listCodes();
+    
+    res.json({
+      success: true,
+      codes
+    });
+  } catch (error) {
+    sendEnrollmentError(res, error, "Server error retrieving enrollment codes");
+  }
+};
+
+/**
+ * Generate a one-time enrollment code
+ * Body: { label, expiresInHours, remotePcId }
+ * The plain code is only part of this response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.createEnrollmentCode = async (req, res) => {
+  try {
+    const code = await enrollmentManager.createCode(req.body || {}, req.user.id);
+    
+    await logActivity(req.db, req.user.id, 'enrollment_code_created', {
+      codeId: code.id,
+      remotePcId: code.remotePcId,
+      expiresAt: code.expiresAt,
+      ip: req.ip
+    });
+    
+    res.status(201).json({
+      success: true,
+      code
+    });
+  } catch (error) {
+    sendEnrollmentError(res, error, "Server error creating enrollment code");
+  }
+};
+
+/**
+ * Revoke an unused enrollment code
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.revokeEnrollmentCode = async (req, res) => {
+  try {
+    const code = await enrollmentManager.revokeCode(req.params.codeId);
+    
+    await logActivity(req.db, req.user.id, 'enrollment_code_revoked', {
+      codeId: code.id,
+      ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      code
+    });
+  } catch (error) {
+    sendEnrollmentError(res, error, "Server error revoking enrollment code");
+  }
+};
+
+/**
+ * Revoke a device's credential and disconnect it
+ * The device has to enroll again with a new code
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.revokeDeviceCredential = async (req, res) => {
+  try {
+    const { remotePcId } = req.params;
+    
+    const device = await enrollmentManager.revokeCredential(remotePcId, req.user.id);
+    signalingService.disconnectDevice(remotePcId, 'Device credential revoked', { removed: false });
+    
+    await logActivity(req.db, req.user.id, 'device_credential_revoked', {
+      remotePcId,
+      ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      credential: enrollmentManager.getCredentialStatus(device)
+    });
+  } catch (error) {
+    sendEnrollmentError(res, error, "Server error revoking device credential");
+  }
+};
+
+/**
+ * Map service errors to HTTP responses
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the enrollment manager
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+function sendEnrollmentError(res, error, fallbackMessage) {
+  const message = error.message || '';
+  
+  if (message.includes('not found')) {
+    return res.status(404).json({ success: false, message });
+  }
+  
+  if (message.startsWith('Invalid')) {
+    return res.status(400).json({ success: false, message });
+  }
+  
+  if (message.startsWith('Enrollment code already used') || message.startsWith('Device has no active credential')) {
+    return res.status(409).json({ success: false, message });
+  }
+  
+  logger.error(fallbackMessage + ':', error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+}
+
+/**
+ * Log activity to the database
+ * @param {Object} db - Database pool or client
+ * @param {number} userId - User ID
+ * @param {string} action - Action performed
+ * @param {Object} details - Additional details
+ */
+async function logActivity(db, userId, action, details = {}) {
+  try {
+    await db.query(
+      "INSERT INTO activity_logs (user_id, action, details, ip_address) VALUES ($1, $2, $3, $4)",
+      [userId, action, JSON.stringify(details), details.ip || null]
+    );
+  } catch (error) {
+    logger.error("Error logging activity:", error);
+  }
+}
@@ -0,0 +1,259 @@
+/**
+ * Group Controller
+ * Handles API endpoints for device groups and device tag assignment
+ */
+const groupManager = require('../services/groupManager');
+const statusThresholds = require('../services/statusThresholds');
+const accessControl = require('../services/accessControl');
+const logger = require('../../utils/logger');
+
+/**
+ * Get all groups
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.getAllGroups = async (req, res) => {
+  try {
+    const groups = await groupManager.getAllGroups();
+    const tags = await groupManager.getAllTags();
+    
+    res.json({
+      success: true,
+      groups,
+      tags
+    });
+  } catch (error) {
+    logger.error('Error getting device groups:', error);
+    res.status(500).json({
+      success: false,
+      message: "Server error retrieving device groups"
+    });
+  }
+};
+
+/**
+ * Get group by id
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.getGroupById = async (req, res) => {
+  try {
+    const group = await groupManager.getGroupById(req.params.groupId);
+    
+    res.json({
+      success: true,
+      group
+    });
+  } catch (error) {
+    sendGroupError(res, error, "Server error retrieving device group");
+  }
+};
+
+/**
+ * Get the devices that belong to a group (static or dynamic)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.getGroupDevices = async (req, res) => {
+  try {
+    const members = await groupManager.getGroupMembers(req.params.groupId);
+    const devices = await accessControl.filterDevices(req.user, members);
+    
+    res.json({
+      success: true,
+      devices: devices.map(summarizeDevice)
+    });
+  } catch (error) {
+    sendGroupError(res, error, "Server error retrieving group members");
+  }
+};
+
+/**
+ * Preview which devices a set of dynamic group rules would match
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.previewRules = async (req, res) => {
+  try {
+    const devices = await groupManager.previewRules(req.body.rules, req.body.match);
+    
+    res.json({
+      success: true,
+      devices: devices.map(summarizeDevice)
+    });
+  } catch (error) {
+    sendGroupError(res, error, "Server error evaluating group rules");
+  }
+};
+
+/**
+ * Create a group
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.createGroup = async (req, res) => {
+  try {
+    const { name, description, color, type, rules, match } = req.body;
+    
+    const group = await groupManager.createGroup({ name, description, color, type, rules, match }, req.user.id);
+    
+    res.status(201).json({
+      success: true,
+      group
+    });
+  } catch (error) {
+    sendGroupError(res, error, "Server error creating device group");
+  }
+};
+
+/**
+ * Update a group
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.updateGroup = async (req, res) => {
+  try {
+    const { name, description, color, rules, match } = req.body;
+    
+    const group = await groupManager.updateGroup(req.params.groupId, { name, description, color, rules, match });
+    
+    res.json({
+      success: true,
+      group
+    });
+  } catch (error) {
+    sendGroupError(res, error, "Server error updating device group");
+  }
+};
+
+/**
+ * Set or clear a group's idle and offline thresholds
+ * Body: { idleThreshold, offlineThreshold } in ms; omitted values are inherited, an empty body clears both
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.setGroupThresholds = async (req, res) => {
+  try {
+    const { idleThreshold, offlineThreshold } = req.body || {};
+    const values = idleThreshold === undefined && offlineThreshold === undefined
+      ? null
+      : { idleThreshold, offlineThreshold };
+    
+    const group = await statusThresholds.setGroupThresholds(req.params.groupId, values);
+    
+    res.json({
+      success: true,
+      group
+    });
+  } catch (error) {
+    sendGroupError(res, error, "Server error setting group thresholds");
+  }
+};
+
+/**
+ * Delete a group
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.deleteGroup = async (req, res) => {
+  try {
+    const group = await groupManager.deleteGroup(req.params.groupId);
+    
+    res.json({
+      success: true,
+      group
+    });
+  } catch (error) {
+    sendGroupError(res, error, "Server error deleting device group");
+  }
+};
+
+/**
+ * Replace the groups of a device
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.setDeviceGroups = async (req, res) => {
+  try {
+    const { remotePcId } = req.params;
+    
+    const device = await groupManager.setDeviceGroups(remotePcId, req.body.groups);
+    
+    res.json({
+      success: true,
+      device: {
+        remotePcId: device.remotePcId,
+        groups: device.groups || [],
+        tags: device.tags || []
+      }
+    });
+  } catch (error) {
+    sendGroupError(res, error, "Server error assigning device groups");
+  }
+};
+
+/**
+ * Replace the tags of a device
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.setDeviceTags = async (req, res) => {
+  try {
+    const { remotePcId } = req.params;
+    
+    const device = await groupManager.setDeviceTags(remotePcId, req.body.tags || []);
+    
+    res.json({
+      success: true,
+      device: {
+        remotePcId: device.remotePcId,
+        groups: device.groups || [],
+        tags: device.tags || []
+      }
+    });
+  } catch (error) {
+    sendGroupError(res, error, "Server error assigning device tags");
+  }
+};
+
+/**
+ * Reduce a device record to the fields shown in membership lists
+ * @param {Object} device - Device record
+ * @returns {Object} Device summary
+ */
+function summarizeDevice(device) {
+  return {
+    remotePcId: device.remotePcId,
+    systemName: device.systemName,
+    status: device.status || 'unknown',
+    lastSeen: device.lastSeen
+  };
+}
+
+/**
+ * Map group service errors to HTTP responses
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the group manager
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+function sendGroupError(res, error, fallbackMessage) {
+  const message = error.message || '';
+  
+  if (message.includes('Group not found') || message.includes('Device not found')) {
+    return res.status(404).json({ success: false, message });
+  }
+  
+  if (message.startsWith('Invalid')) {
+    return res.status(400).json({ success: false, message });
+  }
+  
+  if (message.startsWith('Group already exists')) {
+    return res.status(409).json({ success: false, message });
+  }
+  
+  logger.error(fallbackMessage + ':', error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+}
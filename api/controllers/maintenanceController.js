@@ -0,0 +1,167 @@
+/**
+ * Maintenance Controller
+ * Handles API endpoints for device and group maintenance windows
+ */
+const maintenanceManager = require('../services/maintenanceManager');
+const deviceManager = require('../services/deviceManager');
+const logger = require('../../utils/logger');
+
+/**
+ * List maintenance windows
+ * Query: targetType, targetId, active (true|false)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.getWindows = async (req, res) => {
+  try {
+    const { targetType, targetId, active } = req.query;
+    const windows = await maintenanceManager.listWindows({
+      targetType,
+      targetId,
+      active: active === undefined ? undefined : active === 'true'
+    });
+    
+    res.json({
+      success: true,
+      windows
+    });
+  } catch (error) {
+    sendMaintenanceError(res, error, "Server error retrieving maintenance windows");
+  }
+};
+
+/**
+ * Get the maintenance windows that apply to a device, directly or through its groups
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.getDeviceWindows = async (req, res) => {
+  try {
+    const device = await deviceManager.getDeviceByRemotePcId(req.params.remotePcId);
+    
+    res.json({
+      success: true,
+      active: await maintenanceManager.getActiveMaintenance(device),
+      windows: await maintenanceManager.getDeviceWindows(device)
+    });
+  } catch (error) {
+    sendMaintenanceError(res, error, "Server error retrieving device maintenance windows");
+  }
+};
+
+/**
+ * Schedule a maintenance window
+ * Body: { name, targetType, targetId, startsAt, durationMinutes,
+ * recurrence: { frequency, interval, until }, blockRemoteControl, reason }
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.createWindow = async (req, res) => {
+  try {
+    const window = await maintenanceManager.createWindow(req.body || {}, req.user.id);
+    
+    await logActivity(req.db, req.user.id, 'maintenance_window_created', {
+      windowId: window.id,
+      target: `${window.targetType}:${window.targetId}`,
+      startsAt: window.startsAt,
+      ip: req.ip
+    });
+    
+    res.status(201).json({
+      success: true,
+      window
+    });
+  } catch (error) {
+    sendMaintenanceError(res, error, "Server error creating maintenance window");
+  }
+};
+
+/**
+ * Replace a maintenance window definition
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.updateWindow = async (req, res) => {
+  try {
+    const window = await maintenanceManager.updateWindow(req.params.windowId, req.body || {});
+    
+    await logActivity(req.db, req.user.id, 'maintenance_window_updated', {
+      windowId: window.id,
+      target: `${window.targetType}:${window.targetId}`,
+      ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      window
+    });
+  } catch (error) {
+    sendMaintenanceError(res, error, "Server error updating maintenance window");
+  }
+};
+
+/**
+ * Delete a maintenance window
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.deleteWindow = async (req, res) => {
+  try {
+    const window = await maintenanceManager.deleteWindow(req.params.windowId);
+    
+    await logActivity(req.db, req.user.id, 'maintenance_window_deleted', {
+      windowId: window.id,
+      target: `${window.targetType}:${window.targetId}`,
+      ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      window
+    });
+  } catch (error) {
+    sendMaintenanceError(res, error, "Server error deleting maintenance window");
+  }
+};
+
+/**
+ * Map service errors to HTTP responses
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the maintenance manager
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+function sendMaintenanceError(res, error, fallbackMessage) {
+  const message = error.message || '';
+  
+  if (message.includes('not found')) {
+    return res.status(404).json({ success: false, message });
+  }
+  
+  if (message.startsWith('Invalid')) {
+    return res.status(400).json({ success: false, message });
+  }
+  
+  logger.error(fallbackMessage + ':', error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+}
+
+/**
+ * Log activity to the database
+ * @param {Object} db - Database pool or client
+ * @param {number} userId - User ID
+ * @param {string} action - Action performed
+ * @param {Object} details - Additional details
+ */
+async function logActivity(db, userId, action, details = {}) {
+  try {
+    await db.query(
+      "INSERT INTO activity_logs (user_id, action, details, ip_address) VALUES ($1, $2, $3, $4)",
+      [userId, action, JSON.stringify(details), details.ip || null]
+    );
+  } catch (error) {
+    logger.error("Error logging activity:", error);
+  }
+}
@@ -0,0 +1,228 @@
+/**
+ * Notification Controller
+ * Handles API endpoints for notification channels, the delivery queue and the delivery log
+ */
+const notificationManager = require('../services/notificationManager');
+const logger = require('../../utils/logger');
+
+// Constants
+const DEFAULT_LOG_LIMIT = 100;
+const MAX_LOG_LIMIT = 2000;
+
+/**
+ * List notification channels (secrets masked)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.getChannels = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      channels: await notificationManager.listChannels()
+    });
+  } catch (error) {
+    sendNotificationError(res, error, "Server error retrieving notification channels");
+  }
+};
+
+/**
+ * Create a notification channel
+ * Body: { name, type, enabled, events, config, templates }
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.createChannel = async (req, res) => {
+  try {
+    const channel = await notificationManager.createChannel(req.body || {}, req.user.id);
+    
+    await logActivity(req.db, req.user.id, 'notification_channel_created', {
+      channelId: channel.id,
+      name: channel.name,
+      type: channel.type,
+      ip: req.ip
+    });
+    
+    res.status(201).json({
+      success: true,
+      channel
+    });
+  } catch (error) {
+    sendNotificationError(res, error, "Server error creating notification channel");
+  }
+};
+
+/**
+ * Replace a notification channel definition
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.updateChannel = async (req, res) => {
+  try {
+    const channel = await notificationManager.updateChannel(req.params.channelId, req.body || {});
+    
+    await logActivity(req.db, req.user.id, 'notification_channel_updated', {
+      channelId: channel.id,
+      name: channel.name,
+      enabled: channel.enabled,
+      ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      channel
+    });
+  } catch (error) {
+    sendNotificationError(res, error, "Server error updating notification channel");
+  }
+};
+
+/**
+ * Delete a notification channel and its queued deliveries
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.deleteChannel = async (req, res) => {
+  try {
+    const channel = await notificationManager.deleteChannel(req.params.channelId);
+    
+    await logActivity(req.db, req.user.id, 'notification_channel_deleted', {
+      channelId: channel.id,
+      name: channel.name,
+      ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      channel
+    });
+  } catch (error) {
+    sendNotificationError(res, error, "Server error deleting notification channel");
+  }
+};
+
+/**
+ * Send a test notification through a channel and report the result
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.testChannel = async (req, res) => {
+  try {
+    const attempt = await notificationManager.testChannel(req.params.channelId);
+    
+    res.status(attempt.success ? 200 : 502).json({
+      success: attempt.success,
+      message: attempt.success ? 'Test notification delivered' : `Test notification failed: ${attempt.error}`,
+      attempt
+    });
+  } catch (error) {
+    sendNotificationError(res, error, "Server error testing notification channel");
+  }
+};
+
+/**
+ * List queued and failed deliveries
+ * Query: status (pending|failed), channelId
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.getDeliveries = async (req, res) => {
+  try {
+    const { status, channelId } = req.query;
+    
+    res.json({
+      success: true,
+      deliveries: await notificationManager.listDeliveries({ status, channelId })
+    });
+  } catch (error) {
+    sendNotificationError(res, error, "Server error retrieving notification deliveries");
+  }
+};
+
+/**
+ * Queue a failed delivery again
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.retryDelivery = async (req, res) => {
+  try {
+    const delivery = await notificationManager.retryDelivery(req.params.deliveryId);
+    
+    res.json({
+      success: true,
+      delivery
+    });
+  } catch (error) {
+    sendNotificationError(res, error, "Server error retrying notification delivery");
+  }
+};
+
+/**
+ * Get the delivery log, newest first
+ * Query: channelId, deliveryId, success (true|false), limit
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.getDeliveryLog = async (req, res) => {
+  try {
+    const { channelId, deliveryId, success } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LOG_LIMIT, MAX_LOG_LIMIT);
+    
+    res.json({
+      success: true,
+      log: await notificationManager.getLog({
+        channelId,
+        deliveryId,
+        success: success === undefined ? undefined : success === 'true',
+        limit
+      })
+    });
+  } catch (error) {
+    sendNotificationError(res, error, "Server error retrieving notification log");
+  }
+};
+
+/**
+ * Map service errors to HTTP responses
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the notification service
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+function sendNotificationError(res, error, fallbackMessage) {
+  const message = error.message || '';
+  
+  if (message.includes('not found')) {
+    return res.status(404).json({ success: false, message });
+  }
+  
+  if (message.startsWith('Invalid')) {
+    return res.status(400).json({ success: false, message });
+  }
+  
+  if (message.startsWith('Delivery already')) {
+    return res.status(409).json({ success: false, message });
+  }
+  
+  logger.error(fallbackMessage + ':', error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+}
+
+/**
+ * Log activity to the database
+ * @param {Object} db - Database pool or client
+ * @param {number} userId - User ID
+ * @param {string} action - Action performed
+ * @param {Object} details - Additional details
+ */
+async function logActivity(db, userId, action, details = {}) {
+  try {
+    await db.query(
+      "INSERT INTO activity_logs (user_id, action, details, ip_address) VALUES ($1, $2, $3, $4)",
+      [userId, action, JSON.stringify(details), details.ip || null]
+    );
+  } catch (error) {
+    logger.error("Error logging activity:", error);
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * Report Controller
+ * Handles API endpoints for availability and stability reports
+ */
+const availabilityReport = require('../services/availabilityReport');
+const flapDetector = require('../services/flapDetector');
+const logger = require('../../utils/logger');
+
+/**
+ * Uptime and outage report for a device, a group or all devices
+ * Query: targetType (all|device|group), targetId, from, to (ISO dates), format (json|csv)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.getAvailability = async (req, res) => {
+  try {
+    const { format = 'json', targetType, targetId, from, to } = req.query;
+    
+    if (format !== 'csv' && format !== 'json') {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid format. Must be csv or json."
+      });
+    }
+    
+    const report = await availabilityReport.buildAvailabilityReport({ targetType, targetId, from, to }, req.user);
+    
+    if (format === 'csv') {
+      const fileName = `availability-${report.from.split('T')[0]}-${report.to.split('T')[0]}.csv`;
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      return res.type('text/csv').send(availabilityReport.reportToCsv(report));
+    }
+    
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    sendReportError(res, error, "Server error building availability report");
+  }
+};
+
+/**
+ * Devices that changed status often or were flapping in a time range
+ * Query: from, to (ISO dates, default last 24 hours)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.getUnstable = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const report = await flapDetector.getUnstableDevices({ from, to }, req.user);
+    
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    sendReportError(res, error, "Server error building unstable devices report");
+  }
+};
+
+/**
+ * Map service errors to HTTP responses
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the report service
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+function sendReportError(res, error, fallbackMessage) {
+  const message = error.message || '';
+  
+  if (message.includes('not found')) {
+    return res.status(404).json({ success: false, message });
+  }
+  
+  if (message.startsWith('Invalid')) {
+    return res.status(400).json({ success: false, message });
+  }
+  
+  logger.error(fallbackMessage + ':', error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+}
@@ -0,0 +1,43 @@
+const logger = require('../../utils/logger');
+const deviceManager = require('../services/deviceManager');
+const accessControl = require('../services/accessControl');
+
+/**
+ * Device access middleware
+ * Checks the per-device ACLs for the device named by req.params.remotePcId
+ * 
+ * @param {String} level - Required access level ('view' or 'control')
+ * @returns {Function} Middleware function
+ */
+module.exports = function(level = 'view') {
+  return async function(req, res, next) {
+    try {
+      const { remotePcId } = req.params;
+      const device = await deviceManager.findDevice(remotePcId);
+      const access = device ? await accessControl.getDeviceAccess(req.user, device) : null;
+      
+      // Unknown devices and devices without any grant look the same to the caller
+      if (!access) {
+        return res.status(404).json({
+          success: false,
+          message: `Device not found: ${remotePcId}`
+        });
+      }
+      
+      if (level === 'control' && access !== 'control') {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied: control access to this device is required"
+        });
+      }
+      
+      next();
+    } catch (error) {
+      logger.error('Device access check error:', error);
+      res.status(500).json({
+        success: false,
+        message: "Server error checking device access"
+      });
+    }
+  };
+};
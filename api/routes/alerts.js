@@ -0,0 +1,99 @@
+/**
+ * Alert API routes
+ * Alert rules are managed by admins; alerts are visible per device ACLs
+ */
+const express = require('express');
+const router = express.Router();
+const alertController = require('../controllers/alertController');
+const authMiddleware = require('../middleware/auth');
+const rbacMiddleware = require('../middleware/rbac');
+
+/**
+ * @route GET /api/alerts
+ * @desc List alerts (?state=open|acknowledged|resolved|active, severity, remotePcId, ruleId, limit)
+ * @access Private
+ */
+router.get('/', 
+  authMiddleware, 
+  rbacMiddleware(['admin', 'guest'], ['view:devices']), 
+  alertController.getAlerts
+);
+
+/**
+ * @route GET /api/alerts/rules
+ * @desc List alert rules
+ * @access Private (admin)
+ */
+router.get('/rules', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  alertController.getRules
+);
+
+/**
+ * @route POST /api/alerts/rules
+ * @desc Create an alert rule (offline, metric or reconnects condition) for all devices, a device or a group
+ * @access Private (admin)
+ */
+router.post('/rules', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  alertController.createRule
+);
+
+/**
+ * @route PUT /api/alerts/rules/:ruleId
+ * @desc Replace an alert rule definition
+ * @access Private (admin)
+ */
+router.put('/rules/:ruleId', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  alertController.updateRule
+);
+
+/**
+ * @route DELETE /api/alerts/rules/:ruleId
+ * @desc Delete an alert rule and resolve its active alerts
+ * @access Private (admin)
+ */
+router.delete('/rules/:ruleId', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  alertController.deleteRule
+);
+
+/**
+ * @route GET /api/alerts/:alertId
+ * @desc Get an alert
+ * @access Private
+ */
+router.get('/:alertId', 
+  authMiddleware, 
+  rbacMiddleware(['admin', 'guest'], ['view:devices']), 
+  alertController.getAlert
+);
+
+/**
+ * @route POST /api/alerts/:alertId/acknowledge
+ * @desc Acknowledge an open alert
+ * @access Private (control access to the device)
+ */
+router.post('/:alertId/acknowledge', 
+  authMiddleware, 
+  rbacMiddleware([], ['control:devices']), 
+  alertController.acknowledgeAlert
+);
+
+/**
+ * @route POST /api/alerts/:alertId/resolve
+ * @desc Resolve an alert by hand
+ * @access Private (control access to the device)
+ */
+router.post('/:alertId/resolve', 
+  authMiddleware, 
+  rbacMiddleware([], ['control:devices']), 
+  alertController.resolveAlert
+);
+
+module.exports = router;
\ No newline at end of file
@@ -5,19 +5,25 @@
 const express = require('express');
 const router = express.Router();
 const deviceController = require('../controllers/deviceController');
+const groupController = require('../controllers/groupController');
+const enrollmentController = require('../controllers/enrollmentController');
+const accessControlController = require('../controllers/accessControlController');
+const maintenanceController = require('../controllers/maintenanceController');
 const authMiddleware = require('../middleware/auth');
 const rbacMiddleware = require('../middleware/rbac');
+const deviceAccess = require('../middleware/deviceAccess');
 
 /**
  * @route POST /api/devices/register
- * @desc Register a device
- * @access Public (with API key)
+ * @desc Register a device with its device secret, or exchange an enrollment code for one
+ * @access Public (with device credential)
  */
 router.post('/register', deviceController.registerDevice);
 
 /**
  * @route GET /api/devices
- * @desc Get all devices
+ * @desc Get devices with filters (?group, tag, status, q, metadata.<key>, lastSeenAfter,
+ *       lastSeenBefore, archived, approval), sorting (?sort=[-]field) and cursor pagination (?limit, cursor)
  * @access Private (admin, guest)
  */
 router.get('/', 
@@ -26,6 +32,184 @@ router.get('/',
   deviceController.getAllDevices
 );
 
+/**
+ * @route GET /api/devices/export
+ * @desc Export devices as CSV or JSON (?format=csv|json, plus the list filters)
+ * @access Private
+ */
+router.get('/export', 
+  authMiddleware, 
+  rbacMiddleware([], ['view:devices']), 
+  deviceController.exportDevices
+);
+
+/**
+ * @route POST /api/devices/import
+ * @desc Import pre-created devices from CSV (text/csv body or { csv }) or JSON ({ devices }),
+ *       with ?dryRun=true to validate without writing
+ * @access Private (admin)
+ */
+router.post('/import', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  deviceController.importDevices
+);
+
+/**
+ * @route GET /api/devices/fields
+ * @desc Get the custom field definitions
+ * @access Private
+ */
+router.get('/fields', 
+  authMiddleware, 
+  rbacMiddleware([], ['view:devices']), 
+  deviceController.getCustomFields
+);
+
+/**
+ * @route PUT /api/devices/fields
+ * @desc Replace the custom field definitions
+ * @access Private (admin)
+ */
+router.put('/fields', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:settings']), 
+  deviceController.updateCustomFields
+);
+
+/**
+ * @route GET /api/devices/thresholds
+ * @desc Get the default idle and offline thresholds
+ * @access Private
+ */
+router.get('/thresholds', 
+  authMiddleware, 
+  rbacMiddleware([], ['view:devices']), 
+  deviceController.getStatusThresholds
+);
+
+/**
+ * @route PUT /api/devices/thresholds
+ * @desc Replace the default idle and offline thresholds
+ * @access Private (admin)
+ */
+router.put('/thresholds', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:settings']), 
+  deviceController.updateStatusThresholds
+);
+
+/**
+ * @route GET /api/devices/enrollment-codes
+ * @desc List device enrollment codes
+ * @access Private (admin)
+ */
+router.get('/enrollment-codes', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  enrollmentController.getEnrollmentCodes
+);
+
+/**
+ * @route POST /api/devices/enrollment-codes
+ * @desc Generate a one-time enrollment code (returned once)
+ * @access Private (admin)
+ */
+router.post('/enrollment-codes', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  enrollmentController.createEnrollmentCode
+);
+
+/**
+ * @route DELETE /api/devices/enrollment-codes/:codeId
+ * @desc Revoke an unused enrollment code
+ * @access Private (admin)
+ */
+router.delete('/enrollment-codes/:codeId', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  enrollmentController.revokeEnrollmentCode
+);
+
+/**
+ * @route GET /api/devices/acls
+ * @desc List device access control entries
+ * @access Private (admin)
+ */
+router.get('/acls', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  accessControlController.getAcls
+);
+
+/**
+ * @route POST /api/devices/acls
+ * @desc Grant a user or role view/control access to a device, group or all devices
+ * @access Private (admin)
+ */
+router.post('/acls', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  accessControlController.createAcl
+);
+
+/**
+ * @route DELETE /api/devices/acls/:aclId
+ * @desc Remove a device access control entry
+ * @access Private (admin)
+ */
+router.delete('/acls/:aclId', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  accessControlController.deleteAcl
+);
+
+/**
+ * @route GET /api/devices/maintenance
+ * @desc List maintenance windows
+ * @access Private (admin)
+ */
+router.get('/maintenance', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  maintenanceController.getWindows
+);
+
+/**
+ * @route POST /api/devices/maintenance
+ * @desc Schedule a one-off or recurring maintenance window for a device or group
+ * @access Private (admin)
+ */
+router.post('/maintenance', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  maintenanceController.createWindow
+);
+
+/**
+ * @route PUT /api/devices/maintenance/:windowId
+ * @desc Replace a maintenance window definition
+ * @access Private (admin)
+ */
+router.put('/maintenance/:windowId', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  maintenanceController.updateWindow
+);
+
+/**
+ * @route DELETE /api/devices/maintenance/:windowId
+ * @desc Delete a maintenance window
+ * @access Private (admin)
+ */
+router.delete('/maintenance/:windowId', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  maintenanceController.deleteWindow
+);
+
 /**
  * @route GET /api/devices/online
  * @desc Get online devices
@@ -37,6 +221,117 @@ router.get('/online',
   deviceController.getOnlineDevices
 );
 
+/**
+ * @route GET /api/devices/groups
+ * @desc Get all device groups and tags in use
+ * @access Private
+ */
+router.get('/groups', 
+  authMiddleware, 
+  rbacMiddleware([], ['view:devices']), 
+  groupController.getAllGroups
+);
+
+/**
+ * @route POST /api/devices/groups
+ * @desc Create a device group
+ * @access Private (admin)
+ */
+router.post('/groups', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  groupController.createGroup
+);
+
+/**
+ * @route POST /api/devices/groups/preview
+ * @desc Preview the devices matched by dynamic group rules
+ * @access Private (admin)
+ */
+router.post('/groups/preview', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  groupController.previewRules
+);
+
+/**
+ * @route GET /api/devices/groups/:groupId/devices
+ * @desc Get the devices that belong to a group (static or dynamic)
+ * @access Private
+ */
+router.get('/groups/:groupId/devices', 
+  authMiddleware, 
+  rbacMiddleware([], ['view:devices']), 
+  groupController.getGroupDevices
+);
+
+/**
+ * @route GET /api/devices/groups/:groupId
+ * @desc Get device group by id
+ * @access Private
+ */
+router.get('/groups/:groupId', 
+  authMiddleware, 
+  rbacMiddleware([], ['view:devices']), 
+  groupController.getGroupById
+);
+
+/**
+ * @route PUT /api/devices/groups/:groupId
+ * @desc Update a device group
+ * @access Private (admin)
+ */
+router.put('/groups/:groupId', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  groupController.updateGroup
+);
+
+/**
+ * @route PUT /api/devices/groups/:groupId/thresholds
+ * @desc Set or clear the idle and offline thresholds of a group's devices
+ * @access Private (admin)
+ */
+router.put('/groups/:groupId/thresholds', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  groupController.setGroupThresholds
+);
+
+/**
+ * @route DELETE /api/devices/groups/:groupId
+ * @desc Delete a device group and remove it from all devices
+ * @access Private (admin)
+ */
+router.delete('/groups/:groupId', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  groupController.deleteGroup
+);
+
+// System routes come before the /:remotePcId routes, which would otherwise match "system"
+/**
+ * @route GET /api/devices/system/health
+ * @desc Get system health overview
+ * @access Private (admin, guest)
+ */
+router.get('/system/health', 
+  authMiddleware, 
+  rbacMiddleware(['admin', 'guest'], ['view:settings']), 
+  deviceController.getSystemHealth
+);
+
+/**
+ * @route GET /api/devices/system/health/history
+ * @desc Get fleet status counts over time and the devices that went offline
+ * @access Private (admin, guest)
+ */
+router.get('/system/health/history', 
+  authMiddleware, 
+  rbacMiddleware(['admin', 'guest'], ['view:settings']), 
+  deviceController.getSystemHealthHistory
+);
+
 /**
  * @route GET /api/devices/:remotePcId
  * @desc Get device by remotePcId
@@ -45,9 +340,70 @@ router.get('/online',
 router.get('/:remotePcId', 
   authMiddleware, 
   rbacMiddleware([], ['view:devices']), 
+  deviceAccess('view'), 
   deviceController.getDeviceById
 );
 
+/**
+ * @route PATCH /api/devices/:remotePcId
+ * @desc Update device name, owner and custom field values
+ * @access Private (admin)
+ */
+router.patch('/:remotePcId', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  deviceAccess('control'), 
+  deviceController.updateDevice
+);
+
+/**
+ * @route POST /api/devices/:remotePcId/notes
+ * @desc Add an operator note to a device
+ * @access Private (admin)
+ */
+router.post('/:remotePcId/notes', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  deviceAccess('control'), 
+  deviceController.addDeviceNote
+);
+
+/**
+ * @route DELETE /api/devices/:remotePcId/notes/:noteId
+ * @desc Delete an operator note
+ * @access Private (admin)
+ */
+router.delete('/:remotePcId/notes/:noteId', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  deviceAccess('control'), 
+  deviceController.deleteDeviceNote
+);
+
+/**
+ * @route GET /api/devices/:remotePcId/inventory
+ * @desc Get device inventory, version history and diff (?version, compareTo)
+ * @access Private
+ */
+router.get('/:remotePcId/inventory', 
+  authMiddleware, 
+  rbacMiddleware([], ['view:devices']), 
+  deviceAccess('view'), 
+  deviceController.getDeviceInventory
+);
+
+/**
+ * @route GET /api/devices/:remotePcId/maintenance
+ * @desc Get the maintenance windows that apply to a device
+ * @access Private
+ */
+router.get('/:remotePcId/maintenance', 
+  authMiddleware, 
+  rbacMiddleware([], ['view:devices']), 
+  deviceAccess('view'), 
+  maintenanceController.getDeviceWindows
+);
+
 /**
  * @route GET /api/devices/:remotePcId/health
  * @desc Get device health
@@ -56,9 +412,46 @@ router.get('/:remotePcId',
 router.get('/:remotePcId/health', 
   authMiddleware, 
   rbacMiddleware([], ['view:devices']), 
+  deviceAccess('view'), 
   deviceController.getDeviceHealth
 );
 
+/**
+ * @route GET /api/devices/:remotePcId/metrics
+ * @desc Get CPU, memory, disk and network usage time series (?from&to&resolution)
+ * @access Private
+ */
+router.get('/:remotePcId/metrics', 
+  authMiddleware, 
+  rbacMiddleware([], ['view:devices']), 
+  deviceAccess('view'), 
+  deviceController.getDeviceMetrics
+);
+
+/**
+ * @route GET /api/devices/:remotePcId/thresholds
+ * @desc Get the thresholds that apply to a device and their source
+ * @access Private
+ */
+router.get('/:remotePcId/thresholds', 
+  authMiddleware, 
+  rbacMiddleware([], ['view:devices']), 
+  deviceAccess('view'), 
+  deviceController.getDeviceThresholds
+);
+
+/**
+ * @route PUT /api/devices/:remotePcId/thresholds
+ * @desc Set or clear a device's own idle and offline thresholds
+ * @access Private (admin)
+ */
+router.put('/:remotePcId/thresholds', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  deviceAccess('control'), 
+  deviceController.setDeviceThresholds
+);
+
 /**
  * @route GET /api/devices/:remotePcId/logs
  * @desc Get device logs
@@ -67,9 +460,106 @@ router.get('/:remotePcId/health',
 router.get('/:remotePcId/logs', 
   authMiddleware, 
   rbacMiddleware(['admin'], ['view:logs']), 
+  deviceAccess('view'), 
   deviceController.getDeviceLogs
 );
 
+/**
+ * @route DELETE /api/devices/:remotePcId
+ * @desc Decommission a device (?mode=archive|purge, default archive)
+ * @access Private (admin)
+ */
+router.delete('/:remotePcId', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  deviceAccess('control'), 
+  deviceController.deleteDevice
+);
+
+/**
+ * @route POST /api/devices/:remotePcId/restore
+ * @desc Restore an archived device
+ * @access Private (admin)
+ */
+router.post('/:remotePcId/restore', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  deviceAccess('control'), 
+  deviceController.restoreDevice
+);
+
+/**
+ * @route DELETE /api/devices/:remotePcId/credential
+ * @desc Revoke a device's credential and disconnect it
+ * @access Private (admin)
+ */
+router.delete('/:remotePcId/credential', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  deviceAccess('control'), 
+  enrollmentController.revokeDeviceCredential
+);
+
+/**
+ * @route POST /api/devices/:remotePcId/identity/resolve
+ * @desc Resolve a hardware fingerprint conflict (accept the new fingerprint or dismiss)
+ * @access Private (admin)
+ */
+router.post('/:remotePcId/identity/resolve', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  deviceAccess('control'), 
+  deviceController.resolveIdentityConflict
+);
+
+/**
+ * @route POST /api/devices/:remotePcId/approve
+ * @desc Approve a device waiting for approval
+ * @access Private (admin)
+ */
+router.post('/:remotePcId/approve', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  deviceAccess('control'), 
+  deviceController.approveDevice
+);
+
+/**
+ * @route POST /api/devices/:remotePcId/reject
+ * @desc Reject a device waiting for approval
+ * @access Private (admin)
+ */
+router.post('/:remotePcId/reject', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  deviceAccess('control'), 
+  deviceController.rejectDevice
+);
+
+/**
+ * @route PUT /api/devices/:remotePcId/groups
+ * @desc Replace the groups a device belongs to
+ * @access Private (admin)
+ */
+router.put('/:remotePcId/groups', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  deviceAccess('control'), 
+  groupController.setDeviceGroups
+);
+
+/**
+ * @route PUT /api/devices/:remotePcId/tags
+ * @desc Replace the tags of a device
+ * @access Private (admin)
+ */
+router.put('/:remotePcId/tags', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:devices']), 
+  deviceAccess('control'), 
+  groupController.setDeviceTags
+);
+
 /**
  * @route POST /api/devices/:remotePcId/connect
  * @desc Initiate connection to device
@@ -78,18 +568,8 @@ router.get('/:remotePcId/logs',
 router.post('/:remotePcId/connect', 
   authMiddleware, 
   rbacMiddleware([], ['control:devices']), 
+  deviceAccess('control'), 
   deviceController.initiateConnection
 );
 
-/**
- * @route GET /api/devices/system/health
- * @desc Get system health overview
- * @access Private (admin, guest)
- */
-router.get('/system/health', 
-  authMiddleware, 
-  rbacMiddleware(['admin', 'guest'], ['view:settings']), 
-  deviceController.getSystemHealth
-);
-
 module.exports = router;
\ No newline at end of file
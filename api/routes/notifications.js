@@ -0,0 +1,99 @@
+/**
+ * Notification API routes
+ * Channels, queue and delivery log are managed by admins
+ */
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const authMiddleware = require('../middleware/auth');
+const rbacMiddleware = require('../middleware/rbac');
+
+/**
+ * @route GET /api/notifications/channels
+ * @desc List notification channels (secrets masked)
+ * @access Private (admin)
+ */
+router.get('/channels', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:settings']), 
+  notificationController.getChannels
+);
+
+/**
+ * @route POST /api/notifications/channels
+ * @desc Create a webhook, email, Slack or Teams notification channel
+ * @access Private (admin)
+ */
+router.post('/channels', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:settings']), 
+  notificationController.createChannel
+);
+
+/**
+ * @route PUT /api/notifications/channels/:channelId
+ * @desc Replace a notification channel definition
+ * @access Private (admin)
+ */
+router.put('/channels/:channelId', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:settings']), 
+  notificationController.updateChannel
+);
+
+/**
+ * @route DELETE /api/notifications/channels/:channelId
+ * @desc Delete a notification channel and its queued deliveries
+ * @access Private (admin)
+ */
+router.delete('/channels/:channelId', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:settings']), 
+  notificationController.deleteChannel
+);
+
+/**
+ * @route POST /api/notifications/channels/:channelId/test
+ * @desc Send a test notification through a channel right away
+ * @access Private (admin)
+ */
+router.post('/channels/:channelId/test', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:settings']), 
+  notificationController.testChannel
+);
+
+/**
+ * @route GET /api/notifications/deliveries
+ * @desc List queued and failed deliveries (?status=pending|failed, channelId)
+ * @access Private (admin)
+ */
+router.get('/deliveries', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:settings']), 
+  notificationController.getDeliveries
+);
+
+/**
+ * @route POST /api/notifications/deliveries/:deliveryId/retry
+ * @desc Queue a failed delivery again
+ * @access Private (admin)
+ */
+router.post('/deliveries/:deliveryId/retry', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:settings']), 
+  notificationController.retryDelivery
+);
+
+/**
+ * @route GET /api/notifications/log
+ * @desc Get the delivery log (?channelId, deliveryId, success, limit)
+ * @access Private (admin)
+ */
+router.get('/log', 
+  authMiddleware, 
+  rbacMiddleware(['admin'], ['manage:settings']), 
+  notificationController.getDeliveryLog
+);
+
+module.exports = router;
\ No newline at end of file
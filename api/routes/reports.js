@@ -0,0 +1,33 @@
+/**
+ * Report API routes
+ * Reports cover the devices the user can view
+ */
+const express = require('express');
+const router = express.Router();
+const reportController = require('../controllers/reportController');
+const authMiddleware = require('../middleware/auth');
+const rbacMiddleware = require('../middleware/rbac');
+
+/**
+ * @route GET /api/reports/availability
+ * @desc Uptime, outage count and longest outage (?targetType=all|device|group, targetId, from, to, format=json|csv)
+ * @access Private
+ */
+router.get('/availability', 
+  authMiddleware, 
+  rbacMiddleware(['admin', 'guest'], ['view:devices']), 
+  reportController.getAvailability
+);
+
+/**
+ * @route GET /api/reports/unstable
+ * @desc Devices that flapped or changed status often (?from, to)
+ * @access Private
+ */
+router.get('/unstable', 
+  authMiddleware, 
+  rbacMiddleware(['admin', 'guest'], ['view:devices']), 
+  reportController.getUnstable
+);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,280 @@
+/**
+ * Access Control Service
+ * Per-device access control lists. An entry grants a user or a role 'view' or
+ * 'control' access to one device, a device group, or all devices.
+ *
+ * Admins always have full access. Users that ACL entries name (directly or by
+ * role) only see and control the devices those entries grant them - devices
+ * without a matching grant are hidden. Users no entry names get
+ * config.security.defaultDeviceAccess: by default ('role') the access their
+ * role's permissions gave before device ACLs existed, so upgrading doesn't lock
+ * existing operators and guests out; 'none' hides every device from them.
+ */
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../../utils/logger');
+const config = require('../../config/app');
+const deviceManager = require('./deviceManager');
+const groupManager = require('./groupManager');
+const { KeyedQueue } = require('../../utils/atomicFile');
+
+// Constants
+const ACL_COLLECTION = 'device_acls';
+const SUBJECT_TYPES = ['user', 'role'];
+const TARGET_TYPES = ['device', 'group', 'all'];
+// Access levels in increasing order - control includes view
+const ACCESS_LEVELS = ['view', 'control'];
+
+// Singleton instance
+let instance = null;
+
+class AccessControlManager {
+  constructor() {
+    // In-memory copy of the ACL collection, loaded on first use
+    this.acls = null;
+    // Serializes changes to the ACL collection
+    this.queue = new KeyedQueue();
+  }
+
+  /**
+   * Load ACL entries from the store if not already loaded
+   * @returns {Promise<Array>} ACL entries
+   */
+  async loadAcls() {
+    if (!this.acls) {
+      await deviceManager.ready;
+      this.acls = await deviceManager.store.getCollection(ACL_COLLECTION);
+    }
+    return this.acls;
+  }
+
+  /**
+   * List ACL entries
+   * @param {Object} filters - { subjectType, subjectId, targetType, targetId }
+   * @returns {Promise<Array>} Matching entries
+   */
+  async listAcls(filters = {}) {
+    const acls = await this.loadAcls();
+    
+    return acls.filter(acl =>
+      (!filters.subjectType || acl.subjectType === filters.subjectType) &&
+      (!filters.subjectId || String(acl.subjectId) === String(filters.subjectId)) &&
+      (!filters.targetType || acl.targetType === filters.targetType) &&
+      (!filters.targetId || acl.targetId === filters.targetId)
+    );
+  }
+
+  /**
+   * Create an ACL entry
+   * @param {Object} data - { subjectType, subjectId, targetType, targetId, access }
+   * @param {string|number} userId - Creating user
+   * @returns {Promise<Object>} Created entry
+   */
+  async createAcl(data, userId) {
+    const entry = await validateAcl(data);
+    
+    return this.queue.run(ACL_COLLECTION, async () => {
+      const acls = await this.loadAcls();
+      
+      const duplicate = acls.find(acl =>
+        acl.subjectType === entry.subjectType && String(acl.subjectId) === String(entry.subjectId) &&
+        acl.targetType === entry.targetType && acl.targetId === entry.targetId
+      );
+      if (duplicate) {
+        throw new Error(`ACL already exists: ${duplicate.id}`);
+      }
+      
+      const acl = {
+        id: uuidv4(),
+        ...entry,
+        createdBy: userId || null,
+        createdAt: new Date().toISOString()
+      };
+      
+      await this.saveAcls([...acls, acl]);
+      logger.info(`Device ACL created: ${acl.subjectType}:${acl.subjectId} ${acl.access} ${acl.targetType}:${acl.targetId || '*'}`);
+      
+      return acl;
+    });
+  }
+
+  /**
+   * Delete an ACL entry
+   * @param {string} aclId - Entry identifier
+   * @returns {Promise<Object>} Deleted entry
+   */
+  async deleteAcl(aclId) {
+    return this.queue.run(ACL_COLLECTION, async () => {
+      const acls = await this.loadAcls();
+      const acl = acls.find(a => a.id === aclId);
+      
+      if (!acl) {
+        throw new Error(`ACL not found: ${aclId}`);
+      }
+      
+      await this.saveAcls(acls.filter(a => a.id !== aclId));
+      logger.info(`Device ACL deleted: ${aclId}`);
+      
+      return acl;
+    });
+  }
+
+  /**
+   * Get the access a user has to a device
+   * @param {Object} user - { id, role }
+   * @param {Object} device - Device data
+   * @returns {Promise<string|null>} 'control', 'view' or null
+   */
+  async getDeviceAccess(user, device) {
+    if (!user) return null;
+    if (user.role === 'admin') return 'control';
+    
+    const acls = (await this.loadAcls()).filter(acl => appliesToUser(acl, user));
+    if (acls.length === 0) return getRoleAccess(user);
+    
+    const groupIds = acls.some(acl => acl.targetType === 'group')
+      ? await groupManager.getDeviceGroupIds(device)
+      : [];
+    
+    const granted = acls
+      .filter(acl =>
+        acl.targetType === 'all' ||
+        (acl.targetType === 'device' && acl.targetId === device.remotePcId) ||
+        (acl.targetType === 'group' && groupIds.includes(acl.targetId))
+      )
+      .map(acl => ACCESS_LEVELS.indexOf(acl.access));
+    
+    // Highest granted level
+    return granted.length > 0 ? ACCESS_LEVELS[Math.max(...granted)] : null;
+  }
+
+  /**
+   * Check whether a user has at least the given access to a device
+   * @param {Object} user - { id, role }
+   * @param {Object|string} device - Device data or remotePcId
+   * @param {string} level - 'view' or 'control'
+   * @returns {Promise<boolean>} True if allowed
+   */
+  async canAccess(user, device, level = 'view') {
+    const record = typeof device === 'string' ? await deviceManager.findDevice(device) : device;
+    if (!record) return false;
+    
+    const access = await this.getDeviceAccess(user, record);
+    return Boolean(access) && includesLevel(access, level);
+  }
+
+  /**
+   * Keep only the devices a user has at least the given access to
+   * @param {Object} user - { id, role }
+   * @param {Array} devices - Devices
+   * @param {string} level - 'view' or 'control'
+   * @returns {Promise<Array>} Accessible devices
+   */
+  async filterDevices(user, devices, level = 'view') {
+    if (user && user.role === 'admin') return devices;
+    
+    const allowed = await Promise.all(devices.map(device => this.canAccess(user, device, level)));
+    return devices.filter((device, index) => allowed[index]);
+  }
+
+  /**
+   * Persist the ACL collection
+   * @param {Array} acls - ACL entries
+   */
+  async saveAcls(acls) {
+    await deviceManager.store.saveCollection(ACL_COLLECTION, acls);
+    this.acls = acls;
+  }
+}
+
+/**
+ * Validate and normalize an ACL entry
+ * @param {Object} data - Raw entry
+ * @returns {Promise<Object>} Normalized entry
+ */
+async function validateAcl(data = {}) {
+  const { subjectType, targetType, access } = data;
+  
+  if (!SUBJECT_TYPES.includes(subjectType)) {
+    throw new Error(`Invalid subjectType: use one of ${SUBJECT_TYPES.join(', ')}`);
+  }
+  
+  if (data.subjectId === undefined || data.subjectId === null || String(data.subjectId).trim() === '') {
+    throw new Error('Invalid subjectId: required');
+  }
+  
+  if (!TARGET_TYPES.includes(targetType)) {
+    throw new Error(`Invalid targetType: use one of ${TARGET_TYPES.join(', ')}`);
+  }
+  
+  if (!ACCESS_LEVELS.includes(access)) {
+    throw new Error(`Invalid access: use one of ${ACCESS_LEVELS.join(', ')}`);
+  }
+  
+  let targetId = null;
+  if (targetType !== 'all' && !data.targetId) {
+    throw new Error('Invalid targetId: required for device and group entries');
+  }
+  
+  if (targetType === 'device') {
+    targetId = String(data.targetId || '');
+    // Throws "Device not found" for unknown devices
+    await deviceManager.getDeviceByRemotePcId(targetId);
+  } else if (targetType === 'group') {
+    targetId = String(data.targetId || '');
+    // Throws "Group not found" for unknown groups
+    await groupManager.getGroupById(targetId);
+  }
+  
+  return {
+    subjectType,
+    subjectId: subjectType === 'role' ? String(data.subjectId).trim() : data.subjectId,
+    targetType,
+    targetId,
+    access
+  };
+}
+
+/**
+ * Access of a user no ACL entry names, per config.security.defaultDeviceAccess
+ * @param {Object} user - { role, permissions }
+ * @returns {string|null} 'control', 'view' or null
+ */
+function getRoleAccess(user) {
+  if (config.security.defaultDeviceAccess !== 'role') return null;
+  
+  const permissions = user.permissions || [];
+  if (permissions.includes('control:devices')) return 'control';
+  if (permissions.includes('view:devices') || user.role === 'guest') return 'view';
+  return null;
+}
+
+/**
+ * Check whether an ACL entry names the user or the user's role
+ * @param {Object} acl - ACL entry
+ * @param {Object} user - User
+ * @returns {boolean} True if it applies
+ */
+function appliesToUser(acl, user) {
+  if (acl.subjectType === 'user') {
+    return String(acl.subjectId) === String(user.id);
+  }
+  return acl.subjectType === 'role' && acl.subjectId === user.role;
+}
+
+/**
+ * Check whether an access level includes another (control includes view)
+ * @param {string} granted - Granted level
+ * @param {string} required - Required level
+ * @returns {boolean} True if included
+ */
+function includesLevel(granted, required) {
+  return ACCESS_LEVELS.indexOf(granted) >= ACCESS_LEVELS.indexOf(required);
+}
+
+// Create and export singleton instance
+module.exports = (function() {
+  if (!instance) {
+    instance = new AccessControlManager();
+  }
+  return instance;
+})();
@@ -0,0 +1,646 @@
+/**
+ * Alert Manager Service
+ * Admin-defined alert rules evaluated on every health monitoring pass.
+ * A rule applies to all devices, one device or a group, and fires on one of:
+ *   offline    - device offline for longer than durationMinutes
+ *   metric     - a heartbeat metric above/below a threshold for durationMinutes
+ *   reconnects - more than `count` connections within windowMinutes
+ *
+ * Each rule opens at most one alert per device. Alerts move from open to
+ * acknowledged to resolved; they resolve on their own once the condition clears.
+ * No new alerts are opened for devices in a maintenance window.
+ */
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../../utils/logger');
+const deviceManager = require('./deviceManager');
+const groupManager = require('./groupManager');
+const maintenanceManager = require('./maintenanceManager');
+const metricsManager = require('./metricsManager');
+const notificationManager = require('./notificationManager');
+const { KeyedQueue } = require('../../utils/atomicFile');
+const { emitToViewers } = require('../../socket/deviceRooms');
+
+// Constants
+const RULES_COLLECTION = 'alert_rules';
+const ALERTS_COLLECTION = 'alerts';
+const SEVERITIES = ['info', 'warning', 'critical'];
+const CONDITION_TYPES = ['offline', 'metric', 'reconnects'];
+const ALERT_STATES = ['open', 'acknowledged', 'resolved'];
+const MAX_RESOLVED_ALERTS = 1000;
+const MAX_RECONNECT_WINDOW_MINUTES = 24 * 60;
+// Metric samples older than this are not evaluated - the offline rule covers silent devices
+const STALE_SAMPLE_AGE = 5 * 60 * 1000;
+
+// Rule schema - the condition is validated separately per type
+const ruleSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  enabled: Joi.boolean().default(true),
+  severity: Joi.string().valid(...SEVERITIES).default('warning'),
+  scope: Joi.object({
+    targetType: Joi.string().valid('all', 'device', 'group').required(),
+    targetId: Joi.string().trim().max(255).allow(null).default(null)
+  }).default({ targetType: 'all', targetId: null }),
+  condition: Joi.object({
+    type: Joi.string().valid(...CONDITION_TYPES).required()
+  }).unknown(true).required()
+});
+
+const conditionSchemas = {
+  offline: Joi.object({
+    type: Joi.string().valid('offline').required(),
+    durationMinutes: Joi.number().integer().min(1).max(7 * 24 * 60).required()
+  }),
+  metric: Joi.object({
+    type: Joi.string().valid('metric').required(),
+    metric: Joi.string().valid(...metricsManager.listMetrics()).required(),
+    operator: Joi.string().valid('above', 'below').required(),
+    threshold: Joi.number().required(),
+    durationMinutes: Joi.number().integer().min(0).max(24 * 60).default(0)
+  }),
+  reconnects: Joi.object({
+    type: Joi.string().valid('reconnects').required(),
+    count: Joi.number().integer().min(1).max(1000).required(),
+    windowMinutes: Joi.number().integer().min(1).max(MAX_RECONNECT_WINDOW_MINUTES).required()
+  })
+};
+
+// Singleton instance
+let instance = null;
+
+class AlertManager {
+  constructor() {
+    // In-memory copies of the collections, loaded on first use
+    this.rules = null;
+    this.alerts = null;
+    // Serializes changes to the collections
+    this.queue = new KeyedQueue();
+    // `${ruleId}:${remotePcId}` -> time a metric condition started to hold
+    this.breachSince = new Map();
+    // remotePcId -> connection timestamps (not persisted; restarts start a new window)
+    this.connections = new Map();
+  }
+
+  /**
+   * Load alert rules from the store if not already loaded
+   * @returns {Promise<Array>} Rules
+   */
+  async loadRules() {
+    if (!this.rules) {
+      await deviceManager.ready;
+      this.rules = await deviceManager.store.getCollection(RULES_COLLECTION);
+    }
+    return this.rules;
+  }
+
+  /**
+   * Load alerts from the store if not already loaded
+   * @returns {Promise<Array>} Alerts
+   */
+  async loadAlerts() {
+    if (!this.alerts) {
+      await deviceManager.ready;
+      this.alerts = await deviceManager.store.getCollection(ALERTS_COLLECTION);
+    }
+    return this.alerts;
+  }
+
+  /**
+   * List alert rules
+   * @returns {Promise<Array>} Rules
+   */
+  async listRules() {
+    return this.loadRules();
+  }
+
+  /**
+   * Create an alert rule
+   * @param {Object} data - Rule definition
+   * @param {string|number} userId - Creating user
+   * @returns {Promise<Object>} Created rule
+   */
+  async createRule(data, userId) {
+    const definition = await validateRule(data);
+    
+    return this.queue.run(RULES_COLLECTION, async () => {
+      const rules = await this.loadRules();
+      
+      const rule = {
+        id: uuidv4(),
+        ...definition,
+        createdBy: userId || null,
+        createdAt: new Date().toISOString()
+      };
+      
+      await this.saveRules([...rules, rule]);
+      logger.info(`Alert rule created: ${rule.name} (${rule.condition.type})`);
+      
+      return rule;
+    });
+  }
+
+  /**
+   * Replace the definition of an alert rule
+   * Active alerts of a rule that is disabled or changed are resolved.
+   * @param {string} ruleId - Rule identifier
+   * @param {Object} data - Rule definition
+   * @param {string|number} userId - Updating user
+   * @returns {Promise<Object>} Updated rule
+   */
+  async updateRule(ruleId, data, userId) {
+    const definition = await validateRule(data);
+    
+    const rule = await this.queue.run(RULES_COLLECTION, async () => {
+      const rules = await this.loadRules();
+      const existing = rules.find(r => r.id === ruleId);
+      
+      if (!existing) {
+        throw new Error(`Alert rule not found: ${ruleId}`);
+      }
+      
+      const updated = {
+        ...existing,
+        ...definition,
+        updatedAt: new Date().toISOString()
+      };
+      
+      await this.saveRules(rules.map(r => (r.id === ruleId ? updated : r)));
+      logger.info(`Alert rule updated: ${updated.name} (${ruleId})`);
+      
+      return updated;
+    });
+    
+    this.clearBreaches(ruleId);
+    await this.resolveRuleAlerts(ruleId, userId, 'Rule changed');
+    
+    return rule;
+  }
+
+  /**
+   * Delete an alert rule and resolve its active alerts
+   * @param {string} ruleId - Rule identifier
+   * @param {string|number} userId - Deleting user
+   * @returns {Promise<Object>} Deleted rule
+   */
+  async deleteRule(ruleId, userId) {
+    const rule = await this.queue.run(RULES_COLLECTION, async () => {
+      const rules = await this.loadRules();
+      const existing = rules.find(r => r.id === ruleId);
+      
+      if (!existing) {
+        throw new Error(`Alert rule not found: ${ruleId}`);
+      }
+      
+      await this.saveRules(rules.filter(r => r.id !== ruleId));
+      logger.info(`Alert rule deleted: ${existing.name} (${ruleId})`);
+      
+      return existing;
+    });
+    
+    this.clearBreaches(ruleId);
+    await this.resolveRuleAlerts(ruleId, userId, 'Rule deleted');
+    
+    return rule;
+  }
+
+  /**
+   * List alerts, newest first
+   * @param {Object} filters - { state ('active' for open and acknowledged), severity, remotePcId, ruleId, limit }
+   * @returns {Promise<Array>} Alerts
+   */
+  async listAlerts(filters = {}) {
+    const alerts = await this.loadAlerts();
+    
+    if (filters.state && filters.state !== 'active' && !ALERT_STATES.includes(filters.state)) {
+      throw new Error(`Invalid state: use one of active, ${ALERT_STATES.join(', ')}`);
+    }
+    
+    const matching = alerts
+      .filter(alert =>
+        (!filters.state || (filters.state === 'active' ? alert.state !== 'resolved' : alert.state === filters.state)) &&
+        (!filters.severity || alert.severity === filters.severity) &&
+        (!filters.remotePcId || alert.remotePcId === filters.remotePcId) &&
+        (!filters.ruleId || alert.ruleId === filters.ruleId)
+      )
+      .sort((a, b) => b.openedAt.localeCompare(a.openedAt));
+    
+    return filters.limit ? matching.slice(0, filters.limit) : matching;
+  }
+
+  /**
+   * Get an alert
+   * @param {string} alertId - Alert identifier
+   * @returns {Promise<Object>} Alert
+   */
+  async getAlert(alertId) {
+    const alert = (await this.loadAlerts()).find(a => a.id === alertId);
+    
+    if (!alert) {
+      throw new Error(`Alert not found: ${alertId}`);
+    }
+    
+    return alert;
+  }
+
+  /**
+   * Acknowledge an open alert
+   * @param {string} alertId - Alert identifier
+   * @param {string|number} userId - Acknowledging user
+   * @param {string} note - Optional note
+   * @returns {Promise<Object>} Updated alert
+   */
+  async acknowledgeAlert(alertId, userId, note = '') {
+    const alert = await this.changeAlert(alertId, alert => {
+      if (alert.state !== 'open') {
+        throw new Error(`Alert already ${alert.state}`);
+      }
+      
+      alert.state = 'acknowledged';
+      alert.acknowledgedAt = new Date().toISOString();
+      alert.acknowledgedBy = userId || null;
+      alert.note = note || alert.note || '';
+    });
+    
+    await this.notifyChange(alert);
+    return alert;
+  }
+
+  /**
+   * Resolve an alert by hand - it opens again on the next pass if the condition still holds
+   * @param {string} alertId - Alert identifier
+   * @param {string|number} userId - Resolving user
+   * @param {string} note - Optional note
+   * @returns {Promise<Object>} Updated alert
+   */
+  async resolveAlert(alertId, userId, note = '') {
+    const alert = await this.changeAlert(alertId, alert => {
+      if (alert.state === 'resolved') {
+        throw new Error('Alert already resolved');
+      }
+      
+      markResolved(alert, userId, note);
+    });
+    
+    await this.notifyChange(alert);
+    return alert;
+  }
+
+  /**
+   * Queue alert.opened, alert.acknowledged or alert.resolved for notification channels
+   * @param {Object} alert - Alert in its new state
+   */
+  async notifyChange(alert) {
+    const event = alert.state === 'open' ? 'alert.opened' : `alert.${alert.state}`;
+    
+    try {
+      await notificationManager.notify(event, {
+        alert: { ...alert, systemName: alert.systemName || alert.remotePcId }
+      });
+    } catch (error) {
+      logger.error(`Error queuing ${event} notification: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a device connection for reconnect rules
+   * @param {string} remotePcId - Device identifier
+   */
+  recordConnection(remotePcId) {
+    const cutoff = Date.now() - MAX_RECONNECT_WINDOW_MINUTES * 60000;
+    const timestamps = (this.connections.get(remotePcId) || []).filter(t => t > cutoff);
+    timestamps.push(Date.now());
+    this.connections.set(remotePcId, timestamps);
+  }
+
+  /**
+   * Evaluate all enabled rules against the devices and open or resolve alerts
+   * @param {Array} devices - Current device records
+   * @param {Object} io - Socket.IO instance for notifying the devices' viewers (optional)
+   * @returns {Promise<Array>} Alerts that were opened or resolved
+   */
+  async evaluate(devices, io) {
+    const rules = (await this.loadRules()).filter(rule => rule.enabled);
+    const alerts = await this.loadAlerts();
+    if (rules.length === 0 && !alerts.some(alert => alert.state !== 'resolved')) {
+      return [];
+    }
+    
+    const now = new Date();
+    const results = [];
+    const failed = new Set();
+    
+    for (const device of devices) {
+      try {
+        const applicable = await this.getApplicableRules(rules, device);
+        if (applicable.length === 0) continue;
+        
+        const maintenance = await maintenanceManager.getActiveMaintenance(device);
+        
+        for (const rule of applicable) {
+          results.push({ rule, device, maintenance, ...this.checkCondition(rule, device, now) });
+        }
+      } catch (error) {
+        logger.error(`Error evaluating alert rules for ${device.remotePcId}: ${error.message}`);
+        failed.add(device.remotePcId);
+      }
+    }
+    
+    const changed = await this.applyResults(results, devices, rules, failed, now);
+    
+    if (io) {
+      await Promise.all(changed.map(alert => emitToViewers(io, alert.remotePcId, 'alert-update', alert)
+        .catch(err => logger.error(`Error broadcasting alert ${alert.id}: ${err.message}`))));
+    }
+    
+    for (const alert of changed) {
+      await this.notifyChange(alert);
+    }
+    
+    return changed;
+  }
+
+  /**
+   * Apply evaluation results to the alert collection
+   * @param {Array} results - { rule, device, maintenance, breached, value, message }
+   * @param {Array} devices - Evaluated devices
+   * @param {Array} rules - Enabled rules
+   * @param {Set} failed - Devices whose evaluation failed (their alerts are left alone)
+   * @param {Date} now - Evaluation time
+   * @returns {Promise<Array>} Alerts that were opened or resolved
+   */
+  async applyResults(results, devices, rules, failed, now) {
+    return this.queue.run(ALERTS_COLLECTION, async () => {
+      const alerts = [...(await this.loadAlerts())];
+      const changed = [];
+      const timestamp = now.toISOString();
+      
+      for (const { rule, device, maintenance, breached, value, message } of results) {
+        const active = alerts.find(alert =>
+          alert.ruleId === rule.id && alert.remotePcId === device.remotePcId && alert.state !== 'resolved'
+        );
+        
+        if (breached && active) {
+          active.value = value;
+          active.message = message;
+          active.lastEvaluatedAt = timestamp;
+        } else if (breached && !maintenance) {
+          const alert = {
+            id: uuidv4(),
+            ruleId: rule.id,
+            ruleName: rule.name,
+            severity: rule.severity,
+            remotePcId: device.remotePcId,
+            systemName: device.systemName || null,
+            state: 'open',
+            value,
+            message,
+            openedAt: timestamp,
+            lastEvaluatedAt: timestamp,
+            acknowledgedAt: null,
+            acknowledgedBy: null,
+            resolvedAt: null,
+            resolvedBy: null,
+            note: '',
+            resolution: null
+          };
+          alerts.push(alert);
+          changed.push(alert);
+          logger.warn(`Alert opened: ${rule.name} on ${device.remotePcId} - ${message}`);
+        } else if (!breached && active) {
+          markResolved(active, null, 'Condition cleared');
+          changed.push(active);
+          logger.info(`Alert resolved: ${rule.name} on ${device.remotePcId}`);
+        }
+      }
+      
+      // Alerts of devices that are gone (purged or archived), disabled rules,
+      // and rules whose scope no longer covers the device
+      const deviceIds = new Set(devices.map(device => device.remotePcId));
+      const evaluated = new Set(results.map(({ rule, device }) => `${rule.id}:${device.remotePcId}`));
+      
+      for (const alert of alerts) {
+        if (alert.state === 'resolved' || failed.has(alert.remotePcId) ||
+            evaluated.has(`${alert.ruleId}:${alert.remotePcId}`)) continue;
+        
+        markResolved(alert, null, deviceIds.has(alert.remotePcId) ? 'Rule no longer applies' : 'Device removed');
+        changed.push(alert);
+      }
+      
+      if (changed.length > 0 || results.some(result => result.breached)) {
+        await this.saveAlerts(alerts);
+      }
+      
+      return changed;
+    });
+  }
+
+  /**
+   * Check one rule against one device
+   * @param {Object} rule - Alert rule
+   * @param {Object} device - Device data
+   * @param {Date} now - Evaluation time
+   * @returns {Object} { breached, value, message }
+   */
+  checkCondition(rule, device, now) {
+    const { condition } = rule;
+    
+    if (condition.type === 'offline') {
+      const offlineFor = device.lastSeen ? now - new Date(device.lastSeen) : 0;
+      const minutes = Math.floor(offlineFor / 60000);
+      
+      return {
+        breached: device.status === 'offline' && offlineFor >= condition.durationMinutes * 60000,
+        value: minutes,
+        message: `Offline for ${minutes} minutes`
+      };
+    }
+    
+    if (condition.type === 'reconnects') {
+      const since = now.getTime() - condition.windowMinutes * 60000;
+      const count = (this.connections.get(device.remotePcId) || []).filter(t => t > since).length;
+      
+      return {
+        breached: count > condition.count,
+        value: count,
+        message: `${count} connections in the last ${condition.windowMinutes} minutes`
+      };
+    }
+    
+    // Metric rules hold once the threshold has been crossed for durationMinutes
+    const key = `${rule.id}:${device.remotePcId}`;
+    const sample = metricsManager.getLatestSample(device.remotePcId);
+    const fresh = sample && now - new Date(sample.t) <= STALE_SAMPLE_AGE;
+    const value = fresh ? sample.values[condition.metric] : undefined;
+    
+    if (value === undefined ||
+        (condition.operator === 'above' ? value <= condition.threshold : value >= condition.threshold)) {
+      this.breachSince.delete(key);
+      return { breached: false, value: value === undefined ? null : value, message: '' };
+    }
+    
+    if (!this.breachSince.has(key)) {
+      this.breachSince.set(key, now.getTime());
+    }
+    
+    return {
+      breached: now.getTime() - this.breachSince.get(key) >= condition.durationMinutes * 60000,
+      value,
+      message: `${condition.metric} ${value} ${condition.operator} ${condition.threshold}` +
+        (condition.durationMinutes ? ` for ${condition.durationMinutes} minutes` : '')
+    };
+  }
+
+  /**
+   * Get the rules whose scope covers a device
+   * @param {Array} rules - Rules
+   * @param {Object} device - Device data
+   * @returns {Promise<Array>} Applicable rules
+   */
+  async getApplicableRules(rules, device) {
+    const groupIds = rules.some(rule => rule.scope.targetType === 'group')
+      ? await groupManager.getDeviceGroupIds(device)
+      : [];
+    
+    return rules.filter(({ scope }) =>
+      scope.targetType === 'all' ||
+      (scope.targetType === 'device' && scope.targetId === device.remotePcId) ||
+      (scope.targetType === 'group' && groupIds.includes(scope.targetId))
+    );
+  }
+
+  /**
+   * Resolve the active alerts of a rule
+   * @param {string} ruleId - Rule identifier
+   * @param {string|number} userId - User who changed the rule
+   * @param {string} note - Resolution note
+   */
+  async resolveRuleAlerts(ruleId, userId, note) {
+    await this.queue.run(ALERTS_COLLECTION, async () => {
+      const alerts = await this.loadAlerts();
+      const active = alerts.filter(alert => alert.ruleId === ruleId && alert.state !== 'resolved');
+      if (active.length === 0) return;
+      
+      active.forEach(alert => markResolved(alert, userId, note));
+      await this.saveAlerts(alerts);
+    });
+  }
+
+  /**
+   * Forget pending metric breaches of a rule
+   * @param {string} ruleId - Rule identifier
+   */
+  clearBreaches(ruleId) {
+    for (const key of [...this.breachSince.keys()]) {
+      if (key.startsWith(`${ruleId}:`)) {
+        this.breachSince.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Apply a change to one alert and persist it
+   * @param {string} alertId - Alert identifier
+   * @param {Function} updater - Receives the alert and mutates it in place
+   * @returns {Promise<Object>} Updated alert
+   */
+  async changeAlert(alertId, updater) {
+    return this.queue.run(ALERTS_COLLECTION, async () => {
+      const alerts = await this.loadAlerts();
+      const alert = alerts.find(a => a.id === alertId);
+      
+      if (!alert) {
+        throw new Error(`Alert not found: ${alertId}`);
+      }
+      
+      updater(alert);
+      await this.saveAlerts(alerts);
+      
+      return alert;
+    });
+  }
+
+  /**
+   * Persist the rule collection
+   * @param {Array} rules - Rules
+   */
+  async saveRules(rules) {
+    await deviceManager.store.saveCollection(RULES_COLLECTION, rules);
+    this.rules = rules;
+  }
+
+  /**
+   * Persist the alert collection, keeping the newest resolved alerts
+   * @param {Array} alerts - Alerts
+   */
+  async saveAlerts(alerts) {
+    const resolved = alerts
+      .filter(alert => alert.state === 'resolved')
+      .sort((a, b) => b.resolvedAt.localeCompare(a.resolvedAt))
+      .slice(MAX_RESOLVED_ALERTS);
+    const dropped = new Set(resolved.map(alert => alert.id));
+    const kept = alerts.filter(alert => !dropped.has(alert.id));
+    
+    await deviceManager.store.saveCollection(ALERTS_COLLECTION, kept);
+    this.alerts = kept;
+  }
+}
+
+/**
+ * Validate and normalize a rule definition
+ * @param {Object} data - Raw definition
+ * @returns {Promise<Object>} Normalized definition
+ */
+async function validateRule(data = {}) {
+  const { error, value } = ruleSchema.validate(data, { abortEarly: false });
+  
+  if (error) {
+    throw new Error(`Invalid alert rule: ${error.details.map(d => d.message).join('; ')}`);
+  }
+  
+  const conditionResult = conditionSchemas[value.condition.type].validate(value.condition, { abortEarly: false });
+  
+  if (conditionResult.error) {
+    throw new Error(`Invalid alert rule: ${conditionResult.error.details.map(d => d.message).join('; ')}`);
+  }
+  
+  const { scope } = value;
+  
+  if (scope.targetType === 'all') {
+    scope.targetId = null;
+  } else if (!scope.targetId) {
+    throw new Error('Invalid alert rule: scope.targetId is required for device and group rules');
+  } else if (scope.targetType === 'device') {
+    // Throws "Device not found" for unknown devices
+    await deviceManager.getDeviceByRemotePcId(scope.targetId);
+  } else {
+    // Throws "Group not found" for unknown groups
+    await groupManager.getGroupById(scope.targetId);
+  }
+  
+  return {
+    ...value,
+    scope,
+    condition: conditionResult.value
+  };
+}
+
+/**
+ * Mark an alert resolved
+ * @param {Object} alert - Alert (modified)
+ * @param {string|number|null} userId - Resolving user, null when resolved automatically
+ * @param {string} note - Why it was resolved
+ */
+function markResolved(alert, userId, note) {
+  alert.state = 'resolved';
+  alert.resolvedAt = new Date().toISOString();
+  alert.resolvedBy = userId || null;
+  alert.resolution = note || null;
+}
+
+// Create and export singleton instance
+module.exports = (function() {
+  if (!instance) {
+    instance = new AlertManager();
+  }
+  return instance;
+})();
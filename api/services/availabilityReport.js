@@ -0,0 +1,330 @@
+/**
+ * Availability Report Service
+ * Uptime percentage, outage count and longest outage per device, group or
+ * the whole fleet, computed from the status_change health events.
+ *
+ * A device is up while online or idle and down while offline. Time inside
+ * maintenance windows counts neither as monitored time nor as downtime, and
+ * time before a device first connected is not monitored at all.
+ */
+const Joi = require('joi');
+const deviceManager = require('./deviceManager');
+const groupManager = require('./groupManager');
+const maintenanceManager = require('./maintenanceManager');
+const accessControl = require('./accessControl');
+const { toCsv } = require('../../utils/csv');
+
+// Constants
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RANGE_DAYS = 366;
+const CSV_COLUMNS = [
+  'remotePcId', 'systemName', 'from', 'to', 'uptimePercent', 'outageCount',
+  'longestOutageSeconds', 'downtimeSeconds', 'monitoredSeconds', 'maintenanceSeconds'
+];
+
+// Report query schema
+const querySchema = Joi.object({
+  targetType: Joi.string().valid('all', 'device', 'group').default('all'),
+  targetId: Joi.when('targetType', {
+    is: 'all',
+    then: Joi.any().strip(),
+    otherwise: Joi.string().trim().min(1).max(255).required()
+  }),
+  from: Joi.date().iso(),
+  to: Joi.date().iso()
+});
+
+/**
+ * Build an availability report
+ * @param {Object} query - { targetType: 'all'|'device'|'group', targetId, from, to } (ISO dates, default last 7 days)
+ * @param {Object} user - Authenticated user; only devices the user can view are included
+ * @returns {Promise<Object>} { scope, from, to, generatedAt, summary, devices }
+ */
+async function buildAvailabilityReport(query, user) {
+  const { error, value } = querySchema.validate(query, { abortEarly: false });
+  
+  if (error) {
+    throw new Error(`Invalid report query: ${error.details.map(d => d.message).join('; ')}`);
+  }
+  
+  const now = new Date();
+  const to = value.to || now;
+  const from = value.from || new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY);
+  
+  if (from >= to) {
+    throw new Error('Invalid report query: "from" must be before "to"');
+  }
+  
+  if (to - from > MAX_RANGE_DAYS * DAY) {
+    throw new Error(`Invalid report query: range is limited to ${MAX_RANGE_DAYS} days`);
+  }
+  
+  const { scope, devices } = await resolveScope(value.targetType, value.targetId, user);
+  
+  // One device at a time keeps the health file reads sequential
+  const results = [];
+  for (const device of devices) {
+    results.push(await computeDeviceAvailability(device, { from, to }, now));
+  }
+  
+  // Worst first; devices without monitored time last
+  results.sort((a, b) => {
+    if (a.uptimePercent === null || b.uptimePercent === null) {
+      return (a.uptimePercent === null) - (b.uptimePercent === null);
+    }
+    return a.uptimePercent - b.uptimePercent;
+  });
+  
+  return {
+    scope,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    generatedAt: now.toISOString(),
+    summary: summarize(results),
+    devices: results
+  };
+}
+
+/**
+ * Format a report as CSV, one row per device
+ * @param {Object} report - Availability report
+ * @returns {string} CSV text
+ */
+function reportToCsv(report) {
+  return toCsv(CSV_COLUMNS, report.devices);
+}
+
+/**
+ * Resolve the devices of a report scope
+ * Devices the user cannot view look like missing devices.
+ * @param {string} targetType - 'all', 'device' or 'group'
+ * @param {string} targetId - remotePcId or group id
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} { scope, devices }
+ */
+async function resolveScope(targetType, targetId, user) {
+  if (targetType === 'device') {
+    const device = await deviceManager.findDevice(targetId);
+    
+    if (!device || !(await accessControl.canAccess(user, device, 'view'))) {
+      throw new Error(`Device not found: ${targetId}`);
+    }
+    
+    return {
+      scope: { targetType, targetId, name: device.systemName || targetId },
+      devices: [device]
+    };
+  }
+  
+  if (targetType === 'group') {
+    // Throws "Group not found" for unknown groups
+    const group = await groupManager.getGroupById(targetId);
+    const members = (await groupManager.getGroupMembers(targetId)).filter(device => !device.archivedAt);
+    
+    return {
+      scope: { targetType, targetId, name: group.name },
+      devices: await accessControl.filterDevices(user, members)
+    };
+  }
+  
+  return {
+    scope: { targetType: 'all', targetId: null, name: 'All devices' },
+    devices: await accessControl.filterDevices(user, await deviceManager.getAllDevices())
+  };
+}
+
+/**
+ * Compute the availability of one device over a time range
+ * @param {Object} device - Device data
+ * @param {Object} range - { from, to } as Date
+ * @param {Date} now - Report time; the future is not monitored
+ * @returns {Promise<Object>} Device availability
+ */
+async function computeDeviceAvailability(device, range, now) {
+  const firstConnection = device.firstConnection ? new Date(device.firstConnection) : null;
+  const start = firstConnection && firstConnection > range.from ? firstConnection : range.from;
+  const end = range.to < now ? range.to : now;
+  
+  const result = {
+    remotePcId: device.remotePcId,
+    systemName: device.systemName || device.remotePcId,
+    from: null,
+    to: null,
+    monitoredSeconds: 0,
+    maintenanceSeconds: 0,
+    downtimeSeconds: 0,
+    uptimePercent: null,
+    outageCount: 0,
+    longestOutageSeconds: 0,
+    outages: []
+  };
+  
+  // Imported devices that never connected have nothing to report
+  if (!firstConnection || start >= end) {
+    return result;
+  }
+  
+  result.from = start.toISOString();
+  result.to = end.toISOString();
+  
+  const segments = await getStatusSegments(device, start, end);
+  const maintenance = mergeIntervals(
+    (await maintenanceManager.getMaintenancePeriods(device, { from: start, to: end }))
+      .map(period => [Math.max(period.start.getTime(), start.getTime()), Math.min(period.end.getTime(), end.getTime())])
+  );
+  
+  const maintenanceMs = overlap(start.getTime(), end.getTime(), maintenance);
+  const monitoredMs = end - start - maintenanceMs;
+  let downtimeMs = 0;
+  
+  for (const outage of collectOutages(segments)) {
+    const outageMs = outage.end - outage.start - overlap(outage.start, outage.end, maintenance);
+    
+    // Outages entirely inside a maintenance window don't count
+    if (outageMs <= 0) continue;
+    
+    downtimeMs += outageMs;
+    result.outages.push({
+      start: new Date(outage.start).toISOString(),
+      end: new Date(outage.end).toISOString(),
+      durationSeconds: Math.round(outageMs / 1000),
+      ongoing: outage.end === end.getTime() && end.getTime() === now.getTime()
+    });
+  }
+  
+  result.monitoredSeconds = Math.round(monitoredMs / 1000);
+  result.maintenanceSeconds = Math.round(maintenanceMs / 1000);
+  result.downtimeSeconds = Math.round(downtimeMs / 1000);
+  result.uptimePercent = monitoredMs > 0 ? toPercent(monitoredMs - downtimeMs, monitoredMs) : null;
+  result.outageCount = result.outages.length;
+  result.longestOutageSeconds = result.outages.reduce((max, outage) => Math.max(max, outage.durationSeconds), 0);
+  
+  return result;
+}
+
+/**
+ * Split a time range into periods of constant status
+ * @param {Object} device - Device data
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @returns {Promise<Array>} { start, end, status } with times in ms
+ */
+async function getStatusSegments(device, start, end) {
+  const { store } = deviceManager;
+  const events = (await store.getHealthEventRange(device.remotePcId, { from: start, to: end }))
+    .filter(event => event.type === 'status_change' && event.newStatus);
+  
+  // Status at the start of the range: the last change before it, or what the first change left
+  const previous = await store.getLastHealthEvent(device.remotePcId, start, 'status_change');
+  let status = previous && previous.newStatus
+    ? previous.newStatus
+    : (events.length > 0 && events[0].oldStatus) || device.status;
+  
+  const segments = [];
+  let cursor = start.getTime();
+  
+  for (const event of events) {
+    const time = new Date(event.timestamp).getTime();
+    if (time > cursor) {
+      segments.push({ start: cursor, end: time, status });
+      cursor = time;
+    }
+    status = event.newStatus;
+  }
+  
+  if (end.getTime() > cursor) {
+    segments.push({ start: cursor, end: end.getTime(), status });
+  }
+  
+  return segments;
+}
+
+/**
+ * Join adjacent offline segments into outages
+ * @param {Array} segments - Status segments
+ * @returns {Array} { start, end } in ms
+ */
+function collectOutages(segments) {
+  const outages = [];
+  
+  for (const segment of segments) {
+    if (segment.status !== 'offline') continue;
+    
+    const last = outages[outages.length - 1];
+    if (last && last.end === segment.start) {
+      last.end = segment.end;
+    } else {
+      outages.push({ start: segment.start, end: segment.end });
+    }
+  }
+  
+  return outages;
+}
+
+/**
+ * Sort and merge overlapping [start, end] intervals
+ * @param {Array<Array<number>>} intervals - Intervals in ms
+ * @returns {Array<Array<number>>} Disjoint intervals
+ */
+function mergeIntervals(intervals) {
+  const merged = [];
+  
+  for (const [start, end] of intervals.filter(([s, e]) => e > s).sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  }
+  
+  return merged;
+}
+
+/**
+ * Length of the part of [start, end] covered by disjoint intervals
+ * @param {number} start - Start in ms
+ * @param {number} end - End in ms
+ * @param {Array<Array<number>>} intervals - Disjoint intervals in ms
+ * @returns {number} Covered time in ms
+ */
+function overlap(start, end, intervals) {
+  return intervals.reduce((total, [s, e]) => total + Math.max(0, Math.min(end, e) - Math.max(start, s)), 0);
+}
+
+/**
+ * Combine device results into report totals
+ * @param {Array} results - Device availability results
+ * @returns {Object} Summary
+ */
+function summarize(results) {
+  const monitoredSeconds = results.reduce((total, r) => total + r.monitoredSeconds, 0);
+  const downtimeSeconds = results.reduce((total, r) => total + r.downtimeSeconds, 0);
+  
+  return {
+    devices: results.length,
+    devicesWithOutages: results.filter(r => r.outageCount > 0).length,
+    monitoredSeconds,
+    maintenanceSeconds: results.reduce((total, r) => total + r.maintenanceSeconds, 0),
+    downtimeSeconds,
+    uptimePercent: monitoredSeconds > 0 ? toPercent(monitoredSeconds - downtimeSeconds, monitoredSeconds) : null,
+    outageCount: results.reduce((total, r) => total + r.outageCount, 0),
+    longestOutageSeconds: results.reduce((max, r) => Math.max(max, r.longestOutageSeconds), 0)
+  };
+}
+
+/**
+ * Percentage rounded to three decimals
+ * @param {number} part - Part
+ * @param {number} total - Total
+ * @returns {number} Percentage
+ */
+function toPercent(part, total) {
+  return Math.round((part / total) * 100000) / 1000;
+}
+
+module.exports = {
+  buildAvailabilityReport,
+  reportToCsv
+};
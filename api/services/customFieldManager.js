@@ -0,0 +1,204 @@
+/**
+ * Custom Field Manager Service
+ * Admin-defined device fields (asset tag, department, warranty expiry, ...).
+ * The field schema is kept in system_settings; values live on the device record.
+ */
+const Joi = require('joi');
+const logger = require('../../utils/logger');
+const deviceManager = require('./deviceManager');
+const { pool } = require('../../config/db');
+
+// Constants
+const SETTINGS_KEY = 'device_custom_fields';
+const MAX_FIELDS = 50;
+const MAX_STRING_LENGTH = 1000;
+const FIELD_TYPES = ['string', 'number', 'boolean', 'date', 'enum'];
+
+// A single field definition
+const fieldDefinitionSchema = Joi.object({
+  key: Joi.string().pattern(/^[a-zA-Z][a-zA-Z0-9_]*$/).max(64).required()
+    .messages({ 'string.pattern.base': '"key" must start with a letter and contain only letters, digits and "_"' }),
+  label: Joi.string().trim().max(100).required(),
+  type: Joi.string().valid(...FIELD_TYPES).required(),
+  required: Joi.boolean().default(false),
+  values: Joi.when('type', {
+    is: 'enum',
+    then: Joi.array().items(Joi.string().trim().min(1).max(100)).min(1).max(100).unique().required(),
+    otherwise: Joi.forbidden()
+  }),
+  description: Joi.string().trim().max(255).allow('')
+});
+
+const fieldListSchema = Joi.array().items(fieldDefinitionSchema).max(MAX_FIELDS).unique('key').required()
+  .messages({ 'array.unique': 'Duplicate field key: {#value.key}' });
+
+// Singleton instance
+let instance = null;
+
+class CustomFieldManager {
+  constructor(db = pool) {
+    this.db = db;
+    // Cached field definitions (null until first load)
+    this.fields = null;
+  }
+
+  /**
+   * Get the custom field definitions
+   * @returns {Promise<Array>} Field definitions
+   */
+  async getFields() {
+    if (this.fields) {
+      return this.fields;
+    }
+    
+    const result = await this.db.query(
+      'SELECT value FROM system_settings WHERE key = $1',
+      [SETTINGS_KEY]
+    );
+    
+    try {
+      const stored = result.rows.length > 0 ? result.rows[0].value : '[]';
+      this.fields = typeof stored === 'string' ? JSON.parse(stored) : stored;
+    } catch (error) {
+      logger.error(`Invalid custom field schema in system settings: ${error.message}`);
+      this.fields = [];
+    }
+    
+    return this.fields;
+  }
+
+  /**
+   * Replace the custom field definitions
+   * Values of removed fields stay on the devices but are no longer shown or editable.
+   * @param {Array} fields - Field definitions
+   * @returns {Promise<Array>} Saved definitions
+   */
+  async saveFields(fields) {
+    const { error, value } = fieldListSchema.validate(fields, { abortEarly: false });
+    
+    if (error) {
+      throw new Error(`Invalid field schema: ${error.details.map(d => d.message).join('; ')}`);
+    }
+    
+    const json = JSON.stringify(value);
+    
+    const updated = await this.db.query(
+      'UPDATE system_settings SET value = $2 WHERE key = $1',
+      [SETTINGS_KEY, json]
+    );
+    
+    if (updated.rowCount === 0) {
+      await this.db.query(
+        'INSERT INTO system_settings (key, value, description) VALUES ($1, $2, $3)',
+        [SETTINGS_KEY, json, 'Custom field definitions for devices']
+      );
+    }
+    
+    this.fields = value;
+    logger.info(`Device custom field schema updated (${value.length} fields)`);
+    
+    return value;
+  }
+
+  /**
+   * Update editable device properties and custom field values
+   * @param {string} remotePcId - Device identifier
+   * @param {Object} changes - { systemName, owner, customFields: { key: value|null } }
+   * @returns {Promise<Object>} Updated device data
+   */
+  async updateDevice(remotePcId, changes) {
+    const fields = await this.getFields();
+    const { error, value } = buildPatchSchema(fields).validate(changes, { abortEarly: false });
+    
+    if (error) {
+      throw new Error(`Invalid device update: ${error.details.map(d => d.message).join('; ')}`);
+    }
+    
+    return deviceManager.updateDevice(remotePcId, device => {
+      if (value.systemName !== undefined) device.systemName = value.systemName;
+      if (value.owner !== undefined) device.owner = value.owner;
+      
+      if (value.customFields) {
+        const customFields = { ...(device.customFields || {}) };
+        
+        for (const [key, fieldValue] of Object.entries(value.customFields)) {
+          if (fieldValue === null || fieldValue === '') {
+            delete customFields[key];
+          } else {
+            customFields[key] = fieldValue;
+          }
+        }
+        
+        // Required fields are only enforced when custom fields are edited, so
+        // devices that predate a new required field can still be renamed
+        const missing = fields.filter(f => f.required && customFields[f.key] === undefined);
+        if (missing.length > 0) {
+          throw new Error(`Invalid device update: missing required fields: ${missing.map(f => f.label).join(', ')}`);
+        }
+        
+        device.customFields = customFields;
+      }
+    });
+  }
+
+  /**
+   * Get the values of the defined custom fields for a device
+   * @param {Object} device - Device data
+   * @returns {Promise<Object>} Values keyed by field key
+   */
+  async getDeviceValues(device) {
+    const fields = await this.getFields();
+    const values = device.customFields || {};
+    
+    return Object.fromEntries(fields
+      .filter(field => values[field.key] !== undefined)
+      .map(field => [field.key, values[field.key]]));
+  }
+}
+
+/**
+ * Build the Joi schema for a device PATCH body from the field definitions
+ * @param {Array} fields - Field definitions
+ * @returns {Object} Joi schema
+ */
+function buildPatchSchema(fields) {
+  const customFieldKeys = {};
+  
+  for (const field of fields) {
+    customFieldKeys[field.key] = valueSchema(field).allow(null).label(field.label);
+  }
+
+  return Joi.object({
+    systemName: Joi.string().trim().min(1).max(255),
+    owner: Joi.string().trim().max(255).allow(''),
+    customFields: Joi.object(customFieldKeys)
+  }).min(1);
+}
+
+/**
+ * Joi schema for the value of one custom field
+ * @param {Object} field - Field definition
+ * @returns {Object} Joi schema
+ */
+function valueSchema(field) {
+  switch (field.type) {
+    case 'number':
+      return Joi.number();
+    case 'boolean':
+      return Joi.boolean();
+    case 'date':
+      return Joi.string().isoDate().allow('');
+    case 'enum':
+      return Joi.string().valid(...field.values, '');
+    default:
+      return Joi.string().trim().max(MAX_STRING_LENGTH).allow('');
+  }
+}
+
+// Create and export singleton instance
+module.exports = (function() {
+  if (!instance) {
+    instance = new CustomFieldManager();
+  }
+  return instance;
+})();
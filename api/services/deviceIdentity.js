@@ -0,0 +1,166 @@
+/**
+ * Device Identity
+ * Hardware fingerprints and identity history for devices
+ *
+ * Agents send either a precomputed fingerprint string or the raw hardware
+ * identifiers (machine GUID, BIOS serial, MAC addresses, ...). Either way only
+ * a SHA-256 digest is stored. Two sockets claiming the same remotePcId with
+ * different fingerprints are two machines - typically a cloned image.
+ */
+const crypto = require('crypto');
+
+// Constants
+const MAX_IDENTITY_HISTORY = 200;
+// Tracked identity fields and how to read them from a device record
+const TRACKED_FIELDS = {
+  systemName: device => device.systemName || null,
+  osVersion: device => {
+    const metadata = device.metadata || {};
+    return metadata.OSversion || metadata.osVersion || null;
+  },
+  ipAddress: device => device.ipAddress || null
+};
+
+/**
+ * Compute a fingerprint from what the agent reported
+ * @param {string|Object} source - Fingerprint string or hardware identifiers
+ * @returns {string|null} Hex digest, or null when nothing usable was sent
+ */
+function computeFingerprint(source) {
+  if (typeof source === 'string') {
+    const value = source.trim().toLowerCase();
+    if (!value) return null;
+    // Agents that already send a SHA-256 digest keep it
+    return /^[0-9a-f]{64}$/.test(value) ? value : hash(value);
+  }
+  
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    return null;
+  }
+  
+  // Order-independent: sorted keys, sorted list values, case-insensitive
+  const parts = Object.keys(source)
+    .sort()
+    .map(key => [key, normalizeComponent(source[key])])
+    .filter(([, value]) => value)
+    .map(([key, value]) => `${key}=${value}`);
+  
+  return parts.length > 0 ? hash(parts.join('|')) : null;
+}
+
+/**
+ * Check whether two fingerprints belong to different machines
+ * Unknown fingerprints (older agents) never conflict.
+ * @param {string|null} a - Fingerprint
+ * @param {string|null} b - Fingerprint
+ * @returns {boolean} True if both are known and differ
+ */
+function fingerprintsConflict(a, b) {
+  return Boolean(a && b && a !== b);
+}
+
+/**
+ * Apply a registration to the identity fields of a device record:
+ * records changes of tracked fields, captures the first fingerprint and
+ * flags a conflict when a different fingerprint is reported later
+ * @param {Object|null} existing - Stored device data before the registration
+ * @param {Object} record - Device data about to be saved (modified)
+ * @param {Object} identity - { fingerprint, ipAddress }
+ * @returns {Object|null} The new conflict, if one was detected
+ */
+function applyRegistrationIdentity(existing, record, identity = {}) {
+  const now = new Date().toISOString();
+  const entries = [];
+  
+  if (identity.ipAddress) {
+    record.ipAddress = identity.ipAddress;
+  }
+  
+  if (existing) {
+    for (const [field, read] of Object.entries(TRACKED_FIELDS)) {
+      const from = read(existing);
+      const to = read(record);
+      if (from && to && from !== to) {
+        entries.push({ field, from, to, changedAt: now });
+      }
+    }
+  }
+  
+  let conflict = null;
+  const stored = existing ? existing.fingerprint : null;
+  
+  if (identity.fingerprint && !stored) {
+    record.fingerprint = identity.fingerprint;
+    entries.push({ field: 'fingerprint', from: null, to: identity.fingerprint, changedAt: now });
+  } else if (fingerprintsConflict(stored, identity.fingerprint)) {
+    // Keep the known fingerprint until an admin decides which machine is the real one
+    conflict = createConflict(stored, identity.fingerprint, identity.ipAddress, 'registration');
+    record.identityConflict = conflict;
+    entries.push({ field: 'fingerprint-conflict', from: stored, to: identity.fingerprint, changedAt: now });
+  }
+  
+  appendIdentityHistory(record, entries);
+  return conflict;
+}
+
+/**
+ * Build a conflict record
+ * @param {string} expected - Fingerprint the device is known by
+ * @param {string} reported - Fingerprint that was reported
+ * @param {string|null} ipAddress - Address of the reporting machine
+ * @param {string} source - 'registration' or 'connection'
+ * @returns {Object} Conflict
+ */
+function createConflict(expected, reported, ipAddress, source) {
+  return {
+    detectedAt: new Date().toISOString(),
+    expected,
+    reported,
+    ipAddress: ipAddress || null,
+    source
+  };
+}
+
+/**
+ * Append entries to a device's identity history, keeping the newest entries
+ * @param {Object} device - Device data (modified)
+ * @param {Array} entries - History entries
+ */
+function appendIdentityHistory(device, entries) {
+  if (entries.length === 0) return;
+  device.identityHistory = [...(device.identityHistory || []), ...entries].slice(-MAX_IDENTITY_HISTORY);
+}
+
+/**
+ * Normalize one hardware identifier value
+ * @param {*} value - Identifier or list of identifiers
+ * @returns {string} Normalized value ('' when empty)
+ */
+function normalizeComponent(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalizeComponent).filter(Boolean).sort().join(',');
+  }
+  
+  if (value === undefined || value === null || typeof value === 'object') {
+    return '';
+  }
+  
+  return String(value).trim().toLowerCase();
+}
+
+/**
+ * SHA-256 hex digest
+ * @param {string} value - Value
+ * @returns {string} Digest
+ */
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+module.exports = {
+  computeFingerprint,
+  fingerprintsConflict,
+  applyRegistrationIdentity,
+  createConflict,
+  appendIdentityHistory
+};
@@ -1,41 +1,40 @@
 /**
  * Device Manager Service
  * Handles device registration, status tracking, and data management
- * Modified to fix device detail view error
+ * Persistence is delegated to a device store (file or PostgreSQL)
  */
-const fs = require('fs').promises;
-const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../../utils/logger');
 const config = require('../../config/app');
+const { createDeviceStore } = require('./stores');
+const deviceIdentity = require('./deviceIdentity');
+const { KeyedQueue } = require('../../utils/atomicFile');
 
-// Constants
-const DEVICE_DATA_DIR = path.join(__dirname, '../../data/devices');
-const DEVICE_LOGS_DIR = path.join(__dirname, '../../data/logs');
-// Match Windows app expectations (ConnectionSettings.cs reconnect intervals)
-const OFFLINE_THRESHOLD = 300000; // 5 minutes (300000ms) - matches Windows app
-const IDLE_THRESHOLD = 60000;     // 1 minute (60000ms) - matches Windows app
+const MAX_NOTE_LENGTH = 2000;
 
 // Singleton instance
 let instance = null;
 
 class DeviceManager {
-  constructor() {
+  constructor(store = createDeviceStore()) {
     // In-memory device cache for faster access
     this.deviceCache = new Map();
-    this.initializeDirectories();
+    // Persistence backend
+    this.store = store;
+    // Serializes read-modify-write updates per device
+    this.updateQueue = new KeyedQueue();
+    this.ready = this.initializeStore();
   }
 
   /**
-   * Ensure data directories exist
+   * Prepare the storage backend
    */
-  async initializeDirectories() {
+  async initializeStore() {
     try {
-      await fs.mkdir(DEVICE_DATA_DIR, { recursive: true });
-      await fs.mkdir(DEVICE_LOGS_DIR, { recursive: true });
-      logger.info('Device data directories initialized');
+      await this.store.initialize();
+      logger.info(`Device store initialized (${this.store.name})`);
     } catch (error) {
-      logger.error('Error creating data directories:', error);
+      logger.error('Error initializing device store:', error);
       throw error;
     }
   }
@@ -47,71 +46,99 @@ class DeviceManager {
    */
   async registerDevice(deviceData) {
     try {
-      // Extract required fields - use remotePcId consistently with Windows app
-      const remotePcId = deviceData.remotePcId;
-      const systemName = deviceData.systemName || 'Unknown Device';
-      const status = deviceData.status || 'online';
-      const apiKey = deviceData.apiKey;
-      const metadata = deviceData.metadata || {};
-      
-      // Basic validation
-      if (!remotePcId) {
-        throw new Error('Missing required device information: remotePcId');
-      }
-      
-      // Create device data object
-      const device = {
-        remotePcId,
-        systemName,
-        status,
-        firstConnection: new Date().toISOString(),
-        lastConnection: new Date().toISOString(),
-        lastSeen: new Date().toISOString(),
-        lastStatusChange: new Date().toISOString(),
-        connections: 0,
-        metadata
-      };
-      
-      // Get existing device data if available
-      let existingDevice = null;
-      try {
-        existingDevice = await this.getDeviceByRemotePcId(remotePcId);
-      } catch (err) {
-        // No existing device, continue with registration
-      }
-      
-      if (existingDevice) {
-        // Merge with existing data
-        device.firstConnection = existingDevice.firstConnection;
-        device.connections = (existingDevice.connections || 0) + 1;
+      return await this.withDeviceLock(deviceData.remotePcId, async () => {
+        // Extract required fields - use remotePcId consistently with Windows app
+        const remotePcId = deviceData.remotePcId;
+        // Named 'Unknown Device' only when neither the agent nor the stored record has a name
+        const systemName = deviceData.systemName || 'Unknown Device';
+        const metadata = deviceData.metadata || {};
         
-        // Keep existing lastStatusChange if status hasn't changed
-        if (existingDevice.status === status) {
-          device.lastStatusChange = existingDevice.lastStatusChange;
+        // Basic validation
+        if (!remotePcId) {
+          throw new Error('Missing required device information: remotePcId');
         }
         
-        // Merge metadata, keeping existing values if not updated
-        device.metadata = {
-          ...existingDevice.metadata,
-          ...metadata
+        // Create device data object
+        const device = {
+          remotePcId,
+          systemName,
+          // Status transitions belong to the presence engine, which brings the device online
+          status: 'offline',
+          firstConnection: new Date().toISOString(),
+          lastConnection: new Date().toISOString(),
+          lastSeen: new Date().toISOString(),
+          lastStatusChange: new Date().toISOString(),
+          connections: 0,
+          metadata
         };
-      }
-      
-      // Save to filesystem
-      const deviceFilePath = path.join(DEVICE_DATA_DIR, `${remotePcId}.json`);
-      await fs.writeFile(deviceFilePath, JSON.stringify(device, null, 2), 'utf8');
-      
-      // Update cache
-      this.deviceCache.set(remotePcId, device);
-      
-      // Log successful registration
-      if (existingDevice) {
-        logger.info(`Device updated: ${remotePcId} (${systemName})`);
-      } else {
-        logger.info(`Device registered: ${remotePcId} (${systemName})`);
-      }
-      
-      return device;
+        
+        // Get existing device data if available; a failed read must not make a known device look new
+        const existingDevice = await this.findDevice(remotePcId);
+        
+        // Decommissioned devices must be restored by an admin before they can return
+        if (existingDevice && existingDevice.archivedAt) {
+          throw new Error(`Device archived: ${remotePcId}`);
+        }
+        
+        if (existingDevice && existingDevice.approval && existingDevice.approval.state === 'rejected') {
+          throw new Error(`Device rejected: ${remotePcId}`);
+        }
+        
+        // Unknown devices wait for an admin when approval mode is on
+        if (!existingDevice && deviceData.requireApproval) {
+          device.approval = {
+            state: 'pending',
+            requestedAt: new Date().toISOString(),
+            history: []
+          };
+        }
+        
+        if (existingDevice) {
+          // Merge with existing data - records pre-created by an import have never connected
+          device.firstConnection = existingDevice.firstConnection || device.firstConnection;
+          device.connections = (existingDevice.connections || 0) + 1;
+          
+          // Keep an imported name when the agent doesn't report one
+          if (!deviceData.systemName) {
+            device.systemName = existingDevice.systemName || systemName;
+          }
+          
+          // Registration never changes the status of a known device
+          device.status = existingDevice.status;
+          device.lastStatusChange = existingDevice.lastStatusChange;
+          
+          // Merge metadata, keeping existing values if not updated
+          device.metadata = {
+            ...existingDevice.metadata,
+            ...metadata
+          };
+        }
+        
+        // Keep server-managed fields (groups, tags, ...) that the agent never sends; the cached
+        // record stays untouched until the save succeeded
+        const record = existingDevice ? { ...structuredClone(existingDevice), ...device } : device;
+        
+        // Fingerprint capture, conflict flagging and systemName/OS/IP change history
+        const conflict = deviceIdentity.applyRegistrationIdentity(existingDevice, record, {
+          fingerprint: deviceData.fingerprint || null,
+          ipAddress: deviceData.ipAddress || null
+        });
+        if (conflict) {
+          logger.warn(`Device identity conflict: ${remotePcId} registered with a different hardware fingerprint`);
+        }
+        
+        // Persist and cache
+        await this.saveDevice(record);
+        
+        // Log successful registration
+        if (existingDevice) {
+          logger.info(`Device updated: ${remotePcId} (${record.systemName})`);
+        } else {
+          logger.info(`Device registered: ${remotePcId} (${record.systemName})`);
+        }
+        
+        return record;
+      });
     } catch (error) {
       logger.error(`Error registering device: ${error.message}`);
       throw error;
@@ -130,19 +157,17 @@ class DeviceManager {
         throw new Error('Device ID is missing or undefined');
       }
       
+      await this.ready;
+      
       // Check cache first
       if (this.deviceCache.has(remotePcId)) {
         return this.deviceCache.get(remotePcId);
       }
       
-      // Load from file
-      const deviceFilePath = path.join(DEVICE_DATA_DIR, `${remotePcId}.json`);
-      const data = await fs.readFile(deviceFilePath, 'utf8');
-      const device = JSON.parse(data);
-      
-      // CRITICAL FIX: Ensure the device has a remotePcId field set
-      if (!device.remotePcId) {
-        device.remotePcId = remotePcId;
+      // Load from store
+      const device = await this.store.getDevice(remotePcId);
+      if (!device) {
+        throw new Error(`Device not found: ${remotePcId}`);
       }
       
       // Update cache
@@ -155,38 +180,46 @@ class DeviceManager {
     }
   }
 
+  /**
+   * Get a device if it exists, without treating a miss as an error
+   * @param {string} remotePcId - Device identifier
+   * @returns {Promise<Object|null>} Device data or null
+   */
+  async findDevice(remotePcId) {
+    await this.ready;
+    
+    if (this.deviceCache.has(remotePcId)) {
+      return this.deviceCache.get(remotePcId);
+    }
+    
+    const device = await this.store.getDevice(remotePcId);
+    if (device) {
+      this.deviceCache.set(remotePcId, device);
+    }
+    
+    return device;
+  }
+
   /**
    * Get all registered devices
+   * @param {Object} options - { includeArchived: also return archived devices }
    * @returns {Promise<Array>} List of devices
    */
-  async getAllDevices() {
+  async getAllDevices(options = {}) {
     try {
-      const deviceFiles = await fs.readdir(DEVICE_DATA_DIR);
-      const jsonFiles = deviceFiles.filter(file => file.endsWith('.json'));
-      
-      const devices = [];
+      await this.ready;
+      const storedDevices = await this.store.getAllDevices();
       
-      for (const file of jsonFiles) {
-        try {
-          // Extract remotePcId from filename
-          const remotePcId = path.basename(file, '.json');
-          
-          // Get device data
-          const device = await this.getDeviceByRemotePcId(remotePcId);
-          
-          // CRITICAL FIX: Ensure the device has a remotePcId field set
-          if (!device.remotePcId) {
-            device.remotePcId = remotePcId;
-          }
-          
-          devices.push(device);
-        } catch (err) {
-          // Skip invalid files
-          logger.warn(`Skipping invalid device file: ${file}`);
+      // Prefer cached records, which may be newer than what the store returned
+      const devices = storedDevices.map(device => {
+        if (this.deviceCache.has(device.remotePcId)) {
+          return this.deviceCache.get(device.remotePcId);
         }
-      }
+        this.deviceCache.set(device.remotePcId, device);
+        return device;
+      });
       
-      return devices;
+      return options.includeArchived ? devices : devices.filter(device => !device.archivedAt);
     } catch (error) {
       logger.error(`Error getting all devices: ${error.message}`);
       return [];
@@ -209,49 +242,62 @@ class DeviceManager {
 
   /**
    * Update device status
+   * Only the presence engine calls this; it decides and announces transitions.
    * @param {string} remotePcId - Device identifier
    * @param {string} status - New status ('online', 'offline', 'idle')
+   * @param {Object} details - Extra fields for the status_change health event
+   * @param {Date} now - Time of the change
    * @returns {Promise<Object>} Updated device data
    */
-  async updateDeviceStatus(remotePcId, status) {
+  async updateDeviceStatus(remotePcId, status, details = {}, now = new Date()) {
     try {
-      // CRITICAL FIX: Add validation for remotePcId to prevent undefined parameter
-      if (!remotePcId) {
-        throw new Error('Device ID is missing or undefined');
-      }
-      
-      // Validate status
-      if (!['online', 'offline', 'idle'].includes(status)) {
-        throw new Error('Invalid status value. Must be online, offline, or idle.');
-      }
-      
-      // Get current device data
-      const device = await this.getDeviceByRemotePcId(remotePcId);
-      
-      // Skip update if status hasn't changed
-      if (device.status === status) {
+      return await this.withDeviceLock(remotePcId, async () => {
+        // CRITICAL FIX: Add validation for remotePcId to prevent undefined parameter
+        if (!remotePcId) {
+          throw new Error('Device ID is missing or undefined');
+        }
+        
+        // Validate status
+        if (!['online', 'offline', 'idle'].includes(status)) {
+          throw new Error('Invalid status value. Must be online, offline, or idle.');
+        }
+        
+        // Change a copy: the cache keeps the stored state until the save succeeded
+        const current = await this.getDeviceByRemotePcId(remotePcId);
+        
+        // Skip update if status hasn't changed
+        if (current.status === status) {
+          return current;
+        }
+        
+        const device = structuredClone(current);
+        
+        // Update status and timestamps
+        const oldStatus = device.status;
+        device.status = status;
+        device.lastStatusChange = now.toISOString();
+        
+        // If status is 'online', update lastSeen
+        if (status === 'online') {
+          device.lastSeen = now.toISOString();
+        }
+        
+        // Persist and cache
+        await this.saveDevice(device);
+        
+        // Every status change is kept in the health history used by availability reports
+        await this.recordHealthEvent(remotePcId, {
+          type: 'status_change',
+          oldStatus,
+          newStatus: status,
+          timestamp: device.lastStatusChange,
+          ...details
+        });
+        
+        logger.info(`Device ${remotePcId} status changed to ${status}`);
+        
         return device;
-      }
-      
-      // Update status and timestamps
-      device.status = status;
-      device.lastStatusChange = new Date().toISOString();
-      
-      // If status is 'online', update lastSeen
-      if (status === 'online') {
-        device.lastSeen = new Date().toISOString();
-      }
-      
-      // Save to filesystem
-      const deviceFilePath = path.join(DEVICE_DATA_DIR, `${remotePcId}.json`);
-      await fs.writeFile(deviceFilePath, JSON.stringify(device, null, 2), 'utf8');
-      
-      // Update cache
-      this.deviceCache.set(remotePcId, device);
-      
-      logger.info(`Device ${remotePcId} status changed to ${status}`);
-      
-      return device;
+      });
     } catch (error) {
       logger.error(`Error updating device status: ${error.message}`);
       throw error;
@@ -261,29 +307,28 @@ class DeviceManager {
   /**
    * Update device last seen timestamp
    * @param {string} remotePcId - Device identifier
+   * @param {Date} now - Time the device was seen
    * @returns {Promise<Object>} Updated device data
    */
-  async updateDeviceLastSeen(remotePcId) {
+  async updateDeviceLastSeen(remotePcId, now = new Date()) {
     try {
-      // CRITICAL FIX: Add validation for remotePcId to prevent undefined parameter
-      if (!remotePcId) {
-        throw new Error('Device ID is missing or undefined');
-      }
-      
-      // Get current device data
-      const device = await this.getDeviceByRemotePcId(remotePcId);
-      
-      // Update lastSeen timestamp
-      device.lastSeen = new Date().toISOString();
-      
-      // Save to filesystem
-      const deviceFilePath = path.join(DEVICE_DATA_DIR, `${remotePcId}.json`);
-      await fs.writeFile(deviceFilePath, JSON.stringify(device, null, 2), 'utf8');
-      
-      // Update cache
-      this.deviceCache.set(remotePcId, device);
-      
-      return device;
+      return await this.withDeviceLock(remotePcId, async () => {
+        // CRITICAL FIX: Add validation for remotePcId to prevent undefined parameter
+        if (!remotePcId) {
+          throw new Error('Device ID is missing or undefined');
+        }
+        
+        // Change a copy: the cache keeps the stored state until the save succeeded
+        const device = structuredClone(await this.getDeviceByRemotePcId(remotePcId));
+        
+        // Update lastSeen timestamp
+        device.lastSeen = now.toISOString();
+        
+        // Persist and cache
+        await this.saveDevice(device);
+        
+        return device;
+      });
     } catch (error) {
       logger.error(`Error updating device last seen: ${error.message}`);
       throw error;
@@ -291,44 +336,270 @@ class DeviceManager {
   }
 
   /**
-   * Detect device status based on last seen time
+   * Apply an arbitrary change to a device record under its update lock
    * @param {string} remotePcId - Device identifier
-   * @returns {Promise<string>} Detected status
+   * @param {Function} updater - Receives a copy of the device and mutates it in place
+   * @returns {Promise<Object>} Updated device data
    */
-  async detectDeviceStatus(remotePcId) {
+  async updateDevice(remotePcId, updater) {
     try {
-      // CRITICAL FIX: Add validation for remotePcId to prevent undefined parameter
       if (!remotePcId) {
         throw new Error('Device ID is missing or undefined');
       }
       
-      // Get current device data
-      const device = await this.getDeviceByRemotePcId(remotePcId);
+      return await this.withDeviceLock(remotePcId, async () => {
+        // The copy replaces the cached record only once it is saved
+        const device = structuredClone(await this.getDeviceByRemotePcId(remotePcId));
+        
+        await updater(device);
+        
+        // Persist and cache
+        await this.saveDevice(device);
+        
+        return device;
+      });
+    } catch (error) {
+      logger.error(`Error updating device: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Add an operator note to a device
+   * @param {string} remotePcId - Device identifier
+   * @param {Object} note - { text, authorId, author }
+   * @returns {Promise<Object>} The stored note
+   */
+  async addDeviceNote(remotePcId, note) {
+    const text = typeof note.text === 'string' ? note.text.trim() : '';
+    
+    if (!text || text.length > MAX_NOTE_LENGTH) {
+      throw new Error(`Invalid note: text must be 1-${MAX_NOTE_LENGTH} characters`);
+    }
+    
+    const stored = {
+      id: uuidv4(),
+      text,
+      authorId: note.authorId || null,
+      author: note.author || null,
+      createdAt: new Date().toISOString()
+    };
+    
+    await this.updateDevice(remotePcId, device => {
+      device.notes = [...(device.notes || []), stored];
+    });
+    
+    return stored;
+  }
+
+  /**
+   * Delete an operator note from a device
+   * @param {string} remotePcId - Device identifier
+   * @param {string} noteId - Note identifier
+   * @returns {Promise<Object>} The deleted note
+   */
+  async deleteDeviceNote(remotePcId, noteId) {
+    let removed = null;
+    
+    await this.updateDevice(remotePcId, device => {
+      removed = (device.notes || []).find(note => note.id === noteId);
+      
+      if (!removed) {
+        throw new Error(`Note not found: ${noteId}`);
+      }
+      
+      device.notes = device.notes.filter(note => note.id !== noteId);
+    });
+    
+    return removed;
+  }
+
+  /**
+   * Check whether a device may be used (devices without an approval record
+   * were registered before approval mode and are trusted)
+   * @param {Object} device - Device data
+   * @returns {boolean} True if approved
+   */
+  isApproved(device) {
+    return !device.approval || device.approval.state === 'approved';
+  }
+
+  /**
+   * Approve a pending (or previously rejected) device
+   * @param {string} remotePcId - Device identifier
+   * @param {Object} details - { user: { id, username }, reason }
+   * @returns {Promise<Object>} Updated device data
+   */
+  async approveDevice(remotePcId, details = {}) {
+    return this.decideApproval(remotePcId, 'approved', details, ['pending', 'rejected']);
+  }
+
+  /**
+   * Reject a pending device - it is refused when it tries to register again
+   * @param {string} remotePcId - Device identifier
+   * @param {Object} details - { user: { id, username }, reason }
+   * @returns {Promise<Object>} Updated device data
+   */
+  async rejectDevice(remotePcId, details = {}) {
+    return this.decideApproval(remotePcId, 'rejected', details, ['pending']);
+  }
+
+  /**
+   * Record an approval decision
+   * @param {string} remotePcId - Device identifier
+   * @param {string} state - 'approved' or 'rejected'
+   * @param {Object} details - { user, reason }
+   * @param {Array} fromStates - States the decision may be made from
+   * @returns {Promise<Object>} Updated device data
+   */
+  async decideApproval(remotePcId, state, details, fromStates) {
+    const device = await this.updateDevice(remotePcId, d => {
+      const current = d.approval ? d.approval.state : 'approved';
+      
+      if (!fromStates.includes(current)) {
+        throw new Error(`Device not awaiting this decision: ${remotePcId} is ${current}`);
+      }
       
-      // Calculate time since last seen
-      const lastSeen = new Date(device.lastSeen);
-      const now = new Date();
-      const timeSinceLastSeen = now - lastSeen;
+      const decision = {
+        state,
+        decidedAt: new Date().toISOString(),
+        decidedBy: details.user ? { id: details.user.id, username: details.user.username } : null,
+        reason: details.reason || ''
+      };
       
-      // Determine status based on thresholds - aligned with Windows app
-      let newStatus = device.status;
+      d.approval = {
+        ...decision,
+        requestedAt: d.approval.requestedAt,
+        history: [...(d.approval.history || []), decision]
+      };
+    });
+    
+    logger.info(`Device ${state}: ${remotePcId}`);
+    return device;
+  }
+
+  /**
+   * Flag a device whose remotePcId was claimed by a machine with another fingerprint
+   * @param {string} remotePcId - Device identifier
+   * @param {Object} details - { expected, reported, ipAddress, source }
+   * @returns {Promise<Object>} Updated device data
+   */
+  async flagIdentityConflict(remotePcId, details) {
+    const conflict = deviceIdentity.createConflict(details.expected, details.reported, details.ipAddress, details.source);
+    
+    const device = await this.updateDevice(remotePcId, d => {
+      d.identityConflict = conflict;
+      deviceIdentity.appendIdentityHistory(d, [{
+        field: 'fingerprint-conflict',
+        from: conflict.expected,
+        to: conflict.reported,
+        changedAt: conflict.detectedAt
+      }]);
+    });
+    
+    logger.warn(`Device identity conflict: ${remotePcId} claimed by another machine (${conflict.ipAddress || 'unknown address'})`);
+    return device;
+  }
+
+  /**
+   * Resolve an identity conflict
+   * 'accept' adopts the reported fingerprint (hardware was replaced), 'dismiss'
+   * keeps the known one (the other machine was re-imaged or removed)
+   * @param {string} remotePcId - Device identifier
+   * @param {string} action - 'accept' or 'dismiss'
+   * @param {Object} details - { user, reason }
+   * @returns {Promise<Object>} Updated device data
+   */
+  async resolveIdentityConflict(remotePcId, action, details = {}) {
+    if (action !== 'accept' && action !== 'dismiss') {
+      throw new Error('Invalid action: must be accept or dismiss');
+    }
+    
+    const device = await this.updateDevice(remotePcId, d => {
+      const conflict = d.identityConflict;
       
-      if (timeSinceLastSeen > OFFLINE_THRESHOLD) {
-        newStatus = 'offline';
-      } else if (timeSinceLastSeen > IDLE_THRESHOLD) {
-        newStatus = 'idle';
-      } else {
-        newStatus = 'online';
+      if (!conflict) {
+        throw new Error(`Device has no identity conflict: ${remotePcId}`);
       }
       
-      // Update status if changed
-      if (newStatus !== device.status) {
-        await this.updateDeviceStatus(remotePcId, newStatus);
+      if (action === 'accept') {
+        d.fingerprint = conflict.reported;
       }
       
-      return newStatus;
+      deviceIdentity.appendIdentityHistory(d, [{
+        field: action === 'accept' ? 'fingerprint' : 'fingerprint-conflict-dismissed',
+        from: conflict.expected,
+        to: action === 'accept' ? conflict.reported : conflict.expected,
+        changedAt: new Date().toISOString(),
+        resolvedBy: details.user ? { id: details.user.id, username: details.user.username } : null,
+        reason: details.reason || ''
+      }]);
+      delete d.identityConflict;
+    });
+    
+    logger.info(`Device identity conflict ${action === 'accept' ? 'accepted' : 'dismissed'}: ${remotePcId}`);
+    return device;
+  }
+
+  /**
+   * Archive (soft-delete) a device: it is hidden from device lists and
+   * rejected when it tries to register again
+   * @param {string} remotePcId - Device identifier
+   * @param {Object} details - { userId, reason }
+   * @returns {Promise<Object>} Archived device data
+   */
+  async archiveDevice(remotePcId, details = {}) {
+    const device = await this.updateDevice(remotePcId, d => {
+      if (d.archivedAt) {
+        throw new Error(`Device already archived: ${remotePcId}`);
+      }
+      d.archivedAt = new Date().toISOString();
+      d.archivedBy = details.userId || null;
+      d.archiveReason = details.reason || '';
+      d.status = 'offline';
+    });
+    
+    logger.info(`Device archived: ${remotePcId}`);
+    return device;
+  }
+
+  /**
+   * Restore an archived device
+   * @param {string} remotePcId - Device identifier
+   * @returns {Promise<Object>} Restored device data
+   */
+  async restoreDevice(remotePcId) {
+    const device = await this.updateDevice(remotePcId, d => {
+      if (!d.archivedAt) {
+        throw new Error(`Device not archived: ${remotePcId}`);
+      }
+      delete d.archivedAt;
+      delete d.archivedBy;
+      delete d.archiveReason;
+    });
+    
+    logger.info(`Device restored: ${remotePcId}`);
+    return device;
+  }
+
+  /**
+   * Permanently delete a device with its connection logs and health history
+   * @param {string} remotePcId - Device identifier
+   * @returns {Promise<Object>} The deleted device data
+   */
+  async purgeDevice(remotePcId) {
+    try {
+      return await this.withDeviceLock(remotePcId, async () => {
+        const device = await this.getDeviceByRemotePcId(remotePcId);
+        
+        await this.store.deleteDevice(remotePcId);
+        this.deviceCache.delete(remotePcId);
+        
+        logger.info(`Device purged: ${remotePcId}`);
+        return device;
+      });
     } catch (error) {
-      logger.error(`Error detecting device status: ${error.message}`);
+      logger.error(`Error purging device: ${error.message}`);
       throw error;
     }
   }
@@ -340,6 +611,11 @@ class DeviceManager {
    */
   async validateApiKey(apiKey) {
     try {
+      // Shared key is disabled unless REMOTE_API_KEY is configured
+      if (!config.remoteApiKey || !apiKey) {
+        return false;
+      }
+      
       // Normalize keys for comparison to match the Windows app exactly
       const expectedKey = config.remoteApiKey.replace('ApiKey ', '');
       
@@ -378,28 +654,11 @@ class DeviceManager {
         id: requestId || uuidv4(),
         remotePcId,
         userId,
-        timestamp: timestamp || new Date().toISOString(),
+        timestamp: timestamp ? new Date(timestamp).toISOString() : new Date().toISOString(),
         type: 'connection-request'
       };
       
-      // Get log file path
-      const today = new Date().toISOString().split('T')[0];
-      const logFilePath = path.join(DEVICE_LOGS_DIR, `${remotePcId}_${today}.json`);
-      
-      // Read existing logs or create new array
-      let logs = [];
-      try {
-        const data = await fs.readFile(logFilePath, 'utf8');
-        logs = JSON.parse(data);
-      } catch (err) {
-        // File doesn't exist or invalid JSON, start with empty array
-      }
-      
-      // Add new log entry
-      logs.push(logEntry);
-      
-      // Save logs
-      await fs.writeFile(logFilePath, JSON.stringify(logs, null, 2), 'utf8');
+      await this.store.appendConnectionLog(logEntry);
       
       return logEntry;
     } catch (error) {
@@ -421,33 +680,66 @@ class DeviceManager {
         throw new Error('Device ID is missing or undefined');
       }
       
-      const { date, limit } = options;
-      
-      // Determine which date to use
-      const targetDate = date || new Date().toISOString().split('T')[0];
-      const logFilePath = path.join(DEVICE_LOGS_DIR, `${remotePcId}_${targetDate}.json`);
-      
-      // Read log file
-      let logs = [];
-      try {
-        const data = await fs.readFile(logFilePath, 'utf8');
-        logs = JSON.parse(data);
-      } catch (err) {
-        // File doesn't exist or invalid JSON, return empty array
-        return [];
-      }
-      
-      // Apply limit if specified
-      if (limit && limit > 0) {
-        logs = logs.slice(-limit);
-      }
-      
-      return logs;
+      return await this.store.getConnectionLogs(remotePcId, options);
     } catch (error) {
       logger.error(`Error getting device logs: ${error.message}`);
       return [];
     }
   }
+
+  /**
+   * Record a health event for a device
+   * @param {string} remotePcId - Device identifier
+   * @param {Object} event - Event data
+   */
+  async recordHealthEvent(remotePcId, event) {
+    try {
+      if (!remotePcId) {
+        throw new Error('Device ID is missing or undefined');
+      }
+      
+      await this.store.appendHealthEvent(remotePcId, event);
+    } catch (error) {
+      logger.error(`Error recording health event for ${remotePcId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get health events for a device
+   * @param {string} remotePcId - Device identifier
+   * @param {Object} options - Query options
+   * @returns {Promise<Array>} Health events
+   */
+  async getHealthEvents(remotePcId, options = {}) {
+    if (!remotePcId) {
+      throw new Error('Device ID is missing or undefined');
+    }
+    
+    return this.store.getHealthEvents(remotePcId, options);
+  }
+
+  /**
+   * Run an update for one device after any in-flight update for it has finished
+   * Health monitor, signaling heartbeats and REST calls all update the same records.
+   * @param {string} remotePcId - Device identifier
+   * @param {Function} task - Async update function
+   * @returns {Promise<any>} Task result
+   */
+  async withDeviceLock(remotePcId, task) {
+    await this.ready;
+    return this.updateQueue.run(remotePcId, task);
+  }
+
+  /**
+   * Persist a device record and refresh the cache
+   * @param {Object} device - Device data
+   * @returns {Promise<Object>} Saved device data
+   */
+  async saveDevice(device) {
+    await this.store.saveDevice(device);
+    this.deviceCache.set(device.remotePcId, device);
+    return device;
+  }
 }
 
 // Create and export singleton instance
@@ -0,0 +1,301 @@
+/**
+ * Device Query
+ * Search, sorting and cursor pagination for device lists
+ *
+ * Pagination is keyset-based: the cursor encodes the sort value and
+ * remotePcId of the last device on the page, so pages stay stable while
+ * devices are added or change status between requests
+ */
+
+// Constants
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const DEFAULT_SORT = 'systemName';
+const SORT_FIELDS = ['systemName', 'remotePcId', 'status', 'lastSeen', 'firstConnection', 'lastConnection', 'connections'];
+const DATE_FIELDS = ['lastSeen', 'firstConnection', 'lastConnection'];
+const STATUS_VALUES = ['online', 'offline', 'idle', 'unknown'];
+const ARCHIVED_MODES = ['exclude', 'include', 'only'];
+const APPROVAL_FILTERS = ['approved', 'pending', 'rejected', 'all'];
+
+/**
+ * Parse and validate device list query parameters
+ * @param {Object} query - Express req.query
+ * @returns {Object} Normalized query options
+ */
+function parseDeviceQuery(query = {}) {
+  const options = {
+    search: typeof query.q === 'string' ? query.q.trim().toLowerCase() : '',
+    statuses: [],
+    metadata: {},
+    lastSeenAfter: parseDate(query.lastSeenAfter, 'lastSeenAfter'),
+    lastSeenBefore: parseDate(query.lastSeenBefore, 'lastSeenBefore'),
+    sortField: DEFAULT_SORT,
+    sortDirection: 1,
+    limit: DEFAULT_PAGE_SIZE,
+    cursor: null,
+    archived: query.archived || 'exclude',
+    // Devices waiting for (or refused) approval are left out of normal lists
+    approval: query.approval || 'approved'
+  };
+  
+  if (!ARCHIVED_MODES.includes(options.archived)) {
+    throw new Error(`Invalid archived filter: use one of ${ARCHIVED_MODES.join(', ')}`);
+  }
+  
+  if (!APPROVAL_FILTERS.includes(options.approval)) {
+    throw new Error(`Invalid approval filter: use one of ${APPROVAL_FILTERS.join(', ')}`);
+  }
+  
+  if (query.status && query.status !== 'all') {
+    options.statuses = toList(query.status).map(s => s.toLowerCase());
+    const invalid = options.statuses.filter(s => !STATUS_VALUES.includes(s));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid status filter: ${invalid.join(', ')}`);
+    }
+  }
+  
+  // Metadata filters: ?metadata.osVersion=19045 or ?metadata[osVersion]=19045
+  if (query.metadata && typeof query.metadata === 'object') {
+    Object.assign(options.metadata, query.metadata);
+  }
+  for (const [key, value] of Object.entries(query)) {
+    if (key.startsWith('metadata.') && key.length > 'metadata.'.length) {
+      options.metadata[key.slice('metadata.'.length)] = value;
+    }
+  }
+  for (const [key, value] of Object.entries(options.metadata)) {
+    if (typeof value !== 'string') {
+      throw new Error(`Invalid metadata filter: ${key}`);
+    }
+    options.metadata[key] = value.toLowerCase();
+  }
+  
+  if (query.sort) {
+    const descending = query.sort.startsWith('-');
+    const field = descending ? query.sort.slice(1) : query.sort;
+    if (!SORT_FIELDS.includes(field)) {
+      throw new Error(`Invalid sort field: ${field}. Use one of ${SORT_FIELDS.join(', ')}`);
+    }
+    options.sortField = field;
+    options.sortDirection = descending ? -1 : 1;
+  }
+  
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit, 10);
+    if (isNaN(limit) || limit < 1) {
+      throw new Error('Invalid limit: must be a positive integer');
+    }
+    options.limit = Math.min(limit, MAX_PAGE_SIZE);
+  }
+  
+  if (query.cursor) {
+    options.cursor = decodeCursor(query.cursor, options);
+  }
+  
+  return options;
+}
+
+/**
+ * Filter, sort and paginate devices
+ * @param {Array} devices - Devices to query
+ * @param {Object} options - Options from parseDeviceQuery
+ * @returns {Object} { devices, total, nextCursor }
+ */
+function queryDevices(devices, options) {
+  const matching = devices.filter(device => matchesFilters(device, options));
+  matching.sort((a, b) => compareDevices(a, b, options));
+  
+  let start = 0;
+  if (options.cursor) {
+    // First device that sorts after the cursor position
+    start = matching.findIndex(device => compareToCursor(device, options) > 0);
+    if (start === -1) start = matching.length;
+  }
+  
+  const page = matching.slice(start, start + options.limit);
+  const hasMore = start + options.limit < matching.length;
+  
+  return {
+    devices: page,
+    total: matching.length,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], options) : null
+  };
+}
+
+/**
+ * Check a device against the query filters
+ * @param {Object} device - Device record
+ * @param {Object} options - Query options
+ * @returns {boolean} Whether the device matches
+ */
+function matchesFilters(device, options) {
+  if ((options.archived === 'exclude' && device.archivedAt) || (options.archived === 'only' && !device.archivedAt)) {
+    return false;
+  }
+  
+  // Devices registered before approval mode have no approval record and count as approved
+  const approvalState = device.approval ? device.approval.state : 'approved';
+  if (options.approval !== 'all' && approvalState !== options.approval) {
+    return false;
+  }
+  
+  if (options.statuses.length > 0 && !options.statuses.includes(device.status || 'unknown')) {
+    return false;
+  }
+  
+  if (options.search) {
+    const name = (device.systemName || '').toLowerCase();
+    const id = (device.remotePcId || '').toLowerCase();
+    if (!name.includes(options.search) && !id.includes(options.search)) {
+      return false;
+    }
+  }
+  
+  for (const [key, expected] of Object.entries(options.metadata)) {
+    const actual = getMetadataValue(device.metadata || {}, key);
+    if (actual === undefined || actual === null || !String(actual).toLowerCase().includes(expected)) {
+      return false;
+    }
+  }
+  
+  if (options.lastSeenAfter || options.lastSeenBefore) {
+    const lastSeen = Date.parse(device.lastSeen);
+    if (isNaN(lastSeen)) return false;
+    if (options.lastSeenAfter && lastSeen < options.lastSeenAfter) return false;
+    if (options.lastSeenBefore && lastSeen > options.lastSeenBefore) return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Read a metadata key, matching case-insensitively (agents report both
+ * osVersion and OSversion)
+ * @param {Object} metadata - Device metadata
+ * @param {string} key - Metadata key
+ * @returns {any} Value or undefined
+ */
+function getMetadataValue(metadata, key) {
+  if (key in metadata) return metadata[key];
+  const actualKey = Object.keys(metadata).find(k => k.toLowerCase() === key.toLowerCase());
+  return actualKey !== undefined ? metadata[actualKey] : undefined;
+}
+
+/**
+ * Get the comparable sort value of a device
+ * @param {Object} device - Device record
+ * @param {string} field - Sort field
+ * @returns {string|number} Sort value
+ */
+function sortValue(device, field) {
+  if (DATE_FIELDS.includes(field)) {
+    const time = Date.parse(device[field]);
+    return isNaN(time) ? 0 : time;
+  }
+  if (field === 'connections') {
+    return device.connections || 0;
+  }
+  if (field === 'status') {
+    return device.status || 'unknown';
+  }
+  return String(device[field] || '').toLowerCase();
+}
+
+/**
+ * Compare two sort values, then fall back to remotePcId so order is total
+ */
+function compareKeys(valueA, idA, valueB, idB, direction) {
+  if (valueA < valueB) return -direction;
+  if (valueA > valueB) return direction;
+  return idA < idB ? -1 : idA > idB ? 1 : 0;
+}
+
+function compareDevices(a, b, options) {
+  return compareKeys(
+    sortValue(a, options.sortField), a.remotePcId,
+    sortValue(b, options.sortField), b.remotePcId,
+    options.sortDirection
+  );
+}
+
+function compareToCursor(device, options) {
+  return compareKeys(
+    sortValue(device, options.sortField), device.remotePcId,
+    options.cursor.value, options.cursor.id,
+    options.sortDirection
+  );
+}
+
+/**
+ * Encode the position after a device as an opaque cursor
+ * @param {Object} device - Last device on the page
+ * @param {Object} options - Query options
+ * @returns {string} Cursor
+ */
+function encodeCursor(device, options) {
+  const payload = {
+    s: options.sortField,
+    d: options.sortDirection,
+    v: sortValue(device, options.sortField),
+    id: device.remotePcId
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor and check it belongs to the requested sort order
+ * @param {string} cursor - Cursor from a previous page
+ * @param {Object} options - Query options
+ * @returns {Object} { value, id }
+ */
+function decodeCursor(cursor, options) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+  
+  if (!payload || typeof payload.id !== 'string' || payload.v === undefined) {
+    throw new Error('Invalid cursor');
+  }
+  
+  if (payload.s !== options.sortField || payload.d !== options.sortDirection) {
+    throw new Error('Invalid cursor: sort order changed, request the first page again');
+  }
+  
+  return { value: payload.v, id: payload.id };
+}
+
+/**
+ * Parse an optional ISO date parameter
+ * @param {string} value - Parameter value
+ * @param {string} name - Parameter name for errors
+ * @returns {number|null} Timestamp (ms) or null
+ */
+function parseDate(value, name) {
+  if (value === undefined || value === '') return null;
+  const time = Date.parse(value);
+  if (isNaN(time)) {
+    throw new Error(`Invalid ${name}: expected an ISO date`);
+  }
+  return time;
+}
+
+/**
+ * Accept repeated or comma-separated parameters
+ * @param {string|Array} value - Parameter value
+ * @returns {Array} Values
+ */
+function toList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+module.exports = {
+  parseDeviceQuery,
+  queryDevices
+};
@@ -0,0 +1,252 @@
+/**
+ * Device Transfer Service
+ * Bulk export of device records and import of pre-created devices
+ * (systemName, tags, owner, notes) from CSV or JSON asset lists
+ */
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../../utils/logger');
+const deviceManager = require('./deviceManager');
+const groupManager = require('./groupManager');
+const { parseCsvRecords, toCsv } = require('../../utils/csv');
+
+// Constants
+const MAX_IMPORT_ROWS = 10000;
+const EXPORT_COLUMNS = [
+  'remotePcId', 'systemName', 'status', 'owner', 'tags', 'groups',
+  'osName', 'osVersion', 'firstConnection', 'lastSeen', 'connections', 'archivedAt'
+];
+// Separator for list values (tags, groups) inside a single CSV cell
+const LIST_SEPARATOR = ';';
+
+// Import row schema - remotePcId doubles as the device file name, so keep it filename-safe
+const importRowSchema = Joi.object({
+  remotePcId: Joi.string().trim().pattern(/^[A-Za-z0-9._-]+$/).max(255).required()
+    .messages({ 'string.pattern.base': '"remotePcId" may only contain letters, digits, ".", "_" and "-"' }),
+  systemName: Joi.string().trim().max(255).allow(''),
+  owner: Joi.string().trim().max(255).allow(''),
+  notes: Joi.string().trim().max(2000).allow(''),
+  tags: Joi.alternatives().try(
+    Joi.array().items(Joi.string().trim().max(32)).max(50),
+    Joi.string().allow('')
+  )
+}).unknown(true);
+
+/**
+ * Build the export representation of devices
+ * @param {Array} devices - Device records
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Promise<string|Array>} CSV text or array of plain records
+ */
+async function exportDevices(devices, format) {
+  const groups = await groupManager.loadGroups();
+  const groupName = id => (groups.find(g => g.id === id) || {}).name || id;
+  
+  if (format === 'csv') {
+    return toCsv(EXPORT_COLUMNS, devices.map(device => ({
+      remotePcId: device.remotePcId,
+      systemName: device.systemName,
+      status: device.status || 'unknown',
+      owner: device.owner || '',
+      tags: (device.tags || []).join(LIST_SEPARATOR),
+      groups: (device.groups || []).map(groupName).join(LIST_SEPARATOR),
+      osName: (device.metadata || {}).OSName || '',
+      osVersion: (device.metadata || {}).OSversion || (device.metadata || {}).osVersion || '',
+      firstConnection: device.firstConnection || '',
+      lastSeen: device.lastSeen || '',
+      connections: device.connections || 0,
+      archivedAt: device.archivedAt || ''
+    })));
+  }
+  
+  // JSON keeps structure; only fields meant for people leave the server
+  return devices.map(device => ({
+    remotePcId: device.remotePcId,
+    systemName: device.systemName,
+    status: device.status || 'unknown',
+    owner: device.owner || null,
+    tags: device.tags || [],
+    groups: (device.groups || []).map(groupName),
+    notes: device.notes || [],
+    metadata: device.metadata || {},
+    firstConnection: device.firstConnection || null,
+    lastConnection: device.lastConnection || null,
+    lastSeen: device.lastSeen || null,
+    connections: device.connections || 0,
+    archivedAt: device.archivedAt || null
+  }));
+}
+
+/**
+ * Parse an import payload into rows
+ * @param {Object} payload - { csv } or { devices } or raw CSV text
+ * @returns {Array<Object>} Raw rows
+ */
+function parseImportPayload(payload) {
+  let rows;
+  
+  if (typeof payload === 'string') {
+    rows = parseCsvRecords(payload);
+  } else if (payload && typeof payload.csv === 'string') {
+    rows = parseCsvRecords(payload.csv);
+  } else if (payload && Array.isArray(payload.devices)) {
+    rows = payload.devices;
+  } else {
+    throw new Error('Invalid import: send CSV text, { csv } or { devices: [...] }');
+  }
+  
+  if (rows.length === 0) {
+    throw new Error('Invalid import: no rows found');
+  }
+  
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Invalid import: at most ${MAX_IMPORT_ROWS} rows per import`);
+  }
+  
+  return rows;
+}
+
+/**
+ * Import pre-created devices
+ * Valid rows are applied and invalid rows reported; nothing is written in dry-run mode.
+ * Existing devices keep their connection history - only the imported fields change.
+ * @param {Object|string} payload - Import payload
+ * @param {Object} options - { dryRun, userId, username }
+ * @returns {Promise<Object>} { dryRun, total, created, updated, failed, rows }
+ */
+async function importDevices(payload, options = {}) {
+  const rows = parseImportPayload(payload);
+  const seen = new Set();
+  const report = [];
+  
+  for (let index = 0; index < rows.length; index++) {
+    // Row numbers count the CSV header as row 1 so they match the spreadsheet
+    const rowNumber = typeof payload === 'string' || (payload && payload.csv) ? index + 2 : index + 1;
+    const raw = rows[index];
+    
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      report.push({ row: rowNumber, status: 'error', errors: ['Row must be an object'] });
+      continue;
+    }
+    
+    const { error, value } = importRowSchema.validate(raw, { abortEarly: false, convert: true });
+    if (error) {
+      report.push({
+        row: rowNumber,
+        remotePcId: raw.remotePcId || null,
+        status: 'error',
+        errors: error.details.map(detail => detail.message)
+      });
+      continue;
+    }
+    
+    const errors = [];
+    let tags = [];
+    try {
+      tags = splitTags(value.tags);
+    } catch (tagError) {
+      errors.push(tagError.message);
+    }
+    
+    if (seen.has(value.remotePcId)) {
+      errors.push(`Duplicate remotePcId in import: ${value.remotePcId}`);
+    }
+    seen.add(value.remotePcId);
+    
+    const existing = await deviceManager.findDevice(value.remotePcId);
+    if (existing && existing.archivedAt) {
+      errors.push(`Device archived: ${value.remotePcId}`);
+    }
+    
+    if (errors.length > 0) {
+      report.push({ row: rowNumber, remotePcId: value.remotePcId, status: 'error', errors });
+      continue;
+    }
+    
+    const action = existing ? 'updated' : 'created';
+    
+    if (!options.dryRun) {
+      await applyRow(value, tags, options);
+    }
+    
+    report.push({ row: rowNumber, remotePcId: value.remotePcId, status: action });
+  }
+  
+  const summary = {
+    dryRun: Boolean(options.dryRun),
+    total: report.length,
+    created: report.filter(r => r.status === 'created').length,
+    updated: report.filter(r => r.status === 'updated').length,
+    failed: report.filter(r => r.status === 'error').length,
+    rows: report
+  };
+  
+  if (!options.dryRun) {
+    logger.info(`Device import: ${summary.created} created, ${summary.updated} updated, ${summary.failed} failed`);
+  }
+  
+  return summary;
+}
+
+/**
+ * Write one validated import row
+ * @param {Object} row - Validated row
+ * @param {Array} tags - Normalized tags
+ * @param {Object} user - Importing user { userId, username }
+ */
+async function applyRow(row, tags, user) {
+  const now = new Date().toISOString();
+  const note = row.notes ? {
+    id: uuidv4(),
+    text: row.notes,
+    authorId: user.userId || null,
+    author: user.username || null,
+    createdAt: now
+  } : null;
+  
+  await deviceManager.withDeviceLock(row.remotePcId, async () => {
+    // Re-read under the lock in case the agent registered in the meantime
+    const existing = await deviceManager.findDevice(row.remotePcId);
+    
+    // Pre-created record: never seen, so no lastSeen and the health monitor leaves it alone
+    const device = existing || {
+      remotePcId: row.remotePcId,
+      systemName: 'Unknown Device',
+      status: 'offline',
+      firstConnection: null,
+      lastConnection: null,
+      lastSeen: null,
+      lastStatusChange: now,
+      connections: 0,
+      metadata: {},
+      tags: [],
+      notes: [],
+      importedAt: now,
+      importedBy: user.userId || null
+    };
+    
+    if (row.systemName) device.systemName = row.systemName;
+    if (row.owner !== undefined) device.owner = row.owner;
+    if (row.tags !== undefined) device.tags = tags;
+    if (note) device.notes = [...(device.notes || []), note];
+    
+    await deviceManager.saveDevice(device);
+  });
+}
+
+/**
+ * Split tags given as an array or a ";" / "," separated cell
+ * @param {Array|string} tags - Tags
+ * @returns {Array} Normalized tags
+ */
+function splitTags(tags) {
+  if (tags === undefined || tags === '') return [];
+  const list = Array.isArray(tags) ? tags : tags.split(/[;,]/);
+  return groupManager.normalizeTags(list);
+}
+
+module.exports = {
+  exportDevices,
+  importDevices,
+  EXPORT_COLUMNS
+};
@@ -0,0 +1,359 @@
+/**
+ * Enrollment Manager Service
+ * Per-device agent credentials. Admins generate one-time enrollment codes; an
+ * agent exchanges a code during registration for its own device secret, which
+ * it presents on every later handshake. Codes and secrets are only stored hashed.
+ */
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../../utils/logger');
+const deviceManager = require('./deviceManager');
+const { KeyedQueue } = require('../../utils/atomicFile');
+
+// Constants
+const CODES_COLLECTION = 'enrollment_codes';
+const DEFAULT_CODE_TTL_HOURS = 24;
+const MAX_CODE_TTL_HOURS = 24 * 30;
+// Used codes are kept for auditing, then dropped
+const USED_CODE_RETENTION = 7 * 24 * 60 * 60 * 1000;
+// Unambiguous characters (no 0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 12;
+const SECRET_BYTES = 32;
+
+// Singleton instance
+let instance = null;
+
+class EnrollmentManager {
+  constructor() {
+    // Serializes changes to the enrollment code collection
+    this.queue = new KeyedQueue();
+  }
+
+  /**
+   * Generate a one-time enrollment code
+   * @param {Object} options - { label, expiresInHours, remotePcId }
+   * @param {string|number} userId - Creating user
+   * @returns {Promise<Object>} Code record including the plain code (only returned here)
+   */
+  async createCode(options = {}, userId) {
+    const hours = options.expiresInHours === undefined ? DEFAULT_CODE_TTL_HOURS : Number(options.expiresInHours);
+    
+    if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_CODE_TTL_HOURS) {
+      throw new Error(`Invalid expiresInHours: must be between 0 and ${MAX_CODE_TTL_HOURS}`);
+    }
+    
+    if (options.remotePcId !== undefined && (typeof options.remotePcId !== 'string' || !options.remotePcId.trim())) {
+      throw new Error('Invalid remotePcId');
+    }
+    
+    const code = generateCode();
+    const record = {
+      id: uuidv4(),
+      codeHash: hashValue(normalizeCode(code)),
+      hint: code.slice(-4),
+      label: typeof options.label === 'string' ? options.label.trim().slice(0, 100) : '',
+      // Optional: only this device may use the code
+      remotePcId: options.remotePcId ? options.remotePcId.trim() : null,
+      createdBy: userId || null,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000).toISOString(),
+      usedAt: null,
+      usedBy: null,
+      revokedAt: null
+    };
+    
+    await this.queue.run(CODES_COLLECTION, async () => {
+      const codes = await this.loadCodes();
+      await deviceManager.store.saveCollection(CODES_COLLECTION, [...codes, record]);
+    });
+    
+    logger.info(`Enrollment code created (${record.id}${record.remotePcId ? ` for ${record.remotePcId}` : ''})`);
+    
+    return { ...publicCode(record), code };
+  }
+
+  /**
+   * List enrollment codes (without hashes)
+   * @returns {Promise<Array>} Codes, newest first
+   */
+  async listCodes() {
+    const codes = await this.loadCodes();
+    return codes.map(publicCode).reverse();
+  }
+
+  /**
+   * Revoke an unused enrollment code
+   * @param {string} codeId - Code identifier
+   * @returns {Promise<Object>} Revoked code
+   */
+  async revokeCode(codeId) {
+    return this.queue.run(CODES_COLLECTION, async () => {
+      const codes = await this.loadCodes();
+      const record = codes.find(c => c.id === codeId);
+      
+      if (!record) {
+        throw new Error(`Enrollment code not found: ${codeId}`);
+      }
+      
+      if (record.usedAt) {
+        throw new Error('Enrollment code already used');
+      }
+      
+      record.revokedAt = record.revokedAt || new Date().toISOString();
+      await deviceManager.store.saveCollection(CODES_COLLECTION, codes);
+      
+      logger.info(`Enrollment code revoked: ${codeId}`);
+      return publicCode(record);
+    });
+  }
+
+  /**
+   * Check an enrollment code without using it up (socket handshake)
+   * @param {string} code - Plain code
+   * @param {string} remotePcId - Device identifier
+   * @returns {Promise<boolean>} True if the code could be redeemed by this device
+   */
+  async isCodeValid(code, remotePcId) {
+    try {
+      const codes = await this.loadCodes();
+      checkCode(findCode(codes, code), remotePcId);
+      await checkDeviceCanEnroll(remotePcId);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Use up an enrollment code for a device
+   * @param {string} code - Plain code
+   * @param {string} remotePcId - Device identifier
+   * @returns {Promise<Object>} Redeemed code record
+   */
+  async redeemCode(code, remotePcId) {
+    return this.queue.run(CODES_COLLECTION, async () => {
+      const codes = await this.loadCodes();
+      const record = findCode(codes, code);
+      
+      checkCode(record, remotePcId);
+      await checkDeviceCanEnroll(remotePcId);
+      
+      record.usedAt = new Date().toISOString();
+      record.usedBy = remotePcId;
+      await deviceManager.store.saveCollection(CODES_COLLECTION, codes);
+      
+      return publicCode(record);
+    });
+  }
+
+  /**
+   * Issue a new device secret, replacing any previous credential
+   * @param {string} remotePcId - Device identifier
+   * @param {string} codeId - Enrollment code that was redeemed
+   * @returns {Promise<string>} Plain device secret (only returned here)
+   */
+  async issueCredential(remotePcId, codeId) {
+    const secret = crypto.randomBytes(SECRET_BYTES).toString('base64url');
+    
+    await deviceManager.updateDevice(remotePcId, device => {
+      device.credential = {
+        secretHash: hashValue(secret),
+        issuedAt: new Date().toISOString(),
+        enrollmentCodeId: codeId || null,
+        revokedAt: null,
+        revokedBy: null
+      };
+    });
+    
+    logger.info(`Device credential issued for ${remotePcId}`);
+    return secret;
+  }
+
+  /**
+   * Revoke a device's credential; the device has to enroll again with a new code
+   * @param {string} remotePcId - Device identifier
+   * @param {string|number} userId - Revoking user
+   * @returns {Promise<Object>} Updated device data
+   */
+  async revokeCredential(remotePcId, userId) {
+    const device = await deviceManager.updateDevice(remotePcId, d => {
+      if (!d.credential || d.credential.revokedAt) {
+        throw new Error(`Device has no active credential: ${remotePcId}`);
+      }
+      d.credential.revokedAt = new Date().toISOString();
+      d.credential.revokedBy = userId || null;
+    });
+    
+    logger.info(`Device credential revoked for ${remotePcId}`);
+    return device;
+  }
+
+  /**
+   * Authenticate a device handshake
+   * @param {string} remotePcId - Device identifier
+   * @param {Object} credentials - { secret, enrollmentCode }
+   * @returns {Promise<string|null>} 'secret', 'enrollment', 'legacy-key' or null when rejected
+   */
+  async authenticateDevice(remotePcId, credentials = {}) {
+    const { secret, enrollmentCode } = credentials;
+    const device = await deviceManager.findDevice(remotePcId);
+    const credential = device && device.credential;
+    
+    if (secret && credential && !credential.revokedAt && safeEqual(hashValue(secret), credential.secretHash)) {
+      return 'secret';
+    }
+    
+    if (enrollmentCode && await this.isCodeValid(enrollmentCode, remotePcId)) {
+      return 'enrollment';
+    }
+    
+    // The shared key is only accepted from devices that never enrolled, and only
+    // when REMOTE_API_KEY is configured, so existing agents can be migrated
+    if (secret && !credential && await deviceManager.validateApiKey(secret)) {
+      logger.warn(`Device ${remotePcId} authenticated with the shared API key - enroll it to issue a device credential`);
+      return 'legacy-key';
+    }
+    
+    return null;
+  }
+
+  /**
+   * Summarize a device's credential state for API responses
+   * @param {Object} device - Device data
+   * @returns {Object} { status, issuedAt, revokedAt }
+   */
+  getCredentialStatus(device) {
+    const credential = device.credential;
+    
+    if (!credential) {
+      return { status: 'not-enrolled', issuedAt: null, revokedAt: null };
+    }
+    
+    return {
+      status: credential.revokedAt ? 'revoked' : 'active',
+      issuedAt: credential.issuedAt,
+      revokedAt: credential.revokedAt || null
+    };
+  }
+
+  /**
+   * Load enrollment codes, dropping used or expired codes past retention
+   * @returns {Promise<Array>} Codes
+   */
+  async loadCodes() {
+    await deviceManager.ready;
+    const codes = await deviceManager.store.getCollection(CODES_COLLECTION);
+    const cutoff = Date.now() - USED_CODE_RETENTION;
+    
+    return codes.filter(c => new Date(c.usedAt || c.revokedAt || c.expiresAt).getTime() > cutoff);
+  }
+}
+
+/**
+ * Generate a random enrollment code formatted as XXXX-XXXX-XXXX
+ * @returns {string} Code
+ */
+function generateCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  let code = '';
+  
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+  }
+
+  return code.match(/.{4}/g).join('-');
+}
+
+/**
+ * Normalize a code as typed by a person (case, dashes, spaces)
+ * @param {string} code - Code
+ * @returns {string} Normalized code
+ */
+function normalizeCode(code) {
+  return String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * SHA-256 hex digest - codes and secrets are random, so no salt or slow hash is needed
+ * @param {string} value - Value
+ * @returns {string} Digest
+ */
+function hashValue(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+/**
+ * Constant-time comparison of two hex digests
+ */
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+/**
+ * Find a code record by plain code
+ * @param {Array} codes - Code records
+ * @param {string} code - Plain code
+ * @returns {Object|undefined} Code record
+ */
+function findCode(codes, code) {
+  const hash = hashValue(normalizeCode(code));
+  return codes.find(c => safeEqual(c.codeHash, hash));
+}
+
+/**
+ * Throw if a code record cannot be used by a device
+ * @param {Object} record - Code record
+ * @param {string} remotePcId - Device identifier
+ */
+function checkCode(record, remotePcId) {
+  if (!record || record.revokedAt || record.usedAt) {
+    throw new Error('Invalid enrollment code');
+  }
+
+  if (new Date(record.expiresAt).getTime() <= Date.now()) {
+    throw new Error('Invalid enrollment code: expired');
+  }
+
+  if (record.remotePcId && record.remotePcId !== remotePcId) {
+    throw new Error('Invalid enrollment code: issued for another device');
+  }
+}
+
+/**
+ * Throw if a device may not enroll: archived devices stay out, and an active
+ * credential has to be revoked first so a leaked code cannot take over a device
+ * @param {string} remotePcId - Device identifier
+ */
+async function checkDeviceCanEnroll(remotePcId) {
+  const device = await deviceManager.findDevice(remotePcId);
+  
+  if (device && device.archivedAt) {
+    throw new Error(`Device archived: ${remotePcId}`);
+  }
+
+  if (device && device.credential && !device.credential.revokedAt) {
+    throw new Error(`Device already enrolled: ${remotePcId}`);
+  }
+}
+
+/**
+ * Code record without its hash
+ * @param {Object} record - Code record
+ * @returns {Object} Public fields
+ */
+function publicCode(record) {
+  const { codeHash, ...rest } = record;
+  return rest;
+}
+
+// Create and export singleton instance
+module.exports = (function() {
+  if (!instance) {
+    instance = new EnrollmentManager();
+  }
+  return instance;
+})();
@@ -0,0 +1,258 @@
+/**
+ * Flap Detector Service
+ * Detects devices that keep changing status on unstable links and damps
+ * their announcements.
+ *
+ * Transitions are counted from the status_change health events over a
+ * sliding window (config.monitoring.flapWindow). A device with at least
+ * flapThreshold transitions is marked flapping; it stays flapping until the
+ * window holds at most flapClearThreshold transitions. While flapping, status
+ * broadcasts are coalesced to one per flapCoalesceInterval - changes held back
+ * are followed by a broadcast of the latest status when the interval ends - and
+ * status notifications are replaced by a single device.flapping / device.stable pair.
+ * Transitions inside maintenance windows are not counted.
+ */
+const Joi = require('joi');
+const logger = require('../../utils/logger');
+const config = require('../../config/app');
+const deviceManager = require('./deviceManager');
+const notificationManager = require('./notificationManager');
+const accessControl = require('./accessControl');
+const { KeyedQueue } = require('../../utils/atomicFile');
+
+// Constants
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_REPORT_DAYS = 366;
+
+// Unstable devices report query schema
+const reportQuerySchema = Joi.object({
+  from: Joi.date().iso(),
+  to: Joi.date().iso()
+});
+
+// Singleton instance
+let instance = null;
+
+class FlapDetector {
+  constructor() {
+    // remotePcId -> time of the last status broadcast while flapping (ms)
+    this.lastBroadcast = new Map();
+    // remotePcId -> timer of the broadcast that ends the current coalesce interval
+    this.trailing = new Map();
+    // Serializes evaluations per device so a flap is announced once
+    this.queue = new KeyedQueue();
+  }
+
+  /**
+   * Re-evaluate whether a device is flapping and record any change
+   * @param {string} remotePcId - Device identifier
+   * @param {Date} now - Evaluation time
+   * @returns {Promise<Object>} { flapping, changed: 'started'|'stopped'|null, transitions, device }
+   */
+  async evaluate(remotePcId, now = new Date()) {
+    return this.queue.run(remotePcId, async () => {
+      const { flapWindow, flapThreshold, flapClearThreshold } = config.monitoring;
+      const device = await deviceManager.getDeviceByRemotePcId(remotePcId);
+      const transitions = (await getTransitions(remotePcId, new Date(now.getTime() - flapWindow), now)).length;
+      
+      let changed = null;
+      if (!device.flapping && transitions >= flapThreshold) {
+        changed = 'started';
+      } else if (device.flapping && transitions <= flapClearThreshold) {
+        changed = 'stopped';
+      }
+      
+      if (!changed) {
+        return { flapping: !!device.flapping, changed, transitions, device };
+      }
+      
+      const updated = await deviceManager.updateDevice(remotePcId, d => {
+        if (changed === 'started') {
+          d.flapping = true;
+          d.flappingSince = now.toISOString();
+        } else {
+          delete d.flapping;
+          delete d.flappingSince;
+        }
+      });
+      
+      await deviceManager.recordHealthEvent(remotePcId, {
+        type: changed === 'started' ? 'flapping_started' : 'flapping_stopped',
+        transitions,
+        timestamp: now.toISOString()
+      });
+      
+      const summary = {
+        device: {
+          remotePcId,
+          systemName: updated.systemName || remotePcId,
+          status: updated.status
+        },
+        flap: {
+          transitions,
+          windowMinutes: Math.round(flapWindow / 60000)
+        }
+      };
+      
+      if (changed === 'started') {
+        logger.warn(`Device ${remotePcId} is flapping: ${transitions} status changes in ${summary.flap.windowMinutes} minutes`);
+      } else {
+        // The caller announces the settled status, which supersedes any held-back change
+        this.lastBroadcast.delete(remotePcId);
+        this.cancelTrailing(remotePcId);
+        logger.info(`Device ${remotePcId} stopped flapping (${updated.status})`);
+      }
+      
+      await notificationManager.notify(changed === 'started' ? 'device.flapping' : 'device.stable', summary)
+        .catch(err => logger.error(`Error queuing flapping notification for ${remotePcId}: ${err.message}`));
+      
+      return { flapping: changed === 'started', changed, transitions, device: updated };
+    });
+  }
+
+  /**
+   * Decide how a status change is announced
+   * Call after the change was saved (and outside maintenance windows).
+   * @param {string} remotePcId - Device identifier
+   * @param {Date} now - Time of the change
+   * @param {Function} broadcastLatest - Called when the coalesce interval of a held-back change ends,
+   *   to broadcast the device's status at that time
+   * @returns {Promise<Object>} { broadcast, notify, flapping, transitions } - broadcast: send
+   *   device-status-update; notify: send the device.online / device.offline notification
+   */
+  async handleStatusChange(remotePcId, now = new Date(), broadcastLatest = null) {
+    const result = await this.evaluate(remotePcId, now);
+    
+    if (!result.flapping) {
+      return { broadcast: true, notify: true, flapping: false, transitions: result.transitions };
+    }
+    
+    const last = this.lastBroadcast.get(remotePcId) || 0;
+    const broadcast = result.changed === 'started' || now.getTime() - last >= config.monitoring.flapCoalesceInterval;
+    if (broadcast) {
+      this.lastBroadcast.set(remotePcId, now.getTime());
+      this.cancelTrailing(remotePcId);
+    } else if (broadcastLatest && !this.trailing.has(remotePcId)) {
+      const delay = Math.max(0, last + config.monitoring.flapCoalesceInterval - now.getTime());
+      
+      this.trailing.set(remotePcId, setTimeout(() => {
+        this.trailing.delete(remotePcId);
+        this.lastBroadcast.set(remotePcId, Date.now());
+        
+        Promise.resolve()
+          .then(() => broadcastLatest())
+          .catch(err => logger.error(`Error broadcasting status of flapping device ${remotePcId}: ${err.message}`));
+      }, delay));
+    }
+    
+    return { broadcast, notify: false, flapping: true, transitions: result.transitions };
+  }
+
+  /**
+   * Drop the pending end-of-interval broadcast of a device
+   * @param {string} remotePcId - Device identifier
+   */
+  cancelTrailing(remotePcId) {
+    const timer = this.trailing.get(remotePcId);
+    if (timer) {
+      clearTimeout(timer);
+      this.trailing.delete(remotePcId);
+    }
+  }
+
+  /**
+   * Drop all pending end-of-interval broadcasts
+   */
+  stop() {
+    for (const remotePcId of Array.from(this.trailing.keys())) {
+      this.cancelTrailing(remotePcId);
+    }
+  }
+
+  /**
+   * List the devices that changed status often or flapped in a time range
+   * @param {Object} query - { from, to } (ISO dates, default last 24 hours)
+   * @param {Object} user - Authenticated user; only devices the user can view are included
+   * @returns {Promise<Object>} { from, to, window, threshold, devices }
+   */
+  async getUnstableDevices(query, user) {
+    const { error, value } = reportQuerySchema.validate(query, { abortEarly: false });
+    
+    if (error) {
+      throw new Error(`Invalid report query: ${error.details.map(d => d.message).join('; ')}`);
+    }
+    
+    const to = value.to || new Date();
+    const from = value.from || new Date(to.getTime() - DAY);
+    
+    if (from >= to) {
+      throw new Error('Invalid report query: "from" must be before "to"');
+    }
+    
+    if (to - from > MAX_REPORT_DAYS * DAY) {
+      throw new Error(`Invalid report query: range is limited to ${MAX_REPORT_DAYS} days`);
+    }
+    
+    const devices = await accessControl.filterDevices(user, await deviceManager.getAllDevices());
+    const results = [];
+    
+    // One device at a time keeps the health file reads sequential
+    for (const device of devices) {
+      const events = await deviceManager.store.getHealthEventRange(device.remotePcId, { from, to });
+      const transitions = events.filter(isCountedTransition).length;
+      const episodes = events.filter(event => event.type === 'flapping_started').length;
+      
+      if (episodes === 0 && !device.flapping) continue;
+      
+      results.push({
+        remotePcId: device.remotePcId,
+        systemName: device.systemName || device.remotePcId,
+        status: device.status,
+        flapping: !!device.flapping,
+        flappingSince: device.flappingSince || null,
+        episodes,
+        transitions
+      });
+    }
+    
+    // Currently flapping first, then the most episodes and transitions
+    results.sort((a, b) => (b.flapping - a.flapping) || (b.episodes - a.episodes) || (b.transitions - a.transitions));
+    
+    return {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      window: config.monitoring.flapWindow,
+      threshold: config.monitoring.flapThreshold,
+      devices: results
+    };
+  }
+}
+
+/**
+ * Get the counted status changes of a device in a time range
+ * @param {string} remotePcId - Device identifier
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Promise<Array>} status_change events
+ */
+async function getTransitions(remotePcId, from, to) {
+  const events = await deviceManager.store.getHealthEventRange(remotePcId, { from, to });
+  return events.filter(isCountedTransition);
+}
+
+/**
+ * Whether a health event is a status change that counts towards flapping
+ * @param {Object} event - Health event
+ * @returns {boolean} True for status changes outside maintenance windows
+ */
+function isCountedTransition(event) {
+  return event.type === 'status_change' && !event.maintenanceWindowId;
+}
+
+// Create and export singleton instance
+module.exports = (function() {
+  if (!instance) {
+    instance = new FlapDetector();
+  }
+  return instance;
+})();
@@ -0,0 +1,529 @@
+/**
+ * Group Manager Service
+ * Handles device groups and free-form device tags
+ * Groups are stored as a collection in the device store. Static membership
+ * and tags live on the device records themselves (device.groups, device.tags);
+ * dynamic groups carry rules and their membership is evaluated from the
+ * device records (see groupRules)
+ */
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../../utils/logger');
+const deviceManager = require('./deviceManager');
+const { KeyedQueue } = require('../../utils/atomicFile');
+const groupRules = require('./groupRules');
+
+// Constants
+const GROUPS_COLLECTION = 'groups';
+const MAX_GROUP_NAME_LENGTH = 100;
+const MAX_TAG_LENGTH = 32;
+const MAX_TAGS_PER_DEVICE = 50;
+// Pseudo group id used by list filters for devices without any group
+const UNGROUPED = 'none';
+const GROUP_TYPES = ['static', 'dynamic'];
+const MATCH_MODES = ['all', 'any'];
+
+// Singleton instance
+let instance = null;
+
+class GroupManager {
+  constructor() {
+    // In-memory copy of the groups collection, loaded on first use
+    this.groups = null;
+    // Serializes changes to the groups collection
+    this.queue = new KeyedQueue();
+    // Last evaluated dynamic membership per device (remotePcId -> group ids)
+    this.dynamicMembership = new Map();
+  }
+
+  /**
+   * Load groups from the store if not already loaded
+   * @returns {Promise<Array>} Groups
+   */
+  async loadGroups() {
+    if (!this.groups) {
+      await deviceManager.ready;
+      this.groups = await deviceManager.store.getCollection(GROUPS_COLLECTION);
+    }
+    return this.groups;
+  }
+
+  /**
+   * Get all groups with their device counts
+   * @returns {Promise<Array>} Groups
+   */
+  async getAllGroups() {
+    const groups = await this.loadGroups();
+    const devices = await deviceManager.getAllDevices();
+    const now = Date.now();
+    
+    return groups.map(group => ({
+      ...group,
+      deviceCount: devices.filter(device => isMember(device, group, now)).length
+    }));
+  }
+
+  /**
+   * Get the devices that belong to a group
+   * @param {string} groupId - Group identifier
+   * @returns {Promise<Array>} Member devices
+   */
+  async getGroupMembers(groupId) {
+    const group = await this.getGroupById(groupId);
+    const devices = await deviceManager.getAllDevices();
+    const now = Date.now();
+    
+    return devices.filter(device => isMember(device, group, now));
+  }
+
+  /**
+   * Get the devices matching a set of rules without saving a group
+   * @param {Array} rules - Rule objects or expressions
+   * @param {string} match - 'all' or 'any'
+   * @returns {Promise<Array>} Matching devices
+   */
+  async previewRules(rules, match = 'all') {
+    const group = { type: 'dynamic', rules: groupRules.validateRules(rules), match: validateMatch(match) };
+    const devices = await deviceManager.getAllDevices();
+    const now = Date.now();
+    
+    return devices.filter(device => groupRules.matchesGroup(device, group, now));
+  }
+
+  /**
+   * Get the dynamic groups a device currently matches
+   * @param {Object} device - Device record
+   * @returns {Promise<Array>} Group identifiers
+   */
+  async getDynamicGroupIds(device) {
+    const groups = await this.loadGroups();
+    const now = Date.now();
+    
+    return groups
+      .filter(group => group.type === 'dynamic' && groupRules.matchesGroup(device, group, now))
+      .map(group => group.id);
+  }
+
+  /**
+   * Get every group a device belongs to, static and dynamic
+   * @param {Object} device - Device data
+   * @returns {Promise<Array>} Group ids
+   */
+  async getDeviceGroupIds(device) {
+    const dynamicIds = await this.getDynamicGroupIds(device);
+    return [...(device.groups || []), ...dynamicIds];
+  }
+
+  /**
+   * Re-evaluate dynamic membership for a device, logging any changes.
+   * Called when a device (re-)registers through auto-register
+   * @param {string} remotePcId - Device identifier
+   * @returns {Promise<Array>} Dynamic group identifiers the device belongs to
+   */
+  async refreshDeviceMembership(remotePcId) {
+    const device = await deviceManager.getDeviceByRemotePcId(remotePcId);
+    const current = await this.getDynamicGroupIds(device);
+    const previous = this.dynamicMembership.get(remotePcId);
+    
+    if (previous) {
+      const joined = current.filter(id => !previous.includes(id));
+      const left = previous.filter(id => !current.includes(id));
+      
+      if (joined.length > 0 || left.length > 0) {
+        logger.info(`Dynamic group membership changed for ${remotePcId}: joined [${joined.join(', ')}], left [${left.join(', ')}]`);
+      }
+    }
+    
+    this.dynamicMembership.set(remotePcId, current);
+    return current;
+  }
+
+  /**
+   * Resolve a device target list into device identifiers.
+   * Used anywhere a list of devices is accepted, so groups (static or
+   * dynamic) can be given alongside explicit device ids
+   * @param {Object} targets - { devices: [remotePcId], groups: [groupId] }
+   * @returns {Promise<Array>} Unique device identifiers
+   */
+  async resolveTargets(targets = {}) {
+    const deviceIds = targets.devices || [];
+    const groupIds = targets.groups || [];
+    
+    if (!Array.isArray(deviceIds) || !Array.isArray(groupIds)) {
+      throw new Error('Invalid targets: devices and groups must be arrays');
+    }
+    
+    const resolved = new Set(deviceIds.map(String));
+    
+    for (const groupId of groupIds) {
+      const members = await this.getGroupMembers(groupId);
+      members.forEach(device => resolved.add(device.remotePcId));
+    }
+    
+    return Array.from(resolved);
+  }
+
+  /**
+   * Get group by id
+   * @param {string} groupId - Group identifier
+   * @returns {Promise<Object>} Group
+   */
+  async getGroupById(groupId) {
+    const groups = await this.loadGroups();
+    const group = groups.find(g => g.id === groupId);
+    
+    if (!group) {
+      throw new Error(`Group not found: ${groupId}`);
+    }
+    
+    return group;
+  }
+
+  /**
+   * Create a group
+   * @param {Object} groupData - Group fields (name, description, color, type, rules, match)
+   * @param {string|number} userId - Creating user
+   * @returns {Promise<Object>} Created group
+   */
+  async createGroup(groupData, userId) {
+    return this.queue.run(GROUPS_COLLECTION, async () => {
+      const groups = await this.loadGroups();
+      const name = validateGroupName(groupData.name, groups);
+      const type = groupData.type || 'static';
+      
+      if (!GROUP_TYPES.includes(type)) {
+        throw new Error(`Invalid group type: ${type}`);
+      }
+      
+      const group = {
+        id: uuidv4(),
+        name,
+        description: groupData.description || '',
+        color: groupData.color || null,
+        type,
+        createdBy: userId || null,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+      
+      if (type === 'dynamic') {
+        group.rules = groupRules.validateRules(groupData.rules);
+        group.match = validateMatch(groupData.match);
+      }
+      
+      await this.saveGroups([...groups, group]);
+      logger.info(`Device group created: ${group.name} (${group.id})`);
+      
+      return group;
+    });
+  }
+
+  /**
+   * Update a group
+   * @param {string} groupId - Group identifier
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<Object>} Updated group
+   */
+  async updateGroup(groupId, changes) {
+    return this.queue.run(GROUPS_COLLECTION, async () => {
+      const groups = await this.loadGroups();
+      const existing = groups.find(g => g.id === groupId);
+      
+      if (!existing) {
+        throw new Error(`Group not found: ${groupId}`);
+      }
+      
+      const updated = {
+        ...existing,
+        name: changes.name !== undefined
+          ? validateGroupName(changes.name, groups.filter(g => g.id !== groupId))
+          : existing.name,
+        description: changes.description !== undefined ? changes.description : existing.description,
+        color: changes.color !== undefined ? changes.color : existing.color,
+        updatedAt: new Date().toISOString()
+      };
+      
+      if (existing.type === 'dynamic') {
+        if (changes.rules !== undefined) updated.rules = groupRules.validateRules(changes.rules);
+        if (changes.match !== undefined) updated.match = validateMatch(changes.match);
+      } else if (changes.rules !== undefined) {
+        throw new Error('Invalid group: rules can only be set on dynamic groups');
+      }
+      
+      await this.saveGroups(groups.map(g => (g.id === groupId ? updated : g)));
+      
+      return updated;
+    });
+  }
+
+  /**
+   * Set or clear the status threshold policy of a group
+   * Thresholds are validated by the status threshold service.
+   * @param {string} groupId - Group identifier
+   * @param {Object|null} thresholds - { idleThreshold, offlineThreshold }, or null to clear
+   * @returns {Promise<Object>} Updated group
+   */
+  async setGroupStatusThresholds(groupId, thresholds) {
+    return this.queue.run(GROUPS_COLLECTION, async () => {
+      const groups = await this.loadGroups();
+      const existing = groups.find(g => g.id === groupId);
+      
+      if (!existing) {
+        throw new Error(`Group not found: ${groupId}`);
+      }
+      
+      const updated = { ...existing, updatedAt: new Date().toISOString() };
+      if (thresholds) {
+        updated.statusThresholds = thresholds;
+      } else {
+        delete updated.statusThresholds;
+      }
+      
+      await this.saveGroups(groups.map(g => (g.id === groupId ? updated : g)));
+      logger.info(`Status thresholds ${thresholds ? 'set' : 'cleared'} for group ${existing.name} (${groupId})`);
+      
+      return updated;
+    });
+  }
+
+  /**
+   * Delete a group and remove it from every device
+   * @param {string} groupId - Group identifier
+   * @returns {Promise<Object>} Deleted group
+   */
+  async deleteGroup(groupId) {
+    const group = await this.queue.run(GROUPS_COLLECTION, async () => {
+      const groups = await this.loadGroups();
+      const existing = groups.find(g => g.id === groupId);
+      
+      if (!existing) {
+        throw new Error(`Group not found: ${groupId}`);
+      }
+      
+      await this.saveGroups(groups.filter(g => g.id !== groupId));
+      return existing;
+    });
+    
+    // Drop membership from devices, archived ones included
+    const devices = await deviceManager.getAllDevices({ includeArchived: true });
+    for (const device of devices) {
+      if ((device.groups || []).includes(groupId)) {
+        await deviceManager.updateDevice(device.remotePcId, d => {
+          d.groups = (d.groups || []).filter(id => id !== groupId);
+        });
+      }
+    }
+    
+    logger.info(`Device group deleted: ${group.name} (${group.id})`);
+    return group;
+  }
+
+  /**
+   * Replace the groups a device belongs to
+   * @param {string} remotePcId - Device identifier
+   * @param {Array} groupIds - Group identifiers
+   * @returns {Promise<Object>} Updated device
+   */
+  async setDeviceGroups(remotePcId, groupIds) {
+    if (!Array.isArray(groupIds)) {
+      throw new Error('Invalid groups: expected an array of group ids');
+    }
+    
+    const groups = await this.loadGroups();
+    const unknown = groupIds.filter(id => !groups.some(g => g.id === id));
+    if (unknown.length > 0) {
+      throw new Error(`Group not found: ${unknown.join(', ')}`);
+    }
+    
+    const dynamic = groups.filter(g => g.type === 'dynamic' && groupIds.includes(g.id));
+    if (dynamic.length > 0) {
+      throw new Error(`Invalid groups: membership of dynamic groups is rule-based (${dynamic.map(g => g.name).join(', ')})`);
+    }
+    
+    return deviceManager.updateDevice(remotePcId, device => {
+      device.groups = Array.from(new Set(groupIds));
+    });
+  }
+
+  /**
+   * Replace the tags of a device
+   * @param {string} remotePcId - Device identifier
+   * @param {Array|string} tags - Tags (array or comma-separated string)
+   * @returns {Promise<Object>} Updated device
+   */
+  async setDeviceTags(remotePcId, tags) {
+    const normalized = normalizeTags(tags);
+    
+    return deviceManager.updateDevice(remotePcId, device => {
+      device.tags = normalized;
+    });
+  }
+
+  /**
+   * Get every tag in use with its device count
+   * @returns {Promise<Array>} Tags sorted by name
+   */
+  async getAllTags() {
+    const devices = await deviceManager.getAllDevices();
+    const counts = new Map();
+    
+    for (const device of devices) {
+      for (const tag of device.tags || []) {
+        const key = tag.toLowerCase();
+        const entry = counts.get(key) || { tag, deviceCount: 0 };
+        entry.deviceCount++;
+        counts.set(key, entry);
+      }
+    }
+    
+    return Array.from(counts.values()).sort((a, b) => a.tag.localeCompare(b.tag));
+  }
+
+  /**
+   * Filter devices by group and tags
+   * @param {Array} devices - Devices to filter
+   * @param {Object} filters - { group, tags }; a device must carry every tag
+   * @returns {Promise<Array>} Matching devices
+   */
+  async filterDevices(devices, filters = {}) {
+    const { group } = filters;
+    const tags = normalizeTags(filters.tags || []).map(tag => tag.toLowerCase());
+    const groups = await this.loadGroups();
+    const selectedGroup = group && group !== UNGROUPED ? groups.find(g => g.id === group) : null;
+    const now = Date.now();
+    
+    if (group && group !== UNGROUPED && !selectedGroup) {
+      throw new Error(`Group not found: ${group}`);
+    }
+    
+    return devices.filter(device => {
+      // "Ungrouped" refers to static groups only
+      if (group === UNGROUPED && (device.groups || []).length > 0) {
+        return false;
+      }
+      
+      if (selectedGroup && !isMember(device, selectedGroup, now)) {
+        return false;
+      }
+      
+      if (tags.length > 0) {
+        const deviceTags = (device.tags || []).map(tag => tag.toLowerCase());
+        if (!tags.every(tag => deviceTags.includes(tag))) {
+          return false;
+        }
+      }
+      
+      return true;
+    });
+  }
+
+  /**
+   * Normalize tags: trim, drop empties and case-insensitive duplicates
+   * @param {Array|string} tags - Tags (array or comma-separated string)
+   * @returns {Array} Normalized tags
+   */
+  normalizeTags(tags) {
+    return normalizeTags(tags);
+  }
+
+  /**
+   * Persist the groups collection and refresh the in-memory copy
+   * @param {Array} groups - Groups
+   */
+  async saveGroups(groups) {
+    await deviceManager.store.saveCollection(GROUPS_COLLECTION, groups);
+    this.groups = groups;
+  }
+}
+
+/**
+ * Check whether a device belongs to a group
+ * @param {Object} device - Device record
+ * @param {Object} group - Group
+ * @param {number} now - Evaluation time (ms)
+ * @returns {boolean} Membership
+ */
+function isMember(device, group, now) {
+  if (group.type === 'dynamic') {
+    return groupRules.matchesGroup(device, group, now);
+  }
+  return (device.groups || []).includes(group.id);
+}
+
+/**
+ * Validate the match mode of a dynamic group
+ * @param {string} match - 'all' or 'any' (defaults to 'all')
+ * @returns {string} Match mode
+ */
+function validateMatch(match) {
+  const mode = match || 'all';
+  if (!MATCH_MODES.includes(mode)) {
+    throw new Error(`Invalid match mode: ${match}`);
+  }
+  return mode;
+}
+
+/**
+ * Validate a group name and check it is unique
+ * @param {string} name - Proposed name
+ * @param {Array} otherGroups - Groups the name must not collide with
+ * @returns {string} Trimmed name
+ */
+function validateGroupName(name, otherGroups) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  
+  if (!trimmed) {
+    throw new Error('Invalid group name: name is required');
+  }
+  
+  if (trimmed.length > MAX_GROUP_NAME_LENGTH) {
+    throw new Error(`Invalid group name: must be at most ${MAX_GROUP_NAME_LENGTH} characters`);
+  }
+  
+  if (otherGroups.some(g => g.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw new Error(`Group already exists: ${trimmed}`);
+  }
+  
+  return trimmed;
+}
+
+/**
+ * Normalize tags: trim, drop empties and case-insensitive duplicates
+ * @param {Array|string} tags - Tags (array or comma-separated string)
+ * @returns {Array} Normalized tags
+ */
+function normalizeTags(tags) {
+  const list = typeof tags === 'string' ? tags.split(',') : tags;
+  
+  if (!Array.isArray(list)) {
+    throw new Error('Invalid tags: expected an array or comma-separated string');
+  }
+  
+  const seen = new Set();
+  const normalized = [];
+  
+  for (const raw of list) {
+    const tag = String(raw).trim();
+    if (!tag || seen.has(tag.toLowerCase())) continue;
+    
+    if (tag.length > MAX_TAG_LENGTH) {
+      throw new Error(`Invalid tag "${tag}": must be at most ${MAX_TAG_LENGTH} characters`);
+    }
+    
+    seen.add(tag.toLowerCase());
+    normalized.push(tag);
+  }
+  
+  if (normalized.length > MAX_TAGS_PER_DEVICE) {
+    throw new Error(`Invalid tags: at most ${MAX_TAGS_PER_DEVICE} tags per device`);
+  }
+  
+  return normalized;
+}
+
+// Create and export singleton instance
+module.exports = (function() {
+  if (!instance) {
+    instance = new GroupManager();
+  }
+  return instance;
+})();
@@ -0,0 +1,269 @@
+/**
+ * Group Rules
+ * Parses and evaluates the rules behind dynamic device groups
+ *
+ * A rule is { field, operator, value, forMs } where field is a dot path into
+ * the device record (e.g. metadata.osVersion). Rules can also be written as
+ * expressions, for example:
+ *   metadata.osVersion contains "19045"
+ *   status = offline for > 7d
+ *   systemName matches LAPTOP-*
+ */
+
+// Operators and their expression spellings
+const OPERATORS = {
+  eq: ['=', '==', 'is', 'equals'],
+  neq: ['!=', '<>', 'not'],
+  contains: ['contains'],
+  notContains: ['!contains', 'notcontains'],
+  startsWith: ['startswith'],
+  endsWith: ['endswith'],
+  matches: ['matches', 'like'],
+  gt: ['>'],
+  gte: ['>='],
+  lt: ['<'],
+  lte: ['<='],
+  exists: ['exists']
+};
+
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+const MAX_RULES = 20;
+
+/**
+ * Parse a duration such as 15m, 12h or 7d
+ * @param {string|number} duration - Duration string or milliseconds
+ * @returns {number} Milliseconds
+ */
+function parseDuration(duration) {
+  if (typeof duration === 'number' && duration >= 0) {
+    return duration;
+  }
+  
+  const match = /^(\d+)\s*([smhdw])$/i.exec(String(duration).trim());
+  if (!match) {
+    throw new Error(`Invalid duration "${duration}": use a number followed by s, m, h, d or w`);
+  }
+  
+  return parseInt(match[1], 10) * DURATION_UNITS[match[2].toLowerCase()];
+}
+
+/**
+ * Parse a rule expression into a rule object
+ * Grammar: <field> <operator> [<value>] [for > <duration>]
+ * @param {string} expression - Rule expression
+ * @returns {Object} Rule
+ */
+function parseRuleExpression(expression) {
+  const text = String(expression).trim();
+  const match = /^([A-Za-z_][\w.]*)\s+(\S+)(?:\s+("(?:[^"\\]|\\.)*"|'[^']*'|\S+))?(?:\s+for\s*>\s*(\S+))?$/i.exec(text);
+  
+  if (!match) {
+    throw new Error(`Invalid rule "${text}": expected <field> <operator> <value> [for > <duration>]`);
+  }
+  
+  const [, field, operatorToken, rawValue, duration] = match;
+  const operator = Object.keys(OPERATORS)
+    .find(key => OPERATORS[key].includes(operatorToken.toLowerCase()));
+  
+  if (!operator) {
+    throw new Error(`Invalid rule "${text}": unknown operator "${operatorToken}"`);
+  }
+  
+  let value = rawValue;
+  if (value && /^(["']).*\1$/.test(value)) {
+    value = value.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+  
+  const rule = { field, operator };
+  if (value !== undefined) rule.value = value;
+  if (duration) rule.forMs = parseDuration(duration);
+  
+  return validateRule(rule);
+}
+
+/**
+ * Validate a rule object
+ * @param {Object} rule - Rule
+ * @returns {Object} Normalized rule
+ */
+function validateRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('Invalid rule: expected an object or expression');
+  }
+  
+  const { field, operator, value } = rule;
+  
+  if (typeof field !== 'string' || !/^[A-Za-z_][\w.]*$/.test(field)) {
+    throw new Error(`Invalid rule field: ${field}`);
+  }
+  
+  if (!OPERATORS[operator]) {
+    throw new Error(`Invalid rule operator: ${operator}`);
+  }
+  
+  if (operator !== 'exists' && (value === undefined || value === null || value === '')) {
+    throw new Error(`Invalid rule for ${field}: a value is required`);
+  }
+  
+  const normalized = { field, operator };
+  if (operator !== 'exists') normalized.value = String(value);
+  
+  if (rule.forMs !== undefined || rule.for !== undefined) {
+    // "for" only makes sense for fields with a change timestamp
+    if (field !== 'status') {
+      throw new Error(`Invalid rule for ${field}: "for" is only supported on status`);
+    }
+    normalized.forMs = parseDuration(rule.forMs !== undefined ? rule.forMs : rule.for);
+  }
+  
+  return normalized;
+}
+
+/**
+ * Validate a list of rules, parsing any expressions
+ * @param {Array} rules - Rule objects or expressions
+ * @returns {Array} Normalized rules
+ */
+function validateRules(rules) {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    throw new Error('Invalid rules: a dynamic group needs at least one rule');
+  }
+  
+  if (rules.length > MAX_RULES) {
+    throw new Error(`Invalid rules: at most ${MAX_RULES} rules per group`);
+  }
+  
+  return rules.map(rule => (typeof rule === 'string' ? parseRuleExpression(rule) : validateRule(rule)));
+}
+
+/**
+ * Read a dot-path field from a device, matching keys case-insensitively
+ * (agents have reported both osVersion and OSversion)
+ * @param {Object} device - Device record
+ * @param {string} field - Dot path
+ * @returns {any} Field value or undefined
+ */
+function getField(device, field) {
+  return field.split('.').reduce((current, key) => {
+    if (current === null || current === undefined || typeof current !== 'object') {
+      return undefined;
+    }
+    if (key in current) {
+      return current[key];
+    }
+    const actualKey = Object.keys(current).find(k => k.toLowerCase() === key.toLowerCase());
+    return actualKey !== undefined ? current[actualKey] : undefined;
+  }, device);
+}
+
+/**
+ * Compare two values numerically, or as dates when both parse as dates
+ * @returns {number|null} Comparison result or null if not comparable
+ */
+function compareValues(actual, expected) {
+  const a = Number(actual);
+  const b = Number(expected);
+  if (!isNaN(a) && !isNaN(b) && actual !== '' && actual !== null) {
+    return a - b;
+  }
+  
+  const dateA = Date.parse(actual);
+  const dateB = Date.parse(expected);
+  if (!isNaN(dateA) && !isNaN(dateB)) {
+    return dateA - dateB;
+  }
+  
+  return null;
+}
+
+/**
+ * Convert a glob (LAPTOP-*, PC-??) into a case-insensitive regular expression
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Regular expression
+ */
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp('^' + escaped.replace(/\*/g, '.*').replace(/\?/g, '.') + '$', 'i');
+}
+
+/**
+ * Evaluate a single rule against a device
+ * @param {Object} device - Device record
+ * @param {Object} rule - Rule
+ * @param {number} now - Evaluation time (ms)
+ * @returns {boolean} Whether the device matches
+ */
+function evaluateRule(device, rule, now = Date.now()) {
+  const actual = getField(device, rule.field);
+  
+  if (rule.operator === 'exists') {
+    return actual !== undefined && actual !== null && actual !== '';
+  }
+  
+  // Array fields (tags, groups) match if any element matches
+  if (Array.isArray(actual)) {
+    return actual.some(item => evaluateRule({ value: item }, { ...rule, field: 'value', forMs: undefined }, now));
+  }
+  
+  const text = actual === undefined || actual === null ? '' : String(actual).toLowerCase();
+  const expected = String(rule.value).toLowerCase();
+  let matched;
+  
+  switch (rule.operator) {
+    case 'eq': matched = text === expected; break;
+    case 'neq': matched = text !== expected; break;
+    case 'contains': matched = text.includes(expected); break;
+    case 'notContains': matched = !text.includes(expected); break;
+    case 'startsWith': matched = text.startsWith(expected); break;
+    case 'endsWith': matched = text.endsWith(expected); break;
+    case 'matches': matched = globToRegExp(rule.value).test(String(actual || '')); break;
+    default: {
+      const comparison = compareValues(actual, rule.value);
+      if (comparison === null) return false;
+      matched = {
+        gt: comparison > 0,
+        gte: comparison >= 0,
+        lt: comparison < 0,
+        lte: comparison <= 0
+      }[rule.operator];
+    }
+  }
+  
+  if (matched && rule.forMs) {
+    const since = Date.parse(device.lastStatusChange || device.lastSeen);
+    return !isNaN(since) && now - since > rule.forMs;
+  }
+  
+  return matched;
+}
+
+/**
+ * Evaluate a dynamic group's rules against a device
+ * @param {Object} device - Device record
+ * @param {Object} group - Group with rules and match ('all' or 'any')
+ * @param {number} now - Evaluation time (ms)
+ * @returns {boolean} Whether the device belongs to the group
+ */
+function matchesGroup(device, group, now = Date.now()) {
+  const rules = group.rules || [];
+  if (rules.length === 0) return false;
+  
+  return group.match === 'any'
+    ? rules.some(rule => evaluateRule(device, rule, now))
+    : rules.every(rule => evaluateRule(device, rule, now));
+}
+
+module.exports = {
+  parseDuration,
+  parseRuleExpression,
+  validateRules,
+  evaluateRule,
+  matchesGroup
+};
@@ -1,23 +1,41 @@
 /**
  * Health Monitor Service
- * Monitors device health and connectivity status
+ * Periodic fleet checks (alert rules, monitoring summaries) and health reporting.
+ * Device status itself is decided by the presence engine.
  * Updated for file-based storage and Windows app compatibility
  * Changed to use remotePcId consistently with Windows app
  */
 const fs = require('fs').promises;
 const path = require('path');
+const Joi = require('joi');
 const logger = require('../../utils/logger');
 const deviceManager = require('./deviceManager');
+const alertManager = require('./alertManager');
+const retentionManager = require('./retentionManager');
+const accessControl = require('./accessControl');
+const dayLog = require('../../utils/dayLog');
 
 // Constants
 const HEALTH_DATA_DIR = path.join(__dirname, '../../data/health');
 const MONITOR_INTERVAL = 60000; // 1 minute
-// Status thresholds aligned exactly with Windows app (ConnectionSettings.cs)
-const STATUS_THRESHOLDS = {
-  OFFLINE: 300000, // 5 minutes (300000ms) - matches Windows app setting
-  IDLE: 60000      // 1 minute (60000ms) - matches Windows app setting
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_HISTORY_DAYS = 366;
+// Fleet history bucket sizes, and the longest range each is picked for by 'auto'
+const HISTORY_BUCKETS = {
+  '5m': { ms: 5 * 60 * 1000, autoUpTo: DAY },
+  '15m': { ms: 15 * 60 * 1000, autoUpTo: 3 * DAY },
+  '1h': { ms: 60 * 60 * 1000, autoUpTo: 14 * DAY },
+  '6h': { ms: 6 * 60 * 60 * 1000, autoUpTo: 90 * DAY },
+  '1d': { ms: DAY, autoUpTo: Infinity }
 };
 
+// Fleet history query schema
+const historyQuerySchema = Joi.object({
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  bucket: Joi.string().valid('auto', ...Object.keys(HISTORY_BUCKETS)).default('auto')
+});
+
 // Ensure health data directory exists
 async function initializeDirectory() {
   try {
@@ -51,9 +69,7 @@ function startMonitoring(io) {
   const timerId = setInterval(() => monitorAllDevices(io), MONITOR_INTERVAL);
   monitoringTimers.set('global', timerId);
   
-  logger.info('Health monitoring service started with thresholds: offline=' + 
-              (STATUS_THRESHOLDS.OFFLINE/1000) + 's, idle=' + 
-              (STATUS_THRESHOLDS.IDLE/1000) + 's');
+  logger.info('Health monitoring service started');
 }
 
 /**
@@ -77,13 +93,11 @@ async function monitorAllDevices(io) {
   try {
     const devices = await deviceManager.getAllDevices();
     
-    // Process each device
-    for (const device of devices) {
-      try {
-        await checkDeviceHealth(device, io);
-      } catch (err) {
-        logger.error(`Error checking device ${device.remotePcId} health:`, err);
-      }
+    // Evaluate alert rules against the current statuses
+    try {
+      await alertManager.evaluate(devices, io);
+    } catch (err) {
+      logger.error('Error evaluating alert rules:', err);
     }
     
     // Save monitoring summary
@@ -93,101 +107,6 @@ async function monitorAllDevices(io) {
   }
 }
 
-/**
- * Check health of a specific device
- * @param {Object} device - Device data
- * @param {Object} io - Socket.IO instance for notifications
- */
-async function checkDeviceHealth(device, io) {
-  const now = new Date();
-  let newStatus = device.status;
-  let statusChanged = false;
-  
-  // Skip if device has no last seen timestamp
-  if (!device.lastSeen) {
-    return;
-  }
-  
-  const lastSeen = new Date(device.lastSeen);
-  const timeSinceLastSeen = now - lastSeen;
-  
-  // Determine new status based on thresholds
-  if (timeSinceLastSeen > STATUS_THRESHOLDS.OFFLINE) {
-    if (device.status !== 'offline') {
-      newStatus = 'offline';
-      statusChanged = true;
-    }
-  } else if (timeSinceLastSeen > STATUS_THRESHOLDS.IDLE) {
-    if (device.status !== 'idle') {
-      newStatus = 'idle';
-      statusChanged = true;
-    }
-  } else if (device.status !== 'online') {
-    // Device was offline/idle but has been seen recently
-    newStatus = 'online';
-    statusChanged = true;
-  }
-  
-  // Update status if changed
-  if (statusChanged) {
-    await deviceManager.updateDeviceStatus(device.remotePcId, newStatus);
-    
-    // Log status change
-    logger.info(`Device ${device.remotePcId} status changed: ${device.status} -> ${newStatus}`);
-    
-    // Notify clients if io provided
-    if (io) {
-      io.emit('device-status-update', {
-        remotePcId: device.remotePcId,
-        status: newStatus,
-        timestamp: now.toISOString()
-      });
-    }
-    
-    // Record health event
-    await recordHealthEvent(device.remotePcId, {
-      type: 'status_change',
-      oldStatus: device.status,
-      newStatus,
-      timestamp: now.toISOString()
-    });
-  }
-}
-
-/**
- * Record health event for a device
- * @param {String} remotePcId - Device identifier
- * @param {Object} event - Event data
- */
-async function recordHealthEvent(remotePcId, event) {
-  try {
-    // Create device health directory if needed
-    const deviceHealthDir = path.join(HEALTH_DATA_DIR, remotePcId);
-    await fs.mkdir(deviceHealthDir, { recursive: true });
-    
-    // Build log file path with current date
-    const today = new Date().toISOString().split('T')[0];
-    const logFilePath = path.join(deviceHealthDir, `${today}.json`);
-    
-    // Load existing events or create new array
-    let events = [];
-    try {
-      const data = await fs.readFile(logFilePath, 'utf8');
-      events = JSON.parse(data);
-    } catch (err) {
-      // File doesn't exist or invalid JSON, start with empty array
-    }
-    
-    // Add new event
-    events.push(event);
-    
-    // Save updated events
-    await fs.writeFile(logFilePath, JSON.stringify(events, null, 2));
-  } catch (error) {
-    logger.error(`Error recording health event for ${remotePcId}:`, error);
-  }
-}
-
 /**
  * Save monitoring summary
  * @param {Array} devices - All devices
@@ -203,28 +122,9 @@ async function saveMonitoringSummary(devices) {
       offlineDevices: devices.filter(d => d.status === 'offline').length
     };
     
-    // Save summary to file
+    // Append summary to today's file; old days are archived and pruned by the retention job
     const today = new Date().toISOString().split('T')[0];
-    const summaryFilePath = path.join(HEALTH_DATA_DIR, `summary_${today}.json`);
-    
-    // Load existing summaries or create new array
-    let summaries = [];
-    try {
-      const data = await fs.readFile(summaryFilePath, 'utf8');
-      summaries = JSON.parse(data);
-    } catch (err) {
-      // File doesn't exist or invalid JSON, start with empty array
-    }
-    
-    // Add new summary
-    summaries.push(summary);
-    
-    // Save updated summaries (keep only last 1440 entries - 24 hours at 1 min intervals)
-    if (summaries.length > 1440) {
-      summaries = summaries.slice(-1440);
-    }
-    
-    await fs.writeFile(summaryFilePath, JSON.stringify(summaries, null, 2));
+    await dayLog.appendRecord(path.join(HEALTH_DATA_DIR, `summary_${today}`), summary);
   } catch (error) {
     logger.error('Error saving monitoring summary:', error);
   }
@@ -244,39 +144,9 @@ async function getDeviceHealth(remotePcId, options = {}) {
     }
     
     const { date, limit } = options;
-    const deviceHealthDir = path.join(HEALTH_DATA_DIR, remotePcId);
-    
-    // Check if health data directory exists
-    try {
-      await fs.access(deviceHealthDir);
-    } catch (err) {
-      return { events: [] }; // No health data, return empty events
-    }
     
-    // Get event files
-    const files = await fs.readdir(deviceHealthDir);
-    const eventFiles = files.filter(file => file.endsWith('.json'));
-    
-    // Filter by date if specified
-    let filteredFiles = eventFiles;
-    if (date) {
-      filteredFiles = eventFiles.filter(file => file.startsWith(date));
-    } else {
-      // Get latest file
-      filteredFiles.sort().reverse();
-      filteredFiles = filteredFiles.slice(0, 1);
-    }
-    
-    // Read event files
-    const events = [];
-    for (const file of filteredFiles) {
-      const data = await fs.readFile(path.join(deviceHealthDir, file), 'utf8');
-      const fileEvents = JSON.parse(data);
-      events.push(...fileEvents);
-    }
-    
-    // Apply limit if specified
-    const limitedEvents = limit ? events.slice(0, limit) : events;
+    // Get events for the requested (or latest) day
+    const limitedEvents = await deviceManager.getHealthEvents(remotePcId, { date, limit });
     
     // Get current device data
     let device;
@@ -299,26 +169,36 @@ async function getDeviceHealth(remotePcId, options = {}) {
 /**
  * Get system health summary
  * @param {Object} options - Query options
+ * @param {Object} user - Authenticated user; devices only lists devices the user can view
  * @returns {Promise<Object>} Health summary
  */
-async function getSystemHealth(options = {}) {
+async function getSystemHealth(options = {}, user) {
   try {
     const { date } = options;
     
     // Determine which date to use
     const targetDate = date || new Date().toISOString().split('T')[0];
-    const summaryFilePath = path.join(HEALTH_DATA_DIR, `summary_${targetDate}.json`);
+    
+    // Disk usage of the stored data
+    let storage = null;
+    try {
+      storage = await retentionManager.getStorageStatus();
+    } catch (err) {
+      logger.error(`Error retrieving storage usage: ${err.message}`);
+    }
     
     // Read summary file
     try {
-      const data = await fs.readFile(summaryFilePath, 'utf8');
-      const summaries = JSON.parse(data);
+      const summaries = await dayLog.readRecords(path.join(HEALTH_DATA_DIR, `summary_${targetDate}`));
+      if (summaries.length === 0) {
+        throw new Error('No summaries');
+      }
       
       // Get latest summary
       const latestSummary = summaries[summaries.length - 1];
       
-      // Get all devices
-      const devices = await deviceManager.getAllDevices();
+      // Get the devices the user can view
+      const devices = await accessControl.filterDevices(user, await deviceManager.getAllDevices());
       
       return {
         timestamp: new Date().toISOString(),
@@ -329,7 +209,8 @@ async function getSystemHealth(options = {}) {
           systemName: d.systemName,
           status: d.status,
           lastSeen: d.lastSeen
-        }))
+        })),
+        storage
       };
     } catch (err) {
       // No summary file, return empty data
@@ -342,7 +223,8 @@ async function getSystemHealth(options = {}) {
           offlineDevices: 0
         },
         history: [],
-        devices: []
+        devices: [],
+        storage
       };
     }
   } catch (error) {
@@ -351,10 +233,139 @@ async function getSystemHealth(options = {}) {
   }
 }
 
+/**
+ * Get fleet status counts over time, aggregated from the monitoring summaries
+ * @param {Object} query - { from, to } (ISO dates, default last 24 hours), bucket ('auto', '5m', '15m', '1h', '6h' or '1d')
+ * @param {Object} user - Authenticated user; wentOffline only lists devices the user can view
+ * @returns {Promise<Object>} { from, to, bucket, points, wentOffline }
+ */
+async function getSystemHealthHistory(query, user) {
+  const { error, value } = historyQuerySchema.validate(query, { abortEarly: false });
+  
+  if (error) {
+    throw new Error(`Invalid history query: ${error.details.map(d => d.message).join('; ')}`);
+  }
+  
+  const to = value.to || new Date();
+  const from = value.from || new Date(to.getTime() - DAY);
+  
+  if (from >= to) {
+    throw new Error('Invalid history query: "from" must be before "to"');
+  }
+  
+  if (to - from > MAX_HISTORY_DAYS * DAY) {
+    throw new Error(`Invalid history query: range is limited to ${MAX_HISTORY_DAYS} days`);
+  }
+  
+  const bucket = value.bucket === 'auto'
+    ? Object.keys(HISTORY_BUCKETS).find(key => to - from <= HISTORY_BUCKETS[key].autoUpTo)
+    : value.bucket;
+  const bucketMs = HISTORY_BUCKETS[bucket].ms;
+  
+  // Average the snapshots of each bucket; buckets without snapshots are left out
+  const buckets = new Map();
+  for (const summary of await readMonitoringSummaries(from, to)) {
+    const start = Math.floor(new Date(summary.timestamp).getTime() / bucketMs) * bucketMs;
+    if (!buckets.has(start)) {
+      buckets.set(start, { samples: 0, online: 0, idle: 0, offline: 0, total: 0 });
+    }
+    
+    const totals = buckets.get(start);
+    totals.samples++;
+    totals.online += summary.onlineDevices || 0;
+    totals.idle += summary.idleDevices || 0;
+    totals.offline += summary.offlineDevices || 0;
+    totals.total += summary.totalDevices || 0;
+  }
+  
+  const points = [...buckets.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([start, totals]) => ({
+      t: new Date(start).toISOString(),
+      samples: totals.samples,
+      online: average(totals.online, totals.samples),
+      idle: average(totals.idle, totals.samples),
+      offline: average(totals.offline, totals.samples),
+      total: average(totals.total, totals.samples)
+    }));
+  
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    bucket,
+    points,
+    wentOffline: await getDevicesWentOffline(from, to, user)
+  };
+}
+
+/**
+ * Read the monitoring summaries written in a time range
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Promise<Array>} Summaries, oldest first
+ */
+async function readMonitoringSummaries(from, to) {
+  const fromDay = from.toISOString().split('T')[0];
+  const toDay = to.toISOString().split('T')[0];
+  const summaries = [];
+  
+  for (const entry of await dayLog.listDays(HEALTH_DATA_DIR, 'summary_')) {
+    if (entry.day < fromDay || entry.day > toDay) continue;
+    
+    for (const summary of await dayLog.readRecords(entry.basePath)) {
+      const time = new Date(summary.timestamp);
+      if (time >= from && time < to) summaries.push(summary);
+    }
+  }
+  
+  return summaries;
+}
+
+/**
+ * List the devices that went offline in a time range
+ * Status changes during maintenance windows are not counted.
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Array>} { remotePcId, systemName, status, wentOfflineAt, count }, most recent first
+ */
+async function getDevicesWentOffline(from, to, user) {
+  const devices = await accessControl.filterDevices(user, await deviceManager.getAllDevices());
+  const result = [];
+  
+  for (const device of devices) {
+    const changes = (await deviceManager.store.getHealthEventRange(device.remotePcId, { from, to }))
+      .filter(event => event.type === 'status_change' && event.newStatus === 'offline' && !event.maintenanceWindowId);
+    
+    if (changes.length === 0) continue;
+    
+    result.push({
+      remotePcId: device.remotePcId,
+      systemName: device.systemName || device.remotePcId,
+      status: device.status,
+      wentOfflineAt: changes[changes.length - 1].timestamp,
+      count: changes.length
+    });
+  }
+  
+  return result.sort((a, b) => new Date(b.wentOfflineAt) - new Date(a.wentOfflineAt));
+}
+
+/**
+ * Average rounded to two decimals
+ * @param {number} sum - Sum
+ * @param {number} count - Number of values
+ * @returns {number} Average
+ */
+function average(sum, count) {
+  return Math.round((sum / count) * 100) / 100;
+}
+
 module.exports = {
   startMonitoring,
   stopMonitoring,
   monitorAllDevices,
   getDeviceHealth,
-  getSystemHealth
+  getSystemHealth,
+  getSystemHealthHistory
 };
\ No newline at end of file
@@ -0,0 +1,377 @@
+/**
+ * Heartbeat Quality Service
+ * Tracks the inter-arrival times of each device's heartbeats as a proxy for
+ * its network quality.
+ *
+ * Every device learns a baseline (mean interval and jitter, the mean change
+ * between consecutive intervals) from its own heartbeats. The recent window is
+ * compared against that baseline and against the device's idle threshold to
+ * give a connection quality score from 0 to 100:
+ *   - up to 50 points off as the slowest intervals approach the idle threshold
+ *   - up to 25 points off when intervals drift above the baseline
+ *   - up to 25 points off for jitter, relative to the baseline interval
+ * A device is anomalous while its intervals come close to the idle threshold,
+ * drift well above the baseline or get much more jittery than usual. The
+ * baseline only learns while the quality is good, so a slow creep is not
+ * absorbed into it.
+ *
+ * State is kept in memory and saved on the device record (connectionQuality)
+ * when the rating or anomaly changes and every PERSIST_EVERY heartbeats, so
+ * baselines survive restarts.
+ */
+const logger = require('../../utils/logger');
+const config = require('../../config/app');
+const deviceManager = require('./deviceManager');
+const statusThresholds = require('./statusThresholds');
+const { KeyedQueue } = require('../../utils/atomicFile');
+
+// Constants
+const MIN_INTERVAL = 1000; // Closer heartbeats are duplicates (e.g. ping packet and ping event)
+const MIN_RECENT_SAMPLES = 5;
+const MIN_BASELINE_SAMPLES = 10;
+const PERSIST_EVERY = 20;
+const THRESHOLD_CACHE_TTL = 5 * 60 * 1000;
+const GOOD_SCORE = 80;
+const FAIR_SCORE = 50;
+// Anomaly triggers
+const NEAR_IDLE_RATIO = 0.8; // 90th percentile interval above 80% of the idle threshold
+const DRIFT_RATIO = 1.5; // Mean interval 50% above the baseline
+const JITTER_RATIO = 3; // Jitter three times the baseline jitter...
+const JITTER_FLOOR = 0.1; // ...and at least 10% of the baseline interval
+// Heartbeat sources; an agent sending explicit heartbeat events is measured on those alone
+const SOURCES = ['heartbeat', 'ping'];
+
+// Singleton instance
+let instance = null;
+
+class HeartbeatQualityTracker {
+  constructor() {
+    // remotePcId -> tracking state (see createState)
+    this.states = new Map();
+    // Serializes the heartbeats of one device
+    this.queue = new KeyedQueue();
+  }
+
+  /**
+   * Record the arrival of a heartbeat
+   * @param {string} remotePcId - Device identifier
+   * @param {string} source - 'heartbeat' (explicit event) or 'ping' (Engine.IO / Socket.IO ping)
+   * @param {Date} now - Arrival time
+   * @returns {Promise<Object|null>} Quality snapshot, or null when the heartbeat gave no interval
+   */
+  async recordHeartbeat(remotePcId, source, now = new Date()) {
+    if (!SOURCES.includes(source)) {
+      throw new Error(`Invalid heartbeat source: ${source}`);
+    }
+    
+    return this.queue.run(remotePcId, async () => {
+      const device = await deviceManager.findDevice(remotePcId);
+      if (!device) return null;
+      
+      const state = this.getState(device);
+      
+      if (state.source !== source) {
+        // Pings are ignored once the agent is known to send heartbeat events
+        if (state.source === 'heartbeat') return null;
+        state.source = source;
+        state.lastArrival = null;
+        state.recent = [];
+      }
+      
+      const previousArrival = state.lastArrival;
+      const interval = previousArrival ? now - previousArrival : null;
+      
+      if (interval !== null && interval < MIN_INTERVAL) return null;
+      state.lastArrival = now;
+      if (interval === null) return null;
+      
+      const thresholds = await this.getThresholds(state, device, now);
+      
+      // A gap this long means the device was offline, not slow
+      if (interval > thresholds.offlineThreshold) return null;
+      
+      const previousInterval = state.recent.length > 0 ? state.recent[state.recent.length - 1] : null;
+      state.recent.push(interval);
+      if (state.recent.length > config.monitoring.heartbeatQualityWindow) {
+        state.recent.shift();
+      }
+      
+      const previous = { rating: state.quality.rating, anomaly: state.quality.anomaly };
+      state.quality = evaluate(state, thresholds.idleThreshold);
+      
+      if (state.quality.rating === 'good' || state.quality.rating === 'unknown') {
+        learnBaseline(state.baseline, interval, previousInterval);
+      }
+      
+      state.sinceSave++;
+      
+      if (state.quality.anomaly !== previous.anomaly) {
+        state.anomalySince = state.quality.anomaly ? now.toISOString() : null;
+        await this.recordAnomalyChange(remotePcId, state, now);
+      }
+      
+      const snapshot = createSnapshot(state, thresholds.idleThreshold, now);
+      
+      if (state.quality.anomaly !== previous.anomaly || state.quality.rating !== previous.rating ||
+          state.sinceSave >= PERSIST_EVERY) {
+        state.sinceSave = 0;
+        await deviceManager.updateDevice(remotePcId, d => {
+          d.connectionQuality = snapshot;
+        });
+      }
+      
+      state.snapshot = snapshot;
+      return snapshot;
+    });
+  }
+
+  /**
+   * Forget the last arrival when a device's socket closes
+   * The reconnection gap is not a heartbeat interval.
+   * @param {string} remotePcId - Device identifier
+   */
+  connectionClosed(remotePcId) {
+    const state = this.states.get(remotePcId);
+    if (state) {
+      state.lastArrival = null;
+    }
+  }
+
+  /**
+   * Get a device's current connection quality
+   * @param {Object} device - Device data
+   * @returns {Object|null} Quality snapshot (live, or as last saved), or null if never measured
+   */
+  getQuality(device) {
+    const state = this.states.get(device.remotePcId);
+    return (state && state.snapshot) || device.connectionQuality || null;
+  }
+
+  /**
+   * Get the short form of a device's connection quality for device lists
+   * @param {Object} device - Device data
+   * @returns {Object|null} { score, rating, anomaly }, or null if never measured
+   */
+  getSummary(device) {
+    const quality = this.getQuality(device);
+    return quality ? { score: quality.score, rating: quality.rating, anomaly: quality.anomaly } : null;
+  }
+
+  /**
+   * Get or create the tracking state of a device, restoring a saved baseline
+   * @param {Object} device - Device data
+   * @returns {Object} State
+   */
+  getState(device) {
+    if (!this.states.has(device.remotePcId)) {
+      const saved = device.connectionQuality || {};
+      this.states.set(device.remotePcId, createState(saved));
+    }
+    return this.states.get(device.remotePcId);
+  }
+
+  /**
+   * Resolve a device's idle and offline thresholds, cached for a few minutes
+   * @param {Object} state - Tracking state
+   * @param {Object} device - Device data
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { idleThreshold, offlineThreshold }
+   */
+  async getThresholds(state, device, now) {
+    if (!state.thresholds || now - state.thresholds.resolvedAt > THRESHOLD_CACHE_TTL) {
+      const resolved = await statusThresholds.resolve(device);
+      state.thresholds = {
+        idleThreshold: resolved.idleThreshold,
+        offlineThreshold: resolved.offlineThreshold,
+        resolvedAt: now
+      };
+    }
+    return state.thresholds;
+  }
+
+  /**
+   * Record the start or end of an anomaly in the device's health history
+   * @param {string} remotePcId - Device identifier
+   * @param {Object} state - Tracking state
+   * @param {Date} now - Current time
+   */
+  async recordAnomalyChange(remotePcId, state, now) {
+    const { quality } = state;
+    
+    if (quality.anomaly) {
+      logger.warn(`Heartbeat anomaly on ${remotePcId}: ${quality.reasons.join(', ')} (score ${quality.score})`);
+    } else {
+      logger.info(`Heartbeats of ${remotePcId} back to normal (score ${quality.score})`);
+    }
+    
+    await deviceManager.recordHealthEvent(remotePcId, {
+      type: quality.anomaly ? 'heartbeat_anomaly' : 'heartbeat_recovered',
+      score: quality.score,
+      reasons: quality.reasons,
+      intervalMs: quality.intervalMs,
+      jitterMs: quality.jitterMs,
+      timestamp: now.toISOString()
+    });
+  }
+}
+
+/**
+ * Create the tracking state of a device
+ * @param {Object} saved - Saved connectionQuality of the device
+ * @returns {Object} State
+ */
+function createState(saved) {
+  const baseline = saved.baseline || {};
+  
+  return {
+    source: SOURCES.includes(saved.source) ? saved.source : null,
+    lastArrival: null,
+    recent: [],
+    baseline: {
+      intervalMs: baseline.intervalMs || 0,
+      jitterMs: baseline.jitterMs || 0,
+      samples: baseline.samples || 0
+    },
+    quality: {
+      score: null,
+      rating: 'unknown',
+      anomaly: Boolean(saved.anomaly),
+      reasons: saved.reasons || []
+    },
+    anomalySince: saved.anomalySince || null,
+    thresholds: null,
+    sinceSave: 0,
+    snapshot: null
+  };
+}
+
+/**
+ * Fold one interval into the baseline
+ * A running average until the baseline is full, then an exponential moving average.
+ * @param {Object} baseline - { intervalMs, jitterMs, samples }
+ * @param {number} interval - Interval (ms)
+ * @param {number|null} previousInterval - Interval before it (ms)
+ */
+function learnBaseline(baseline, interval, previousInterval) {
+  const weight = 1 / Math.min(baseline.samples + 1, config.monitoring.heartbeatBaselineSamples);
+  
+  baseline.intervalMs += (interval - baseline.intervalMs) * weight;
+  if (previousInterval !== null) {
+    baseline.jitterMs += (Math.abs(interval - previousInterval) - baseline.jitterMs) * weight;
+  }
+  baseline.samples++;
+}
+
+/**
+ * Score the recent intervals against the baseline and the idle threshold
+ * @param {Object} state - Tracking state
+ * @param {number} idleThreshold - Device idle threshold (ms)
+ * @returns {Object} { score, rating, anomaly, reasons, intervalMs, jitterMs }
+ */
+function evaluate(state, idleThreshold) {
+  const { recent, baseline } = state;
+  const intervalMs = mean(recent);
+  const jitterMs = mean(recent.slice(1).map((interval, index) => Math.abs(interval - recent[index])));
+  
+  if (recent.length < MIN_RECENT_SAMPLES || baseline.samples < MIN_BASELINE_SAMPLES) {
+    return { score: null, rating: 'unknown', anomaly: false, reasons: [], intervalMs, jitterMs };
+  }
+  
+  const idleRatio = percentile(recent, 0.9) / idleThreshold;
+  const drift = intervalMs / baseline.intervalMs;
+  
+  const score = Math.round(100 -
+    clamp((idleRatio - 0.5) * 100, 0, 50) -
+    clamp((drift - 1) * 50, 0, 25) -
+    clamp((jitterMs / baseline.intervalMs) * 100, 0, 25));
+  
+  const reasons = [];
+  if (idleRatio > NEAR_IDLE_RATIO) reasons.push('near-idle-threshold');
+  if (drift > DRIFT_RATIO) reasons.push('slower');
+  if (jitterMs > Math.max(baseline.jitterMs * JITTER_RATIO, baseline.intervalMs * JITTER_FLOOR)) reasons.push('jitter');
+  
+  // An anomaly ends only once the score is good again, so it does not flap at the trigger points
+  const anomaly = reasons.length > 0 || (state.quality.anomaly && score < GOOD_SCORE);
+  
+  return { score, rating: rate(score), anomaly, reasons, intervalMs, jitterMs };
+}
+
+/**
+ * Build the quality snapshot saved on the device and returned by the API
+ * @param {Object} state - Tracking state
+ * @param {number} idleThreshold - Device idle threshold (ms)
+ * @param {Date} now - Current time
+ * @returns {Object} Snapshot
+ */
+function createSnapshot(state, idleThreshold, now) {
+  const { quality, baseline } = state;
+  
+  return {
+    score: quality.score,
+    rating: quality.rating,
+    anomaly: quality.anomaly,
+    anomalySince: state.anomalySince,
+    reasons: quality.reasons,
+    intervalMs: Math.round(quality.intervalMs),
+    jitterMs: Math.round(quality.jitterMs),
+    samples: state.recent.length,
+    baseline: {
+      intervalMs: Math.round(baseline.intervalMs),
+      jitterMs: Math.round(baseline.jitterMs),
+      samples: baseline.samples
+    },
+    idleThresholdMs: idleThreshold,
+    source: state.source,
+    updatedAt: now.toISOString()
+  };
+}
+
+/**
+ * Rating for a score
+ * @param {number} score - Quality score
+ * @returns {string} 'good', 'fair' or 'poor'
+ */
+function rate(score) {
+  if (score >= GOOD_SCORE) return 'good';
+  if (score >= FAIR_SCORE) return 'fair';
+  return 'poor';
+}
+
+/**
+ * Arithmetic mean
+ * @param {Array<number>} values - Values
+ * @returns {number} Mean (0 for no values)
+ */
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+/**
+ * Nearest-rank percentile
+ * @param {Array<number>} values - Values
+ * @param {number} fraction - Percentile as a fraction (0.9 for p90)
+ * @returns {number} Percentile value
+ */
+function percentile(values, fraction) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1)];
+}
+
+/**
+ * Limit a value to a range
+ * @param {number} value - Value
+ * @param {number} min - Minimum
+ * @param {number} max - Maximum
+ * @returns {number} Clamped value
+ */
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// Create and export singleton instance
+module.exports = (function() {
+  if (!instance) {
+    instance = new HeartbeatQualityTracker();
+  }
+  return instance;
+})();
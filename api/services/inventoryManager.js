@@ -0,0 +1,323 @@
+/**
+ * Inventory Manager Service
+ * Stores hardware and software inventory reported by agents as a versioned
+ * history and computes diffs between snapshots.
+ * A new version is only written when the reported inventory changes.
+ */
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const deviceManager = require('./deviceManager');
+const { KeyedQueue } = require('../../utils/atomicFile');
+
+// Constants
+const MAX_VERSIONS = 50;
+const MAX_LIST_ITEMS = 5000;
+const MAX_STRING_LENGTH = 256;
+
+// List sections and the field that identifies an entry across snapshots
+const LIST_SECTIONS = {
+  disks: item => item.name,
+  networkAdapters: item => item.mac || item.name,
+  software: item => `${item.name}`.toLowerCase(),
+  localUsers: item => `${item.name}`.toLowerCase()
+};
+const OBJECT_SECTIONS = ['cpu', 'memory', 'os'];
+
+// Singleton instance
+let instance = null;
+
+class InventoryManager {
+  constructor() {
+    // Serializes snapshot writes per device
+    this.queue = new KeyedQueue();
+  }
+
+  /**
+   * Record an inventory report from an agent
+   * @param {string} remotePcId - Device identifier
+   * @param {Object} report - Raw inventory payload
+   * @returns {Promise<Object>} { version, changed }
+   */
+  async recordInventory(remotePcId, report) {
+    const inventory = normalizeInventory(report);
+    const hash = hashInventory(inventory);
+    const receivedAt = new Date().toISOString();
+    
+    return this.queue.run(remotePcId, async () => {
+      // Make sure the device exists before storing anything for it
+      await deviceManager.getDeviceByRemotePcId(remotePcId);
+      
+      const snapshots = await deviceManager.store.getInventorySnapshots(remotePcId);
+      const latest = snapshots[snapshots.length - 1];
+      const changed = !latest || latest.hash !== hash;
+      const version = changed ? (latest ? latest.version + 1 : 1) : latest.version;
+      
+      if (changed) {
+        await deviceManager.store.appendInventorySnapshot(remotePcId, {
+          version,
+          hash,
+          collectedAt: pickString(report, 'collectedAt') || null,
+          receivedAt,
+          inventory
+        }, MAX_VERSIONS);
+        
+        logger.info(`Inventory version ${version} stored for ${remotePcId}`);
+      }
+      
+      await deviceManager.updateDevice(remotePcId, device => {
+        device.inventoryVersion = version;
+        device.inventoryReportedAt = receivedAt;
+        if (changed) device.inventoryUpdatedAt = receivedAt;
+      });
+      
+      return { version, changed };
+    });
+  }
+
+  /**
+   * Get an inventory snapshot with the version history and a diff
+   * @param {string} remotePcId - Device identifier
+   * @param {Object} options - { version, compareTo } (defaults: latest vs previous)
+   * @returns {Promise<Object>} { snapshot, versions, diff }
+   */
+  async getInventory(remotePcId, options = {}) {
+    await deviceManager.getDeviceByRemotePcId(remotePcId);
+    
+    const snapshots = await deviceManager.store.getInventorySnapshots(remotePcId);
+    const versions = snapshots.map(s => ({
+      version: s.version,
+      collectedAt: s.collectedAt || null,
+      receivedAt: s.receivedAt
+    })).reverse();
+    
+    if (snapshots.length === 0) {
+      return { snapshot: null, versions, diff: null };
+    }
+    
+    const snapshot = findVersion(snapshots, options.version) || snapshots[snapshots.length - 1];
+    
+    let base;
+    if (options.compareTo !== undefined) {
+      base = findVersion(snapshots, options.compareTo);
+    } else {
+      // Previous stored version
+      const index = snapshots.indexOf(snapshot);
+      base = index > 0 ? snapshots[index - 1] : null;
+    }
+    
+    return {
+      snapshot,
+      versions,
+      diff: base ? {
+        from: base.version,
+        to: snapshot.version,
+        changes: diffInventory(base.inventory, snapshot.inventory)
+      } : null
+    };
+  }
+}
+
+/**
+ * Find a snapshot by version number
+ * @param {Array} snapshots - Snapshots
+ * @param {string|number} version - Version
+ * @returns {Object|undefined} Snapshot
+ */
+function findVersion(snapshots, version) {
+  if (version === undefined || version === null || version === '') {
+    return undefined;
+  }
+
+  const number = parseInt(version, 10);
+  const snapshot = snapshots.find(s => s.version === number);
+  
+  if (!snapshot) {
+    throw new Error(`Inventory version not found: ${version}`);
+  }
+
+  return snapshot;
+}
+
+/**
+ * Read a key from an agent payload, accepting camelCase or PascalCase
+ * (the Windows agent serializes with PascalCase property names)
+ * @param {Object} source - Payload object
+ * @param {string} key - camelCase key
+ * @returns {any} Value or undefined
+ */
+function pick(source, key) {
+  if (!source || typeof source !== 'object') return undefined;
+  if (source[key] !== undefined) return source[key];
+  const actualKey = Object.keys(source).find(k => k.toLowerCase() === key.toLowerCase());
+  return actualKey !== undefined ? source[actualKey] : undefined;
+}
+
+function pickString(source, key) {
+  const value = pick(source, key);
+  if (value === undefined || value === null || value === '') return undefined;
+  return String(value).slice(0, MAX_STRING_LENGTH);
+}
+
+function pickNumber(source, key) {
+  const raw = pick(source, key);
+  if (raw === undefined || raw === null || raw === '') return undefined;
+  const value = Number(raw);
+  return Number.isFinite(value) ? value : undefined;
+}
+
+function pickList(source, key, mapItem) {
+  const value = pick(source, key);
+  if (value === undefined || value === null) return [];
+  
+  if (!Array.isArray(value)) {
+    throw new Error(`Invalid inventory: ${key} must be an array`);
+  }
+
+  if (value.length > MAX_LIST_ITEMS) {
+    throw new Error(`Invalid inventory: ${key} has more than ${MAX_LIST_ITEMS} entries`);
+  }
+
+  return value.filter(item => item && typeof item === 'object').map(mapItem);
+}
+
+/**
+ * Drop undefined fields so snapshots hash and diff consistently
+ */
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Normalize an agent inventory payload
+ * @param {Object} report - Raw payload
+ * @returns {Object} Inventory
+ */
+function normalizeInventory(report) {
+  if (!report || typeof report !== 'object' || Array.isArray(report)) {
+    throw new Error('Invalid inventory: expected an object');
+  }
+
+  const cpu = pick(report, 'cpu') || {};
+  const memory = pick(report, 'memory') || {};
+  const os = pick(report, 'os') || {};
+  
+  const inventory = {
+    cpu: compact({
+      model: pickString(cpu, 'model') || pickString(cpu, 'name'),
+      manufacturer: pickString(cpu, 'manufacturer'),
+      cores: pickNumber(cpu, 'cores'),
+      logicalProcessors: pickNumber(cpu, 'logicalProcessors'),
+      speedMhz: pickNumber(cpu, 'speedMhz')
+    }),
+    memory: compact({
+      totalBytes: pickNumber(memory, 'totalBytes') || pickNumber(report, 'ramBytes')
+    }),
+    os: compact({
+      name: pickString(os, 'name') || pickString(report, 'OSName'),
+      version: pickString(os, 'version') || pickString(report, 'OSversion'),
+      build: pickString(os, 'build'),
+      architecture: pickString(os, 'architecture')
+    }),
+    disks: pickList(report, 'disks', disk => compact({
+      name: pickString(disk, 'name'),
+      model: pickString(disk, 'model'),
+      fileSystem: pickString(disk, 'fileSystem'),
+      // Free space is left out: it changes on every report and would create a new version each time
+      sizeBytes: pickNumber(disk, 'sizeBytes')
+    })).filter(disk => disk.name),
+    networkAdapters: pickList(report, 'networkAdapters', nic => compact({
+      name: pickString(nic, 'name'),
+      mac: (pickString(nic, 'mac') || pickString(nic, 'macAddress') || '').toUpperCase().replace(/-/g, ':') || undefined,
+      ipAddresses: [].concat(pick(nic, 'ipAddresses') || []).map(String).slice(0, 32)
+    })).filter(nic => nic.mac || nic.name),
+    software: pickList(report, 'software', app => compact({
+      name: pickString(app, 'name'),
+      version: pickString(app, 'version'),
+      publisher: pickString(app, 'publisher'),
+      installedOn: pickString(app, 'installedOn')
+    })).filter(app => app.name),
+    localUsers: pickList(report, 'localUsers', user => compact({
+      name: pickString(user, 'name'),
+      fullName: pickString(user, 'fullName'),
+      isAdmin: pick(user, 'isAdmin') === undefined ? undefined : Boolean(pick(user, 'isAdmin')),
+      disabled: pick(user, 'disabled') === undefined ? undefined : Boolean(pick(user, 'disabled')),
+      lastLogon: pickString(user, 'lastLogon')
+    })).filter(user => user.name)
+  };
+  
+  // Stable ordering so reordered reports are not treated as changes
+  for (const [section, keyOf] of Object.entries(LIST_SECTIONS)) {
+    inventory[section].sort((a, b) => String(keyOf(a)).localeCompare(String(keyOf(b))));
+  }
+
+  return inventory;
+}
+
+/**
+ * Hash a normalized inventory
+ * @param {Object} inventory - Inventory
+ * @returns {string} SHA-256 hex digest
+ */
+function hashInventory(inventory) {
+  return crypto.createHash('sha256').update(JSON.stringify(inventory)).digest('hex');
+}
+
+/**
+ * Compare two flat objects field by field
+ * @returns {Array} [{ field, from, to }]
+ */
+function diffFields(before = {}, after = {}) {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+  
+  for (const field of fields) {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes.push({ field, from: before[field], to: after[field] });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Diff two inventories
+ * @param {Object} before - Older inventory
+ * @param {Object} after - Newer inventory
+ * @returns {Object} Changes per section; only sections with changes are included
+ */
+function diffInventory(before, after) {
+  const changes = {};
+  
+  for (const section of OBJECT_SECTIONS) {
+    const fieldChanges = diffFields(before[section], after[section]);
+    if (fieldChanges.length > 0) {
+      changes[section] = fieldChanges;
+    }
+  }
+
+  for (const [section, keyOf] of Object.entries(LIST_SECTIONS)) {
+    const oldItems = new Map((before[section] || []).map(item => [keyOf(item), item]));
+    const newItems = new Map((after[section] || []).map(item => [keyOf(item), item]));
+    
+    const added = [...newItems.keys()].filter(key => !oldItems.has(key)).map(key => newItems.get(key));
+    const removed = [...oldItems.keys()].filter(key => !newItems.has(key)).map(key => oldItems.get(key));
+    const changed = [...newItems.keys()]
+      .filter(key => oldItems.has(key))
+      .map(key => ({ key, changes: diffFields(oldItems.get(key), newItems.get(key)) }))
+      .filter(entry => entry.changes.length > 0);
+    
+    if (added.length || removed.length || changed.length) {
+      changes[section] = { added, removed, changed };
+    }
+  }
+
+  return changes;
+}
+
+// Create and export singleton instance
+module.exports = (function() {
+  if (!instance) {
+    instance = new InventoryManager();
+  }
+  return instance;
+})();
@@ -0,0 +1,423 @@
+/**
+ * Maintenance Manager Service
+ * Scheduled maintenance windows for devices and groups. A window is either
+ * one-off or repeats daily, weekly or monthly; recurrence is computed in UTC.
+ *
+ * While a window is in effect, status-change notifications for the device are
+ * suppressed and remote-control requests can optionally be refused.
+ */
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../../utils/logger');
+const deviceManager = require('./deviceManager');
+const groupManager = require('./groupManager');
+const { KeyedQueue } = require('../../utils/atomicFile');
+
+// Constants
+const WINDOWS_COLLECTION = 'maintenance_windows';
+const FREQUENCIES = ['none', 'daily', 'weekly', 'monthly'];
+const DAY = 24 * 60 * 60 * 1000;
+// Fixed recurrence periods; monthly windows follow the calendar instead
+const PERIODS = { daily: DAY, weekly: 7 * DAY };
+// Shortest gap between two monthly occurrences (e.g. Jan 31 -> Feb 28)
+const SHORTEST_MONTH = 28 * DAY;
+const MAX_DURATION_MINUTES = 31 * 24 * 60;
+const MAX_UPCOMING = 5;
+
+// Window schema - targetId is checked against the device store or groups separately
+const windowSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  targetType: Joi.string().valid('device', 'group').required(),
+  targetId: Joi.string().trim().min(1).max(255).required(),
+  startsAt: Joi.date().iso().required(),
+  durationMinutes: Joi.number().integer().min(1).max(MAX_DURATION_MINUTES).required(),
+  recurrence: Joi.object({
+    frequency: Joi.string().valid(...FREQUENCIES).required(),
+    interval: Joi.number().integer().min(1).max(365).default(1),
+    until: Joi.date().iso().allow(null).default(null)
+  }).default({ frequency: 'none', interval: 1, until: null }),
+  blockRemoteControl: Joi.boolean().default(false),
+  reason: Joi.string().trim().max(500).allow('').default('')
+});
+
+// Singleton instance
+let instance = null;
+
+class MaintenanceManager {
+  constructor() {
+    // In-memory copy of the window collection, loaded on first use
+    this.windows = null;
+    // Serializes changes to the window collection
+    this.queue = new KeyedQueue();
+  }
+
+  /**
+   * Load maintenance windows from the store if not already loaded
+   * @returns {Promise<Array>} Windows
+   */
+  async loadWindows() {
+    if (!this.windows) {
+      await deviceManager.ready;
+      this.windows = await deviceManager.store.getCollection(WINDOWS_COLLECTION);
+    }
+    return this.windows;
+  }
+
+  /**
+   * List maintenance windows with their current and next occurrence
+   * @param {Object} filters - { targetType, targetId, active }
+   * @returns {Promise<Array>} Windows
+   */
+  async listWindows(filters = {}) {
+    const windows = await this.loadWindows();
+    const now = new Date();
+    
+    return windows
+      .filter(w =>
+        (!filters.targetType || w.targetType === filters.targetType) &&
+        (!filters.targetId || w.targetId === filters.targetId)
+      )
+      .map(w => describeWindow(w, now))
+      .filter(w => filters.active === undefined || Boolean(w.activeUntil) === filters.active);
+  }
+
+  /**
+   * Create a maintenance window
+   * @param {Object} data - Window definition
+   * @param {string|number} userId - Creating user
+   * @returns {Promise<Object>} Created window
+   */
+  async createWindow(data, userId) {
+    const definition = await validateWindow(data);
+    
+    return this.queue.run(WINDOWS_COLLECTION, async () => {
+      const windows = await this.loadWindows();
+      
+      const window = {
+        id: uuidv4(),
+        ...definition,
+        createdBy: userId || null,
+        createdAt: new Date().toISOString()
+      };
+      
+      await this.saveWindows([...windows, window]);
+      logger.info(`Maintenance window created: ${window.name} (${window.targetType}:${window.targetId})`);
+      
+      return describeWindow(window, new Date());
+    });
+  }
+
+  /**
+   * Replace the definition of a maintenance window
+   * @param {string} windowId - Window identifier
+   * @param {Object} data - Window definition
+   * @returns {Promise<Object>} Updated window
+   */
+  async updateWindow(windowId, data) {
+    const definition = await validateWindow(data);
+    
+    return this.queue.run(WINDOWS_COLLECTION, async () => {
+      const windows = await this.loadWindows();
+      const existing = windows.find(w => w.id === windowId);
+      
+      if (!existing) {
+        throw new Error(`Maintenance window not found: ${windowId}`);
+      }
+      
+      const window = {
+        ...existing,
+        ...definition,
+        updatedAt: new Date().toISOString()
+      };
+      
+      await this.saveWindows(windows.map(w => (w.id === windowId ? window : w)));
+      logger.info(`Maintenance window updated: ${window.name} (${windowId})`);
+      
+      return describeWindow(window, new Date());
+    });
+  }
+
+  /**
+   * Delete a maintenance window
+   * @param {string} windowId - Window identifier
+   * @returns {Promise<Object>} Deleted window
+   */
+  async deleteWindow(windowId) {
+    return this.queue.run(WINDOWS_COLLECTION, async () => {
+      const windows = await this.loadWindows();
+      const window = windows.find(w => w.id === windowId);
+      
+      if (!window) {
+        throw new Error(`Maintenance window not found: ${windowId}`);
+      }
+      
+      await this.saveWindows(windows.filter(w => w.id !== windowId));
+      logger.info(`Maintenance window deleted: ${window.name} (${windowId})`);
+      
+      return window;
+    });
+  }
+
+  /**
+   * Get the windows that apply to a device, directly or through its groups
+   * @param {Object} device - Device data
+   * @returns {Promise<Array>} Windows with their current and next occurrence
+   */
+  async getDeviceWindows(device) {
+    const windows = await this.loadWindows();
+    if (windows.length === 0) return [];
+    
+    const groupIds = windows.some(w => w.targetType === 'group')
+      ? await groupManager.getDeviceGroupIds(device)
+      : [];
+    const now = new Date();
+    
+    return windows
+      .filter(w =>
+        (w.targetType === 'device' && w.targetId === device.remotePcId) ||
+        (w.targetType === 'group' && groupIds.includes(w.targetId))
+      )
+      .map(w => describeWindow(w, now));
+  }
+
+  /**
+   * Get the maintenance state of a device right now
+   * @param {Object} device - Device data
+   * @returns {Promise<Object|null>} { windowId, name, endsAt, blockRemoteControl } or null
+   */
+  async getActiveMaintenance(device) {
+    const active = (await this.getDeviceWindows(device)).filter(w => w.activeUntil);
+    if (active.length === 0) return null;
+    
+    // Overlapping windows: report the one ending last, block if any of them blocks
+    const latest = active.reduce((a, b) => (a.activeUntil >= b.activeUntil ? a : b));
+    
+    return {
+      windowId: latest.id,
+      name: latest.name,
+      endsAt: latest.activeUntil,
+      blockRemoteControl: active.some(w => w.blockRemoteControl)
+    };
+  }
+
+  /**
+   * Get the maintenance periods of a device that overlap a time range
+   * Uses the windows as currently defined, including ones inherited from groups.
+   * @param {Object} device - Device data
+   * @param {Object} range - { from, to } as Date
+   * @returns {Promise<Array>} { windowId, name, start, end } as Dates, by start time
+   */
+  async getMaintenancePeriods(device, range) {
+    const windows = await this.getDeviceWindows(device);
+    const periods = [];
+    
+    for (const window of windows) {
+      for (const start of occurrencesBetween(window, range.from, range.to)) {
+        periods.push({
+          windowId: window.id,
+          name: window.name,
+          start,
+          end: new Date(start.getTime() + window.durationMinutes * 60000)
+        });
+      }
+    }
+    
+    return periods.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Persist the window collection
+   * @param {Array} windows - Windows
+   */
+  async saveWindows(windows) {
+    await deviceManager.store.saveCollection(WINDOWS_COLLECTION, windows);
+    this.windows = windows;
+  }
+}
+
+/**
+ * Validate and normalize a window definition
+ * @param {Object} data - Raw definition
+ * @returns {Promise<Object>} Normalized definition
+ */
+async function validateWindow(data = {}) {
+  const { error, value } = windowSchema.validate(data, { abortEarly: false });
+  
+  if (error) {
+    throw new Error(`Invalid maintenance window: ${error.details.map(d => d.message).join('; ')}`);
+  }
+  
+  const { recurrence } = value;
+  const period = recurrence.frequency === 'monthly' ? SHORTEST_MONTH : PERIODS[recurrence.frequency];
+  
+  // Occurrences of one window must not overlap
+  if (period && value.durationMinutes * 60000 > period * recurrence.interval) {
+    throw new Error('Invalid maintenance window: duration is longer than the recurrence interval');
+  }
+  
+  if (recurrence.until && recurrence.until < value.startsAt) {
+    throw new Error('Invalid maintenance window: recurrence ends before the window starts');
+  }
+  
+  if (value.targetType === 'device') {
+    // Throws "Device not found" for unknown devices
+    await deviceManager.getDeviceByRemotePcId(value.targetId);
+  } else {
+    // Throws "Group not found" for unknown groups
+    await groupManager.getGroupById(value.targetId);
+  }
+  
+  return {
+    ...value,
+    startsAt: value.startsAt.toISOString(),
+    recurrence: {
+      frequency: recurrence.frequency,
+      interval: recurrence.interval,
+      until: recurrence.until ? recurrence.until.toISOString() : null
+    }
+  };
+}
+
+/**
+ * Add the current and next occurrence to a window
+ * @param {Object} window - Stored window
+ * @param {Date} now - Reference time
+ * @returns {Object} Window with activeUntil (ISO string or null) and upcoming start times
+ */
+function describeWindow(window, now) {
+  const active = findActiveOccurrence(window, now);
+  
+  return {
+    ...window,
+    activeUntil: active ? active.end.toISOString() : null,
+    upcoming: upcomingOccurrences(window, now, MAX_UPCOMING).map(start => start.toISOString())
+  };
+}
+
+/**
+ * Find the occurrence of a window that covers a point in time
+ * @param {Object} window - Stored window
+ * @param {Date} at - Point in time
+ * @returns {Object|null} { start, end } or null
+ */
+function findActiveOccurrence(window, at) {
+  const index = occurrenceIndexAt(window, at);
+  
+  // Monthly occurrences have uneven spacing, so also look at the previous one
+  for (const i of [index, index - 1]) {
+    const start = occurrenceStart(window, i);
+    if (!start) continue;
+    
+    const end = new Date(start.getTime() + window.durationMinutes * 60000);
+    if (start <= at && at < end) {
+      return { start, end };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * List the next start times of a window after a point in time
+ * @param {Object} window - Stored window
+ * @param {Date} from - Point in time
+ * @param {number} count - Maximum number of occurrences
+ * @returns {Array<Date>} Start times
+ */
+function upcomingOccurrences(window, from, count) {
+  const starts = [];
+  
+  for (let i = Math.max(0, occurrenceIndexAt(window, from)); starts.length < count; i++) {
+    const start = occurrenceStart(window, i);
+    if (!start) break;
+    if (start > from) starts.push(start);
+  }
+  
+  return starts;
+}
+
+/**
+ * List the start times of a window's occurrences that overlap a time range
+ * @param {Object} window - Stored window
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Array<Date>} Start times
+ */
+function occurrencesBetween(window, from, to) {
+  const starts = [];
+  const duration = window.durationMinutes * 60000;
+  
+  // The occurrence before the one covering `from` may still be running
+  for (let i = Math.max(0, occurrenceIndexAt(window, from) - 1); ; i++) {
+    const start = occurrenceStart(window, i);
+    if (!start || start >= to) break;
+    if (start.getTime() + duration > from.getTime()) starts.push(start);
+  }
+  
+  return starts;
+}
+
+/**
+ * Estimate the index of the last occurrence starting at or before a point in time
+ * @param {Object} window - Stored window
+ * @param {Date} at - Point in time
+ * @returns {number} Occurrence index (may be negative before the first start)
+ */
+function occurrenceIndexAt(window, at) {
+  const start = new Date(window.startsAt);
+  const { frequency, interval } = window.recurrence;
+  
+  if (at < start) {
+    return -1;
+  }
+  
+  if (frequency === 'none') {
+    return 0;
+  }
+  
+  if (frequency === 'monthly') {
+    const months = (at.getUTCFullYear() - start.getUTCFullYear()) * 12 + at.getUTCMonth() - start.getUTCMonth();
+    return Math.floor(months / interval);
+  }
+  
+  return Math.floor((at - start) / (PERIODS[frequency] * interval));
+}
+
+/**
+ * Get the start time of the n-th occurrence of a window
+ * @param {Object} window - Stored window
+ * @param {number} index - Occurrence index
+ * @returns {Date|null} Start time, or null if there is no such occurrence
+ */
+function occurrenceStart(window, index) {
+  const { frequency, interval, until } = window.recurrence;
+  
+  if (index < 0 || (frequency === 'none' && index > 0)) {
+    return null;
+  }
+  
+  const start = new Date(window.startsAt);
+  
+  if (frequency === 'monthly') {
+    // Days past the end of a shorter month fall on its last day (Jan 31 -> Feb 28 -> Mar 31)
+    const month = start.getUTCMonth() + index * interval;
+    const lastDay = new Date(Date.UTC(start.getUTCFullYear(), month + 1, 0)).getUTCDate();
+    start.setUTCFullYear(start.getUTCFullYear(), month, Math.min(start.getUTCDate(), lastDay));
+  } else if (frequency !== 'none') {
+    start.setTime(start.getTime() + index * PERIODS[frequency] * interval);
+  }
+  
+  if (until && start > new Date(until)) {
+    return null;
+  }
+  
+  return start;
+}
+
+// Create and export singleton instance
+module.exports = (function() {
+  if (!instance) {
+    instance = new MaintenanceManager();
+  }
+  return instance;
+})();
@@ -0,0 +1,421 @@
+/**
+ * Metrics Manager Service
+ * Resource usage (CPU, memory, disk, network) reported in agent heartbeats,
+ * stored as time series in three resolutions:
+ *   raw - every heartbeat, kept for a day
+ *   5m  - 5-minute rollups (avg/min/max), kept for two weeks
+ *   1h  - hourly rollups, kept for a year
+ *
+ * Samples are buffered in memory and flushed to the device store once a
+ * minute; rollup buckets are written at the first flush after they end. On
+ * shutdown the open buckets are written as they stand, and the parts of a
+ * bucket split by a restart are merged when read (see utils/metricRollups).
+ */
+const logger = require('../../utils/logger');
+const { mergeRollups } = require('../../utils/metricRollups');
+const deviceManager = require('./deviceManager');
+
+// Constants
+const METRICS = ['cpu', 'memory', 'disk', 'diskFree', 'networkIn', 'networkOut'];
+// Metrics reported in absolute units (bytes, bytes/s) rather than percent
+const ABSOLUTE_METRICS = ['diskFree', 'networkIn', 'networkOut'];
+const RESOLUTIONS = {
+  raw: { bucket: 0, retention: 24 * 60 * 60 * 1000 },
+  '5m': { bucket: 5 * 60 * 1000, retention: 14 * 24 * 60 * 60 * 1000 },
+  '1h': { bucket: 60 * 60 * 1000, retention: 365 * 24 * 60 * 60 * 1000 }
+};
+const ROLLUPS = ['5m', '1h'];
+const FLUSH_INTERVAL = 60000;
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+// Range limits for 'auto' resolution
+const AUTO_RAW_RANGE = 6 * 60 * 60 * 1000;
+const AUTO_5M_RANGE = 3 * 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE = 24 * 60 * 60 * 1000;
+
+// Singleton instance
+let instance = null;
+
+class MetricsManager {
+  constructor() {
+    // remotePcId -> { raw: [], rollups: { '5m': bucket, '1h': bucket }, closed: { '5m': [], '1h': [] } }
+    this.buffers = new Map();
+    this.flushTimer = null;
+    this.pruneTimer = null;
+  }
+
+  /**
+   * Start the flush and retention timers
+   */
+  start() {
+    this.stop();
+    this.flushTimer = setInterval(() => {
+      this.flushAll().catch(err => logger.error(`Error flushing metrics: ${err.message}`));
+    }, FLUSH_INTERVAL);
+    this.pruneTimer = setInterval(() => {
+      this.pruneAll().catch(err => logger.error(`Error pruning metrics: ${err.message}`));
+    }, PRUNE_INTERVAL);
+    logger.info('Metrics collection started');
+  }
+
+  /**
+   * Stop the timers and write out buffered samples, including the open rollup buckets
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.flushTimer) clearInterval(this.flushTimer);
+    if (this.pruneTimer) clearInterval(this.pruneTimer);
+    this.flushTimer = null;
+    this.pruneTimer = null;
+    await this.flushAll({ closeOpen: true });
+  }
+
+  /**
+   * Record the metrics of one heartbeat
+   * @param {string} remotePcId - Device identifier
+   * @param {Object} payload - Heartbeat payload (metrics at the top level or under `metrics`)
+   * @returns {Object|null} The recorded sample, or null when the heartbeat carried no metrics
+   */
+  recordSample(remotePcId, payload) {
+    const values = normalizeMetrics(payload);
+    if (!values) return null;
+    
+    const sample = { t: new Date().toISOString(), values };
+    const buffer = this.getBuffer(remotePcId);
+    buffer.raw.push(sample);
+    buffer.latest = sample;
+    
+    for (const resolution of ROLLUPS) {
+      const start = bucketStart(sample.t, resolution);
+      const current = buffer.rollups[resolution];
+      
+      if (current && current.t !== start) {
+        buffer.closed[resolution].push(finishBucket(current));
+        buffer.rollups[resolution] = null;
+      }
+      
+      buffer.rollups[resolution] = addToBucket(buffer.rollups[resolution] || createBucket(start), values);
+    }
+    
+    return sample;
+  }
+
+  /**
+   * Get a device's metrics for a time range
+   * @param {string} remotePcId - Device identifier
+   * @param {Object} options - { from, to, resolution } (resolution: raw, 5m, 1h or auto)
+   * @returns {Promise<Object>} { resolution, from, to, metrics, samples }
+   */
+  async getMetrics(remotePcId, options = {}) {
+    const range = parseRange(options);
+    const resolution = options.resolution && options.resolution !== 'auto'
+      ? options.resolution
+      : pickResolution(range);
+    
+    if (!RESOLUTIONS[resolution]) {
+      throw new Error(`Invalid resolution: use one of ${Object.keys(RESOLUTIONS).join(', ')} or auto`);
+    }
+    
+    // Make sure the device exists, and include everything received so far
+    await deviceManager.getDeviceByRemotePcId(remotePcId);
+    await this.flush(remotePcId);
+    
+    const samples = await deviceManager.store.getMetricSamples(remotePcId, resolution, range);
+    
+    // The open bucket is returned as well so rollup charts reach the present
+    const open = resolution !== 'raw' && this.buffers.has(remotePcId)
+      ? this.buffers.get(remotePcId).rollups[resolution]
+      : null;
+    if (open && open.t >= range.from.toISOString() && open.t <= range.to.toISOString()) {
+      samples.push({ ...finishBucket(open), partial: true });
+    }
+    
+    return {
+      resolution,
+      from: range.from.toISOString(),
+      to: range.to.toISOString(),
+      metrics: METRICS,
+      samples: resolution === 'raw' ? samples : mergeRollups(samples)
+    };
+  }
+
+  /**
+   * Write a device's buffered raw samples and closed rollup buckets
+   * Buckets whose time is up are closed here too, so a device that stopped
+   * reporting still gets its last bucket written.
+   * @param {string} remotePcId - Device identifier
+   * @param {Object} options - { closeOpen } - also write the buckets still open (on shutdown)
+   * @returns {Promise<void>}
+   */
+  async flush(remotePcId, options = {}) {
+    const buffer = this.buffers.get(remotePcId);
+    if (!buffer) return;
+    
+    const now = Date.now();
+    for (const resolution of ROLLUPS) {
+      const current = buffer.rollups[resolution];
+      if (current && (options.closeOpen || bucketEnd(current.t, resolution) <= now)) {
+        buffer.closed[resolution].push(finishBucket(current));
+        buffer.rollups[resolution] = null;
+      }
+    }
+    
+    const pending = { raw: buffer.raw, ...buffer.closed };
+    buffer.raw = [];
+    buffer.closed = { '5m': [], '1h': [] };
+    
+    for (const [resolution, samples] of Object.entries(pending)) {
+      if (samples.length === 0) continue;
+      
+      try {
+        await deviceManager.store.appendMetricSamples(remotePcId, resolution, samples);
+      } catch (error) {
+        // A purged device has nothing left to write to
+        logger.error(`Error writing ${resolution} metrics for ${remotePcId}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Flush every device's buffer
+   * @param {Object} options - Options for flush()
+   * @returns {Promise<void>}
+   */
+  async flushAll(options = {}) {
+    for (const remotePcId of [...this.buffers.keys()]) {
+      await this.flush(remotePcId, options);
+    }
+  }
+
+  /**
+   * Drop samples past their resolution's retention for every device
+   * @returns {Promise<void>}
+   */
+  async pruneAll() {
+    const devices = await deviceManager.getAllDevices({ includeArchived: true });
+    const now = Date.now();
+    
+    for (const device of devices) {
+      for (const [resolution, { retention }] of Object.entries(RESOLUTIONS)) {
+        await deviceManager.store.pruneMetricSamples(device.remotePcId, resolution, new Date(now - retention));
+      }
+    }
+  }
+
+  /**
+   * Get the most recent sample received since the server started
+   * @param {string} remotePcId - Device identifier
+   * @returns {Object|null} { t, values } or null
+   */
+  getLatestSample(remotePcId) {
+    const buffer = this.buffers.get(remotePcId);
+    return buffer ? buffer.latest : null;
+  }
+
+  /**
+   * List the metric names samples can carry
+   * @returns {Array<string>} Metric names
+   */
+  listMetrics() {
+    return [...METRICS];
+  }
+
+  /**
+   * Forget buffered samples of a device (e.g. after it was purged)
+   * @param {string} remotePcId - Device identifier
+   */
+  discard(remotePcId) {
+    this.buffers.delete(remotePcId);
+  }
+
+  /**
+   * Get or create the in-memory buffer of a device
+   * @param {string} remotePcId - Device identifier
+   * @returns {Object} Buffer
+   */
+  getBuffer(remotePcId) {
+    if (!this.buffers.has(remotePcId)) {
+      this.buffers.set(remotePcId, {
+        raw: [],
+        latest: null,
+        rollups: { '5m': null, '1h': null },
+        closed: { '5m': [], '1h': [] }
+      });
+    }
+    return this.buffers.get(remotePcId);
+  }
+}
+
+/**
+ * Extract the known metrics from a heartbeat payload
+ * Percentages (cpu, memory, disk) are clamped to 0-100; free disk space is in
+ * bytes and network rates are bytes/s. Memory and disk may also be sent as
+ * { used, total }, in which case the free disk space is derived from the disk.
+ * @param {Object} payload - Heartbeat payload
+ * @returns {Object|null} Metric values, or null if none were reported
+ */
+function normalizeMetrics(payload) {
+  if (!payload || typeof payload !== 'object') return null;
+  const source = payload.metrics && typeof payload.metrics === 'object' ? payload.metrics : payload;
+  const network = source.network && typeof source.network === 'object' ? source.network : {};
+  
+  const raw = {
+    cpu: source.cpu,
+    memory: source.memory,
+    disk: source.disk,
+    diskFree: source.diskFree !== undefined ? source.diskFree : freeSpace(source.disk),
+    networkIn: source.networkIn !== undefined ? source.networkIn : network.rx,
+    networkOut: source.networkOut !== undefined ? source.networkOut : network.tx
+  };
+  
+  const values = {};
+  for (const metric of METRICS) {
+    const absolute = ABSOLUTE_METRICS.includes(metric);
+    const value = absolute ? toNumber(raw[metric]) : toPercent(raw[metric]);
+    if (value !== null) {
+      values[metric] = absolute ? Math.max(0, value) : value;
+    }
+  }
+  
+  return Object.keys(values).length > 0 ? values : null;
+}
+
+/**
+ * Convert a percentage or { used, total } to a 0-100 value
+ * @param {number|Object} value - Reported value
+ * @returns {number|null} Percentage
+ */
+function toPercent(value) {
+  if (value && typeof value === 'object') {
+    const used = toNumber(value.used);
+    const total = toNumber(value.total);
+    value = used !== null && total ? (used / total) * 100 : null;
+  }
+  
+  const number = toNumber(value);
+  return number === null ? null : Math.round(Math.min(100, Math.max(0, number)) * 100) / 100;
+}
+
+/**
+ * Free bytes of a { used, total } disk report
+ * @param {number|Object} disk - Reported disk usage
+ * @returns {number|undefined} Free bytes, if the report has them
+ */
+function freeSpace(disk) {
+  if (!disk || typeof disk !== 'object') return undefined;
+  const used = toNumber(disk.used);
+  const total = toNumber(disk.total);
+  return used !== null && total !== null ? total - used : undefined;
+}
+
+/**
+ * Parse a finite number
+ * @param {*} value - Value
+ * @returns {number|null} Number
+ */
+function toNumber(value) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Start of the rollup bucket a timestamp falls into
+ * @param {string} timestamp - ISO timestamp
+ * @param {string} resolution - Rollup resolution
+ * @returns {string} ISO bucket start
+ */
+function bucketStart(timestamp, resolution) {
+  const size = RESOLUTIONS[resolution].bucket;
+  return new Date(Math.floor(new Date(timestamp).getTime() / size) * size).toISOString();
+}
+
+/**
+ * End of the rollup bucket starting at a time
+ * @param {string} start - ISO bucket start
+ * @param {string} resolution - Rollup resolution
+ * @returns {number} Bucket end (ms)
+ */
+function bucketEnd(start, resolution) {
+  return new Date(start).getTime() + RESOLUTIONS[resolution].bucket;
+}
+
+/**
+ * Create an empty rollup bucket
+ * @param {string} start - ISO bucket start
+ * @returns {Object} Bucket accumulator
+ */
+function createBucket(start) {
+  return { t: start, count: 0, sum: {}, min: {}, max: {}, n: {} };
+}
+
+/**
+ * Add a sample's values to a bucket
+ * @param {Object} bucket - Bucket accumulator
+ * @param {Object} values - Metric values
+ * @returns {Object} The bucket
+ */
+function addToBucket(bucket, values) {
+  bucket.count++;
+  
+  for (const [metric, value] of Object.entries(values)) {
+    bucket.sum[metric] = (bucket.sum[metric] || 0) + value;
+    bucket.n[metric] = (bucket.n[metric] || 0) + 1;
+    bucket.min[metric] = bucket.min[metric] === undefined ? value : Math.min(bucket.min[metric], value);
+    bucket.max[metric] = bucket.max[metric] === undefined ? value : Math.max(bucket.max[metric], value);
+  }
+  
+  return bucket;
+}
+
+/**
+ * Turn a bucket accumulator into a stored rollup sample
+ * @param {Object} bucket - Bucket accumulator
+ * @returns {Object} { t, count, avg, min, max }
+ */
+function finishBucket(bucket) {
+  const avg = {};
+  for (const metric of Object.keys(bucket.sum)) {
+    avg[metric] = Math.round((bucket.sum[metric] / bucket.n[metric]) * 100) / 100;
+  }
+  
+  return { t: bucket.t, count: bucket.count, avg, min: { ...bucket.min }, max: { ...bucket.max } };
+}
+
+/**
+ * Parse and validate the requested time range
+ * @param {Object} options - { from, to }
+ * @returns {Object} { from, to } as Date
+ */
+function parseRange(options) {
+  const to = options.to ? new Date(options.to) : new Date();
+  const from = options.from ? new Date(options.from) : new Date(to.getTime() - DEFAULT_RANGE);
+  
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    throw new Error('Invalid range: from and to must be ISO dates');
+  }
+  
+  if (from >= to) {
+    throw new Error('Invalid range: from must be before to');
+  }
+  
+  return { from, to };
+}
+
+/**
+ * Pick the finest resolution that keeps the number of points reasonable
+ * @param {Object} range - { from, to }
+ * @returns {string} Resolution
+ */
+function pickResolution(range) {
+  const span = range.to - range.from;
+  if (span <= AUTO_RAW_RANGE) return 'raw';
+  if (span <= AUTO_5M_RANGE) return '5m';
+  return '1h';
+}
+
+// Create and export singleton instance
+module.exports = (function() {
+  if (!instance) {
+    instance = new MetricsManager();
+  }
+  return instance;
+})();
@@ -0,0 +1,282 @@
+/**
+ * Notification Channels
+ * Channel types, message templates and delivery for notifications:
+ *   webhook - JSON POST, signed with HMAC-SHA256 when a secret is set
+ *   email   - plain-text mail over SMTP
+ *   slack   - Slack incoming webhook
+ *   teams   - Microsoft Teams incoming webhook
+ *
+ * Templates use {{path.to.value}} placeholders resolved against the event data.
+ */
+const crypto = require('crypto');
+const Joi = require('joi');
+const { sendMail } = require('../../utils/smtp');
+
+// Constants
+const CHANNEL_TYPES = ['webhook', 'email', 'slack', 'teams'];
+const EVENTS = [
+  'device.offline', 'device.online', 'device.flapping', 'device.stable',
+  'alert.opened', 'alert.acknowledged', 'alert.resolved'
+];
+const REQUEST_TIMEOUT = 10000;
+// Value returned in place of stored secrets; sending it back keeps the stored value
+const SECRET_MASK = '********';
+const SECRET_FIELDS = ['secret', 'password'];
+
+// Default subject/body per event
+const DEFAULT_TEMPLATES = {
+  'device.offline': {
+    subject: 'Device {{device.systemName}} is offline',
+    body: '{{device.systemName}} ({{device.remotePcId}}) went offline at {{timestamp}}.'
+  },
+  'device.online': {
+    subject: 'Device {{device.systemName}} is back online',
+    body: '{{device.systemName}} ({{device.remotePcId}}) came back online at {{timestamp}}.'
+  },
+  'device.flapping': {
+    subject: 'Device {{device.systemName}} is flapping',
+    body: '{{device.systemName}} ({{device.remotePcId}}) changed status {{flap.transitions}} times in the last {{flap.windowMinutes}} minutes. ' +
+      'Further status changes are not announced until it is stable.'
+  },
+  'device.stable': {
+    subject: 'Device {{device.systemName}} is stable again ({{device.status}})',
+    body: '{{device.systemName}} ({{device.remotePcId}}) stopped flapping at {{timestamp}} and is {{device.status}}.'
+  },
+  'alert.opened': {
+    subject: '[{{alert.severity}}] {{alert.ruleName}} on {{alert.systemName}}',
+    body: 'Alert "{{alert.ruleName}}" opened on {{alert.systemName}} ({{alert.remotePcId}}): {{alert.message}}'
+  },
+  'alert.acknowledged': {
+    subject: 'Acknowledged: {{alert.ruleName}} on {{alert.systemName}}',
+    body: 'Alert "{{alert.ruleName}}" on {{alert.systemName}} ({{alert.remotePcId}}) was acknowledged. {{alert.note}}'
+  },
+  'alert.resolved': {
+    subject: 'Resolved: {{alert.ruleName}} on {{alert.systemName}}',
+    body: 'Alert "{{alert.ruleName}}" on {{alert.systemName}} ({{alert.remotePcId}}) was resolved. {{alert.resolution}}'
+  },
+  test: {
+    subject: 'Wynzio test notification',
+    body: 'Test notification from channel "{{channel.name}}" sent at {{timestamp}}.'
+  }
+};
+
+const templateSchema = Joi.object({
+  subject: Joi.string().max(500).allow(''),
+  body: Joi.string().max(5000).allow('')
+});
+
+const configSchemas = {
+  webhook: Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+    secret: Joi.string().max(500).allow('', null).default(null),
+    headers: Joi.object().pattern(/^[A-Za-z0-9-]+$/, Joi.string().max(1000)).default({})
+  }),
+  email: Joi.object({
+    host: Joi.string().hostname().required(),
+    port: Joi.number().integer().min(1).max(65535).default(587),
+    secure: Joi.boolean().default(false),
+    starttls: Joi.boolean().default(true),
+    rejectUnauthorized: Joi.boolean().default(true),
+    username: Joi.string().max(255).allow('', null).default(null),
+    password: Joi.string().max(500).allow('', null).default(null),
+    from: Joi.string().email({ tlds: false }).required(),
+    to: Joi.array().items(Joi.string().email({ tlds: false })).min(1).max(50).required()
+  }),
+  slack: Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).required()
+  }),
+  teams: Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).required()
+  })
+};
+
+const channelSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  type: Joi.string().valid(...CHANNEL_TYPES).required(),
+  enabled: Joi.boolean().default(true),
+  events: Joi.array().items(Joi.string().valid(...EVENTS)).min(1).unique().default(EVENTS),
+  config: Joi.object().required(),
+  templates: Joi.object().pattern(Joi.string().valid(...EVENTS, 'test'), templateSchema).default({})
+});
+
+/**
+ * Validate and normalize a channel definition
+ * @param {Object} data - Raw definition
+ * @param {Object|null} existing - Stored channel, whose secrets are kept when sent back masked
+ * @returns {Object} Normalized definition
+ */
+function validateChannel(data = {}, existing = null) {
+  const { error, value } = channelSchema.validate(data, { abortEarly: false });
+  
+  if (error) {
+    throw new Error(`Invalid notification channel: ${error.details.map(d => d.message).join('; ')}`);
+  }
+  
+  const config = { ...value.config };
+  if (existing && existing.type === value.type) {
+    SECRET_FIELDS.forEach(field => {
+      if (config[field] === SECRET_MASK) {
+        config[field] = existing.config[field];
+      }
+    });
+  }
+  
+  const configResult = configSchemas[value.type].validate(config, { abortEarly: false });
+  
+  if (configResult.error) {
+    throw new Error(`Invalid notification channel: ${configResult.error.details.map(d => d.message).join('; ')}`);
+  }
+  
+  return { ...value, config: configResult.value };
+}
+
+/**
+ * Hide secrets of a channel for API responses
+ * @param {Object} channel - Stored channel
+ * @returns {Object} Channel with masked secrets
+ */
+function maskChannel(channel) {
+  const config = { ...channel.config };
+  SECRET_FIELDS.forEach(field => {
+    if (config[field]) {
+      config[field] = SECRET_MASK;
+    }
+  });
+  return { ...channel, config };
+}
+
+/**
+ * Render the subject and body of an event for a channel
+ * @param {Object} channel - Channel
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ * @returns {Object} { subject, body }
+ */
+function renderMessage(channel, event, data) {
+  const template = { ...DEFAULT_TEMPLATES[event], ...((channel.templates || {})[event] || {}) };
+  const context = { ...data, event, channel: { id: channel.id, name: channel.name } };
+  
+  return {
+    subject: renderTemplate(template.subject || event, context),
+    body: renderTemplate(template.body || '', context)
+  };
+}
+
+/**
+ * Replace {{path}} placeholders; missing values render as empty strings
+ * @param {string} template - Template text
+ * @param {Object} context - Values
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, context) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+    const value = path.split('.').reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), context);
+    if (value === undefined || value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }).trim();
+}
+
+/**
+ * Deliver one notification through a channel
+ * @param {Object} channel - Channel
+ * @param {Object} delivery - { id, event, data, createdAt }
+ * @returns {Promise<Object>} { response } - short description of the receiver's reply
+ */
+async function deliver(channel, delivery) {
+  const message = renderMessage(channel, delivery.event, delivery.data);
+  const { config } = channel;
+  
+  if (channel.type === 'email') {
+    const result = await sendMail({ ...config, subject: message.subject, text: message.body });
+    return { response: result.response };
+  }
+  
+  if (channel.type === 'slack') {
+    return postJson(config.url, { text: `*${message.subject}*\n${message.body}` });
+  }
+  
+  if (channel.type === 'teams') {
+    return postJson(config.url, {
+      '@type': 'MessageCard',
+      '@context': 'http://schema.org/extensions',
+      summary: message.subject,
+      title: message.subject,
+      text: message.body
+    });
+  }
+  
+  // Generic webhook: the event data plus the rendered message
+  const timestamp = new Date().toISOString();
+  const body = JSON.stringify({
+    id: delivery.id,
+    event: delivery.event,
+    timestamp,
+    data: delivery.data,
+    message
+  });
+  const headers = {
+    ...config.headers,
+    'X-Wynzio-Event': delivery.event,
+    'X-Wynzio-Delivery': delivery.id,
+    'X-Wynzio-Timestamp': timestamp
+  };
+  
+  if (config.secret) {
+    headers['X-Wynzio-Signature'] = `sha256=${sign(config.secret, timestamp, body)}`;
+  }
+  
+  return postJson(config.url, body, headers);
+}
+
+/**
+ * Webhook signature: HMAC-SHA256 over "<timestamp>.<body>"
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - Value of the X-Wynzio-Timestamp header
+ * @param {string} body - Raw request body
+ * @returns {string} Hex digest
+ */
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * POST JSON and fail on non-2xx responses
+ * @param {string} url - Target URL
+ * @param {Object|string} payload - Body (serialized if not a string)
+ * @param {Object} headers - Extra headers
+ * @returns {Promise<Object>} { response }
+ */
+async function postJson(url, payload, headers = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+  
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: typeof payload === 'string' ? payload : JSON.stringify(payload),
+      signal: controller.signal
+    });
+    const text = (await res.text()).slice(0, 200);
+    
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status}: ${text}`);
+    }
+    
+    return { response: `HTTP ${res.status}` };
+  } catch (error) {
+    throw error.name === 'AbortError' ? new Error(`Request timed out after ${REQUEST_TIMEOUT / 1000}s`) : error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  EVENTS,
+  validateChannel,
+  maskChannel,
+  renderMessage,
+  deliver,
+  sign
+};
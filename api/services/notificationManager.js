@@ -0,0 +1,474 @@
+/**
+ * Notification Manager Service
+ * Admin-configured notification channels (see notificationChannels.js), a
+ * persistent delivery queue with exponential retry, and a delivery log.
+ *
+ * Events are queued for every enabled channel subscribed to them and sent by
+ * a background worker, so a slow or unreachable receiver never blocks the
+ * caller. Failed deliveries are retried with growing delays; after the last
+ * attempt they stay in the queue as failed until an admin retries them.
+ */
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../../utils/logger');
+const deviceManager = require('./deviceManager');
+const notificationChannels = require('./notificationChannels');
+const { KeyedQueue } = require('../../utils/atomicFile');
+
+// Constants
+const CHANNELS_COLLECTION = 'notification_channels';
+const QUEUE_COLLECTION = 'notification_queue';
+const LOG_COLLECTION = 'notification_log';
+const PROCESS_INTERVAL = 10000;
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_DELAY = 30000;
+const RETRY_MAX_DELAY = 60 * 60 * 1000;
+const MAX_FAILED_DELIVERIES = 500;
+const MAX_LOG_ENTRIES = 2000;
+
+// Singleton instance
+let instance = null;
+
+class NotificationManager {
+  constructor() {
+    // In-memory copies of the collections, loaded on first use
+    this.channels = null;
+    this.deliveries = null;
+    this.log = null;
+    // Serializes changes to each collection
+    this.queue = new KeyedQueue();
+    this.processTimer = null;
+    this.processing = false;
+    // remotePcId -> last status announced, so repeated updates are sent once
+    this.lastStatus = new Map();
+  }
+
+  /**
+   * Start the delivery worker
+   */
+  start() {
+    this.stop();
+    this.processTimer = setInterval(() => {
+      this.processQueue().catch(err => logger.error(`Error processing notification queue: ${err.message}`));
+    }, PROCESS_INTERVAL);
+    logger.info('Notification delivery started');
+  }
+
+  /**
+   * Stop the delivery worker - queued deliveries are sent after the next start
+   */
+  stop() {
+    if (this.processTimer) clearInterval(this.processTimer);
+    this.processTimer = null;
+  }
+
+  /**
+   * Load a collection from the store if not already loaded
+   * @param {string} property - Property holding the in-memory copy
+   * @param {string} collection - Collection name
+   * @returns {Promise<Array>} Collection items
+   */
+  async load(property, collection) {
+    if (!this[property]) {
+      await deviceManager.ready;
+      this[property] = await deviceManager.store.getCollection(collection);
+    }
+    return this[property];
+  }
+
+  /**
+   * List channels with secrets masked
+   * @returns {Promise<Array>} Channels
+   */
+  async listChannels() {
+    const channels = await this.load('channels', CHANNELS_COLLECTION);
+    return channels.map(notificationChannels.maskChannel);
+  }
+
+  /**
+   * Create a channel
+   * @param {Object} data - Channel definition
+   * @param {string|number} userId - Creating user
+   * @returns {Promise<Object>} Created channel (secrets masked)
+   */
+  async createChannel(data, userId) {
+    const definition = notificationChannels.validateChannel(data);
+    
+    return this.queue.run(CHANNELS_COLLECTION, async () => {
+      const channels = await this.load('channels', CHANNELS_COLLECTION);
+      
+      const channel = {
+        id: uuidv4(),
+        ...definition,
+        createdBy: userId || null,
+        createdAt: new Date().toISOString()
+      };
+      
+      await this.save('channels', CHANNELS_COLLECTION, [...channels, channel]);
+      logger.info(`Notification channel created: ${channel.name} (${channel.type})`);
+      
+      return notificationChannels.maskChannel(channel);
+    });
+  }
+
+  /**
+   * Replace a channel definition
+   * @param {string} channelId - Channel identifier
+   * @param {Object} data - Channel definition (masked secrets keep their stored value)
+   * @returns {Promise<Object>} Updated channel (secrets masked)
+   */
+  async updateChannel(channelId, data) {
+    return this.queue.run(CHANNELS_COLLECTION, async () => {
+      const channels = await this.load('channels', CHANNELS_COLLECTION);
+      const existing = channels.find(c => c.id === channelId);
+      
+      if (!existing) {
+        throw new Error(`Notification channel not found: ${channelId}`);
+      }
+      
+      const channel = {
+        ...existing,
+        ...notificationChannels.validateChannel(data, existing),
+        updatedAt: new Date().toISOString()
+      };
+      
+      await this.save('channels', CHANNELS_COLLECTION, channels.map(c => (c.id === channelId ? channel : c)));
+      logger.info(`Notification channel updated: ${channel.name} (${channelId})`);
+      
+      return notificationChannels.maskChannel(channel);
+    });
+  }
+
+  /**
+   * Delete a channel and drop its queued deliveries
+   * @param {string} channelId - Channel identifier
+   * @returns {Promise<Object>} Deleted channel (secrets masked)
+   */
+  async deleteChannel(channelId) {
+    const channel = await this.queue.run(CHANNELS_COLLECTION, async () => {
+      const channels = await this.load('channels', CHANNELS_COLLECTION);
+      const existing = channels.find(c => c.id === channelId);
+      
+      if (!existing) {
+        throw new Error(`Notification channel not found: ${channelId}`);
+      }
+      
+      await this.save('channels', CHANNELS_COLLECTION, channels.filter(c => c.id !== channelId));
+      logger.info(`Notification channel deleted: ${existing.name} (${channelId})`);
+      
+      return existing;
+    });
+    
+    await this.queue.run(QUEUE_COLLECTION, async () => {
+      const deliveries = await this.load('deliveries', QUEUE_COLLECTION);
+      await this.save('deliveries', QUEUE_COLLECTION, deliveries.filter(d => d.channelId !== channelId));
+    });
+    
+    return notificationChannels.maskChannel(channel);
+  }
+
+  /**
+   * Send a test notification through a channel right away, bypassing the queue
+   * @param {string} channelId - Channel identifier
+   * @returns {Promise<Object>} Log entry of the attempt
+   */
+  async testChannel(channelId) {
+    const channels = await this.load('channels', CHANNELS_COLLECTION);
+    const channel = channels.find(c => c.id === channelId);
+    
+    if (!channel) {
+      throw new Error(`Notification channel not found: ${channelId}`);
+    }
+    
+    const delivery = createDelivery(channel.id, 'test', { timestamp: new Date().toISOString() });
+    return this.attempt(channel, delivery);
+  }
+
+  /**
+   * Queue an event for every enabled channel subscribed to it
+   * @param {string} event - Event name (see notificationChannels.EVENTS)
+   * @param {Object} data - Event data available to templates
+   * @returns {Promise<number>} Number of queued deliveries
+   */
+  async notify(event, data = {}) {
+    const channels = (await this.load('channels', CHANNELS_COLLECTION))
+      .filter(channel => channel.enabled && channel.events.includes(event));
+    if (channels.length === 0) return 0;
+    
+    const payload = { timestamp: new Date().toISOString(), ...data };
+    
+    await this.queue.run(QUEUE_COLLECTION, async () => {
+      const deliveries = await this.load('deliveries', QUEUE_COLLECTION);
+      const added = channels.map(channel => createDelivery(channel.id, event, payload));
+      await this.save('deliveries', QUEUE_COLLECTION, [...deliveries, ...added]);
+    });
+    
+    // Deliver now instead of waiting for the next worker tick
+    if (this.processTimer) {
+      setImmediate(() => {
+        this.processQueue().catch(err => logger.error(`Error processing notification queue: ${err.message}`));
+      });
+    }
+    
+    return channels.length;
+  }
+
+  /**
+   * Queue device.online / device.offline when a device's status really changed
+   * Callers check maintenance windows first; idle is not announced.
+   * @param {Object} device - Device data
+   * @param {string} status - New status
+   * @returns {Promise<number>} Number of queued deliveries
+   */
+  async notifyStatusChange(device, status) {
+    if (!['online', 'offline'].includes(status)) return 0;
+    
+    const previous = this.lastStatus.get(device.remotePcId);
+    this.lastStatus.set(device.remotePcId, status);
+    
+    // Nothing is known before the first change after a restart; only offline is worth sending then
+    if (previous === status || (previous === undefined && status === 'online')) {
+      return 0;
+    }
+    
+    return this.notify(`device.${status}`, {
+      device: {
+        remotePcId: device.remotePcId,
+        systemName: device.systemName || device.remotePcId,
+        status
+      }
+    });
+  }
+
+  /**
+   * Send every delivery that is due
+   * @returns {Promise<void>}
+   */
+  async processQueue() {
+    if (this.processing) return;
+    this.processing = true;
+    
+    try {
+      const now = new Date().toISOString();
+      const due = (await this.load('deliveries', QUEUE_COLLECTION))
+        .filter(d => d.status === 'pending' && d.nextAttemptAt <= now);
+      const channels = await this.load('channels', CHANNELS_COLLECTION);
+      
+      for (const delivery of due) {
+        const channel = channels.find(c => c.id === delivery.channelId);
+        if (!channel) continue;
+        
+        const entry = await this.attempt(channel, delivery);
+        await this.updateDelivery(delivery.id, entry);
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Make one delivery attempt and log it
+   * @param {Object} channel - Channel
+   * @param {Object} delivery - Delivery
+   * @returns {Promise<Object>} Log entry
+   */
+  async attempt(channel, delivery) {
+    const startedAt = Date.now();
+    const entry = {
+      id: uuidv4(),
+      deliveryId: delivery.id,
+      channelId: channel.id,
+      channelName: channel.name,
+      channelType: channel.type,
+      event: delivery.event,
+      attempt: delivery.attempts + 1,
+      success: false,
+      response: null,
+      error: null,
+      durationMs: 0,
+      timestamp: new Date().toISOString()
+    };
+    
+    try {
+      const result = await notificationChannels.deliver(channel, delivery);
+      entry.success = true;
+      entry.response = result.response || null;
+    } catch (error) {
+      entry.error = error.message;
+      logger.warn(`Notification ${delivery.event} via ${channel.name} failed (attempt ${entry.attempt}): ${error.message}`);
+    }
+    
+    entry.durationMs = Date.now() - startedAt;
+    await this.appendLog(entry);
+    
+    return entry;
+  }
+
+  /**
+   * Record the outcome of an attempt on a queued delivery
+   * Delivered entries leave the queue; failures are rescheduled with exponential backoff.
+   * @param {string} deliveryId - Delivery identifier
+   * @param {Object} entry - Log entry of the attempt
+   */
+  async updateDelivery(deliveryId, entry) {
+    await this.queue.run(QUEUE_COLLECTION, async () => {
+      const deliveries = await this.load('deliveries', QUEUE_COLLECTION);
+      const delivery = deliveries.find(d => d.id === deliveryId);
+      // Dropped meanwhile (channel deleted)
+      if (!delivery) return;
+      
+      if (entry.success) {
+        await this.save('deliveries', QUEUE_COLLECTION, deliveries.filter(d => d.id !== deliveryId));
+        return;
+      }
+      
+      delivery.attempts = entry.attempt;
+      delivery.lastError = entry.error;
+      delivery.lastAttemptAt = entry.timestamp;
+      
+      if (delivery.attempts >= MAX_ATTEMPTS) {
+        delivery.status = 'failed';
+        logger.error(`Notification ${delivery.event} to channel ${entry.channelName} failed after ${delivery.attempts} attempts`);
+      } else {
+        const delay = Math.min(RETRY_BASE_DELAY * Math.pow(2, delivery.attempts - 1), RETRY_MAX_DELAY);
+        delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      }
+      
+      await this.save('deliveries', QUEUE_COLLECTION, trimFailed(deliveries));
+    });
+  }
+
+  /**
+   * List queued and failed deliveries, oldest first
+   * @param {Object} filters - { status, channelId }
+   * @returns {Promise<Array>} Deliveries
+   */
+  async listDeliveries(filters = {}) {
+    if (filters.status && !['pending', 'failed'].includes(filters.status)) {
+      throw new Error('Invalid status: use pending or failed');
+    }
+    
+    const deliveries = await this.load('deliveries', QUEUE_COLLECTION);
+    return deliveries.filter(d =>
+      (!filters.status || d.status === filters.status) &&
+      (!filters.channelId || d.channelId === filters.channelId)
+    );
+  }
+
+  /**
+   * Put a failed delivery back in the queue
+   * @param {string} deliveryId - Delivery identifier
+   * @returns {Promise<Object>} Delivery
+   */
+  async retryDelivery(deliveryId) {
+    const delivery = await this.queue.run(QUEUE_COLLECTION, async () => {
+      const deliveries = await this.load('deliveries', QUEUE_COLLECTION);
+      const existing = deliveries.find(d => d.id === deliveryId);
+      
+      if (!existing) {
+        throw new Error(`Delivery not found: ${deliveryId}`);
+      }
+      
+      if (existing.status !== 'failed') {
+        throw new Error('Delivery already queued');
+      }
+      
+      existing.status = 'pending';
+      existing.attempts = 0;
+      existing.nextAttemptAt = new Date().toISOString();
+      
+      await this.save('deliveries', QUEUE_COLLECTION, deliveries);
+      return existing;
+    });
+    
+    setImmediate(() => {
+      this.processQueue().catch(err => logger.error(`Error processing notification queue: ${err.message}`));
+    });
+    
+    return delivery;
+  }
+
+  /**
+   * Get the delivery log, newest first
+   * @param {Object} filters - { channelId, deliveryId, success, limit }
+   * @returns {Promise<Array>} Log entries
+   */
+  async getLog(filters = {}) {
+    const log = await this.load('log', LOG_COLLECTION);
+    const entries = log
+      .filter(entry =>
+        (!filters.channelId || entry.channelId === filters.channelId) &&
+        (!filters.deliveryId || entry.deliveryId === filters.deliveryId) &&
+        (filters.success === undefined || entry.success === filters.success)
+      )
+      .reverse();
+    
+    return filters.limit ? entries.slice(0, filters.limit) : entries;
+  }
+
+  /**
+   * Append an attempt to the delivery log, keeping the newest entries
+   * @param {Object} entry - Log entry
+   */
+  async appendLog(entry) {
+    await this.queue.run(LOG_COLLECTION, async () => {
+      const log = await this.load('log', LOG_COLLECTION);
+      await this.save('log', LOG_COLLECTION, [...log, entry].slice(-MAX_LOG_ENTRIES));
+    });
+  }
+
+  /**
+   * Persist a collection and update the in-memory copy
+   * @param {string} property - Property holding the in-memory copy
+   * @param {string} collection - Collection name
+   * @param {Array} items - Items
+   */
+  async save(property, collection, items) {
+    await deviceManager.store.saveCollection(collection, items);
+    this[property] = items;
+  }
+}
+
+/**
+ * Create a queued delivery
+ * @param {string} channelId - Channel identifier
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ * @returns {Object} Delivery
+ */
+function createDelivery(channelId, event, data) {
+  const now = new Date().toISOString();
+  
+  return {
+    id: uuidv4(),
+    channelId,
+    event,
+    data,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: now,
+    lastAttemptAt: null,
+    lastError: null,
+    createdAt: now
+  };
+}
+
+/**
+ * Keep only the newest failed deliveries
+ * @param {Array} deliveries - Deliveries
+ * @returns {Array} Deliveries
+ */
+function trimFailed(deliveries) {
+  const failed = deliveries.filter(d => d.status === 'failed');
+  if (failed.length <= MAX_FAILED_DELIVERIES) return deliveries;
+  
+  const dropped = new Set(failed.slice(0, failed.length - MAX_FAILED_DELIVERIES).map(d => d.id));
+  return deliveries.filter(d => !dropped.has(d.id));
+}
+
+// Create and export singleton instance
+module.exports = (function() {
+  if (!instance) {
+    instance = new NotificationManager();
+  }
+  return instance;
+})();
@@ -0,0 +1,323 @@
+/**
+ * Presence Engine Service
+ * The single source of device status transitions. Socket connect, disconnect
+ * and heartbeat events from the signaling service drive it; a periodic sweep
+ * is only a backstop that demotes devices whose heartbeats stopped without a
+ * disconnect (and clears the flapping flag of devices that settled down).
+ *
+ * Every transition is decided by presenceRules.nextStatus, recorded as one
+ * status_change health event (with the event that caused it as reason),
+ * emitted locally as a 'transition' event and broadcast to dashboards as
+ * device-status-update - unless the device is in a maintenance window, or
+ * flapping (see flapDetector).
+ */
+const EventEmitter = require('events');
+const logger = require('../../utils/logger');
+const config = require('../../config/app');
+const deviceManager = require('./deviceManager');
+const maintenanceManager = require('./maintenanceManager');
+const notificationManager = require('./notificationManager');
+const statusThresholds = require('./statusThresholds');
+const flapDetector = require('./flapDetector');
+const { nextStatus } = require('./presenceRules');
+const { KeyedQueue } = require('../../utils/atomicFile');
+const { emitToViewers } = require('../../socket/deviceRooms');
+
+// Singleton instance
+let instance = null;
+
+class PresenceEngine extends EventEmitter {
+  constructor() {
+    super();
+    // Socket.IO instance for dashboard broadcasts
+    this.io = null;
+    // remotePcId -> id of the device's current socket
+    this.connections = new Map();
+    // Serializes the events of one device so transitions are applied in order
+    this.queue = new KeyedQueue();
+    this.sweepTimer = null;
+    this.sweeping = false;
+  }
+
+  /**
+   * Start broadcasting transitions and run the backstop sweep
+   * @param {Object} io - Socket.IO instance
+   */
+  start(io) {
+    this.stop();
+    this.io = io;
+    
+    const interval = config.monitoring.presenceSweepInterval;
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch(err => logger.error(`Error in presence sweep: ${err.message}`));
+    }, interval);
+    
+    statusThresholds.getDefaults().then(defaults => {
+      logger.info(`Presence engine started (sweep every ${interval / 1000}s, default thresholds: ` +
+                  `idle=${defaults.idleThreshold / 1000}s, offline=${defaults.offlineThreshold / 1000}s)`);
+    });
+  }
+
+  /**
+   * Stop the backstop sweep and the pending flapping broadcasts
+   */
+  stop() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+    
+    flapDetector.stop();
+  }
+
+  /**
+   * A device socket connected
+   * @param {string} remotePcId - Device identifier
+   * @param {string} socketId - Socket ID
+   * @param {Date} now - Event time
+   * @returns {Promise<Object|null>} Transition, or null when the status did not change
+   */
+  async connected(remotePcId, socketId, now = new Date()) {
+    this.connections.set(remotePcId, socketId);
+    return this.handle(remotePcId, { type: 'connect' }, now);
+  }
+
+  /**
+   * A device socket disconnected
+   * Ignored when the device already reconnected on another socket.
+   * @param {string} remotePcId - Device identifier
+   * @param {string} socketId - Socket ID
+   * @param {string} reason - Socket.IO disconnect reason
+   * @param {Date} now - Event time
+   * @returns {Promise<Object|null>} Transition, or null when the status did not change
+   */
+  async disconnected(remotePcId, socketId, reason, now = new Date()) {
+    if (this.connections.get(remotePcId) !== socketId) {
+      logger.debug(`Ignoring disconnect of stale socket ${socketId} for ${remotePcId}`);
+      return null;
+    }
+    
+    this.connections.delete(remotePcId);
+    return this.handle(remotePcId, { type: 'disconnect', detail: reason }, now);
+  }
+
+  /**
+   * A device showed it is alive (heartbeat, ping, registration)
+   * @param {string} remotePcId - Device identifier
+   * @param {Date} now - Event time
+   * @returns {Promise<Object|null>} Transition, or null when the status did not change
+   */
+  async heartbeat(remotePcId, now = new Date()) {
+    return this.handle(remotePcId, { type: 'heartbeat' }, now);
+  }
+
+  /**
+   * Set a device's status through the API
+   * @param {string} remotePcId - Device identifier
+   * @param {string} status - 'online', 'idle' or 'offline'
+   * @param {Date} now - Event time
+   * @returns {Promise<Object>} Device data after the change
+   */
+  async setStatus(remotePcId, status, now = new Date()) {
+    await this.handle(remotePcId, { type: 'set', status }, now);
+    return deviceManager.getDeviceByRemotePcId(remotePcId);
+  }
+
+  /**
+   * Whether a device has a connected socket
+   * @param {string} remotePcId - Device identifier
+   * @returns {boolean} True if connected
+   */
+  isConnected(remotePcId) {
+    return this.connections.has(remotePcId);
+  }
+
+  /**
+   * Backstop: demote devices whose heartbeats stopped and clear settled flapping devices
+   * @param {Date} now - Evaluation time
+   * @returns {Promise<Array>} Transitions applied
+   */
+  async sweep(now = new Date()) {
+    if (this.sweeping) return [];
+    this.sweeping = true;
+    
+    try {
+      const transitions = [];
+      
+      for (const device of await deviceManager.getAllDevices()) {
+        try {
+          // Never-seen devices (e.g. imported, not yet connected) keep their status
+          if (!device.lastSeen) continue;
+          
+          const transition = await this.handle(device.remotePcId, { type: 'timeout' }, now);
+          if (transition) transitions.push(transition);
+          
+          if (device.flapping) {
+            await this.checkFlapping(device.remotePcId, now);
+          }
+        } catch (err) {
+          logger.error(`Error checking presence of ${device.remotePcId}: ${err.message}`);
+        }
+      }
+      
+      return transitions;
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  /**
+   * Apply one presence event to a device
+   * @param {string} remotePcId - Device identifier
+   * @param {Object} event - { type, status, detail }
+   * @param {Date} now - Event time
+   * @returns {Promise<Object|null>} Transition, or null when the status did not change
+   */
+  async handle(remotePcId, event, now) {
+    const transition = await this.queue.run(remotePcId, async () => {
+      let device = await deviceManager.findDevice(remotePcId);
+      
+      // Unregistered devices get their first status when they register; archived ones keep theirs
+      if (!device || device.archivedAt) return null;
+      
+      if (event.type === 'connect' || event.type === 'heartbeat') {
+        device = await deviceManager.updateDeviceLastSeen(remotePcId, now);
+      }
+      
+      const observed = event.type === 'timeout' ? await statusThresholds.detectStatus(device, now) : undefined;
+      const previousStatus = device.status || null;
+      const status = nextStatus(previousStatus, { ...event, observed });
+      if (!status) return null;
+      
+      // Planned reboots during a maintenance window are recorded but not announced
+      const maintenance = await maintenanceManager.getActiveMaintenance(device);
+      const reason = event.detail ? `${event.type}: ${event.detail}` : event.type;
+      
+      const updated = await deviceManager.updateDeviceStatus(remotePcId, status, {
+        reason,
+        maintenanceWindowId: maintenance ? maintenance.windowId : null
+      }, now);
+      
+      const result = {
+        remotePcId,
+        systemName: updated.systemName,
+        previousStatus,
+        status,
+        reason,
+        lastSeen: updated.lastSeen,
+        timestamp: now.toISOString(),
+        maintenanceWindowId: maintenance ? maintenance.windowId : null
+      };
+      
+      this.emit('transition', result);
+      return { result, device: updated };
+    });
+    
+    if (!transition) return null;
+    
+    if (transition.result.maintenanceWindowId) {
+      logger.debug(`Status update for ${remotePcId} not announced (maintenance window ${transition.result.maintenanceWindowId})`);
+    } else {
+      await this.announce(transition.device, transition.result);
+    }
+    
+    return transition.result;
+  }
+
+  /**
+   * Broadcast a transition and send its notification, damped for flapping devices
+   * @param {Object} device - Device data after the change
+   * @param {Object} transition - Transition from handle()
+   */
+  async announce(device, transition) {
+    const flap = await flapDetector.handleStatusChange(device.remotePcId, new Date(transition.timestamp),
+      () => this.broadcastCurrent(device.remotePcId));
+    
+    if (flap.broadcast) {
+      this.broadcast({
+        remotePcId: transition.remotePcId,
+        systemName: transition.systemName,
+        status: transition.status,
+        previousStatus: transition.previousStatus,
+        reason: transition.reason,
+        lastSeen: transition.lastSeen,
+        flapping: flap.flapping,
+        timestamp: transition.timestamp
+      });
+    }
+    
+    if (flap.notify) {
+      await notificationManager.notifyStatusChange(device, transition.status)
+        .catch(err => logger.error(`Error queuing status notification for ${device.remotePcId}: ${err.message}`));
+    }
+  }
+
+  /**
+   * Re-evaluate a flapping device; one that settled down is announced once with its current status
+   * Devices in a maintenance window are re-evaluated after it ends, so the window stays unannounced.
+   * @param {string} remotePcId - Device identifier
+   * @param {Date} now - Evaluation time
+   */
+  async checkFlapping(remotePcId, now) {
+    const device = await deviceManager.findDevice(remotePcId);
+    if (!device || await maintenanceManager.getActiveMaintenance(device)) return;
+    
+    const result = await flapDetector.evaluate(remotePcId, now);
+    if (result.changed !== 'stopped') return;
+    
+    this.broadcast({
+      remotePcId,
+      systemName: result.device.systemName,
+      status: result.device.status,
+      lastSeen: result.device.lastSeen,
+      flapping: false,
+      timestamp: now.toISOString()
+    });
+    
+    await notificationManager.notifyStatusChange(result.device, result.device.status)
+      .catch(err => logger.error(`Error queuing status notification for ${remotePcId}: ${err.message}`));
+  }
+
+  /**
+   * Broadcast a device's current status, e.g. at the end of a flapping device's coalesce interval
+   * Nothing is sent while the device is in a maintenance window.
+   * @param {string} remotePcId - Device identifier
+   */
+  async broadcastCurrent(remotePcId) {
+    const device = await deviceManager.findDevice(remotePcId);
+    if (!device || device.archivedAt) return;
+    
+    if (await maintenanceManager.getActiveMaintenance(device)) {
+      logger.debug(`Status of ${remotePcId} not broadcast (maintenance window)`);
+      return;
+    }
+    
+    this.broadcast({
+      remotePcId,
+      systemName: device.systemName,
+      status: device.status,
+      lastSeen: device.lastSeen,
+      flapping: !!device.flapping,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Send a device-status-update to the dashboards that can view the device
+   * @param {Object} update - Update payload
+   */
+  broadcast(update) {
+    if (this.io) {
+      emitToViewers(this.io, update.remotePcId, 'device-status-update', update)
+        .catch(err => logger.error(`Error broadcasting status of ${update.remotePcId}: ${err.message}`));
+    }
+  }
+}
+
+// Create and export singleton instance
+module.exports = (function() {
+  if (!instance) {
+    instance = new PresenceEngine();
+  }
+  return instance;
+})();
@@ -0,0 +1,63 @@
+/**
+ * Presence Rules
+ * The status transitions of the presence engine, as pure functions of the
+ * current status and one presence event. Nothing here reads the clock or the
+ * device store, so the same inputs always give the same transition.
+ *
+ * Events:
+ *   connect    - the device's socket connected
+ *   heartbeat  - the device sent a heartbeat, ping or registration
+ *   disconnect - the device's current socket disconnected
+ *   timeout    - backstop check; observed is the status its last heartbeat
+ *                implies (statusThresholds.detectStatus)
+ *   set        - status set through the API; status is the requested value
+ */
+
+const STATUSES = ['online', 'idle', 'offline'];
+const EVENT_TYPES = ['connect', 'heartbeat', 'disconnect', 'timeout', 'set'];
+
+// How far a status is from online; a timeout only ever moves a device further away
+const STATUS_RANK = { online: 0, idle: 1, offline: 2 };
+
+/**
+ * Work out the status a presence event leads to
+ * @param {string} current - Current status (may be unset for never-seen devices)
+ * @param {Object} event - { type, observed, status }
+ * @returns {string|null} New status, or null when the status does not change
+ */
+function nextStatus(current, event) {
+  let status;
+  
+  switch (event.type) {
+    case 'connect':
+    case 'heartbeat':
+      status = 'online';
+      break;
+    case 'disconnect':
+      status = 'offline';
+      break;
+    case 'timeout':
+      // A stale heartbeat can demote a device but never bring it back;
+      // never-seen devices have no observed status
+      if (!STATUSES.includes(event.observed) || !(current in STATUS_RANK)) return null;
+      status = STATUS_RANK[event.observed] > STATUS_RANK[current] ? event.observed : current;
+      break;
+    case 'set':
+      status = event.status;
+      break;
+    default:
+      throw new Error(`Invalid presence event: ${event.type}`);
+  }
+  
+  if (!STATUSES.includes(status)) {
+    throw new Error('Invalid status value. Must be online, offline, or idle.');
+  }
+  
+  return status === current ? null : status;
+}
+
+module.exports = {
+  STATUSES,
+  EVENT_TYPES,
+  nextStatus
+};
@@ -0,0 +1,220 @@
+/**
+ * Retention Manager Service
+ * Nightly job that keeps the history files from growing forever: days past
+ * their retention period are deleted, and older days still kept are
+ * compressed into gzip archives.
+ *
+ * Applies to device health events and connection logs (through the device
+ * store) and to the fleet monitoring summaries written by the health monitor.
+ * The postgres device store only prunes its history tables; archiving applies
+ * to its monitoring summaries alone and its history results report archived: null.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../../utils/logger');
+const config = require('../../config/app');
+const dayLog = require('../../utils/dayLog');
+const deviceManager = require('./deviceManager');
+
+// Constants
+const DATA_DIR = path.join(__dirname, '../../data');
+const HEALTH_DATA_DIR = path.join(DATA_DIR, 'health');
+const SUMMARY_PREFIX = 'summary_';
+const DAY = 24 * 60 * 60 * 1000;
+
+// Singleton instance
+let instance = null;
+
+class RetentionManager {
+  constructor() {
+    this.timer = null;
+    this.nextRunAt = null;
+    this.running = false;
+    // Results of the last run
+    this.lastRun = null;
+  }
+
+  /**
+   * Schedule the nightly run
+   */
+  start() {
+    this.stop();
+    this.schedule();
+    logger.info(`History retention scheduled for ${this.nextRunAt.toISOString()}`);
+  }
+
+  /**
+   * Cancel the nightly run
+   */
+  stop() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    this.nextRunAt = null;
+  }
+
+  /**
+   * Set the timer for the next run hour (UTC)
+   */
+  schedule() {
+    const { runHour } = config.storage.retention;
+    const now = new Date();
+    const next = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), runHour));
+    if (next <= now) {
+      next.setUTCDate(next.getUTCDate() + 1);
+    }
+    
+    this.nextRunAt = next;
+    this.timer = setTimeout(() => {
+      this.run()
+        .catch(err => logger.error(`Error applying history retention: ${err.message}`))
+        .finally(() => this.schedule());
+    }, next - now);
+  }
+
+  /**
+   * Delete days past retention, then archive the remaining old days
+   * @returns {Promise<Object>} Results per data type
+   */
+  async run() {
+    if (this.running) {
+      throw new Error('Retention run already in progress');
+    }
+    
+    this.running = true;
+    const startedAt = new Date();
+    
+    try {
+      await deviceManager.ready;
+      const { store } = deviceManager;
+      const retention = config.storage.retention;
+      const archiveBefore = daysBefore(startedAt, retention.archiveAfterDays);
+      
+      const results = {};
+      const types = [
+        { key: 'healthEvents', type: 'health', days: retention.healthEventDays },
+        { key: 'connectionLogs', type: 'connections', days: retention.connectionLogDays }
+      ];
+      
+      for (const { key, type, days } of types) {
+        results[key] = {
+          pruned: await store.pruneHistory(type, daysBefore(startedAt, days)),
+          archived: store.archivesHistory ? await store.archiveHistory(type, archiveBefore) : null
+        };
+      }
+      
+      results.monitoringSummaries = {
+        pruned: await pruneSummaries(daysBefore(startedAt, retention.monitoringSummaryDays)),
+        archived: await archiveSummaries(archiveBefore)
+      };
+      
+      this.lastRun = {
+        startedAt: startedAt.toISOString(),
+        finishedAt: new Date().toISOString(),
+        results
+      };
+      
+      logger.info(`History retention applied: ${JSON.stringify(results)}`);
+      return this.lastRun;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Disk usage of the stored data and the retention settings
+   * @returns {Promise<Object>} { backend, archivesHistory, usage, disk, retention, lastRun, nextRunAt }
+   */
+  async getStorageStatus() {
+    await deviceManager.ready;
+    
+    const usage = await deviceManager.store.getStorageUsage();
+    usage.monitoringSummaries = await dayLog.getDirectoryUsage(HEALTH_DATA_DIR, file =>
+      !file.includes(path.sep) && file.startsWith(SUMMARY_PREFIX));
+    
+    let disk = null;
+    try {
+      const stats = await fs.statfs(DATA_DIR);
+      disk = {
+        totalBytes: stats.blocks * stats.bsize,
+        freeBytes: stats.bavail * stats.bsize
+      };
+    } catch (err) {
+      // Not supported on this platform
+    }
+    
+    return {
+      backend: config.storage.deviceBackend,
+      archivesHistory: deviceManager.store.archivesHistory,
+      usage,
+      disk,
+      retention: config.storage.retention,
+      lastRun: this.lastRun,
+      nextRunAt: this.nextRunAt ? this.nextRunAt.toISOString() : null
+    };
+  }
+}
+
+/**
+ * Start of the UTC day a number of days before a time
+ * @param {Date} time - Reference time
+ * @param {number} days - Days
+ * @returns {Date} Cutoff
+ */
+function daysBefore(time, days) {
+  const cutoff = new Date(time.getTime() - days * DAY);
+  return new Date(Date.UTC(cutoff.getUTCFullYear(), cutoff.getUTCMonth(), cutoff.getUTCDate()));
+}
+
+/**
+ * List the monitoring summary days before a cutoff
+ * @param {Date} before - Cutoff
+ * @returns {Promise<Array>} Days from dayLog.listDays
+ */
+async function listSummaryDays(before) {
+  const cutoffDay = before.toISOString().split('T')[0];
+  return (await dayLog.listDays(HEALTH_DATA_DIR, SUMMARY_PREFIX)).filter(entry => entry.day < cutoffDay);
+}
+
+/**
+ * Delete monitoring summary days before a cutoff
+ * @param {Date} before - Cutoff
+ * @returns {Promise<Object>} { days, bytes }
+ */
+async function pruneSummaries(before) {
+  const result = { days: 0, bytes: 0 };
+  
+  for (const entry of await listSummaryDays(before)) {
+    result.bytes += await dayLog.removeDay(entry);
+    result.days++;
+  }
+  
+  return result;
+}
+
+/**
+ * Archive monitoring summary days before a cutoff
+ * @param {Date} before - Cutoff
+ * @returns {Promise<Object>} { days, bytesBefore, bytesAfter }
+ */
+async function archiveSummaries(before) {
+  const result = { days: 0, bytesBefore: 0, bytesAfter: 0 };
+  
+  for (const entry of await listSummaryDays(before)) {
+    const archived = await dayLog.archiveDay(entry);
+    if (archived) {
+      result.days++;
+      result.bytesBefore += archived.bytesBefore;
+      result.bytesAfter += archived.bytesAfter;
+    }
+  }
+  
+  return result;
+}
+
+// Export singleton instance
+module.exports = (() => {
+  if (!instance) {
+    instance = new RetentionManager();
+  }
+  return instance;
+})();
@@ -0,0 +1,262 @@
+/**
+ * Status Threshold Service
+ * Idle and offline thresholds used to derive a device's status from its last
+ * heartbeat. Each threshold is resolved per device: the device's own
+ * override, then the policy of the groups it belongs to, then the system
+ * default (system_settings, falling back to config.monitoring).
+ *
+ * The presence engine's backstop sweep classifies devices through
+ * detectStatus when their heartbeats stop.
+ */
+const Joi = require('joi');
+const logger = require('../../utils/logger');
+const config = require('../../config/app');
+const deviceManager = require('./deviceManager');
+const groupManager = require('./groupManager');
+const { pool } = require('../../config/db');
+
+// Constants
+const SETTINGS_KEY = 'device_status_thresholds';
+const MIN_THRESHOLD = 10000; // 10 seconds
+const MAX_THRESHOLD = 7 * 24 * 60 * 60 * 1000; // 7 days
+const THRESHOLD_KEYS = ['idleThreshold', 'offlineThreshold'];
+const FALLBACK_TTL = 60000; // Retry the system settings a minute after a failed load
+
+// Thresholds in milliseconds; either may be left out to inherit it
+const thresholdSchema = Joi.object({
+  idleThreshold: Joi.number().integer().min(MIN_THRESHOLD).max(MAX_THRESHOLD),
+  offlineThreshold: Joi.number().integer().min(MIN_THRESHOLD).max(MAX_THRESHOLD)
+}).or(...THRESHOLD_KEYS).messages({
+  'object.missing': 'at least one of "idleThreshold" or "offlineThreshold" is required'
+});
+
+// Singleton instance
+let instance = null;
+
+class StatusThresholdManager {
+  constructor(db = pool) {
+    this.db = db;
+    // Cached system default (null until first load)
+    this.defaults = null;
+    // When a fallback cached after a failed load expires (null: cached until saved)
+    this.defaultsExpireAt = null;
+  }
+
+  /**
+   * Get the system default thresholds
+   * @returns {Promise<Object>} { idleThreshold, offlineThreshold }
+   */
+  async getDefaults() {
+    if (this.defaults && (this.defaultsExpireAt === null || Date.now() < this.defaultsExpireAt)) {
+      return this.defaults;
+    }
+    
+    let stored = {};
+    let expireAt = null;
+    try {
+      const result = await this.db.query(
+        'SELECT value FROM system_settings WHERE key = $1',
+        [SETTINGS_KEY]
+      );
+      
+      if (result.rows.length > 0) {
+        const value = result.rows[0].value;
+        stored = typeof value === 'string' ? JSON.parse(value) : value;
+      }
+    } catch (error) {
+      logger.error(`Error loading status thresholds from system settings: ${error.message}`);
+      // Use the configured thresholds for now, but do not cache them for good
+      expireAt = Date.now() + FALLBACK_TTL;
+    }
+    
+    this.defaults = { ...getBuiltInDefaults(), ...pickThresholds(stored) };
+    this.defaultsExpireAt = expireAt;
+    return this.defaults;
+  }
+
+  /**
+   * Replace the system default thresholds
+   * @param {Object|null} values - { idleThreshold, offlineThreshold }; a missing value (or null for both)
+   *   reverts to the configured one
+   * @returns {Promise<Object>} New defaults
+   */
+  async saveDefaults(values) {
+    const thresholds = values === null ? {} : validateThresholds(values);
+    const defaults = { ...getBuiltInDefaults(), ...thresholds };
+    checkOrder(defaults);
+    
+    const json = JSON.stringify(thresholds);
+    
+    const updated = await this.db.query(
+      'UPDATE system_settings SET value = $2 WHERE key = $1',
+      [SETTINGS_KEY, json]
+    );
+    
+    if (updated.rowCount === 0) {
+      await this.db.query(
+        'INSERT INTO system_settings (key, value, description) VALUES ($1, $2, $3)',
+        [SETTINGS_KEY, json, 'Default idle and offline thresholds for devices (ms)']
+      );
+    }
+    
+    this.defaults = defaults;
+    this.defaultsExpireAt = null;
+    logger.info(`Default status thresholds updated: idle=${defaults.idleThreshold}ms, offline=${defaults.offlineThreshold}ms`);
+    
+    return defaults;
+  }
+
+  /**
+   * Resolve the thresholds that apply to a device
+   * When several of the device's groups set a threshold, the loosest one wins.
+   * @param {Object} device - Device data
+   * @returns {Promise<Object>} { idleThreshold, offlineThreshold, sources } - sources names the level each value came from
+   */
+  async resolve(device) {
+    const defaults = await this.getDefaults();
+    const groupIds = await groupManager.getDeviceGroupIds(device);
+    const groups = (await groupManager.loadGroups())
+      .filter(group => groupIds.includes(group.id) && group.statusThresholds);
+    const override = device.statusThresholds || {};
+    
+    const resolved = { sources: {} };
+    
+    for (const key of THRESHOLD_KEYS) {
+      if (override[key]) {
+        resolved[key] = override[key];
+        resolved.sources[key] = { level: 'device' };
+        continue;
+      }
+      
+      const loosest = groups
+        .filter(group => group.statusThresholds[key])
+        .sort((a, b) => b.statusThresholds[key] - a.statusThresholds[key])[0];
+      
+      if (loosest) {
+        resolved[key] = loosest.statusThresholds[key];
+        resolved.sources[key] = { level: 'group', groupId: loosest.id, groupName: loosest.name };
+      } else {
+        resolved[key] = defaults[key];
+        resolved.sources[key] = { level: 'default' };
+      }
+    }
+    
+    // Values from different levels can cross; a device then goes straight from online to offline
+    if (resolved.idleThreshold > resolved.offlineThreshold) {
+      resolved.idleThreshold = resolved.offlineThreshold;
+    }
+    
+    return resolved;
+  }
+
+  /**
+   * Derive a device's status from its last heartbeat and its thresholds
+   * @param {Object} device - Device data
+   * @param {Date} now - Evaluation time
+   * @returns {Promise<string>} 'online', 'idle' or 'offline' (the current status for never-seen devices)
+   */
+  async detectStatus(device, now = new Date()) {
+    if (!device.lastSeen) {
+      return device.status;
+    }
+    
+    const thresholds = await this.resolve(device);
+    const timeSinceLastSeen = now - new Date(device.lastSeen);
+    
+    if (timeSinceLastSeen > thresholds.offlineThreshold) {
+      return 'offline';
+    }
+    if (timeSinceLastSeen > thresholds.idleThreshold) {
+      return 'idle';
+    }
+    return 'online';
+  }
+
+  /**
+   * Set or clear a device's own thresholds
+   * @param {string} remotePcId - Device identifier
+   * @param {Object|null} values - { idleThreshold, offlineThreshold }, or null to inherit both
+   * @returns {Promise<Object>} Updated device data
+   */
+  async setDeviceThresholds(remotePcId, values) {
+    const thresholds = values === null ? null : validateThresholds(values);
+    
+    return deviceManager.updateDevice(remotePcId, device => {
+      if (thresholds) {
+        device.statusThresholds = thresholds;
+      } else {
+        delete device.statusThresholds;
+      }
+    });
+  }
+
+  /**
+   * Set or clear a group's threshold policy
+   * @param {string} groupId - Group identifier
+   * @param {Object|null} values - { idleThreshold, offlineThreshold }, or null to inherit both
+   * @returns {Promise<Object>} Updated group
+   */
+  async setGroupThresholds(groupId, values) {
+    const thresholds = values === null ? null : validateThresholds(values);
+    return groupManager.setGroupStatusThresholds(groupId, thresholds);
+  }
+}
+
+/**
+ * Thresholds from the application configuration
+ * @returns {Object} { idleThreshold, offlineThreshold }
+ */
+function getBuiltInDefaults() {
+  return {
+    idleThreshold: config.monitoring.idleThreshold,
+    offlineThreshold: config.monitoring.offlineThreshold
+  };
+}
+
+/**
+ * Validate a set of thresholds
+ * @param {Object} values - { idleThreshold, offlineThreshold }
+ * @returns {Object} Validated thresholds (only the keys that were given)
+ */
+function validateThresholds(values) {
+  const { error, value } = thresholdSchema.validate(values, { abortEarly: false });
+  
+  if (error) {
+    throw new Error(`Invalid status thresholds: ${error.details.map(d => d.message).join('; ')}`);
+  }
+  
+  checkOrder(value);
+  return pickThresholds(value);
+}
+
+/**
+ * Check that the idle threshold is below the offline threshold when both are set
+ * @param {Object} thresholds - { idleThreshold, offlineThreshold }
+ */
+function checkOrder(thresholds) {
+  if (thresholds.idleThreshold && thresholds.offlineThreshold &&
+      thresholds.idleThreshold >= thresholds.offlineThreshold) {
+    throw new Error('Invalid status thresholds: "idleThreshold" must be less than "offlineThreshold"');
+  }
+}
+
+/**
+ * Keep only the threshold keys of a stored value
+ * @param {Object} stored - Stored thresholds
+ * @returns {Object} Thresholds
+ */
+function pickThresholds(stored) {
+  const picked = {};
+  for (const key of THRESHOLD_KEYS) {
+    if (stored && Number.isInteger(stored[key])) picked[key] = stored[key];
+  }
+  return picked;
+}
+
+// Create and export singleton instance
+module.exports = (function() {
+  if (!instance) {
+    instance = new StatusThresholdManager();
+  }
+  return instance;
+})();
@@ -0,0 +1,504 @@
+/**
+ * File Device Store
+ * Persists device records, connection logs, health events, inventory
+ * history and resource metrics as JSON files
+ * under the data directory (default storage backend)
+ *
+ * Device records are loaded into an in-memory index at startup and served
+ * from it; writes are queued per device and replace files atomically.
+ * Connection logs, health events and metric samples are append-only NDJSON
+ * day files; logs and events are gzipped once they are old (see utils/dayLog).
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../../../utils/logger');
+const { writeJsonAtomic, removeStaleTempFiles, KeyedQueue } = require('../../../utils/atomicFile');
+const dayLog = require('../../../utils/dayLog');
+
+// Constants
+const DEVICE_DATA_DIR = path.join(__dirname, '../../../data/devices');
+const DEVICE_LOGS_DIR = path.join(__dirname, '../../../data/logs');
+const HEALTH_DATA_DIR = path.join(__dirname, '../../../data/health');
+const INVENTORY_DATA_DIR = path.join(__dirname, '../../../data/inventory');
+const METRICS_DATA_DIR = path.join(__dirname, '../../../data/metrics');
+const DATA_DIR = path.join(__dirname, '../../../data');
+
+class FileDeviceStore {
+  constructor() {
+    this.name = 'file';
+    // Old history days are gzipped by the retention job
+    this.archivesHistory = true;
+    // remotePcId -> device record, loaded once at startup
+    this.index = new Map();
+    // Per-device write queue so concurrent saves never interleave
+    this.writeQueue = new KeyedQueue();
+  }
+
+  /**
+   * Ensure data directories exist and build the device index
+   */
+  async initialize() {
+    await fs.mkdir(DEVICE_DATA_DIR, { recursive: true });
+    await fs.mkdir(DEVICE_LOGS_DIR, { recursive: true });
+    await fs.mkdir(HEALTH_DATA_DIR, { recursive: true });
+    await fs.mkdir(INVENTORY_DATA_DIR, { recursive: true });
+    await fs.mkdir(METRICS_DATA_DIR, { recursive: true });
+    
+    const removed = await removeStaleTempFiles(DEVICE_DATA_DIR);
+    if (removed > 0) {
+      logger.warn(`Removed ${removed} interrupted device write(s)`);
+    }
+    
+    await this.loadIndex();
+  }
+
+  /**
+   * Read every device file into the in-memory index
+   */
+  async loadIndex() {
+    const deviceFiles = await fs.readdir(DEVICE_DATA_DIR);
+    const jsonFiles = deviceFiles.filter(file => file.endsWith('.json'));
+    
+    this.index.clear();
+    
+    for (const file of jsonFiles) {
+      const fileId = path.basename(file, '.json');
+      const filePath = path.join(DEVICE_DATA_DIR, file);
+      
+      let device;
+      try {
+        device = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      } catch (err) {
+        await this.quarantine(filePath, err);
+        continue;
+      }
+      
+      // Skip anything that is not a single device record (e.g. fixture arrays)
+      if (!device || typeof device !== 'object' || Array.isArray(device)) {
+        logger.warn(`Skipping non-device file in device directory: ${file}`);
+        continue;
+      }
+      
+      // Ensure the device has a remotePcId field set
+      if (!device.remotePcId) {
+        device.remotePcId = fileId;
+      }
+      
+      this.index.set(device.remotePcId, device);
+    }
+    
+    logger.info(`Device index loaded: ${this.index.size} device(s)`);
+  }
+
+  /**
+   * Move an unreadable device file aside so it is reported once, not skipped forever
+   * @param {string} filePath - Corrupt file path
+   * @param {Error} err - Parse or read error
+   */
+  async quarantine(filePath, err) {
+    const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+    
+    try {
+      await fs.rename(filePath, corruptPath);
+      logger.error(`Corrupt device file ${path.basename(filePath)} moved to ${path.basename(corruptPath)}: ${err.message}`);
+    } catch (renameError) {
+      logger.error(`Corrupt device file ${path.basename(filePath)} could not be moved: ${renameError.message}`);
+    }
+  }
+
+  /**
+   * Get a device record from the index
+   * @param {string} remotePcId - Device identifier
+   * @returns {Promise<Object|null>} Device data or null if not found
+   */
+  async getDevice(remotePcId) {
+    return this.index.get(remotePcId) || null;
+  }
+
+  /**
+   * Get all device records from the index
+   * @returns {Promise<Array>} List of devices
+   */
+  async getAllDevices() {
+    return Array.from(this.index.values());
+  }
+
+  /**
+   * Save a device record
+   * The index is updated immediately; the file write is queued behind any
+   * pending write for the same device and replaces the file atomically.
+   * @param {Object} device - Device data
+   * @returns {Promise<Object>} Saved device data
+   */
+  async saveDevice(device) {
+    const { remotePcId } = device;
+    const deviceFilePath = path.join(DEVICE_DATA_DIR, `${remotePcId}.json`);
+    
+    // Snapshot now so a later in-memory mutation cannot leak into this write
+    const snapshot = JSON.parse(JSON.stringify(device));
+    this.index.set(remotePcId, device);
+    
+    await this.writeQueue.run(remotePcId, () => writeJsonAtomic(deviceFilePath, snapshot));
+    return device;
+  }
+
+  /**
+   * Delete a device record with its connection logs and health events
+   * @param {string} remotePcId - Device identifier
+   */
+  async deleteDevice(remotePcId) {
+    if (path.basename(remotePcId) !== remotePcId) {
+      throw new Error(`Invalid device id: ${remotePcId}`);
+    }
+    
+    const deviceFilePath = path.join(DEVICE_DATA_DIR, `${remotePcId}.json`);
+    
+    this.index.delete(remotePcId);
+    await this.writeQueue.run(remotePcId, () => fs.rm(deviceFilePath, { force: true }));
+    
+    // Connection logs are one file per device and day: <remotePcId>_<YYYY-MM-DD>.ndjson (or .json / .ndjson.gz)
+    for (const entry of await dayLog.listDays(DEVICE_LOGS_DIR, `${remotePcId}_`)) {
+      await dayLog.removeDay(entry);
+    }
+    
+    await fs.rm(path.join(HEALTH_DATA_DIR, remotePcId), { recursive: true, force: true });
+    await fs.rm(path.join(INVENTORY_DATA_DIR, `${remotePcId}.json`), { force: true });
+    await fs.rm(path.join(METRICS_DATA_DIR, remotePcId), { recursive: true, force: true });
+  }
+
+  /**
+   * Load a named collection (e.g. device groups)
+   * @param {string} name - Collection name
+   * @returns {Promise<Array>} Collection items
+   */
+  async getCollection(name) {
+    return readJsonArray(path.join(DATA_DIR, `${name}.json`));
+  }
+
+  /**
+   * Replace a named collection
+   * @param {string} name - Collection name
+   * @param {Array} items - Collection items
+   */
+  async saveCollection(name, items) {
+    const snapshot = JSON.parse(JSON.stringify(items));
+    await this.writeQueue.run(`collection:${name}`, () =>
+      writeJsonAtomic(path.join(DATA_DIR, `${name}.json`), snapshot)
+    );
+  }
+
+  /**
+   * Append a connection log entry
+   * @param {Object} logEntry - Log entry
+   */
+  async appendConnectionLog(logEntry) {
+    const day = logEntry.timestamp.split('T')[0];
+    await dayLog.appendRecord(path.join(DEVICE_LOGS_DIR, `${logEntry.remotePcId}_${day}`), logEntry);
+  }
+
+  /**
+   * Get connection log entries for one day
+   * @param {string} remotePcId - Device identifier
+   * @param {Object} options - Query options
+   * @returns {Promise<Array>} Log entries
+   */
+  async getConnectionLogs(remotePcId, options = {}) {
+    const { date, limit } = options;
+    
+    const targetDate = date || new Date().toISOString().split('T')[0];
+    
+    let logs = await dayLog.readRecords(path.join(DEVICE_LOGS_DIR, `${remotePcId}_${targetDate}`));
+    
+    if (limit && limit > 0) {
+      logs = logs.slice(-limit);
+    }
+    
+    return logs;
+  }
+
+  /**
+   * Append a health event
+   * @param {string} remotePcId - Device identifier
+   * @param {Object} event - Event data
+   */
+  async appendHealthEvent(remotePcId, event) {
+    const deviceHealthDir = path.join(HEALTH_DATA_DIR, remotePcId);
+    await fs.mkdir(deviceHealthDir, { recursive: true });
+    
+    const day = (event.timestamp || new Date().toISOString()).split('T')[0];
+    await dayLog.appendRecord(path.join(deviceHealthDir, day), event);
+  }
+
+  /**
+   * Append an inventory snapshot, keeping the newest `keep` versions
+   * @param {string} remotePcId - Device identifier
+   * @param {Object} snapshot - Snapshot ({ version, hash, receivedAt, inventory, ... })
+   * @param {number} keep - Number of versions to retain
+   */
+  async appendInventorySnapshot(remotePcId, snapshot, keep) {
+    const filePath = path.join(INVENTORY_DATA_DIR, `${remotePcId}.json`);
+    
+    await this.writeQueue.run(`inventory:${remotePcId}`, async () => {
+      const snapshots = await readJsonArray(filePath);
+      snapshots.push(snapshot);
+      await writeJsonAtomic(filePath, keep ? snapshots.slice(-keep) : snapshots);
+    });
+  }
+
+  /**
+   * Get inventory snapshots for a device, oldest first
+   * @param {string} remotePcId - Device identifier
+   * @returns {Promise<Array>} Snapshots
+   */
+  async getInventorySnapshots(remotePcId) {
+    return readJsonArray(path.join(INVENTORY_DATA_DIR, `${remotePcId}.json`));
+  }
+
+  /**
+   * Append metric samples - one NDJSON day log per device, resolution and day:
+   * metrics/<remotePcId>/<resolution>_<YYYY-MM-DD>.ndjson (older days may be .json arrays)
+   * @param {string} remotePcId - Device identifier
+   * @param {string} resolution - 'raw', '5m' or '1h'
+   * @param {Array} samples - Samples ({ t, ... }), oldest first
+   */
+  async appendMetricSamples(remotePcId, resolution, samples) {
+    const deviceMetricsDir = path.join(METRICS_DATA_DIR, remotePcId);
+    await fs.mkdir(deviceMetricsDir, { recursive: true });
+    
+    const byDay = new Map();
+    for (const sample of samples) {
+      const day = sample.t.split('T')[0];
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push(sample);
+    }
+    
+    for (const [day, daySamples] of byDay) {
+      await dayLog.appendRecords(path.join(deviceMetricsDir, `${resolution}_${day}`), daySamples);
+    }
+  }
+
+  /**
+   * Get metric samples in a time range, oldest first
+   * @param {string} remotePcId - Device identifier
+   * @param {string} resolution - 'raw', '5m' or '1h'
+   * @param {Object} range - { from, to } as Date
+   * @returns {Promise<Array>} Samples
+   */
+  async getMetricSamples(remotePcId, resolution, range) {
+    const fromDay = range.from.toISOString().split('T')[0];
+    const toDay = range.to.toISOString().split('T')[0];
+    
+    const days = (await listMetricDays(remotePcId, resolution))
+      .filter(entry => entry.day >= fromDay && entry.day <= toDay);
+    
+    const samples = [];
+    for (const entry of days) {
+      samples.push(...await dayLog.readRecords(entry.basePath));
+    }
+    
+    const from = range.from.toISOString();
+    const to = range.to.toISOString();
+    return samples.filter(sample => sample.t >= from && sample.t <= to);
+  }
+
+  /**
+   * Drop metric samples older than a cutoff (whole days)
+   * @param {string} remotePcId - Device identifier
+   * @param {string} resolution - 'raw', '5m' or '1h'
+   * @param {Date} before - Cutoff
+   */
+  async pruneMetricSamples(remotePcId, resolution, before) {
+    const cutoffDay = before.toISOString().split('T')[0];
+    
+    for (const entry of await listMetricDays(remotePcId, resolution)) {
+      if (entry.day < cutoffDay) {
+        await dayLog.removeDay(entry);
+      }
+    }
+  }
+
+  /**
+   * Get health events for a device
+   * @param {string} remotePcId - Device identifier
+   * @param {Object} options - Query options (date, or latest day when omitted)
+   * @returns {Promise<Array>} Health events
+   */
+  async getHealthEvents(remotePcId, options = {}) {
+    const { date, limit } = options;
+    
+    let days = await dayLog.listDays(path.join(HEALTH_DATA_DIR, remotePcId));
+    
+    if (date) {
+      days = days.filter(entry => entry.day.startsWith(date));
+    } else {
+      // Latest day only
+      days = days.slice(-1);
+    }
+    
+    const events = [];
+    for (const entry of days) {
+      events.push(...await dayLog.readRecords(entry.basePath));
+    }
+    
+    return limit ? events.slice(0, limit) : events;
+  }
+
+  /**
+   * Get health events in a time range, oldest first
+   * @param {string} remotePcId - Device identifier
+   * @param {Object} range - { from, to } as Date
+   * @returns {Promise<Array>} Health events
+   */
+  async getHealthEventRange(remotePcId, range) {
+    const fromDay = range.from.toISOString().split('T')[0];
+    const toDay = range.to.toISOString().split('T')[0];
+    
+    const days = (await dayLog.listDays(path.join(HEALTH_DATA_DIR, remotePcId)))
+      .filter(entry => entry.day >= fromDay && entry.day <= toDay);
+    
+    const events = [];
+    for (const entry of days) {
+      events.push(...await dayLog.readRecords(entry.basePath));
+    }
+    
+    const from = range.from.toISOString();
+    const to = range.to.toISOString();
+    return events
+      .filter(event => event.timestamp >= from && event.timestamp <= to)
+      .sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0));
+  }
+
+  /**
+   * Get the last health event of a type before a point in time
+   * @param {string} remotePcId - Device identifier
+   * @param {Date} before - Point in time
+   * @param {string} type - Event type
+   * @returns {Promise<Object|null>} Health event or null
+   */
+  async getLastHealthEvent(remotePcId, before, type) {
+    const cutoff = before.toISOString();
+    const cutoffDay = cutoff.split('T')[0];
+    
+    // Walk back one day at a time until an event is found
+    const days = (await dayLog.listDays(path.join(HEALTH_DATA_DIR, remotePcId)))
+      .filter(entry => entry.day <= cutoffDay)
+      .reverse();
+    
+    for (const entry of days) {
+      const events = (await dayLog.readRecords(entry.basePath))
+        .filter(event => event.type === type && event.timestamp < cutoff)
+        .sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0));
+      
+      if (events.length > 0) {
+        return events[events.length - 1];
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Gzip whole days of connection logs or health events older than a cutoff
+   * @param {string} type - 'connections' or 'health'
+   * @param {Date} before - Days before this day are archived
+   * @returns {Promise<Object>} { days, bytesBefore, bytesAfter }
+   */
+  async archiveHistory(type, before) {
+    const result = { days: 0, bytesBefore: 0, bytesAfter: 0 };
+    
+    for (const entry of await listHistoryDays(type, before)) {
+      const archived = await dayLog.archiveDay(entry);
+      if (archived) {
+        result.days++;
+        result.bytesBefore += archived.bytesBefore;
+        result.bytesAfter += archived.bytesAfter;
+      }
+    }
+    
+    return result;
+  }
+
+  /**
+   * Delete whole days of connection logs or health events older than a cutoff
+   * @param {string} type - 'connections' or 'health'
+   * @param {Date} before - Days before this day are deleted
+   * @returns {Promise<Object>} { days, bytes }
+   */
+  async pruneHistory(type, before) {
+    const result = { days: 0, bytes: 0 };
+    
+    for (const entry of await listHistoryDays(type, before)) {
+      result.bytes += await dayLog.removeDay(entry);
+      result.days++;
+    }
+    
+    return result;
+  }
+
+  /**
+   * Disk usage per data type
+   * @returns {Promise<Object>} { <type>: { bytes, files } }
+   */
+  async getStorageUsage() {
+    return {
+      devices: await dayLog.getDirectoryUsage(DEVICE_DATA_DIR),
+      connectionLogs: await dayLog.getDirectoryUsage(DEVICE_LOGS_DIR),
+      // Per-device subdirectories; the monitoring summaries at the top level are reported separately
+      healthEvents: await dayLog.getDirectoryUsage(HEALTH_DATA_DIR, file => file.includes(path.sep)),
+      inventory: await dayLog.getDirectoryUsage(INVENTORY_DATA_DIR),
+      metrics: await dayLog.getDirectoryUsage(METRICS_DATA_DIR),
+      collections: await dayLog.getDirectoryUsage(DATA_DIR, file => !file.includes(path.sep) && file.endsWith('.json'))
+    };
+  }
+}
+
+/**
+ * List the connection log or health event days before a cutoff
+ * @param {string} type - 'connections' or 'health'
+ * @param {Date} before - Cutoff (whole days)
+ * @returns {Promise<Array>} Days from dayLog.listDays
+ */
+async function listHistoryDays(type, before) {
+  const cutoffDay = before.toISOString().split('T')[0];
+  let days = [];
+  
+  if (type === 'connections') {
+    days = await dayLog.listDays(DEVICE_LOGS_DIR, null);
+  } else if (type === 'health') {
+    const entries = await fs.readdir(HEALTH_DATA_DIR, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries.filter(item => item.isDirectory())) {
+      days.push(...await dayLog.listDays(path.join(HEALTH_DATA_DIR, entry.name)));
+    }
+  } else {
+    throw new Error(`Invalid history type: ${type}`);
+  }
+  
+  return days.filter(entry => entry.day < cutoffDay);
+}
+
+/**
+ * List a device's metric days for one resolution, oldest first
+ * @param {string} remotePcId - Device identifier
+ * @param {string} resolution - Resolution
+ * @returns {Promise<Array>} Days from dayLog.listDays
+ */
+async function listMetricDays(remotePcId, resolution) {
+  return dayLog.listDays(path.join(METRICS_DATA_DIR, remotePcId), `${resolution}_`);
+}
+
+/**
+ * Read a JSON array file, treating a missing or invalid file as empty
+ * @param {string} filePath - File path
+ * @returns {Promise<Array>} Parsed array
+ */
+async function readJsonArray(filePath) {
+  try {
+    const data = await fs.readFile(filePath, 'utf8');
+    const parsed = JSON.parse(data);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+module.exports = FileDeviceStore;
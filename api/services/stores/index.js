@@ -0,0 +1,32 @@
+/**
+ * Device store factory
+ * Selects the persistence backend for DeviceManager from configuration
+ */
+const config = require('../../../config/app');
+
+/**
+ * Create a device store
+ * @param {string} backend - 'file' or 'postgres'
+ * @returns {Object} Device store instance
+ */
+function createDeviceStore(backend = config.storage.deviceBackend) {
+  switch (backend) {
+    case 'postgres': {
+      const PgDeviceStore = require('./pgDeviceStore');
+      return new PgDeviceStore();
+    }
+    case 'file':
+    case undefined:
+    case null:
+    case '': {
+      const FileDeviceStore = require('./fileDeviceStore');
+      return new FileDeviceStore();
+    }
+    default:
+      throw new Error(`Unknown device store backend: ${backend}`);
+  }
+}
+
+module.exports = {
+  createDeviceStore
+};
@@ -0,0 +1,479 @@
+/**
+ * PostgreSQL Device Store
+ * Persists device records, connection logs, health events and metrics in the
+ * devices, device_connection_logs, device_health_events and device_metrics tables
+ */
+const { pool } = require('../../../config/db');
+const { mergeRollups } = require('../../../utils/metricRollups');
+
+// Device fields stored in dedicated columns; everything else goes to attributes
+const COLUMN_FIELDS = [
+  'remotePcId', 'systemName', 'status', 'firstConnection', 'lastConnection',
+  'lastSeen', 'lastStatusChange', 'connections', 'metadata'
+];
+
+class PgDeviceStore {
+  constructor(db = pool) {
+    this.name = 'postgres';
+    // History rows are pruned but not archived: PostgreSQL already compresses
+    // large values, and archived rows could no longer be queried by date
+    this.archivesHistory = false;
+    this.db = db;
+  }
+
+  /**
+   * Schema is applied by config/db.js initializeSchema
+   */
+  async initialize() {}
+
+  /**
+   * Load a device record
+   * @param {string} remotePcId - Device identifier
+   * @returns {Promise<Object|null>} Device data or null if not found
+   */
+  async getDevice(remotePcId) {
+    const result = await this.db.query(
+      "SELECT * FROM devices WHERE remote_pc_id = $1",
+      [remotePcId]
+    );
+    
+    return result.rows.length > 0 ? rowToDevice(result.rows[0]) : null;
+  }
+
+  /**
+   * Load all device records
+   * @returns {Promise<Array>} List of devices
+   */
+  async getAllDevices() {
+    const result = await this.db.query(
+      "SELECT * FROM devices ORDER BY system_name, remote_pc_id"
+    );
+    
+    return result.rows.map(rowToDevice);
+  }
+
+  /**
+   * Insert or update a device record
+   * @param {Object} device - Device data
+   * @returns {Promise<Object>} Saved device data
+   */
+  async saveDevice(device) {
+    const attributes = {};
+    for (const [key, value] of Object.entries(device)) {
+      if (!COLUMN_FIELDS.includes(key)) {
+        attributes[key] = value;
+      }
+    }
+    
+    await this.db.query(
+      "INSERT INTO devices (remote_pc_id, system_name, status, first_connection, last_connection, " +
+      "last_seen, last_status_change, connections, metadata, attributes) " +
+      "VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) " +
+      "ON CONFLICT (remote_pc_id) DO UPDATE SET " +
+      "system_name = EXCLUDED.system_name, status = EXCLUDED.status, " +
+      "first_connection = EXCLUDED.first_connection, last_connection = EXCLUDED.last_connection, " +
+      "last_seen = EXCLUDED.last_seen, last_status_change = EXCLUDED.last_status_change, " +
+      "connections = EXCLUDED.connections, metadata = EXCLUDED.metadata, " +
+      "attributes = EXCLUDED.attributes, updated_at = NOW()",
+      [
+        device.remotePcId,
+        device.systemName || 'Unknown Device',
+        device.status || 'offline',
+        device.firstConnection || null,
+        device.lastConnection || null,
+        device.lastSeen || null,
+        device.lastStatusChange || null,
+        device.connections || 0,
+        JSON.stringify(device.metadata || {}),
+        JSON.stringify(attributes)
+      ]
+    );
+    
+    return device;
+  }
+
+  /**
+   * Delete a device record with its connection logs and health events
+   * (inventory and metrics cascade)
+   * @param {string} remotePcId - Device identifier
+   */
+  async deleteDevice(remotePcId) {
+    await this.db.query("DELETE FROM device_connection_logs WHERE remote_pc_id = $1", [remotePcId]);
+    await this.db.query("DELETE FROM device_health_events WHERE remote_pc_id = $1", [remotePcId]);
+    await this.db.query("DELETE FROM devices WHERE remote_pc_id = $1", [remotePcId]);
+  }
+
+  /**
+   * Load a named collection (e.g. device groups)
+   * @param {string} name - Collection name
+   * @returns {Promise<Array>} Collection items
+   */
+  async getCollection(name) {
+    const result = await this.db.query(
+      "SELECT items FROM device_collections WHERE name = $1",
+      [name]
+    );
+    
+    return result.rows.length > 0 ? result.rows[0].items : [];
+  }
+
+  /**
+   * Replace a named collection
+   * @param {string} name - Collection name
+   * @param {Array} items - Collection items
+   */
+  async saveCollection(name, items) {
+    await this.db.query(
+      "INSERT INTO device_collections (name, items) VALUES ($1, $2) " +
+      "ON CONFLICT (name) DO UPDATE SET items = EXCLUDED.items, updated_at = NOW()",
+      [name, JSON.stringify(items)]
+    );
+  }
+
+  /**
+   * Append a connection log entry
+   * @param {Object} logEntry - Log entry
+   */
+  async appendConnectionLog(logEntry) {
+    const { id, remotePcId, userId, type, timestamp, ...details } = logEntry;
+    
+    await this.db.query(
+      "INSERT INTO device_connection_logs (id, remote_pc_id, user_id, type, details, created_at) " +
+      "VALUES ($1, $2, $3, $4, $5, $6) ON CONFLICT (id) DO NOTHING",
+      [id, remotePcId, userId != null ? String(userId) : null, type, JSON.stringify(details), timestamp]
+    );
+  }
+
+  /**
+   * Get connection log entries for one day
+   * @param {string} remotePcId - Device identifier
+   * @param {Object} options - Query options
+   * @returns {Promise<Array>} Log entries
+   */
+  async getConnectionLogs(remotePcId, options = {}) {
+    const { date, limit } = options;
+    const targetDate = date || new Date().toISOString().split('T')[0];
+    
+    // Newest N entries of the day, returned oldest first like the file store
+    const result = await this.db.query(
+      "SELECT * FROM (" +
+      "SELECT * FROM device_connection_logs " +
+      "WHERE remote_pc_id = $1 AND created_at >= $2::date AND created_at < $2::date + INTERVAL '1 day' " +
+      "ORDER BY created_at DESC LIMIT $3" +
+      ") recent ORDER BY created_at ASC",
+      [remotePcId, targetDate, limit && limit > 0 ? limit : null]
+    );
+    
+    return result.rows.map(row => ({
+      ...row.details,
+      id: row.id,
+      remotePcId: row.remote_pc_id,
+      userId: row.user_id,
+      timestamp: toIsoString(row.created_at),
+      type: row.type
+    }));
+  }
+
+  /**
+   * Append a health event
+   * @param {string} remotePcId - Device identifier
+   * @param {Object} event - Event data
+   */
+  async appendHealthEvent(remotePcId, event) {
+    const { type, oldStatus, newStatus, timestamp, ...details } = event;
+    
+    await this.db.query(
+      "INSERT INTO device_health_events (remote_pc_id, type, old_status, new_status, details, created_at) " +
+      "VALUES ($1, $2, $3, $4, $5, $6)",
+      [remotePcId, type, oldStatus || null, newStatus || null, JSON.stringify(details), timestamp || new Date()]
+    );
+  }
+
+  /**
+   * Append an inventory snapshot, keeping the newest `keep` versions
+   * @param {string} remotePcId - Device identifier
+   * @param {Object} snapshot - Snapshot ({ version, hash, receivedAt, inventory, ... })
+   * @param {number} keep - Number of versions to retain
+   */
+  async appendInventorySnapshot(remotePcId, snapshot, keep) {
+    const { version, hash, collectedAt, receivedAt, inventory } = snapshot;
+    
+    await this.db.query(
+      "INSERT INTO device_inventory (remote_pc_id, version, hash, collected_at, created_at, inventory) " +
+      "VALUES ($1, $2, $3, $4, $5, $6)",
+      [remotePcId, version, hash, collectedAt || null, receivedAt, JSON.stringify(inventory)]
+    );
+    
+    if (keep) {
+      await this.db.query(
+        "DELETE FROM device_inventory WHERE remote_pc_id = $1 AND version <= $2",
+        [remotePcId, version - keep]
+      );
+    }
+  }
+
+  /**
+   * Get inventory snapshots for a device, oldest first
+   * @param {string} remotePcId - Device identifier
+   * @returns {Promise<Array>} Snapshots
+   */
+  async getInventorySnapshots(remotePcId) {
+    const result = await this.db.query(
+      "SELECT * FROM device_inventory WHERE remote_pc_id = $1 ORDER BY version ASC",
+      [remotePcId]
+    );
+    
+    return result.rows.map(row => ({
+      version: row.version,
+      hash: row.hash,
+      collectedAt: toIsoString(row.collected_at),
+      receivedAt: toIsoString(row.created_at),
+      inventory: row.inventory
+    }));
+  }
+
+  /**
+   * Append metric samples
+   * A rollup bucket already stored in part (cut short by a restart) is merged with the new part.
+   * @param {string} remotePcId - Device identifier
+   * @param {string} resolution - 'raw', '5m' or '1h'
+   * @param {Array} samples - Samples ({ t, ... }), oldest first
+   */
+  async appendMetricSamples(remotePcId, resolution, samples) {
+    if (samples.length === 0) return;
+    
+    if (resolution !== 'raw') {
+      const stored = await this.db.query(
+        "SELECT sampled_at, data FROM device_metrics " +
+        "WHERE remote_pc_id = $1 AND resolution = $2 AND sampled_at = ANY($3::timestamptz[])",
+        [remotePcId, resolution, samples.map(sample => sample.t)]
+      );
+      
+      if (stored.rows.length > 0) {
+        const parts = stored.rows.map(row => ({ t: toIsoString(row.sampled_at), ...row.data }));
+        samples = mergeRollups([...parts, ...samples]);
+      }
+    }
+    
+    const values = [];
+    const params = [remotePcId, resolution];
+    
+    samples.forEach(({ t, ...data }, index) => {
+      values.push(`($1, $2, $${index * 2 + 3}, $${index * 2 + 4})`);
+      params.push(t, JSON.stringify(data));
+    });
+    
+    await this.db.query(
+      "INSERT INTO device_metrics (remote_pc_id, resolution, sampled_at, data) VALUES " +
+      values.join(', ') +
+      " ON CONFLICT (remote_pc_id, resolution, sampled_at) DO " +
+      (resolution === 'raw' ? "NOTHING" : "UPDATE SET data = EXCLUDED.data"),
+      params
+    );
+  }
+
+  /**
+   * Get metric samples in a time range, oldest first
+   * @param {string} remotePcId - Device identifier
+   * @param {string} resolution - 'raw', '5m' or '1h'
+   * @param {Object} range - { from, to } as Date
+   * @returns {Promise<Array>} Samples
+   */
+  async getMetricSamples(remotePcId, resolution, range) {
+    const result = await this.db.query(
+      "SELECT sampled_at, data FROM device_metrics " +
+      "WHERE remote_pc_id = $1 AND resolution = $2 AND sampled_at >= $3 AND sampled_at <= $4 " +
+      "ORDER BY sampled_at ASC",
+      [remotePcId, resolution, range.from, range.to]
+    );
+    
+    return result.rows.map(row => ({ t: toIsoString(row.sampled_at), ...row.data }));
+  }
+
+  /**
+   * Drop metric samples older than a cutoff
+   * @param {string} remotePcId - Device identifier
+   * @param {string} resolution - 'raw', '5m' or '1h'
+   * @param {Date} before - Cutoff
+   */
+  async pruneMetricSamples(remotePcId, resolution, before) {
+    await this.db.query(
+      "DELETE FROM device_metrics WHERE remote_pc_id = $1 AND resolution = $2 AND sampled_at < $3",
+      [remotePcId, resolution, before]
+    );
+  }
+
+  /**
+   * Get health events for a device
+   * @param {string} remotePcId - Device identifier
+   * @param {Object} options - Query options (date, or latest day when omitted)
+   * @returns {Promise<Array>} Health events
+   */
+  async getHealthEvents(remotePcId, options = {}) {
+    const { date, limit } = options;
+    
+    // Without a date, mirror the file store and return the most recent day with events
+    const dayExpression = date
+      ? "$2::date"
+      : "(SELECT MAX(created_at)::date FROM device_health_events WHERE remote_pc_id = $1)";
+    
+    const result = await this.db.query(
+      "SELECT * FROM device_health_events " +
+      `WHERE remote_pc_id = $1 AND created_at >= ${dayExpression} ` +
+      `AND created_at < ${dayExpression} + INTERVAL '1 day' ` +
+      "ORDER BY created_at ASC" + (limit ? ` LIMIT ${parseInt(limit, 10)}` : ''),
+      date ? [remotePcId, date] : [remotePcId]
+    );
+    
+    return result.rows.map(rowToHealthEvent);
+  }
+
+  /**
+   * Get health events in a time range, oldest first
+   * @param {string} remotePcId - Device identifier
+   * @param {Object} range - { from, to } as Date
+   * @returns {Promise<Array>} Health events
+   */
+  async getHealthEventRange(remotePcId, range) {
+    const result = await this.db.query(
+      "SELECT * FROM device_health_events " +
+      "WHERE remote_pc_id = $1 AND created_at >= $2 AND created_at <= $3 " +
+      "ORDER BY created_at ASC",
+      [remotePcId, range.from, range.to]
+    );
+    
+    return result.rows.map(rowToHealthEvent);
+  }
+
+  /**
+   * Get the last health event of a type before a point in time
+   * @param {string} remotePcId - Device identifier
+   * @param {Date} before - Point in time
+   * @param {string} type - Event type
+   * @returns {Promise<Object|null>} Health event or null
+   */
+  async getLastHealthEvent(remotePcId, before, type) {
+    const result = await this.db.query(
+      "SELECT * FROM device_health_events " +
+      "WHERE remote_pc_id = $1 AND type = $2 AND created_at < $3 " +
+      "ORDER BY created_at DESC LIMIT 1",
+      [remotePcId, type, before]
+    );
+    
+    return result.rows.length > 0 ? rowToHealthEvent(result.rows[0]) : null;
+  }
+
+  /**
+   * Archiving is not supported by this store (see archivesHistory)
+   * @param {string} type - 'connections' or 'health'
+   * @param {Date} before - Cutoff
+   */
+  async archiveHistory(type, before) {
+    throw new Error('History archiving is not supported by the postgres device store');
+  }
+
+  /**
+   * Delete connection logs or health events of whole days older than a cutoff
+   * @param {string} type - 'connections' or 'health'
+   * @param {Date} before - Days before this day are deleted
+   * @returns {Promise<Object>} { rows }
+   */
+  async pruneHistory(type, before) {
+    const result = await this.db.query(
+      `DELETE FROM ${historyTable(type)} WHERE created_at < $1::date`,
+      [before.toISOString().split('T')[0]]
+    );
+    
+    return { rows: result.rowCount };
+  }
+
+  /**
+   * Disk usage per data type (table size including indexes and TOAST)
+   * @returns {Promise<Object>} { <type>: { bytes, rows } }
+   */
+  async getStorageUsage() {
+    const tables = {
+      devices: 'devices',
+      connectionLogs: 'device_connection_logs',
+      healthEvents: 'device_health_events',
+      inventory: 'device_inventory',
+      metrics: 'device_metrics',
+      collections: 'device_collections'
+    };
+    
+    const result = await this.db.query(
+      "SELECT relname, pg_total_relation_size(relid) AS bytes, n_live_tup AS rows " +
+      "FROM pg_stat_user_tables WHERE relname = ANY($1)",
+      [Object.values(tables)]
+    );
+    const byTable = new Map(result.rows.map(row => [row.relname, row]));
+    
+    const usage = {};
+    for (const [type, table] of Object.entries(tables)) {
+      const row = byTable.get(table);
+      usage[type] = { bytes: row ? Number(row.bytes) : 0, rows: row ? Number(row.rows) : 0 };
+    }
+    return usage;
+  }
+}
+
+/**
+ * Table holding a history type
+ * @param {string} type - 'connections' or 'health'
+ * @returns {string} Table name
+ */
+function historyTable(type) {
+  if (type === 'connections') return 'device_connection_logs';
+  if (type === 'health') return 'device_health_events';
+  throw new Error(`Invalid history type: ${type}`);
+}
+
+/**
+ * Map a devices row to the device record shape used across the app
+ * @param {Object} row - Database row
+ * @returns {Object} Device data
+ */
+function rowToDevice(row) {
+  return {
+    ...(row.attributes || {}),
+    remotePcId: row.remote_pc_id,
+    systemName: row.system_name,
+    status: row.status,
+    firstConnection: toIsoString(row.first_connection),
+    lastConnection: toIsoString(row.last_connection),
+    lastSeen: toIsoString(row.last_seen),
+    lastStatusChange: toIsoString(row.last_status_change),
+    connections: row.connections,
+    metadata: row.metadata || {}
+  };
+}
+
+/**
+ * Map a device_health_events row to a health event
+ * @param {Object} row - Database row
+ * @returns {Object} Health event
+ */
+function rowToHealthEvent(row) {
+  const event = {
+    ...(row.details || {}),
+    type: row.type,
+    timestamp: toIsoString(row.created_at)
+  };
+  
+  if (row.old_status) event.oldStatus = row.old_status;
+  if (row.new_status) event.newStatus = row.new_status;
+  
+  return event;
+}
+
+/**
+ * Convert a database timestamp to an ISO string
+ * @param {Date|string|null} value - Timestamp
+ * @returns {string|null} ISO string
+ */
+function toIsoString(value) {
+  if (!value) return null;
+  return value instanceof Date ? value.toISOString() : new Date(value).toISOString();
+}
+
+module.exports = PgDeviceStore;
@@ -0,0 +1,315 @@
+/**
+ * Viewer Session Manager Service
+ * Tracks the dashboards watching each device and which one of them holds
+ * input control.
+ *
+ * Any number of dashboards can join a device's session; the first one to join
+ * (or to ask while nobody holds it) gets control. Dashboards whose user only
+ * has view access watch the session but never get control. Others can request control,
+ * which the controller can hand over or deny, and the controller can hand it
+ * to any participant or release it. When the controller leaves, control passes
+ * to the longest-waiting requester, if any.
+ *
+ * Participants are keyed by the server-side socket ID, never by the client ID
+ * the dashboard chose, so a dashboard cannot act as another one. Snapshots
+ * name participants by an opaque participant ID generated on join; socket and
+ * client IDs stay on the server. Sessions live in memory only: they end with
+ * the dashboards' sockets.
+ */
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../../utils/logger');
+
+// Singleton instance
+let instance = null;
+
+class ViewerSessionManager {
+  constructor() {
+    // remotePcId -> { participants: Map(socketId -> participant), controllerId: socketId, requests: [socketId] }
+    this.sessions = new Map();
+  }
+
+  /**
+   * Add a dashboard socket to a device's session, or update its rights when it joins again
+   * (e.g. a viewer that joined view-only and then started a remote-control connection)
+   * @param {string} remotePcId - Device identifier
+   * @param {Object} participant - { socketId, peerId, canControl, userId, username } - peerId is the
+   *   dashboard's signaling client ID, which the device uses to filter data channel input
+   * @returns {boolean} True if the socket was not in the session yet
+   */
+  join(remotePcId, participant) {
+    let session = this.sessions.get(remotePcId);
+    if (!session) {
+      session = { participants: new Map(), controllerId: null, requests: [] };
+      this.sessions.set(remotePcId, session);
+    }
+    
+    const canControl = participant.canControl !== false;
+    const existing = session.participants.get(participant.socketId);
+    
+    if (existing) {
+      existing.canControl = canControl;
+      
+      // A viewer that lost control access gives up control and its request
+      if (!canControl) {
+        session.requests = session.requests.filter(id => id !== participant.socketId);
+        if (session.controllerId === participant.socketId) {
+          session.controllerId = session.requests.shift() || null;
+        }
+      }
+    } else {
+      session.participants.set(participant.socketId, {
+        id: uuidv4(),
+        socketId: participant.socketId,
+        peerId: participant.peerId,
+        canControl,
+        userId: participant.userId || null,
+        username: participant.username || 'Unknown user',
+        joinedAt: new Date().toISOString()
+      });
+    }
+    
+    if (!session.controllerId && canControl) {
+      session.controllerId = participant.socketId;
+    }
+    
+    if (!existing) {
+      logger.info(`${participant.username || participant.socketId} joined the session of ${remotePcId} (${session.participants.size} viewers)`);
+    }
+    
+    return !existing;
+  }
+
+  /**
+   * Remove a dashboard socket from a device's session
+   * @param {string} remotePcId - Device identifier
+   * @param {string} socketId - Socket ID of the dashboard
+   * @returns {boolean} True if the dashboard was removed
+   */
+  leave(remotePcId, socketId) {
+    const session = this.sessions.get(remotePcId);
+    const participant = session && session.participants.get(socketId);
+    
+    if (!participant) {
+      return false;
+    }
+    
+    session.participants.delete(socketId);
+    session.requests = session.requests.filter(id => id !== socketId);
+    
+    const wasController = session.controllerId === socketId;
+    if (wasController) {
+      session.controllerId = session.requests.shift() || null;
+    }
+    
+    const successor = wasController && session.controllerId ? session.participants.get(session.controllerId) : null;
+    logger.info(`${participant.username} left the session of ${remotePcId}` +
+                (successor ? `, control passed to ${successor.username}` : ''));
+    
+    if (session.participants.size === 0) {
+      this.sessions.delete(remotePcId);
+    }
+    
+    return true;
+  }
+
+  /**
+   * Remove a dashboard socket from every session it joined
+   * @param {string} socketId - Socket ID that disconnected
+   * @returns {Array} remotePcIds of the sessions the dashboard was removed from
+   */
+  leaveAll(socketId) {
+    return Array.from(this.sessions.keys())
+      .filter(remotePcId => this.leave(remotePcId, socketId));
+  }
+
+  /**
+   * Ask for control of a device
+   * Granted straight away when nobody holds control, otherwise queued for the controller.
+   * @param {string} remotePcId - Device identifier
+   * @param {string} socketId - Socket ID of the requesting dashboard
+   * @returns {boolean} True if control was granted
+   */
+  requestControl(remotePcId, socketId) {
+    const session = this.getParticipantSession(remotePcId, socketId);
+    
+    if (!session.participants.get(socketId).canControl) {
+      throw new Error('Access denied: view-only viewers cannot take control');
+    }
+    
+    if (!session.controllerId || session.controllerId === socketId) {
+      session.controllerId = socketId;
+      session.requests = session.requests.filter(id => id !== socketId);
+      return true;
+    }
+    
+    if (!session.requests.includes(socketId)) {
+      session.requests.push(socketId);
+    }
+    
+    return false;
+  }
+
+  /**
+   * Hand control to another participant
+   * @param {string} remotePcId - Device identifier
+   * @param {string} socketId - Socket ID of the current controller
+   * @param {string} participantId - Participant ID of the viewer that gets control
+   */
+  transferControl(remotePcId, socketId, participantId) {
+    const session = this.getParticipantSession(remotePcId, socketId);
+    
+    if (session.controllerId !== socketId) {
+      throw new Error('Access denied: only the controller can hand over control');
+    }
+    
+    const target = this.getParticipant(remotePcId, participantId);
+    if (!target) {
+      throw new Error(`Participant not found: ${participantId}`);
+    }
+    
+    if (!target.canControl) {
+      throw new Error(`Access denied: ${target.username} can only view this device`);
+    }
+    
+    session.controllerId = target.socketId;
+    session.requests = session.requests.filter(id => id !== target.socketId);
+    
+    logger.info(`Control of ${remotePcId} handed from ${session.participants.get(socketId).username} to ${target.username}`);
+  }
+
+  /**
+   * Give up control; it passes to the longest-waiting requester, if any
+   * @param {string} remotePcId - Device identifier
+   * @param {string} socketId - Socket ID of the current controller
+   */
+  releaseControl(remotePcId, socketId) {
+    const session = this.getParticipantSession(remotePcId, socketId);
+    
+    if (session.controllerId !== socketId) {
+      throw new Error('Access denied: only the controller can release control');
+    }
+    
+    session.controllerId = session.requests.shift() || null;
+    
+    const successor = session.controllerId ? session.participants.get(session.controllerId) : null;
+    logger.info(`Control of ${remotePcId} released by ${session.participants.get(socketId).username}` +
+                (successor ? `, passed to ${successor.username}` : ''));
+  }
+
+  /**
+   * Turn down a participant's control request
+   * @param {string} remotePcId - Device identifier
+   * @param {string} socketId - Socket ID of the current controller
+   * @param {string} participantId - Participant ID of the viewer whose request is denied
+   * @returns {Object|null} The denied participant, null if not in the session
+   */
+  denyRequest(remotePcId, socketId, participantId) {
+    const session = this.getParticipantSession(remotePcId, socketId);
+    
+    if (session.controllerId !== socketId) {
+      throw new Error('Access denied: only the controller can deny control requests');
+    }
+    
+    const target = this.getParticipant(remotePcId, participantId);
+    if (target) {
+      session.requests = session.requests.filter(id => id !== target.socketId);
+    }
+    
+    return target;
+  }
+
+  /**
+   * Whether a dashboard socket currently holds control of a device
+   * @param {string} remotePcId - Device identifier
+   * @param {string} socketId - Socket ID of the dashboard
+   * @returns {boolean} True for the controller
+   */
+  isController(remotePcId, socketId) {
+    const session = this.sessions.get(remotePcId);
+    return !!session && session.controllerId === socketId;
+  }
+
+  /**
+   * Get the participant holding control of a device
+   * @param {string} remotePcId - Device identifier
+   * @returns {Object|null} Participant (server side, with socketId and peerId), null when nobody holds control
+   */
+  getController(remotePcId) {
+    const session = this.sessions.get(remotePcId);
+    return session && session.controllerId ? session.participants.get(session.controllerId) : null;
+  }
+
+  /**
+   * Find a participant of a device's session by participant ID
+   * @param {string} remotePcId - Device identifier
+   * @param {string} participantId - Participant ID from a snapshot
+   * @returns {Object|null} Participant (server side, with socketId and peerId)
+   */
+  getParticipant(remotePcId, participantId) {
+    const session = this.sessions.get(remotePcId);
+    if (!session) return null;
+    
+    return Array.from(session.participants.values()).find(participant => participant.id === participantId) || null;
+  }
+
+  /**
+   * Get the socket IDs of the dashboards in a device's session
+   * @param {string} remotePcId - Device identifier
+   * @returns {Array<string>} Socket IDs
+   */
+  getSocketIds(remotePcId) {
+    const session = this.sessions.get(remotePcId);
+    return session ? Array.from(session.participants.keys()) : [];
+  }
+
+  /**
+   * Get a device's session as one of its participants sees it
+   * @param {string} remotePcId - Device identifier
+   * @param {string} socketId - Socket ID of the recipient, whose entry is marked with you: true
+   * @returns {Object|null} { remotePcId, controllerId, participants } with participant IDs, null when nobody is watching
+   */
+  getSession(remotePcId, socketId = null) {
+    const session = this.sessions.get(remotePcId);
+    if (!session) return null;
+    
+    const controller = session.controllerId ? session.participants.get(session.controllerId) : null;
+    
+    return {
+      remotePcId,
+      controllerId: controller ? controller.id : null,
+      participants: Array.from(session.participants.values()).map(participant => ({
+        id: participant.id,
+        username: participant.username,
+        joinedAt: participant.joinedAt,
+        canControl: participant.canControl,
+        controller: participant.socketId === session.controllerId,
+        requestedControl: session.requests.includes(participant.socketId),
+        you: participant.socketId === socketId
+      }))
+    };
+  }
+
+  /**
+   * Get the session of a device the dashboard takes part in
+   * @param {string} remotePcId - Device identifier
+   * @param {string} socketId - Socket ID of the dashboard
+   * @returns {Object} Internal session state
+   */
+  getParticipantSession(remotePcId, socketId) {
+    const session = this.sessions.get(remotePcId);
+    
+    if (!session || !session.participants.has(socketId)) {
+      throw new Error(`Session not found: not viewing ${remotePcId}`);
+    }
+    
+    return session;
+  }
+}
+
+// Create and export singleton instance
+module.exports = (function() {
+  if (!instance) {
+    instance = new ViewerSessionManager();
+  }
+  return instance;
+})();
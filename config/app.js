@@ -15,8 +15,9 @@ const AppConfig = (function() {
         loginPath: '/login',
         dashboardPath: '/dashboard',
         
-        // API key for remote device authentication
-        remoteApiKey: process.env.REMOTE_API_KEY || '3f7a9b25e8d146c0b2f15a6d90e74c8d',
+        // Legacy shared API key for devices that have not enrolled yet (disabled unless set).
+        // Devices authenticate with per-device credentials issued at enrollment.
+        remoteApiKey: process.env.REMOTE_API_KEY || null,
         
         // WebRTC configuration
         webrtc: {
@@ -37,19 +38,59 @@ const AppConfig = (function() {
             reconnectionDelay: parseInt(process.env.RECONNECT_BASE_DELAY || "2000", 10) // 2 seconds - match Windows app
         },
         
+        // Device security configuration
+        security: {
+            // New devices wait in a pending state until an admin approves them
+            requireDeviceApproval: process.env.REQUIRE_DEVICE_APPROVAL === 'true',
+            // Access of non-admin users no device ACL entry names (by user or role):
+            // 'role' - what their role's permissions allowed before device ACLs
+            //          (control:devices -> control, view:devices or guest -> view)
+            // 'none' - no devices until an ACL entry grants them
+            defaultDeviceAccess: process.env.DEFAULT_DEVICE_ACCESS || 'role'
+        },
+        
         // Device monitoring configuration
         monitoring: {
             heartbeatInterval: parseInt(process.env.HEARTBEAT_INTERVAL || "60000", 10), // 1 minute
             offlineThreshold: parseInt(process.env.OFFLINE_THRESHOLD || "300000", 10), // 5 minutes - match Windows app
-            idleThreshold: parseInt(process.env.IDLE_THRESHOLD || "60000", 10) // 1 minute - match Windows app
+            idleThreshold: parseInt(process.env.IDLE_THRESHOLD || "60000", 10), // 1 minute - match Windows app
+            // Presence engine backstop: how often devices whose heartbeats stopped are demoted
+            presenceSweepInterval: parseInt(process.env.PRESENCE_SWEEP_INTERVAL || "15000", 10), // 15 seconds
+            
+            // Connection quality: heartbeat intervals in the recent window, and how many
+            // intervals each device's baseline is learned from
+            heartbeatQualityWindow: parseInt(process.env.HEARTBEAT_QUALITY_WINDOW || "20", 10),
+            heartbeatBaselineSamples: parseInt(process.env.HEARTBEAT_BASELINE_SAMPLES || "30", 10),
+            
+            // Flap detection: a device with flapThreshold status changes within flapWindow is flapping
+            // until the window holds at most flapClearThreshold changes
+            flapWindow: parseInt(process.env.FLAP_WINDOW || "1800000", 10), // 30 minutes
+            flapThreshold: parseInt(process.env.FLAP_THRESHOLD || "6", 10),
+            flapClearThreshold: parseInt(process.env.FLAP_CLEAR_THRESHOLD || "2", 10),
+            // Status broadcasts of a flapping device are sent at most this often
+            flapCoalesceInterval: parseInt(process.env.FLAP_COALESCE_INTERVAL || "300000", 10) // 5 minutes
         },
         
         // Data storage configuration
         storage: {
+            // Device registry backend: 'file' (data/devices JSON files) or 'postgres'
+            deviceBackend: process.env.DEVICE_STORE || "file",
             dataDir: process.env.DATA_DIR || "./data",
             deviceDataDir: process.env.DEVICE_DATA_DIR || "./data/devices",
             deviceLogsDir: process.env.DEVICE_LOGS_DIR || "./data/logs",
-            healthDataDir: process.env.HEALTH_DATA_DIR || "./data/health"
+            healthDataDir: process.env.HEALTH_DATA_DIR || "./data/health",
+            
+            // History retention, applied by the nightly retention job (see retentionManager.js)
+            retention: {
+                healthEventDays: parseInt(process.env.HEALTH_EVENT_RETENTION_DAYS || "400", 10),
+                connectionLogDays: parseInt(process.env.CONNECTION_LOG_RETENTION_DAYS || "90", 10),
+                monitoringSummaryDays: parseInt(process.env.MONITORING_SUMMARY_RETENTION_DAYS || "30", 10),
+                // Days older than this are compressed into gzip archives. With the postgres
+                // device store this only applies to monitoring summaries: history rows are pruned, not archived
+                archiveAfterDays: Math.max(1, parseInt(process.env.ARCHIVE_AFTER_DAYS || "2", 10)),
+                // Hour of the day (UTC) the job runs
+                runHour: parseInt(process.env.RETENTION_RUN_HOUR || "3", 10)
+            }
         }
     };
     
@@ -86,7 +127,7 @@ const AppConfig = (function() {
         return {
             ...defaultConfig,
             jwtSecret: process.env.JWT_SECRET || defaultConfig.jwtSecret,
-            remoteApiKey: process.env.REMOTE_API_KEY || defaultConfig.remoteApiKey,
+            remoteApiKey: defaultConfig.remoteApiKey,
             port: process.env.PORT || 3000
         };
     }
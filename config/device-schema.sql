@@ -0,0 +1,78 @@
+-- Wynzio device registry schema
+-- Applied on startup by config/db.js; every statement must be idempotent
+
+CREATE TABLE IF NOT EXISTS devices (
+    remote_pc_id VARCHAR(255) PRIMARY KEY,
+    system_name VARCHAR(255) NOT NULL DEFAULT 'Unknown Device',
+    status VARCHAR(32) NOT NULL DEFAULT 'offline',
+    first_connection TIMESTAMPTZ,
+    last_connection TIMESTAMPTZ,
+    last_seen TIMESTAMPTZ,
+    last_status_change TIMESTAMPTZ,
+    connections INTEGER NOT NULL DEFAULT 0,
+    metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+    attributes JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_devices_status ON devices (status);
+CREATE INDEX IF NOT EXISTS idx_devices_last_seen ON devices (last_seen);
+
+-- Connection logs and health events are also written for devices that are not
+-- (yet) registered, as in the file store, so they don't reference devices
+CREATE TABLE IF NOT EXISTS device_connection_logs (
+    id VARCHAR(64) PRIMARY KEY,
+    remote_pc_id VARCHAR(255) NOT NULL,
+    -- Dashboard sockets log their client ID, REST requests the numeric users.id
+    user_id VARCHAR(255),
+    type VARCHAR(64) NOT NULL,
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE device_connection_logs DROP CONSTRAINT IF EXISTS device_connection_logs_remote_pc_id_fkey;
+
+CREATE INDEX IF NOT EXISTS idx_device_connection_logs_device_time
+    ON device_connection_logs (remote_pc_id, created_at);
+
+CREATE TABLE IF NOT EXISTS device_health_events (
+    id SERIAL PRIMARY KEY,
+    remote_pc_id VARCHAR(255) NOT NULL,
+    type VARCHAR(64) NOT NULL,
+    old_status VARCHAR(32),
+    new_status VARCHAR(32),
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE device_health_events DROP CONSTRAINT IF EXISTS device_health_events_remote_pc_id_fkey;
+
+CREATE INDEX IF NOT EXISTS idx_device_health_events_device_time
+    ON device_health_events (remote_pc_id, created_at);
+
+CREATE TABLE IF NOT EXISTS device_inventory (
+    remote_pc_id VARCHAR(255) NOT NULL REFERENCES devices (remote_pc_id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    hash VARCHAR(64) NOT NULL,
+    collected_at TIMESTAMPTZ,
+    inventory JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (remote_pc_id, version)
+);
+
+-- Resource metrics from heartbeats: raw samples and 5-minute / hourly rollups
+CREATE TABLE IF NOT EXISTS device_metrics (
+    remote_pc_id VARCHAR(255) NOT NULL REFERENCES devices (remote_pc_id) ON DELETE CASCADE,
+    resolution VARCHAR(8) NOT NULL,
+    sampled_at TIMESTAMPTZ NOT NULL,
+    data JSONB NOT NULL,
+    PRIMARY KEY (remote_pc_id, resolution, sampled_at)
+);
+
+-- Small named collections owned by device services (groups, rules, ...)
+CREATE TABLE IF NOT EXISTS device_collections (
+    name VARCHAR(64) PRIMARY KEY,
+    items JSONB NOT NULL DEFAULT '[]'::jsonb,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,1169 @@
+/**
+ * device-details.js
+ * Device details view with overview, inventory and metrics tabs
+ */
+
+// Global variables
+let detailsDevice = null;
+let detailsActiveTab = 'overview';
+let customFieldDefinitions = [];
+
+// Metrics charts: series drawn per chart, and the gap (ms) after which a line is broken
+const METRIC_CHARTS = [
+    { title: 'CPU', series: ['cpu'], unit: '%' },
+    { title: 'Memory', series: ['memory'], unit: '%' },
+    { title: 'Disk', series: ['disk'], unit: '%' },
+    { title: 'Network', series: ['networkIn', 'networkOut'], unit: 'B/s' }
+];
+const METRIC_GAPS = { raw: 5 * 60 * 1000, '5m': 15 * 60 * 1000, '1h': 3 * 60 * 60 * 1000 };
+const METRIC_LABELS = { cpu: 'CPU', memory: 'Memory', disk: 'Disk', networkIn: 'In', networkOut: 'Out' };
+// Why heartbeats were flagged as irregular (heartbeatQuality anomaly reasons)
+const CONNECTION_QUALITY_REASONS = {
+    'near-idle-threshold': 'intervals close to the idle threshold',
+    slower: 'intervals well above the baseline',
+    jitter: 'much more jitter than usual'
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+    if (document.body.classList.contains('not-authenticated')) {
+        return;
+    }
+    
+    initDeviceDetails();
+});
+
+/**
+ * Wire up the details view controls
+ */
+function initDeviceDetails() {
+    const section = document.getElementById('device-details-section');
+    if (!section) return;
+    
+    document.getElementById('details-back-button').addEventListener('click', showDeviceListSection);
+    
+    document.getElementById('details-connect-button').addEventListener('click', () => {
+        if (detailsDevice) {
+            connectToDevice(detailsDevice.remotePcId);
+        }
+    });
+    
+    section.querySelectorAll('.details-tab').forEach(tab => {
+        tab.addEventListener('click', () => selectDetailsTab(tab.dataset.tab));
+    });
+    
+    document.getElementById('inventory-version-select').addEventListener('change', (event) => {
+        loadDeviceInventory(event.target.value);
+    });
+    
+    document.getElementById('metrics-range-select').addEventListener('change', () => {
+        loadDeviceMetrics();
+    });
+}
+
+/**
+ * Open the details view for a device
+ * @param {string} remotePcId - Device identifier
+ */
+async function showDeviceDetails(remotePcId) {
+    document.getElementById('device-list-section').classList.remove('active');
+    document.getElementById('remote-viewer-section').classList.remove('active');
+    document.getElementById('reports-section').classList.remove('active');
+    document.getElementById('device-details-section').classList.add('active');
+    document.getElementById('page-title').textContent = 'Device Details';
+    
+    document.getElementById('details-device-name').textContent = 'Loading...';
+    
+    try {
+        const [data, fieldData] = await Promise.all([
+            apiRequest(`/api/devices/${encodeURIComponent(remotePcId)}`),
+            apiRequest('/api/devices/fields')
+        ]);
+        detailsDevice = data.device;
+        customFieldDefinitions = fieldData.fields;
+        
+        renderDetailsHeader(detailsDevice);
+        selectDetailsTab(detailsActiveTab);
+    } catch (error) {
+        console.error('Error loading device details:', error);
+        Utils.showNotification(error.message, 'error');
+        showDeviceListSection();
+    }
+}
+
+/**
+ * Render the details header
+ * @param {Object} device - Device data
+ */
+function renderDetailsHeader(device) {
+    const status = device.status || 'unknown';
+    
+    document.getElementById('details-device-name').textContent = device.systemName || device.remotePcId;
+    
+    const badge = document.getElementById('details-device-status');
+    badge.className = `status-badge ${status}`;
+    badge.textContent = capitalizeFirstLetter(status);
+    
+    document.getElementById('details-connect-button').disabled = status !== 'online' ||
+        Boolean(device.approval && device.approval.state !== 'approved');
+}
+
+/**
+ * Switch the active details tab and load its content
+ * @param {string} tabName - Tab name
+ */
+function selectDetailsTab(tabName) {
+    detailsActiveTab = tabName;
+    
+    document.querySelectorAll('#device-details-section .details-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.tab === tabName);
+    });
+    document.querySelectorAll('#device-details-section .details-panel').forEach(panel => {
+        panel.classList.toggle('active', panel.id === `details-panel-${tabName}`);
+    });
+    
+    if (!detailsDevice) return;
+    
+    if (tabName === 'overview') {
+        renderDeviceOverview(detailsDevice);
+    } else if (tabName === 'inventory') {
+        loadDeviceInventory();
+    } else if (tabName === 'metrics') {
+        loadDeviceMetrics();
+    }
+}
+
+/**
+ * Render the overview tab
+ * @param {Object} device - Device data
+ */
+function renderDeviceOverview(device) {
+    const panel = document.getElementById('details-panel-overview');
+    panel.innerHTML = '';
+    
+    const rows = [
+        ['Device ID', device.remotePcId],
+        ['System Name', device.systemName],
+        ['Status', capitalizeFirstLetter(device.status || 'unknown') +
+            (device.maintenance ? ` (maintenance "${device.maintenance.name}" until ${Utils.formatDate(device.maintenance.endsAt, true)})` : '')],
+        ['First Connection', Utils.formatDate(device.firstConnection, true)],
+        ['Last Connection', Utils.formatDate(device.lastConnection, true)],
+        ['Last Seen', device.lastSeen ? formatTimeAgo(new Date(device.lastSeen)) : 'Never'],
+        ['Connection Quality', formatConnectionQuality(device.connectionQuality)],
+        ['Owner', device.owner || '-'],
+        ['Credential', formatCredentialStatus(device.credential)],
+        ['Approval', formatApprovalStatus(device.approval)],
+        ['IP Address', device.ipAddress || '-'],
+        ['Fingerprint', device.fingerprint ? device.fingerprint.slice(0, 16) : 'Not reported'],
+        ['Tags', (device.tags || []).join(', ') || '-']
+    ];
+    
+    Object.entries(device.metadata || {}).forEach(([key, value]) => {
+        rows.push([key, typeof value === 'object' ? JSON.stringify(value) : String(value)]);
+    });
+    
+    panel.appendChild(createDetailsTable(null, rows, 'details-properties'));
+    
+    if (Auth.hasRole('admin') && device.credential && device.credential.status === 'active') {
+        const revokeButton = document.createElement('button');
+        revokeButton.className = 'btn btn-sm';
+        revokeButton.innerHTML = '<i class="fas fa-ban"></i> Revoke Credential';
+        revokeButton.addEventListener('click', () => revokeDeviceCredential(device.remotePcId));
+        panel.appendChild(revokeButton);
+    }
+    
+    renderIdentityConflict(panel, device);
+    renderConnectionQuality(panel, device);
+    renderCustomFields(panel, device);
+    renderDeviceNotes(panel, device);
+    renderIdentityHistory(panel, device);
+    renderMaintenanceWindows(panel, device);
+    
+    if (Auth.hasRole('admin')) {
+        renderDeviceAccess(panel, device);
+    }
+}
+
+/**
+ * Render the heartbeat timing behind the connection quality score
+ * @param {HTMLElement} panel - Overview panel
+ * @param {Object} device - Device data
+ */
+function renderConnectionQuality(panel, device) {
+    const quality = device.connectionQuality;
+    if (!quality || quality.score === null) return;
+    
+    appendDetailsHeading(panel, 'Connection Quality');
+    
+    if (quality.anomaly) {
+        const warning = document.createElement('div');
+        warning.className = 'details-warning';
+        warning.textContent = `Heartbeats irregular since ${Utils.formatDate(quality.anomalySince, true)}: ` +
+            (quality.reasons.length > 0 ? quality.reasons.map(reason => CONNECTION_QUALITY_REASONS[reason] || reason).join(', ') : 'recovering');
+        panel.appendChild(warning);
+    }
+    
+    panel.appendChild(createDetailsTable(
+        ['', 'Interval', 'Jitter'],
+        [
+            [`Recent (${quality.samples} heartbeats)`, formatMilliseconds(quality.intervalMs), formatMilliseconds(quality.jitterMs)],
+            [`Baseline (${quality.baseline.samples} heartbeats)`, formatMilliseconds(quality.baseline.intervalMs), formatMilliseconds(quality.baseline.jitterMs)],
+            ['Idle threshold', formatMilliseconds(quality.idleThresholdMs), '-']
+        ]
+    ));
+}
+
+/**
+ * Format a duration in milliseconds as seconds
+ * @param {number} ms - Duration
+ * @returns {string} e.g. "25.3s"
+ */
+function formatMilliseconds(ms) {
+    return `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Render the identity conflict warning, with accept/dismiss actions for admins
+ * @param {HTMLElement} panel - Overview panel
+ * @param {Object} device - Device data
+ */
+function renderIdentityConflict(panel, device) {
+    const conflict = device.identityConflict;
+    if (!conflict) return;
+    
+    const warning = document.createElement('div');
+    warning.className = 'details-warning';
+    warning.textContent = `Identity conflict: a machine with a different hardware fingerprint (${conflict.reported.slice(0, 16)}) ` +
+        `claimed this device from ${conflict.ipAddress || 'an unknown address'} on ${Utils.formatDate(conflict.detectedAt, true)}.`;
+    
+    if (Auth.hasRole('admin')) {
+        const actions = document.createElement('div');
+        actions.className = 'details-form-actions';
+        
+        const accept = document.createElement('button');
+        accept.className = 'btn btn-sm';
+        accept.textContent = 'Accept New Fingerprint';
+        accept.title = 'The hardware of this device was replaced';
+        accept.addEventListener('click', () => resolveIdentityConflict(device.remotePcId, 'accept'));
+        
+        const dismiss = document.createElement('button');
+        dismiss.className = 'btn btn-sm';
+        dismiss.textContent = 'Keep Current';
+        dismiss.title = 'The other machine is a clone and has been dealt with';
+        dismiss.addEventListener('click', () => resolveIdentityConflict(device.remotePcId, 'dismiss'));
+        
+        actions.append(accept, dismiss);
+        warning.appendChild(actions);
+    }
+    
+    panel.appendChild(warning);
+}
+
+/**
+ * Resolve an identity conflict
+ * @param {string} remotePcId - Device identifier
+ * @param {string} action - 'accept' or 'dismiss'
+ */
+async function resolveIdentityConflict(remotePcId, action) {
+    const reason = prompt(action === 'accept'
+        ? 'Accept the new hardware fingerprint for this device? Optional reason:'
+        : 'Keep the current fingerprint and dismiss the conflict? Optional reason:', '');
+    if (reason === null) return;
+    
+    try {
+        await apiRequest(`/api/devices/${encodeURIComponent(remotePcId)}/identity/resolve`, {
+            method: 'POST',
+            body: { action, reason }
+        });
+        Utils.showNotification('Identity conflict resolved', 'success');
+        await reloadDeviceDetails();
+    } catch (error) {
+        Utils.showNotification(error.message, 'error');
+    }
+}
+
+/**
+ * Render the identity change history (name, OS version, IP address, fingerprint)
+ * @param {HTMLElement} panel - Overview panel
+ * @param {Object} device - Device data
+ */
+function renderIdentityHistory(panel, device) {
+    const history = [...(device.identityHistory || [])].reverse();
+    
+    appendDetailsHeading(panel, `Identity History (${history.length})`);
+    panel.appendChild(createDetailsTable(
+        ['Changed', 'Field', 'From', 'To'],
+        history.map(entry => [
+            Utils.formatDate(entry.changedAt, true),
+            entry.field,
+            formatIdentityValue(entry.field, entry.from),
+            formatIdentityValue(entry.field, entry.to)
+        ])
+    ));
+}
+
+/**
+ * Shorten fingerprints for display
+ * @param {string} field - History field
+ * @param {string|null} value - Value
+ * @returns {string} Display text
+ */
+function formatIdentityValue(field, value) {
+    if (value === null || value === undefined) return '-';
+    return field.startsWith('fingerprint') ? String(value).slice(0, 16) : String(value);
+}
+
+/**
+ * Describe a device approval state and who decided it
+ * @param {Object} approval - { state, decidedAt, decidedBy, reason }
+ * @returns {string} Display text
+ */
+function formatApprovalStatus(approval) {
+    if (!approval || !approval.decidedAt) {
+        return capitalizeFirstLetter(approval ? approval.state : 'approved');
+    }
+    
+    const by = approval.decidedBy ? ` by ${approval.decidedBy.username}` : '';
+    const reason = approval.reason ? ` (${approval.reason})` : '';
+    return `${capitalizeFirstLetter(approval.state)}${by} on ${Utils.formatDate(approval.decidedAt, true)}${reason}`;
+}
+
+/**
+ * Describe a device credential state
+ * @param {Object} credential - { status, issuedAt, revokedAt }
+ * @returns {string} Display text
+ */
+function formatCredentialStatus(credential) {
+    if (!credential || credential.status === 'not-enrolled') return 'Not enrolled (shared API key)';
+    if (credential.status === 'revoked') return `Revoked ${Utils.formatDate(credential.revokedAt, true)}`;
+    return `Active since ${Utils.formatDate(credential.issuedAt, true)}`;
+}
+
+/**
+ * Revoke a device credential - the device is disconnected and must enroll again
+ * @param {string} remotePcId - Device identifier
+ */
+async function revokeDeviceCredential(remotePcId) {
+    if (!confirm(`Revoke the credential of ${remotePcId}? The device will be disconnected and needs a new enrollment code to reconnect.`)) {
+        return;
+    }
+    
+    try {
+        await apiRequest(`/api/devices/${encodeURIComponent(remotePcId)}/credential`, { method: 'DELETE' });
+        Utils.showNotification('Device credential revoked', 'success');
+        await reloadDeviceDetails();
+    } catch (error) {
+        Utils.showNotification(error.message, 'error');
+    }
+}
+
+/**
+ * Render the custom fields of a device, with an edit form for admins
+ * @param {HTMLElement} panel - Overview panel
+ * @param {Object} device - Device data
+ */
+function renderCustomFields(panel, device) {
+    const isAdmin = Auth.hasRole('admin');
+    const values = device.customFields || {};
+    
+    if (customFieldDefinitions.length === 0 && !isAdmin) return;
+    
+    appendDetailsHeading(panel, 'Custom Fields');
+    
+    const table = createDetailsTable(null, customFieldDefinitions.map(field => [
+        field.required ? `${field.label} *` : field.label,
+        formatCustomFieldValue(field, values[field.key])
+    ]), 'details-properties');
+    panel.appendChild(table);
+    
+    if (!isAdmin) return;
+    
+    const form = createCustomFieldForm(device);
+    form.hidden = true;
+    panel.appendChild(form);
+    
+    const editButton = document.createElement('button');
+    editButton.className = 'btn btn-sm';
+    editButton.innerHTML = '<i class="fas fa-edit"></i> Edit';
+    editButton.addEventListener('click', () => {
+        table.hidden = true;
+        editButton.hidden = true;
+        form.hidden = false;
+    });
+    panel.appendChild(editButton);
+    
+    form.addEventListener('reset', () => {
+        table.hidden = false;
+        editButton.hidden = false;
+        form.hidden = true;
+    });
+}
+
+/**
+ * Build the custom field edit form
+ * @param {Object} device - Device data
+ * @returns {HTMLFormElement} Form
+ */
+function createCustomFieldForm(device) {
+    const values = device.customFields || {};
+    const form = document.createElement('form');
+    form.className = 'details-form';
+    
+    const addInput = (name, labelText, input) => {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+        const label = document.createElement('label');
+        label.textContent = labelText;
+        input.name = name;
+        group.append(label, input);
+        form.appendChild(group);
+    };
+    
+    const owner = document.createElement('input');
+    owner.type = 'text';
+    owner.value = device.owner || '';
+    addInput('owner', 'Owner', owner);
+    
+    customFieldDefinitions.forEach(field => {
+        const value = values[field.key];
+        let input;
+        
+        if (field.type === 'enum' || field.type === 'boolean') {
+            input = document.createElement('select');
+            const options = field.type === 'enum'
+                ? field.values.map(v => [v, v])
+                : [['true', 'Yes'], ['false', 'No']];
+            [['', ''], ...options].forEach(([optionValue, text]) => {
+                input.appendChild(new Option(text, optionValue, false, String(value) === optionValue));
+            });
+        } else {
+            input = document.createElement('input');
+            input.type = field.type === 'number' ? 'number' : field.type === 'date' ? 'date' : 'text';
+            if (field.type === 'number') input.step = 'any';
+            input.value = value === undefined ? '' : (field.type === 'date' ? String(value).slice(0, 10) : value);
+        }
+        
+        input.required = Boolean(field.required);
+        if (field.description) input.title = field.description;
+        addInput(field.key, field.required ? `${field.label} *` : field.label, input);
+    });
+    
+    const actions = document.createElement('div');
+    actions.className = 'details-form-actions';
+    actions.innerHTML = '<button type="submit" class="btn btn-sm btn-primary">Save</button> <button type="reset" class="btn btn-sm">Cancel</button>';
+    form.appendChild(actions);
+    
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        
+        const customFields = {};
+        customFieldDefinitions.forEach(field => {
+            const raw = form.elements[field.key].value;
+            if (raw === '') {
+                customFields[field.key] = null;
+            } else if (field.type === 'number') {
+                customFields[field.key] = Number(raw);
+            } else if (field.type === 'boolean') {
+                customFields[field.key] = raw === 'true';
+            } else {
+                customFields[field.key] = raw;
+            }
+        });
+        
+        try {
+            await apiRequest(`/api/devices/${encodeURIComponent(device.remotePcId)}`, {
+                method: 'PATCH',
+                body: { owner: form.elements.owner.value, customFields }
+            });
+            Utils.showNotification('Device updated', 'success');
+            await reloadDeviceDetails();
+        } catch (error) {
+            Utils.showNotification(error.message, 'error');
+        }
+    });
+    
+    return form;
+}
+
+/**
+ * Format a custom field value for display
+ * @param {Object} field - Field definition
+ * @param {any} value - Value
+ * @returns {string} Display text
+ */
+function formatCustomFieldValue(field, value) {
+    if (value === undefined || value === null || value === '') return '-';
+    if (field.type === 'boolean') return value ? 'Yes' : 'No';
+    if (field.type === 'date') return Utils.formatDate(value);
+    return String(value);
+}
+
+/**
+ * Render operator notes with an add form for admins
+ * @param {HTMLElement} panel - Overview panel
+ * @param {Object} device - Device data
+ */
+function renderDeviceNotes(panel, device) {
+    const isAdmin = Auth.hasRole('admin');
+    const notes = [...(device.notes || [])].reverse();
+    
+    appendDetailsHeading(panel, `Notes (${notes.length})`);
+    
+    const list = document.createElement('ul');
+    list.className = 'details-notes';
+    
+    if (notes.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'details-empty';
+        empty.textContent = 'No notes yet';
+        list.appendChild(empty);
+    }
+    
+    notes.forEach(note => {
+        const item = document.createElement('li');
+        
+        const meta = document.createElement('div');
+        meta.className = 'details-note-meta';
+        meta.textContent = `${note.author || 'Unknown'} - ${Utils.formatDate(note.createdAt, true)}`;
+        
+        if (isAdmin) {
+            const remove = document.createElement('button');
+            remove.className = 'btn btn-sm';
+            remove.title = 'Delete note';
+            remove.innerHTML = '<i class="fas fa-trash"></i>';
+            remove.addEventListener('click', () => deleteDeviceNote(device.remotePcId, note.id));
+            meta.appendChild(remove);
+        }
+        
+        const text = document.createElement('div');
+        text.className = 'details-note-text';
+        text.textContent = note.text;
+        
+        item.append(meta, text);
+        list.appendChild(item);
+    });
+    
+    panel.appendChild(list);
+    
+    if (!isAdmin) return;
+    
+    const form = document.createElement('form');
+    form.className = 'details-form';
+    form.innerHTML = '<textarea name="text" rows="3" maxlength="2000" placeholder="Add a note..." required></textarea>' +
+        '<div class="details-form-actions"><button type="submit" class="btn btn-sm btn-primary">Add Note</button></div>';
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        
+        try {
+            await apiRequest(`/api/devices/${encodeURIComponent(device.remotePcId)}/notes`, {
+                method: 'POST',
+                body: { text: form.elements.text.value }
+            });
+            await reloadDeviceDetails();
+        } catch (error) {
+            Utils.showNotification(error.message, 'error');
+        }
+    });
+    panel.appendChild(form);
+}
+
+/**
+ * Delete an operator note
+ * @param {string} remotePcId - Device identifier
+ * @param {string} noteId - Note identifier
+ */
+async function deleteDeviceNote(remotePcId, noteId) {
+    if (!confirm('Delete this note?')) return;
+    
+    try {
+        await apiRequest(`/api/devices/${encodeURIComponent(remotePcId)}/notes/${encodeURIComponent(noteId)}`, {
+            method: 'DELETE'
+        });
+        await reloadDeviceDetails();
+    } catch (error) {
+        Utils.showNotification(error.message, 'error');
+    }
+}
+
+/**
+ * Render the maintenance windows that apply to a device, with a schedule form for admins
+ * @param {HTMLElement} panel - Overview panel
+ * @param {Object} device - Device data
+ */
+async function renderMaintenanceWindows(panel, device) {
+    const isAdmin = Auth.hasRole('admin');
+    
+    appendDetailsHeading(panel, 'Maintenance Windows');
+    
+    const container = document.createElement('div');
+    panel.appendChild(container);
+    
+    let windows = [];
+    try {
+        const data = await apiRequest(`/api/devices/${encodeURIComponent(device.remotePcId)}/maintenance`);
+        windows = data.windows || [];
+    } catch (error) {
+        container.textContent = `Could not load maintenance windows: ${error.message}`;
+        return;
+    }
+    
+    const table = createDetailsTable(
+        ['Name', 'Applies To', 'Schedule', 'Next', 'Remote Control', ''],
+        windows.map(entry => [
+            entry.name,
+            entry.targetType === 'group' ? `Group ${entry.targetId}` : 'This device',
+            describeMaintenanceSchedule(entry),
+            entry.activeUntil
+                ? `Active until ${Utils.formatDate(entry.activeUntil, true)}`
+                : (entry.upcoming.length > 0 ? Utils.formatDate(entry.upcoming[0], true) : 'Ended'),
+            entry.blockRemoteControl ? 'Blocked' : 'Allowed',
+            ''
+        ])
+    );
+    
+    if (isAdmin) {
+        windows.forEach((entry, index) => {
+            const remove = document.createElement('button');
+            remove.className = 'btn btn-sm';
+            remove.title = 'Delete window';
+            remove.innerHTML = '<i class="fas fa-trash"></i>';
+            remove.addEventListener('click', () => deleteMaintenanceWindow(entry));
+            table.tBodies[0].rows[index].cells[5].replaceChildren(remove);
+        });
+    }
+    
+    container.appendChild(table);
+    
+    if (!isAdmin) return;
+    
+    const form = document.createElement('form');
+    form.className = 'details-form';
+    form.innerHTML = '<input type="text" name="name" maxlength="100" placeholder="Name (e.g. Patch Tuesday)" required>' +
+        '<input type="datetime-local" name="startsAt" required>' +
+        '<input type="number" name="durationMinutes" min="1" value="60" title="Duration in minutes" required>' +
+        '<select name="frequency"><option value="none">Once</option><option value="daily">Daily</option>' +
+        '<option value="weekly">Weekly</option><option value="monthly">Monthly</option></select>' +
+        '<label><input type="checkbox" name="blockRemoteControl"> Block remote control</label>' +
+        '<div class="details-form-actions"><button type="submit" class="btn btn-sm btn-primary">Schedule</button></div>';
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        
+        try {
+            await apiRequest('/api/devices/maintenance', {
+                method: 'POST',
+                body: {
+                    name: form.elements.name.value,
+                    targetType: 'device',
+                    targetId: device.remotePcId,
+                    // datetime-local is local time; the server stores UTC
+                    startsAt: new Date(form.elements.startsAt.value).toISOString(),
+                    durationMinutes: Number(form.elements.durationMinutes.value),
+                    recurrence: { frequency: form.elements.frequency.value },
+                    blockRemoteControl: form.elements.blockRemoteControl.checked
+                }
+            });
+            Utils.showNotification('Maintenance window scheduled', 'success');
+            await reloadDeviceDetails();
+        } catch (error) {
+            Utils.showNotification(error.message, 'error');
+        }
+    });
+    container.appendChild(form);
+}
+
+/**
+ * Describe when a maintenance window occurs
+ * @param {Object} entry - Maintenance window
+ * @returns {string} Display text
+ */
+function describeMaintenanceSchedule(entry) {
+    const { frequency, interval, until } = entry.recurrence;
+    const start = Utils.formatDate(entry.startsAt, true);
+    const duration = `${entry.durationMinutes} min`;
+    
+    if (frequency === 'none') {
+        return `${start}, ${duration}`;
+    }
+    
+    const units = { daily: 'days', weekly: 'weeks', monthly: 'months' };
+    const every = interval > 1 ? `every ${interval} ${units[frequency]}` : frequency;
+    return `${capitalizeFirstLetter(every)} from ${start}, ${duration}${until ? ` until ${Utils.formatDate(until, true)}` : ''}`;
+}
+
+/**
+ * Delete a maintenance window
+ * @param {Object} entry - Maintenance window
+ */
+async function deleteMaintenanceWindow(entry) {
+    const scope = entry.targetType === 'group' ? ' It applies to every device in the group.' : '';
+    if (!confirm(`Delete maintenance window "${entry.name}"?${scope}`)) return;
+    
+    try {
+        await apiRequest(`/api/devices/maintenance/${encodeURIComponent(entry.id)}`, { method: 'DELETE' });
+        await reloadDeviceDetails();
+    } catch (error) {
+        Utils.showNotification(error.message, 'error');
+    }
+}
+
+/**
+ * Render the access control entries of a device with a grant form (admins only)
+ * Group and all-device grants are managed through the API and are not listed here
+ * @param {HTMLElement} panel - Overview panel
+ * @param {Object} device - Device data
+ */
+async function renderDeviceAccess(panel, device) {
+    appendDetailsHeading(panel, 'Access');
+    
+    const container = document.createElement('div');
+    panel.appendChild(container);
+    
+    let acls = [];
+    try {
+        const query = `targetType=device&targetId=${encodeURIComponent(device.remotePcId)}`;
+        const data = await apiRequest(`/api/devices/acls?${query}`);
+        acls = data.acls || [];
+    } catch (error) {
+        container.textContent = `Could not load access entries: ${error.message}`;
+        return;
+    }
+    
+    const table = createDetailsTable(
+        ['Subject', 'Access', 'Granted', ''],
+        acls.map(acl => [`${capitalizeFirstLetter(acl.subjectType)}: ${acl.subjectId}`, capitalizeFirstLetter(acl.access), Utils.formatDate(acl.createdAt, true), ''])
+    );
+    
+    // Add a revoke button to the last cell of each row
+    acls.forEach((acl, index) => {
+        const remove = document.createElement('button');
+        remove.className = 'btn btn-sm';
+        remove.title = 'Revoke access';
+        remove.innerHTML = '<i class="fas fa-trash"></i>';
+        remove.addEventListener('click', () => deleteDeviceAcl(acl.id));
+        table.tBodies[0].rows[index].cells[3].replaceChildren(remove);
+    });
+    
+    container.appendChild(table);
+    
+    const form = document.createElement('form');
+    form.className = 'details-form';
+    form.innerHTML = '<select name="subjectType"><option value="user">User ID</option><option value="role">Role</option></select>' +
+        '<input type="text" name="subjectId" placeholder="User ID or role name" required>' +
+        '<select name="access"><option value="view">View</option><option value="control">Control</option></select>' +
+        '<div class="details-form-actions"><button type="submit" class="btn btn-sm btn-primary">Grant Access</button></div>';
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        
+        try {
+            await apiRequest('/api/devices/acls', {
+                method: 'POST',
+                body: {
+                    subjectType: form.elements.subjectType.value,
+                    subjectId: form.elements.subjectId.value.trim(),
+                    targetType: 'device',
+                    targetId: device.remotePcId,
+                    access: form.elements.access.value
+                }
+            });
+            await reloadDeviceDetails();
+        } catch (error) {
+            Utils.showNotification(error.message, 'error');
+        }
+    });
+    container.appendChild(form);
+}
+
+/**
+ * Remove an access control entry
+ * @param {string} aclId - Entry identifier
+ */
+async function deleteDeviceAcl(aclId) {
+    if (!confirm('Revoke this access entry?')) return;
+    
+    try {
+        await apiRequest(`/api/devices/acls/${encodeURIComponent(aclId)}`, { method: 'DELETE' });
+        await reloadDeviceDetails();
+    } catch (error) {
+        Utils.showNotification(error.message, 'error');
+    }
+}
+
+/**
+ * Refetch the device shown in the details view and re-render the overview
+ */
+async function reloadDeviceDetails() {
+    const data = await apiRequest(`/api/devices/${encodeURIComponent(detailsDevice.remotePcId)}`);
+    detailsDevice = data.device;
+    
+    renderDetailsHeader(detailsDevice);
+    if (detailsActiveTab === 'overview') {
+        renderDeviceOverview(detailsDevice);
+    }
+}
+
+/**
+ * Load and render the inventory tab
+ * @param {string} version - Version to show (latest when omitted)
+ */
+async function loadDeviceInventory(version) {
+    const panel = document.getElementById('inventory-content');
+    panel.innerHTML = '<p class="details-empty"><i class="fas fa-spinner fa-spin"></i> Loading inventory...</p>';
+    
+    try {
+        const query = version ? `?version=${encodeURIComponent(version)}` : '';
+        const data = await apiRequest(`/api/devices/${encodeURIComponent(detailsDevice.remotePcId)}/inventory${query}`);
+        
+        renderInventoryVersions(data.versions, data.snapshot);
+        renderInventory(data.snapshot, data.diff);
+    } catch (error) {
+        console.error('Error loading inventory:', error);
+        panel.innerHTML = '';
+        const message = document.createElement('p');
+        message.className = 'details-empty';
+        message.textContent = `Failed to load inventory: ${error.message}`;
+        panel.appendChild(message);
+    }
+}
+
+/**
+ * Fill the inventory version selector
+ * @param {Array} versions - Versions, newest first
+ * @param {Object} snapshot - Snapshot currently shown
+ */
+function renderInventoryVersions(versions, snapshot) {
+    const select = document.getElementById('inventory-version-select');
+    select.innerHTML = '';
+    
+    versions.forEach(entry => {
+        const option = document.createElement('option');
+        option.value = entry.version;
+        option.textContent = `Version ${entry.version} - ${Utils.formatDate(entry.receivedAt, true)}`;
+        option.selected = snapshot && snapshot.version === entry.version;
+        select.appendChild(option);
+    });
+    
+    select.disabled = versions.length === 0;
+}
+
+/**
+ * Render an inventory snapshot and its diff
+ * @param {Object} snapshot - Snapshot or null
+ * @param {Object} diff - Diff against the previous version or null
+ */
+function renderInventory(snapshot, diff) {
+    const panel = document.getElementById('inventory-content');
+    panel.innerHTML = '';
+    
+    if (!snapshot) {
+        panel.innerHTML = '<p class="details-empty">This device has not reported an inventory yet.</p>';
+        return;
+    }
+    
+    const inventory = snapshot.inventory;
+    
+    if (diff) {
+        panel.appendChild(renderInventoryDiff(diff));
+    }
+    
+    appendDetailsHeading(panel, 'System');
+    panel.appendChild(createDetailsTable(null, [
+        ['Operating System', [inventory.os.name, inventory.os.version].filter(Boolean).join(' ') || '-'],
+        ['Build', inventory.os.build || '-'],
+        ['Architecture', inventory.os.architecture || '-'],
+        ['CPU', inventory.cpu.model || '-'],
+        ['Cores / Threads', `${inventory.cpu.cores || '-'} / ${inventory.cpu.logicalProcessors || '-'}`],
+        ['Memory', formatBytes(inventory.memory.totalBytes)]
+    ], 'details-properties'));
+    
+    appendDetailsHeading(panel, `Disks (${inventory.disks.length})`);
+    panel.appendChild(createDetailsTable(
+        ['Name', 'Model', 'File System', 'Size'],
+        inventory.disks.map(d => [d.name, d.model || '-', d.fileSystem || '-', formatBytes(d.sizeBytes)])
+    ));
+    
+    appendDetailsHeading(panel, `Network Adapters (${inventory.networkAdapters.length})`);
+    panel.appendChild(createDetailsTable(
+        ['Name', 'MAC', 'IP Addresses'],
+        inventory.networkAdapters.map(n => [n.name || '-', n.mac || '-', (n.ipAddresses || []).join(', ') || '-'])
+    ));
+    
+    appendDetailsHeading(panel, `Local Users (${inventory.localUsers.length})`);
+    panel.appendChild(createDetailsTable(
+        ['Name', 'Full Name', 'Admin', 'Disabled'],
+        inventory.localUsers.map(u => [u.name, u.fullName || '-', u.isAdmin ? 'Yes' : 'No', u.disabled ? 'Yes' : 'No'])
+    ));
+    
+    appendDetailsHeading(panel, `Installed Software (${inventory.software.length})`);
+    panel.appendChild(createDetailsTable(
+        ['Name', 'Version', 'Publisher'],
+        inventory.software.map(s => [s.name, s.version || '-', s.publisher || '-'])
+    ));
+}
+
+/**
+ * Render the changes between two inventory versions
+ * @param {Object} diff - { from, to, changes }
+ * @returns {HTMLElement} Diff element
+ */
+function renderInventoryDiff(diff) {
+    const container = document.createElement('div');
+    container.className = 'inventory-diff';
+    
+    const heading = document.createElement('h4');
+    heading.textContent = `Changes since version ${diff.from}`;
+    container.appendChild(heading);
+    
+    const list = document.createElement('ul');
+    const addLine = (className, text) => {
+        const item = document.createElement('li');
+        item.className = className;
+        item.textContent = text;
+        list.appendChild(item);
+    };
+    
+    Object.entries(diff.changes).forEach(([section, changes]) => {
+        if (Array.isArray(changes)) {
+            // Field changes (cpu, memory, os)
+            changes.forEach(change => {
+                addLine('changed', `${section}.${change.field}: ${formatDiffValue(change.from)} → ${formatDiffValue(change.to)}`);
+            });
+            return;
+        }
+        
+        changes.added.forEach(item => addLine('added', `${section}: added ${describeInventoryItem(item)}`));
+        changes.removed.forEach(item => addLine('removed', `${section}: removed ${describeInventoryItem(item)}`));
+        changes.changed.forEach(entry => {
+            const fields = entry.changes
+                .map(change => `${change.field} ${formatDiffValue(change.from)} → ${formatDiffValue(change.to)}`)
+                .join(', ');
+            addLine('changed', `${section}: ${entry.key} (${fields})`);
+        });
+    });
+    
+    if (list.children.length === 0) {
+        addLine('unchanged', 'No changes');
+    }
+    
+    container.appendChild(list);
+    return container;
+}
+
+/**
+ * Short label for an inventory list entry
+ * @param {Object} item - Inventory entry
+ * @returns {string} Label
+ */
+function describeInventoryItem(item) {
+    const label = item.name || item.mac || '';
+    return item.version ? `${label} ${item.version}` : label;
+}
+
+/**
+ * Format a diff value for display
+ * @param {any} value - Value
+ * @returns {string} Display text
+ */
+function formatDiffValue(value) {
+    if (value === undefined || value === null) return '(none)';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Load and render the metrics tab for the selected range
+ */
+async function loadDeviceMetrics() {
+    const panel = document.getElementById('metrics-content');
+    panel.innerHTML = '<p class="details-empty"><i class="fas fa-spinner fa-spin"></i> Loading metrics...</p>';
+    
+    const hours = Number(document.getElementById('metrics-range-select').value) || 24;
+    const from = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+    
+    try {
+        const data = await apiRequest(`/api/devices/${encodeURIComponent(detailsDevice.remotePcId)}/metrics?from=${encodeURIComponent(from)}&resolution=auto`);
+        renderDeviceMetrics(data);
+    } catch (error) {
+        console.error('Error loading metrics:', error);
+        panel.innerHTML = '';
+        const message = document.createElement('p');
+        message.className = 'details-empty';
+        message.textContent = `Failed to load metrics: ${error.message}`;
+        panel.appendChild(message);
+    }
+}
+
+/**
+ * Render one chart per metric group
+ * @param {Object} data - { resolution, from, to, samples }
+ */
+function renderDeviceMetrics(data) {
+    const panel = document.getElementById('metrics-content');
+    panel.innerHTML = '';
+    
+    if (data.samples.length === 0) {
+        panel.innerHTML = '<p class="details-empty">This device has not reported any metrics in this range.</p>';
+        return;
+    }
+    
+    const resolution = data.resolution === 'raw' ? 'every heartbeat' : `${data.resolution} averages`;
+    const note = document.createElement('p');
+    note.className = 'details-note-meta';
+    note.textContent = `${data.samples.length} points, ${resolution}`;
+    panel.appendChild(note);
+    
+    METRIC_CHARTS.forEach(chart => {
+        panel.appendChild(createMetricsChart(chart, data));
+    });
+}
+
+/**
+ * Build an SVG line chart for a group of metrics
+ * @param {Object} chart - { title, series, unit }
+ * @param {Object} data - { resolution, from, to, samples }
+ * @returns {HTMLElement} Chart element
+ */
+function createMetricsChart(chart, data) {
+    const width = 600;
+    const height = 120;
+    const from = new Date(data.from).getTime();
+    const to = new Date(data.to).getTime();
+    const gap = METRIC_GAPS[data.resolution] || METRIC_GAPS.raw;
+    
+    // Raw samples carry values, rollups carry averages
+    const points = chart.series.map(metric => data.samples
+        .map(sample => ({ t: new Date(sample.t).getTime(), value: (sample.values || sample.avg || {})[metric] }))
+        .filter(point => typeof point.value === 'number'));
+    
+    const peak = Math.max(0, ...points.flat().map(point => point.value));
+    const max = chart.unit === '%' ? 100 : (peak || 1);
+    const format = value => (chart.unit === '%' ? `${value.toFixed(1)}%` : `${formatBytes(value)}/s`);
+    
+    const container = document.createElement('div');
+    container.className = 'metrics-chart';
+    
+    const header = document.createElement('div');
+    header.className = 'metrics-chart-header';
+    const title = document.createElement('span');
+    title.textContent = chart.title;
+    header.appendChild(title);
+    
+    const latest = document.createElement('span');
+    latest.className = 'metrics-chart-latest';
+    latest.textContent = chart.series
+        .map((metric, index) => {
+            const last = points[index][points[index].length - 1];
+            const value = last ? format(last.value) : '-';
+            return chart.series.length > 1 ? `${METRIC_LABELS[metric]}: ${value}` : value;
+        })
+        .join('  ');
+    header.appendChild(latest);
+    container.appendChild(header);
+    
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('preserveAspectRatio', 'none');
+    svg.classList.add('metrics-chart-plot');
+    
+    points.forEach((series, index) => {
+        // Break the line where the device was not reporting
+        const segments = [];
+        series.forEach((point, i) => {
+            if (i === 0 || point.t - series[i - 1].t > gap) {
+                segments.push([]);
+            }
+            const x = ((point.t - from) / (to - from)) * width;
+            const y = height - (Math.min(point.value, max) / max) * height;
+            segments[segments.length - 1].push(`${x.toFixed(1)},${y.toFixed(1)}`);
+        });
+        
+        segments.forEach(segment => {
+            const line = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+            line.setAttribute('points', segment.length === 1 ? `${segment[0]} ${segment[0]}` : segment.join(' '));
+            line.setAttribute('class', `metrics-series metrics-series-${index}`);
+            svg.appendChild(line);
+        });
+    });
+    
+    container.appendChild(svg);
+    
+    const axis = document.createElement('div');
+    axis.className = 'metrics-chart-axis';
+    axis.innerHTML = '<span></span><span></span><span></span>';
+    axis.children[0].textContent = Utils.formatDate(data.from, true);
+    axis.children[1].textContent = `max ${format(max)}`;
+    axis.children[2].textContent = Utils.formatDate(data.to, true);
+    container.appendChild(axis);
+    
+    return container;
+}
+
+/**
+ * Append a section heading to a details panel
+ * @param {HTMLElement} panel - Panel
+ * @param {string} text - Heading text
+ */
+function appendDetailsHeading(panel, text) {
+    const heading = document.createElement('h4');
+    heading.className = 'details-heading';
+    heading.textContent = text;
+    panel.appendChild(heading);
+}
+
+/**
+ * Build a table - cells are set with textContent since values come from agents
+ * @param {Array|null} headers - Column headers, or null for a key/value table
+ * @param {Array} rows - Rows of cell values
+ * @param {string} className - Extra table class
+ * @returns {HTMLElement} Table element
+ */
+function createDetailsTable(headers, rows, className = '') {
+    const table = document.createElement('table');
+    table.className = `details-table ${className}`.trim();
+    
+    if (headers) {
+        const headRow = table.createTHead().insertRow();
+        headers.forEach(header => {
+            const th = document.createElement('th');
+            th.textContent = header;
+            headRow.appendChild(th);
+        });
+    }
+    
+    const body = table.createTBody();
+    
+    if (rows.length === 0) {
+        const cell = body.insertRow().insertCell();
+        cell.colSpan = headers ? headers.length : 2;
+        cell.className = 'details-empty';
+        cell.textContent = 'None reported';
+    }
+    
+    rows.forEach(row => {
+        const tableRow = body.insertRow();
+        row.forEach((value, index) => {
+            const cell = document.createElement(!headers && index === 0 ? 'th' : 'td');
+            cell.textContent = value === undefined || value === null ? '-' : String(value);
+            tableRow.appendChild(cell);
+        });
+    });
+    
+    return table;
+}
+
+/**
+ * Format a byte count
+ * @param {number} bytes - Bytes
+ * @returns {string} Human-readable size
+ */
+function formatBytes(bytes) {
+    if (!bytes && bytes !== 0) return '-';
+    
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
@@ -15,6 +15,15 @@ let clientId = getOrCreateClientId(); // Use persistent client ID
 let reconnectAttempts = 0;
 let connectionMonitorInterval = null;
 let isConnecting = false;
+let deviceGroups = [];
+let tagsInUse = [];
+let selectedGroupId = 'all'; // 'all', 'none' (ungrouped) or a group id
+let selectedTags = [];
+let totalDevices = 0;
+let nextDeviceCursor = null;
+let isLoadingDevices = false;
+let deviceSearchTimer = null;
+const DEVICE_PAGE_SIZE = 50;
 const MAX_RECONNECT_ATTEMPTS = 5; // Match Windows app setting
 const RECONNECT_INTERVAL = 30000; // 30 seconds - match Windows app ConnectionSettings.cs _reconnectInterval
 
@@ -138,36 +147,280 @@ document.addEventListener('DOMContentLoaded', async function() {
  */
 async function initDeviceManagement() {
     // Add event listeners
-    document.getElementById('refresh-devices-btn').addEventListener('click', fetchDevices);
+    document.getElementById('refresh-devices-btn').addEventListener('click', () => fetchDevices());
     document.getElementById('status-filter').addEventListener('change', filterDevices);
-    document.getElementById('device-search').addEventListener('input', filterDevices);
+    document.getElementById('device-sort').addEventListener('change', filterDevices);
+    document.getElementById('device-search').addEventListener('input', () => {
+        // Debounce typing so each keystroke doesn't hit the server
+        clearTimeout(deviceSearchTimer);
+        deviceSearchTimer = setTimeout(filterDevices, 300);
+    });
+    document.getElementById('add-group-btn').addEventListener('click', createGroup);
+    document.getElementById('export-devices-btn').addEventListener('click', () => exportDevices('csv'));
+    document.getElementById('import-devices-btn').addEventListener('click', () => {
+        document.getElementById('device-import-file').click();
+    });
+    document.getElementById('enroll-device-btn').addEventListener('click', createEnrollmentCode);
+    document.getElementById('device-import-file').addEventListener('change', (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (file) importDevicesFromFile(file);
+    });
+    
+    // Infinite scroll - load the next page near the bottom of the list
+    const listWrapper = document.querySelector('.device-list-wrapper');
+    listWrapper.addEventListener('scroll', () => {
+        if (listWrapper.scrollTop + listWrapper.clientHeight >= listWrapper.scrollHeight - 200) {
+            fetchMoreDevices();
+        }
+    });
     
-    // Fetch devices
+    // Fetch groups and devices
+    await fetchGroups();
     await fetchDevices();
+    await fetchPendingDevices();
+    await fetchAlerts();
     
-    // Set up automatic refresh every 30 seconds
-    setInterval(fetchDevices, 30000);
+    // Set up automatic refresh every 30 seconds, keeping the pages already loaded
+    setInterval(() => fetchDevices({ keepLoaded: true }), 30000);
 }
 
 /**
- * Fetch devices from API
+ * Fetch devices waiting for approval (admins only)
  */
-async function fetchDevices() {
+async function fetchPendingDevices() {
+    const panel = document.getElementById('pending-devices-panel');
+    
+    if (!Auth.hasRole('admin')) {
+        panel.hidden = true;
+        return;
+    }
+    
     try {
-        const deviceList = document.getElementById('device-list');
+        const data = await apiRequest('/api/devices?approval=pending&sort=firstConnection&limit=100');
+        renderPendingDevices(data.devices, data.total);
+    } catch (error) {
+        console.error('Error fetching pending devices:', error);
+    }
+}
+
+/**
+ * Render the pending devices panel
+ * @param {Array} pending - Pending devices
+ * @param {number} total - Total pending devices
+ */
+function renderPendingDevices(pending, total) {
+    const panel = document.getElementById('pending-devices-panel');
+    const list = document.getElementById('pending-devices-list');
+    
+    panel.hidden = total === 0;
+    document.getElementById('pending-devices-count').textContent = total;
+    list.innerHTML = '';
+    
+    pending.forEach(device => {
+        const item = document.createElement('li');
+        item.className = 'pending-device';
+        item.innerHTML = `
+            <div class="pending-device-info">
+                <strong class="pending-device-name"></strong>
+                <span class="pending-device-id"></span>
+                <span class="pending-device-time"></span>
+            </div>
+            <div class="pending-device-actions">
+                <button class="btn btn-sm btn-primary approve-device-btn"><i class="fas fa-check"></i> Approve</button>
+                <button class="btn btn-sm reject-device-btn"><i class="fas fa-times"></i> Reject</button>
+            </div>
+        `;
+        item.querySelector('.pending-device-name').textContent = device.systemName;
+        item.querySelector('.pending-device-id').textContent = device.remotePcId;
+        item.querySelector('.pending-device-time').textContent =
+            `Registered ${formatTimeAgo(new Date(device.firstConnection))} - ${capitalizeFirstLetter(device.status || 'unknown')}`;
         
-        // Show loading indicator
-        deviceList.innerHTML = `
-            <div class="loading-devices">
-                <div class="spinner">
-                    <i class="fas fa-spinner fa-spin"></i>
-                </div>
-                <p>Loading devices...</p>
+        item.querySelector('.approve-device-btn').addEventListener('click', () => decideDeviceApproval(device, 'approve'));
+        item.querySelector('.reject-device-btn').addEventListener('click', () => decideDeviceApproval(device, 'reject'));
+        
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Approve or reject a pending device
+ * @param {Object} device - Pending device
+ * @param {string} decision - 'approve' or 'reject'
+ */
+async function decideDeviceApproval(device, decision) {
+    const reason = prompt(
+        decision === 'approve'
+            ? `Approve ${device.systemName} (${device.remotePcId})? Optional note:`
+            : `Reject ${device.systemName} (${device.remotePcId})? It will be disconnected and refused from now on. Reason:`,
+        ''
+    );
+    if (reason === null) return;
+    
+    try {
+        await apiRequest(`/api/devices/${encodeURIComponent(device.remotePcId)}/${decision}`, {
+            method: 'POST',
+            body: { reason }
+        });
+        Utils.showNotification(`Device ${decision === 'approve' ? 'approved' : 'rejected'}`, 'success');
+        await fetchPendingDevices();
+        if (decision === 'approve') {
+            await fetchDevices({ keepLoaded: true });
+        }
+    } catch (error) {
+        Utils.showNotification(error.message, 'error');
+    }
+}
+
+/**
+ * Fetch open and acknowledged alerts
+ * @returns {Promise<Array>} Alerts shown in the panel
+ */
+async function fetchAlerts() {
+    try {
+        const data = await apiRequest('/api/alerts?state=active&limit=50');
+        renderAlerts(data.alerts, data.total);
+        return data.alerts;
+    } catch (error) {
+        console.error('Error fetching alerts:', error);
+        return [];
+    }
+}
+
+/**
+ * Render the active alerts panel
+ * @param {Array} alerts - Active alerts, newest first
+ * @param {number} total - Total active alerts
+ */
+function renderAlerts(alerts, total) {
+    const panel = document.getElementById('alerts-panel');
+    const list = document.getElementById('alerts-list');
+    
+    panel.hidden = total === 0;
+    document.getElementById('alerts-count').textContent = total;
+    list.innerHTML = '';
+    
+    alerts.forEach(alert => {
+        const item = document.createElement('li');
+        item.className = `alert-item ${alert.severity} ${alert.state}`;
+        item.innerHTML = `
+            <div class="alert-item-info">
+                <span class="alert-severity"></span>
+                <a href="#" class="alert-device"></a>
+                <strong class="alert-rule"></strong>
+                <span class="alert-message"></span>
+                <span class="alert-time"></span>
+            </div>
+            <div class="alert-item-actions">
+                <button class="btn btn-sm acknowledge-alert-btn"><i class="fas fa-check"></i> Acknowledge</button>
+                <button class="btn btn-sm resolve-alert-btn"><i class="fas fa-check-double"></i> Resolve</button>
             </div>
         `;
+        item.querySelector('.alert-severity').textContent = capitalizeFirstLetter(alert.severity);
+        item.querySelector('.alert-device').textContent = alert.systemName || alert.remotePcId;
+        item.querySelector('.alert-rule').textContent = alert.ruleName;
+        item.querySelector('.alert-message').textContent = alert.message;
+        item.querySelector('.alert-time').textContent = alert.state === 'acknowledged'
+            ? `Acknowledged ${formatTimeAgo(new Date(alert.acknowledgedAt))}`
+            : `Opened ${formatTimeAgo(new Date(alert.openedAt))}`;
+        
+        item.querySelector('.alert-device').addEventListener('click', (event) => {
+            event.preventDefault();
+            showDeviceDetails(alert.remotePcId);
+        });
+        
+        const acknowledgeButton = item.querySelector('.acknowledge-alert-btn');
+        acknowledgeButton.hidden = alert.state !== 'open';
+        acknowledgeButton.addEventListener('click', () => changeAlertState(alert, 'acknowledge'));
+        item.querySelector('.resolve-alert-btn').addEventListener('click', () => changeAlertState(alert, 'resolve'));
+        
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Acknowledge or resolve an alert
+ * @param {Object} alert - Alert
+ * @param {string} action - 'acknowledge' or 'resolve'
+ */
+async function changeAlertState(alert, action) {
+    const note = prompt(`${capitalizeFirstLetter(action)} "${alert.ruleName}" on ${alert.systemName || alert.remotePcId}? Optional note:`, '');
+    if (note === null) return;
+    
+    try {
+        await apiRequest(`/api/alerts/${encodeURIComponent(alert.id)}/${action}`, {
+            method: 'POST',
+            body: { note }
+        });
+        Utils.showNotification(`Alert ${action === 'acknowledge' ? 'acknowledged' : 'resolved'}`, 'success');
+        await fetchAlerts();
+    } catch (error) {
+        Utils.showNotification(error.message, 'error');
+    }
+}
+
+/**
+ * Build the device list query from the current filters
+ * @param {Object} extra - Additional parameters (limit, cursor)
+ * @returns {string} Query string
+ */
+function buildDeviceQuery(extra = {}) {
+    const params = new URLSearchParams();
+    
+    // Group and tag filters
+    if (selectedGroupId !== 'all') {
+        params.set('group', selectedGroupId);
+    }
+    if (selectedTags.length > 0) {
+        params.set('tag', selectedTags.join(','));
+    }
+    
+    // Status, search and sort
+    const statusFilter = document.getElementById('status-filter').value;
+    if (statusFilter === 'archived') {
+        params.set('archived', 'only');
+    } else if (statusFilter !== 'all') {
+        params.set('status', statusFilter);
+    }
+    const searchText = document.getElementById('device-search').value.trim();
+    if (searchText) {
+        params.set('q', searchText);
+    }
+    params.set('sort', document.getElementById('device-sort').value);
+    
+    Object.entries(extra).forEach(([key, value]) => params.set(key, value));
+    
+    return params.toString();
+}
+
+/**
+ * Fetch the first page of devices from the API
+ * @param {Object} options - { keepLoaded: reload as many devices as are already shown }
+ */
+async function fetchDevices(options = {}) {
+    try {
+        const deviceList = document.getElementById('device-list');
+        
+        // Show loading indicator, unless this is a background refresh
+        if (!options.keepLoaded) {
+            deviceList.innerHTML = `
+                <div class="loading-devices">
+                    <div class="spinner">
+                        <i class="fas fa-spinner fa-spin"></i>
+                    </div>
+                    <p>Loading devices...</p>
+                </div>
+            `;
+        }
+        
+        // Filters, sorting and paging are applied server-side
+        const limit = options.keepLoaded ? Math.max(DEVICE_PAGE_SIZE, devices.length) : DEVICE_PAGE_SIZE;
+        const query = buildDeviceQuery({ limit });
+        
+        isLoadingDevices = true;
         
         // Make API request
-        const response = await fetch('/api/devices', {
+        const response = await fetch(`/api/devices?${query}`, {
             method: 'GET',
             headers: {
                 'Authorization': `Bearer ${Auth.getToken()}`,
@@ -185,13 +438,15 @@ async function fetchDevices() {
             throw new Error(data.message || 'Failed to fetch devices');
         }
         
-        // Store devices
+        // Store devices and paging state
         devices = data.devices;
+        totalDevices = data.total;
+        nextDeviceCursor = data.nextCursor;
         
-        // Filter and render devices
-        filterDevices();
+        renderDevices(devices);
     } catch (error) {
         console.error('Error fetching devices:', error);
+        nextDeviceCursor = null;
         
         // Show error message
         const deviceList = document.getElementById('device-list');
@@ -204,47 +459,423 @@ async function fetchDevices() {
                 </button>
             </div>
         `;
+    } finally {
+        isLoadingDevices = false;
     }
 }
 
 /**
- * Filter and render devices
+ * Fetch the next page of devices and append it to the list
  */
-function filterDevices() {
-    // Get filter values
-    const statusFilter = document.getElementById('status-filter').value;
-    const searchText = document.getElementById('device-search').value.toLowerCase();
+async function fetchMoreDevices() {
+    if (!nextDeviceCursor || isLoadingDevices) return;
+    
+    isLoadingDevices = true;
+    try {
+        const data = await apiRequest(`/api/devices?${buildDeviceQuery({ limit: DEVICE_PAGE_SIZE, cursor: nextDeviceCursor })}`);
+        
+        devices = devices.concat(data.devices);
+        totalDevices = data.total;
+        nextDeviceCursor = data.nextCursor;
+        
+        renderDevices(data.devices, true);
+    } catch (error) {
+        console.error('Error fetching more devices:', error);
+        Utils.showNotification('Failed to load more devices', 'error');
+    } finally {
+        isLoadingDevices = false;
+    }
+}
+
+/**
+ * Download the current device list (with the active filters) as a file
+ * @param {string} format - 'csv' or 'json'
+ */
+async function exportDevices(format) {
+    try {
+        const params = new URLSearchParams(buildDeviceQuery());
+        params.set('format', format);
+        
+        const response = await fetch(`/api/devices/export?${params.toString()}`, {
+            headers: { 'Authorization': `Bearer ${Auth.getToken()}` }
+        });
+        
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.message || 'Export failed');
+        }
+        
+        const blob = await response.blob();
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `devices-${new Date().toISOString().split('T')[0]}.${format}`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (error) {
+        Utils.showNotification(error.message, 'error');
+    }
+}
+
+/**
+ * Import devices from a CSV or JSON file - validates with a dry run first
+ * @param {File} file - Selected file
+ */
+async function importDevicesFromFile(file) {
+    try {
+        const text = await file.text();
+        let body;
+        
+        if (file.name.toLowerCase().endsWith('.json')) {
+            const parsed = JSON.parse(text);
+            body = { devices: Array.isArray(parsed) ? parsed : parsed.devices };
+        } else {
+            body = { csv: text };
+        }
+        
+        const preview = await apiRequest('/api/devices/import?dryRun=true', { method: 'POST', body });
+        
+        const errorLines = preview.rows
+            .filter(row => row.status === 'error')
+            .slice(0, 10)
+            .map(row => `Row ${row.row}${row.remotePcId ? ` (${row.remotePcId})` : ''}: ${row.errors.join('; ')}`);
+        
+        const summary = [
+            `${preview.created} device(s) to create, ${preview.updated} to update, ${preview.failed} with errors.`,
+            ...errorLines,
+            preview.failed > errorLines.length ? `...and ${preview.failed - errorLines.length} more errors` : ''
+        ].filter(Boolean).join('\n');
+        
+        if (preview.created + preview.updated === 0) {
+            alert(`Nothing to import.\n\n${summary}`);
+            return;
+        }
+        
+        if (!confirm(`${summary}\n\nImport the valid rows?`)) return;
+        
+        const result = await apiRequest('/api/devices/import', { method: 'POST', body });
+        Utils.showNotification(`Imported ${result.created + result.updated} device(s)`, 'success');
+        await fetchDevices();
+    } catch (error) {
+        Utils.showNotification(`Import failed: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Generate a one-time enrollment code for a new agent
+ * The code is only shown once; the agent exchanges it for its own credential
+ */
+async function createEnrollmentCode() {
+    const label = prompt('Label for this enrollment code (e.g. the machine it is for):', '');
+    if (label === null) return;
+    
+    const remotePcId = prompt('Restrict the code to a device ID (leave empty for any new device):', '');
+    if (remotePcId === null) return;
+    
+    try {
+        const data = await apiRequest('/api/devices/enrollment-codes', {
+            method: 'POST',
+            body: {
+                label: label.trim(),
+                remotePcId: remotePcId.trim() || undefined
+            }
+        });
+        
+        prompt(`Enrollment code (valid until ${Utils.formatDate(data.code.expiresAt, true)}, shown only once):`, data.code.code);
+    } catch (error) {
+        Utils.showNotification(error.message, 'error');
+    }
+}
+
+/**
+ * Make an authenticated JSON API request
+ * @param {string} url - API URL
+ * @param {Object} options - fetch options (method, body)
+ * @returns {Promise<Object>} Parsed response data
+ */
+async function apiRequest(url, options = {}) {
+    const response = await fetch(url, {
+        method: options.method || 'GET',
+        headers: {
+            'Authorization': `Bearer ${Auth.getToken()}`,
+            'Content-Type': 'application/json'
+        },
+        body: options.body !== undefined ? JSON.stringify(options.body) : undefined
+    });
+    
+    const data = await response.json().catch(() => ({}));
+    
+    if (!response.ok || !data.success) {
+        throw new Error(data.message || `Request failed: ${response.status}`);
+    }
+    
+    return data;
+}
+
+/**
+ * Fetch device groups and tags in use
+ */
+async function fetchGroups() {
+    try {
+        const data = await apiRequest('/api/devices/groups');
+        deviceGroups = data.groups || [];
+        tagsInUse = data.tags || [];
+        
+        // Drop a selection that no longer exists
+        if (selectedGroupId !== 'all' && selectedGroupId !== 'none' &&
+            !deviceGroups.some(g => g.id === selectedGroupId)) {
+            selectedGroupId = 'all';
+        }
+    } catch (error) {
+        console.error('Error fetching device groups:', error);
+        deviceGroups = [];
+        tagsInUse = [];
+    }
+    
+    renderGroupSidebar();
+    renderTagFilterChips();
+}
+
+/**
+ * Render the group sidebar
+ */
+function renderGroupSidebar() {
+    const groupList = document.getElementById('device-group-list');
+    if (!groupList) return;
     
-    // Filter devices
-    const filteredDevices = devices.filter(device => {
-        // Status filter
-        if (statusFilter !== 'all' && device.status !== statusFilter) {
-            return false;
+    groupList.innerHTML = '';
+    
+    const entries = [
+        { id: 'all', name: 'All Devices' },
+        ...deviceGroups,
+        { id: 'none', name: 'Ungrouped' }
+    ];
+    
+    entries.forEach(group => {
+        const item = document.createElement('li');
+        item.className = `device-group-item ${group.id === selectedGroupId ? 'active' : ''}`;
+        item.innerHTML = `
+            <span class="device-group-name"></span>
+            ${group.deviceCount !== undefined ? `<span class="device-group-count">${group.deviceCount}</span>` : ''}
+            ${group.createdAt ? '<button class="device-group-delete" title="Delete Group"><i class="fas fa-times"></i></button>' : ''}
+        `;
+        item.querySelector('.device-group-name').textContent = group.name;
+        if (group.type === 'dynamic') {
+            // Rule-based groups show their rules on hover
+            item.classList.add('dynamic');
+            item.title = (group.rules || [])
+                .map(rule => `${rule.field} ${rule.operator} ${rule.value !== undefined ? rule.value : ''}`.trim())
+                .join(group.match === 'any' ? ' OR ' : ' AND ');
         }
         
-        // Search filter
-        if (searchText && !device.systemName.toLowerCase().includes(searchText)) {
-            return false;
+        item.addEventListener('click', () => {
+            selectedGroupId = group.id;
+            renderGroupSidebar();
+            fetchDevices();
+        });
+        
+        const deleteBtn = item.querySelector('.device-group-delete');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', (event) => {
+                event.stopPropagation();
+                deleteGroup(group);
+            });
         }
         
-        return true;
+        groupList.appendChild(item);
+    });
+}
+
+/**
+ * Render tag filter chips for every tag in use
+ */
+function renderTagFilterChips() {
+    const container = document.getElementById('tag-filter-chips');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    
+    tagsInUse.forEach(({ tag, deviceCount }) => {
+        const chip = document.createElement('span');
+        const active = selectedTags.some(t => t.toLowerCase() === tag.toLowerCase());
+        chip.className = `tag-chip ${active ? 'active' : ''}`;
+        chip.textContent = `${tag} (${deviceCount})`;
+        chip.addEventListener('click', () => toggleTagFilter(tag));
+        container.appendChild(chip);
     });
+}
+
+/**
+ * Toggle a tag in the active tag filter
+ * @param {string} tag - Tag to toggle
+ */
+function toggleTagFilter(tag) {
+    const index = selectedTags.findIndex(t => t.toLowerCase() === tag.toLowerCase());
+    
+    if (index === -1) {
+        selectedTags.push(tag);
+    } else {
+        selectedTags.splice(index, 1);
+    }
+    
+    renderTagFilterChips();
+    fetchDevices();
+}
+
+/**
+ * Create a new device group
+ */
+async function createGroup() {
+    const name = prompt('New group name:');
+    if (!name || !name.trim()) return;
+    
+    // Rules make the group dynamic, e.g. systemName matches LAPTOP-*; status = offline for > 7d
+    const ruleInput = prompt('Rules for a dynamic group, separated by ";" (leave empty for a static group):', '');
+    if (ruleInput === null) return;
+    const rules = ruleInput.split(';').map(r => r.trim()).filter(Boolean);
+    
+    try {
+        await apiRequest('/api/devices/groups', {
+            method: 'POST',
+            body: rules.length > 0
+                ? { name: name.trim(), type: 'dynamic', rules }
+                : { name: name.trim() }
+        });
+        Utils.showNotification(`Group "${name.trim()}" created`, 'success');
+        await fetchGroups();
+    } catch (error) {
+        Utils.showNotification(error.message, 'error');
+    }
+}
+
+/**
+ * Delete a device group
+ * @param {Object} group - Group to delete
+ */
+async function deleteGroup(group) {
+    if (!confirm(`Delete group "${group.name}"? Devices will not be deleted.`)) return;
+    
+    try {
+        await apiRequest(`/api/devices/groups/${group.id}`, { method: 'DELETE' });
+        Utils.showNotification(`Group "${group.name}" deleted`, 'success');
+        await fetchGroups();
+        await fetchDevices();
+    } catch (error) {
+        Utils.showNotification(error.message, 'error');
+    }
+}
+
+/**
+ * Edit the tags and groups of a device
+ * @param {Object} device - Device to edit
+ */
+async function editDeviceLabels(device) {
+    const tagInput = prompt('Tags (comma-separated):', (device.tags || []).join(', '));
+    if (tagInput === null) return;
+    
+    // Only static groups can be assigned; dynamic membership follows the rules
+    const staticGroups = deviceGroups.filter(g => g.type !== 'dynamic');
+    const currentGroupNames = staticGroups
+        .filter(g => (device.groups || []).includes(g.id))
+        .map(g => g.name);
+    const groupInput = prompt(
+        `Groups (comma-separated). Available: ${staticGroups.map(g => g.name).join(', ') || 'none'}`,
+        currentGroupNames.join(', ')
+    );
+    if (groupInput === null) return;
+    
+    // Resolve group names to ids
+    const groupNames = groupInput.split(',').map(n => n.trim().toLowerCase()).filter(Boolean);
+    const unknown = groupNames.filter(n => !staticGroups.some(g => g.name.toLowerCase() === n));
+    if (unknown.length > 0) {
+        Utils.showNotification(`Unknown group(s): ${unknown.join(', ')}`, 'error');
+        return;
+    }
+    const groupIds = staticGroups
+        .filter(g => groupNames.includes(g.name.toLowerCase()))
+        .map(g => g.id);
     
-    // Render devices
-    renderDevices(filteredDevices);
+    try {
+        await apiRequest(`/api/devices/${device.remotePcId}/tags`, {
+            method: 'PUT',
+            body: { tags: tagInput }
+        });
+        await apiRequest(`/api/devices/${device.remotePcId}/groups`, {
+            method: 'PUT',
+            body: { groups: groupIds }
+        });
+        Utils.showNotification('Device labels updated', 'success');
+        await fetchGroups();
+        await fetchDevices();
+    } catch (error) {
+        Utils.showNotification(error.message, 'error');
+    }
+}
+
+/**
+ * Archive or purge a device
+ * @param {Object} device - Device to remove
+ */
+async function removeDevice(device) {
+    const name = device.systemName || device.remotePcId;
+    if (!confirm(`Remove "${name}"? The device is archived and can no longer register.`)) return;
+    
+    // Purging also deletes connection logs and health history
+    const purge = confirm('Also purge all data for this device (logs and health history)? This cannot be undone.\n\nOK = purge, Cancel = archive only');
+    const mode = purge ? 'purge' : 'archive';
+    
+    try {
+        await apiRequest(`/api/devices/${encodeURIComponent(device.remotePcId)}?mode=${mode}`, { method: 'DELETE' });
+        Utils.showNotification(`Device "${name}" ${purge ? 'purged' : 'archived'}`, 'success');
+        await fetchGroups();
+        await fetchDevices({ keepLoaded: true });
+    } catch (error) {
+        Utils.showNotification(error.message, 'error');
+    }
+}
+
+/**
+ * Restore an archived device
+ * @param {Object} device - Device to restore
+ */
+async function restoreDevice(device) {
+    try {
+        await apiRequest(`/api/devices/${encodeURIComponent(device.remotePcId)}/restore`, { method: 'POST' });
+        Utils.showNotification(`Device "${device.systemName || device.remotePcId}" restored`, 'success');
+        await fetchDevices({ keepLoaded: true });
+    } catch (error) {
+        Utils.showNotification(error.message, 'error');
+    }
+}
+
+/**
+ * Apply the status, search and sort filters - reloads from the first page
+ */
+function filterDevices() {
+    document.querySelector('.device-list-wrapper').scrollTop = 0;
+    fetchDevices();
 }
 
 /**
  * Render devices to DOM
+ * @param {Array} filteredDevices - Devices to render
+ * @param {boolean} append - Add to the existing cards instead of replacing them
  */
-function renderDevices(filteredDevices) {
+function renderDevices(filteredDevices, append = false) {
     const deviceList = document.getElementById('device-list');
     
     // Clear existing content
-    deviceList.innerHTML = '';
+    if (!append) {
+        deviceList.innerHTML = '';
+    }
+    
+    // Drop the previous paging footer
+    const oldFooter = deviceList.querySelector('.device-list-footer');
+    if (oldFooter) {
+        oldFooter.remove();
+    }
     
     // Check if no devices
-    if (filteredDevices.length === 0) {
+    if (!append && filteredDevices.length === 0) {
         deviceList.innerHTML = `
             <div class="no-devices">
                 <i class="fas fa-laptop-house"></i>
@@ -262,8 +893,11 @@ function renderDevices(filteredDevices) {
             return; // Skip this device
         }
         
+        // Devices in a maintenance window show that instead of their connectivity
+        const displayStatus = device.maintenance ? 'maintenance' : (device.status || 'unknown');
+        
         const deviceCard = document.createElement('div');
-        deviceCard.className = `device-card ${device.status || 'unknown'}`;
+        deviceCard.className = `device-card ${displayStatus}`;
         
         // CRITICAL FIX: Consistently use remotePcId as HTML attribute name
         deviceCard.setAttribute('data-remote-pc-id', device.remotePcId);
@@ -271,6 +905,10 @@ function renderDevices(filteredDevices) {
         // Format last seen time
         const lastSeen = device.lastSeen ? formatTimeAgo(new Date(device.lastSeen)) : 'Never';
         
+        // Groups for this device - static assignments plus matched dynamic groups
+        const memberOf = [...(device.groups || []), ...(device.dynamicGroups || [])];
+        const deviceGroupList = deviceGroups.filter(g => memberOf.includes(g.id));
+        
         // Create device card content
         deviceCard.innerHTML = `
             <div class="device-info">
@@ -278,9 +916,9 @@ function renderDevices(filteredDevices) {
                     <h4>${device.systemName || 'Unknown Device'}</h4>
                     <span class="device-id">${device.remotePcId}</span>
                 </div>
-                <div class="device-status">
-                    <span class="status-indicator ${device.status || 'unknown'}"></span>
-                    <span class="status-text">${capitalizeFirstLetter(device.status || 'unknown')}</span>
+                <div class="device-status" ${device.maintenance ? `title="${capitalizeFirstLetter(device.status || 'unknown')} - maintenance until ${Utils.formatDate(device.maintenance.endsAt, true)}"` : ''}>
+                    <span class="status-indicator ${displayStatus}"></span>
+                    <span class="status-text">${capitalizeFirstLetter(displayStatus)}</span>
                 </div>
             </div>
             <div class="device-meta">
@@ -290,7 +928,12 @@ function renderDevices(filteredDevices) {
                 <span class="device-connection">
                     <i class="fas fa-plug"></i> Connections: ${device.connections || 0}
                 </span>
+                ${device.connectionQuality && device.connectionQuality.score !== null ? `
+                <span class="device-quality ${device.connectionQuality.rating}" title="Connection quality from heartbeat timing${device.connectionQuality.anomaly ? ' - heartbeats are irregular' : ''}">
+                    <i class="fas fa-signal"></i> Quality: ${device.connectionQuality.score}${device.connectionQuality.anomaly ? ' <i class="fas fa-exclamation-triangle"></i>' : ''}
+                </span>` : ''}
             </div>
+            <div class="device-tags"></div>
             <div class="device-actions">
                 <button class="btn btn-sm connect-btn" ${(device.status !== 'online') ? 'disabled' : ''}>
                     <i class="fas fa-desktop"></i> Connect
@@ -298,9 +941,43 @@ function renderDevices(filteredDevices) {
                 <button class="btn btn-sm view-details-btn">
                     <i class="fas fa-info-circle"></i> Details
                 </button>
+                <button class="btn btn-sm edit-labels-btn" title="Edit Tags and Groups">
+                    <i class="fas fa-tags"></i>
+                </button>
+                ${device.archivedAt
+                    ? '<button class="btn btn-sm restore-device-btn" title="Restore Device"><i class="fas fa-undo"></i></button>'
+                    : '<button class="btn btn-sm delete-device-btn" title="Remove Device"><i class="fas fa-trash"></i></button>'}
             </div>
         `;
         
+        // Group and tag chips - built with textContent since labels are user input
+        const tagContainer = deviceCard.querySelector('.device-tags');
+        deviceGroupList.forEach(group => {
+            const chip = document.createElement('span');
+            chip.className = 'tag-chip group-chip';
+            chip.innerHTML = group.type === 'dynamic' ? '<i class="fas fa-bolt"></i> ' : '<i class="fas fa-folder"></i> ';
+            chip.appendChild(document.createTextNode(group.name));
+            tagContainer.appendChild(chip);
+        });
+        if (device.identityConflict) {
+            const chip = document.createElement('span');
+            chip.className = 'tag-chip conflict-chip';
+            chip.title = 'Another machine claimed this device ID';
+            chip.innerHTML = '<i class="fas fa-exclamation-triangle"></i> Identity conflict';
+            tagContainer.appendChild(chip);
+        }
+        if (device.flapping) {
+            tagContainer.appendChild(createFlappingChip());
+        }
+        (device.tags || []).forEach(tag => {
+            const chip = document.createElement('span');
+            const active = selectedTags.some(t => t.toLowerCase() === tag.toLowerCase());
+            chip.className = `tag-chip ${active ? 'active' : ''}`;
+            chip.textContent = tag;
+            chip.addEventListener('click', () => toggleTagFilter(tag));
+            tagContainer.appendChild(chip);
+        });
+        
         // Add event listeners
         const connectBtn = deviceCard.querySelector('.connect-btn');
         connectBtn.addEventListener('click', () => {
@@ -313,9 +990,44 @@ function renderDevices(filteredDevices) {
             viewDeviceDetails(device.remotePcId);
         });
         
+        const editLabelsBtn = deviceCard.querySelector('.edit-labels-btn');
+        editLabelsBtn.addEventListener('click', () => {
+            editDeviceLabels(device);
+        });
+        
+        const deleteBtn = deviceCard.querySelector('.delete-device-btn');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', () => removeDevice(device));
+        }
+        
+        const restoreBtn = deviceCard.querySelector('.restore-device-btn');
+        if (restoreBtn) {
+            restoreBtn.addEventListener('click', () => restoreDevice(device));
+        }
+        
         // Add to list
         deviceList.appendChild(deviceCard);
     });
+    
+    // Paging footer with the total count
+    const footer = document.createElement('div');
+    footer.className = 'device-list-footer';
+    footer.textContent = nextDeviceCursor
+        ? `Showing ${devices.length} of ${totalDevices} devices - scroll for more`
+        : `${totalDevices} device${totalDevices === 1 ? '' : 's'}`;
+    deviceList.appendChild(footer);
+}
+
+/**
+ * Create the chip shown on devices whose status keeps changing
+ * @returns {HTMLElement} Chip
+ */
+function createFlappingChip() {
+    const chip = document.createElement('span');
+    chip.className = 'tag-chip flapping-chip';
+    chip.title = 'Status keeps changing - updates and notifications are damped';
+    chip.innerHTML = '<i class="fas fa-wave-square"></i> Flapping';
+    return chip;
 }
 
 /**
@@ -349,6 +1061,8 @@ function connectToDevice(remotePcId) {
 function showDeviceListSection() {
     document.getElementById('device-list-section').classList.add('active');
     document.getElementById('remote-viewer-section').classList.remove('active');
+    document.getElementById('device-details-section').classList.remove('active');
+    document.getElementById('reports-section').classList.remove('active');
     
     // Update page title
     document.getElementById('page-title').textContent = 'Dashboard';
@@ -362,6 +1076,8 @@ function showDeviceListSection() {
  */
 function showRemoteViewerSection() {
     document.getElementById('device-list-section').classList.remove('active');
+    document.getElementById('device-details-section').classList.remove('active');
+    document.getElementById('reports-section').classList.remove('active');
     document.getElementById('remote-viewer-section').classList.add('active');
     
     // Update page title
@@ -384,9 +1100,8 @@ function viewDeviceDetails(remotePcId) {
         retryButton.setAttribute('data-remote-pc-id', remotePcId);
     }
     
-    // Implement device details modal or page
-    // For now, just open connection page
-    connectToDevice(remotePcId);
+    // Details view lives in device-details.js
+    showDeviceDetails(remotePcId);
 }
 
 /**
@@ -427,6 +1142,17 @@ function formatTimeAgo(date) {
     return date.toLocaleDateString();
 }
 
+/**
+ * Describe a device's connection quality
+ * @param {Object|null} quality - Connection quality from the API
+ * @returns {string} e.g. "85 (good)", "Learning" or "Not measured"
+ */
+function formatConnectionQuality(quality) {
+    if (!quality) return 'Not measured';
+    if (quality.score === null) return 'Learning';
+    return `${quality.score} (${quality.rating})`;
+}
+
 /**
  * Capitalize first letter
  */
@@ -484,9 +1210,13 @@ function initSocketUpdates() {
             const deviceIndex = devices.findIndex(d => d.remotePcId === data.remotePcId);
             
             if (deviceIndex !== -1) {
-                // Update device status
+                // Update device status - updates are not sent during maintenance, so any window has ended
                 devices[deviceIndex].status = data.status;
-                devices[deviceIndex].lastSeen = data.timestamp;
+                devices[deviceIndex].lastSeen = data.lastSeen || data.timestamp;
+                devices[deviceIndex].maintenance = null;
+                if (data.flapping !== undefined) {
+                    devices[deviceIndex].flapping = data.flapping;
+                }
                 
                 // Update UI if already rendered
                 const deviceCard = document.querySelector(`div[data-remote-pc-id="${data.remotePcId}"]`);
@@ -509,7 +1239,7 @@ function initSocketUpdates() {
                     // Update last seen
                     const lastSeen = deviceCard.querySelector('.device-last-seen');
                     if (lastSeen) {
-                        lastSeen.innerHTML = `<i class="fas fa-clock"></i> Last seen: ${formatTimeAgo(new Date(data.timestamp))}`;
+                        lastSeen.innerHTML = `<i class="fas fa-clock"></i> Last seen: ${formatTimeAgo(new Date(data.lastSeen || data.timestamp))}`;
                     }
                     
                     // Update connect button
@@ -521,28 +1251,61 @@ function initSocketUpdates() {
                             connectBtn.setAttribute('disabled', 'disabled');
                         }
                     }
+                    
+                    // Update flapping chip
+                    const flappingChip = deviceCard.querySelector('.flapping-chip');
+                    if (data.flapping && !flappingChip) {
+                        const tagContainer = deviceCard.querySelector('.device-tags');
+                        if (tagContainer) tagContainer.appendChild(createFlappingChip());
+                    } else if (data.flapping === false && flappingChip) {
+                        flappingChip.remove();
+                    }
                 }
-            } else {
-                // New device, refetch all devices
-                fetchDevices();
+            } else if (!nextDeviceCursor) {
+                // New device and every page is loaded - refetch so it appears in order
+                fetchDevices({ keepLoaded: true });
             }
         });
         
-        // Handle device-list response
-        socket.on('device-list', (deviceList) => {
-            // CRITICAL FIX: Filter out devices without remotePcId
-            if (Array.isArray(deviceList)) {
-                devices = deviceList.filter(device => !!device.remotePcId);
-                if (devices.length < deviceList.length) {
-                    console.warn(`Filtered out ${deviceList.length - devices.length} devices with missing remotePcId`);
-                }
-            } else {
-                console.warn('Received invalid device list:', deviceList);
-                devices = [];
+        // Approval queue changes - a device started waiting or a decision was made
+        socket.on('device-approval-update', (data) => {
+            fetchPendingDevices();
+            if (data && data.state === 'approved') {
+                fetchDevices({ keepLoaded: true });
             }
+        });
+        
+        // Alerts opened, acknowledged or resolved - only announce new alerts this user can see
+        socket.on('alert-update', async (data) => {
+            const alerts = await fetchAlerts();
+            if (data && data.state === 'open' && alerts.some(alert => alert.id === data.id)) {
+                Utils.showNotification(`${capitalizeFirstLetter(data.severity)} alert on ${data.systemName || data.remotePcId}: ${data.ruleName}`, 'warning');
+            }
+        });
+        
+        // Another machine claimed a device ID
+        socket.on('device-identity-conflict', (data) => {
+            if (!data || !data.remotePcId) return;
             
-            // Filter and render devices
-            filterDevices();
+            Utils.showNotification(`Identity conflict: another machine claimed device ${data.remotePcId}`, 'warning');
+            fetchDevices({ keepLoaded: true });
+        });
+        
+        // Remove decommissioned devices from the list
+        socket.on('device-removed', (data) => {
+            if (!data || !data.remotePcId) return;
+            
+            const deviceCard = document.querySelector(`div[data-remote-pc-id="${data.remotePcId}"]`);
+            if (deviceCard && document.getElementById('status-filter').value !== 'archived') {
+                deviceCard.remove();
+                devices = devices.filter(d => d.remotePcId !== data.remotePcId);
+                totalDevices = Math.max(0, totalDevices - 1);
+            }
+        });
+        
+        // Handle device-list response - the list is paginated, so reload it from the API
+        socket.on('device-list', () => {
+            fetchDevices({ keepLoaded: true });
         });
         
         // Listen for connection error
@@ -625,6 +1388,21 @@ function initViewerControls() {
             refreshButton.addEventListener('click', refreshConnection);
         }
         
+        // Viewer session control buttons
+        const requestControlButton = document.getElementById('request-control-button');
+        if (requestControlButton) {
+            requestControlButton.addEventListener('click', function() {
+                if (rtcClient) rtcClient.requestControl();
+            });
+        }
+        
+        const releaseControlButton = document.getElementById('release-control-button');
+        if (releaseControlButton) {
+            releaseControlButton.addEventListener('click', function() {
+                if (rtcClient) rtcClient.releaseControl();
+            });
+        }
+        
         // Disconnect button
         const disconnectButton = document.getElementById('disconnect-button');
         if (disconnectButton) {
@@ -888,6 +1666,15 @@ async function initViewer(remotePcId) {
                 viewerSocket.emit('device-status-request', {
                     remotePcId: remotePcId
                 });
+            },
+            onSessionUpdate: (session) => {
+                renderViewerSession(session);
+            },
+            onControlRequested: (request) => {
+                Utils.showNotification(`${request.username} requests control of this device`, 'info', 5000);
+            },
+            onSessionError: (error) => {
+                Utils.showNotification(error, 'warning');
             }
         });
         
@@ -1168,6 +1955,62 @@ function updateControlButtonState() {
     }
 }
 
+/**
+ * Show the viewers of the device's session and who holds control
+ * @param {Object} session - { remotePcId, controllerId, participants }
+ */
+function renderViewerSession(session) {
+    try {
+        const list = document.getElementById('participant-list');
+        const holder = document.getElementById('control-holder');
+        if (!list || !holder) return;
+        
+        const participants = session ? session.participants : [];
+        const controller = participants.find(participant => participant.controller);
+        const isController = !!controller && controller.you;
+        const self = participants.find(participant => participant.you);
+        
+        holder.textContent = controller
+            ? `Control: ${isController ? 'you' : controller.username}`
+            : 'Control: nobody';
+        
+        document.getElementById('request-control-button').hidden = !self || !self.canControl || isController;
+        document.getElementById('release-control-button').hidden = !isController;
+        
+        list.innerHTML = '';
+        participants.forEach(participant => {
+            const item = document.createElement('li');
+            item.className = 'participant';
+            item.classList.toggle('controller', participant.controller);
+            item.classList.toggle('requested', participant.requestedControl);
+            item.textContent = participant.you ? `${participant.username} (you)` : participant.username;
+            
+            if (participant.controller) {
+                item.insertAdjacentHTML('afterbegin', '<i class="fas fa-mouse-pointer"></i>');
+            }
+            
+            // The controller can hand over to anyone with control access and turn down requests
+            if (isController && !participant.controller && participant.canControl) {
+                const give = document.createElement('button');
+                give.textContent = 'Give control';
+                give.addEventListener('click', () => rtcClient && rtcClient.transferControl(participant.id));
+                item.appendChild(give);
+                
+                if (participant.requestedControl) {
+                    const deny = document.createElement('button');
+                    deny.textContent = 'Deny';
+                    deny.addEventListener('click', () => rtcClient && rtcClient.denyControl(participant.id));
+                    item.appendChild(deny);
+                }
+            }
+            
+            list.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Error rendering viewer session:', error);
+    }
+}
+
 /**
  * Toggle fullscreen mode
  */
@@ -1294,6 +2137,9 @@ function disconnectFromDevice() {
         const sessionTime = document.getElementById('session-time');
         if (sessionTime) sessionTime.textContent = '00:00:00';
         
+        // Clear the participant list
+        renderViewerSession(null);
+        
         // Reset connection status
         const connectionStatus = document.getElementById('connection-status');
         if (connectionStatus) connectionStatus.textContent = 'Disconnected';
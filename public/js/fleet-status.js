@@ -0,0 +1,188 @@
+/**
+ * fleet-status.js
+ * Fleet status trend on the dashboard home: a stacked area chart of online,
+ * idle and offline device counts and the devices that went offline in the
+ * last 24 hours
+ */
+
+// Series drawn bottom to top
+const FLEET_STATUS_SERIES = ['online', 'idle', 'offline'];
+const FLEET_HOUR_MS = 60 * 60 * 1000;
+const FLEET_BUCKET_MS = {
+    '5m': 5 * 60 * 1000,
+    '15m': 15 * 60 * 1000,
+    '1h': FLEET_HOUR_MS,
+    '6h': 6 * FLEET_HOUR_MS,
+    '1d': 24 * FLEET_HOUR_MS
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+    if (document.body.classList.contains('not-authenticated')) {
+        return;
+    }
+    
+    initFleetStatus();
+});
+
+/**
+ * Wire up the fleet status panel and load it
+ */
+function initFleetStatus() {
+    const panel = document.getElementById('fleet-status-panel');
+    if (!panel) return;
+    
+    document.getElementById('fleet-status-range').addEventListener('change', fetchFleetStatus);
+    document.getElementById('refresh-devices-btn').addEventListener('click', fetchFleetStatus);
+    
+    fetchFleetStatus();
+}
+
+/**
+ * Load the status history for the selected range and the last 24 hours of offline devices
+ */
+async function fetchFleetStatus() {
+    const panel = document.getElementById('fleet-status-panel');
+    const hours = Number(document.getElementById('fleet-status-range').value) || 24;
+    const to = new Date();
+    
+    try {
+        const history = await apiRequest(`/api/devices/system/health/history?from=${encodeURIComponent(new Date(to.getTime() - hours * FLEET_HOUR_MS).toISOString())}&to=${encodeURIComponent(to.toISOString())}`);
+        
+        // The offline list always covers the last 24 hours
+        const recent = hours === 24
+            ? history
+            : await apiRequest(`/api/devices/system/health/history?from=${encodeURIComponent(new Date(to.getTime() - 24 * FLEET_HOUR_MS).toISOString())}&to=${encodeURIComponent(to.toISOString())}&bucket=1h`);
+        
+        panel.hidden = false;
+        renderFleetStatusChart(history);
+        renderWentOffline(recent.wentOffline);
+    } catch (error) {
+        // Users without access to system health don't get the panel
+        console.error('Error loading fleet status history:', error);
+        panel.hidden = true;
+    }
+}
+
+/**
+ * Draw the stacked area chart
+ * @param {Object} history - { from, to, bucket, points }
+ */
+function renderFleetStatusChart(history) {
+    const content = document.getElementById('fleet-status-chart');
+    content.innerHTML = '';
+    
+    if (history.points.length === 0) {
+        content.innerHTML = '<p class="details-empty">No monitoring data in this range yet.</p>';
+        return;
+    }
+    
+    const width = 600;
+    const height = 140;
+    const from = new Date(history.from).getTime();
+    const to = new Date(history.to).getTime();
+    const gap = FLEET_BUCKET_MS[history.bucket] || FLEET_HOUR_MS;
+    const max = Math.max(1, ...history.points.map(point => point.online + point.idle + point.offline));
+    
+    const x = time => ((time - from) / (to - from)) * width;
+    const y = value => height - (value / max) * height;
+    
+    // Break the areas where no summaries were written (server down)
+    const runs = [];
+    history.points.forEach((point, index) => {
+        const time = new Date(point.t).getTime();
+        if (index === 0 || time - new Date(history.points[index - 1].t).getTime() > gap) {
+            runs.push([]);
+        }
+        runs[runs.length - 1].push({ time, ...point });
+    });
+    
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('preserveAspectRatio', 'none');
+    svg.classList.add('metrics-chart-plot', 'fleet-status-plot');
+    
+    runs.forEach(run => {
+        // A single bucket is drawn as a bar one bucket wide
+        const samples = run.length === 1 ? [run[0], { ...run[0], time: run[0].time + gap }] : run;
+        let below = samples.map(() => 0);
+        
+        FLEET_STATUS_SERIES.forEach(series => {
+            const above = samples.map((sample, index) => below[index] + sample[series]);
+            const top = samples.map((sample, index) => `${x(sample.time).toFixed(1)},${y(above[index]).toFixed(1)}`);
+            const bottom = samples.map((sample, index) => `${x(sample.time).toFixed(1)},${y(below[index]).toFixed(1)}`).reverse();
+            
+            const area = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+            area.setAttribute('points', [...top, ...bottom].join(' '));
+            area.setAttribute('class', `fleet-status-area ${series}`);
+            svg.appendChild(area);
+            
+            below = above;
+        });
+    });
+    
+    const latest = history.points[history.points.length - 1];
+    
+    const container = document.createElement('div');
+    container.className = 'metrics-chart';
+    
+    const header = document.createElement('div');
+    header.className = 'metrics-chart-header';
+    FLEET_STATUS_SERIES.forEach(series => {
+        const item = document.createElement('span');
+        item.className = 'fleet-status-legend';
+        item.innerHTML = `<span class="status-indicator ${series}"></span>`;
+        item.append(`${capitalizeFirstLetter(series)}: ${Math.round(latest[series])}`);
+        header.appendChild(item);
+    });
+    container.appendChild(header);
+    
+    container.appendChild(svg);
+    
+    const axis = document.createElement('div');
+    axis.className = 'metrics-chart-axis';
+    axis.innerHTML = '<span></span><span></span><span></span>';
+    axis.children[0].textContent = Utils.formatDate(history.from, true);
+    axis.children[1].textContent = `max ${max} devices, ${history.bucket} averages`;
+    axis.children[2].textContent = Utils.formatDate(history.to, true);
+    container.appendChild(axis);
+    
+    content.appendChild(container);
+}
+
+/**
+ * List the devices that went offline
+ * @param {Array} wentOffline - { remotePcId, systemName, status, wentOfflineAt, count }, most recent first
+ */
+function renderWentOffline(wentOffline) {
+    const list = document.getElementById('fleet-offline-list');
+    document.getElementById('fleet-offline-count').textContent = wentOffline.length;
+    list.innerHTML = '';
+    
+    if (wentOffline.length === 0) {
+        list.innerHTML = '<li class="details-empty">No device went offline.</li>';
+        return;
+    }
+    
+    wentOffline.forEach(entry => {
+        const item = document.createElement('li');
+        item.className = 'fleet-offline-item';
+        item.innerHTML = `
+            <span class="status-indicator"></span>
+            <a href="#" class="fleet-offline-device"></a>
+            <span class="fleet-offline-meta"></span>
+        `;
+        item.querySelector('.status-indicator').classList.add(entry.status || 'offline');
+        item.querySelector('.fleet-offline-device').textContent = entry.systemName;
+        item.querySelector('.fleet-offline-meta').textContent =
+            formatTimeAgo(new Date(entry.wentOfflineAt)) +
+            (entry.count > 1 ? `, ${entry.count} times` : '') +
+            (entry.status !== 'offline' ? `, now ${entry.status}` : '');
+        
+        item.querySelector('.fleet-offline-device').addEventListener('click', (event) => {
+            event.preventDefault();
+            showDeviceDetails(entry.remotePcId);
+        });
+        
+        list.appendChild(item);
+    });
+}
@@ -0,0 +1,350 @@
+/**
+ * reports.js
+ * Availability report page: uptime, outages and longest outage per device,
+ * group or the whole fleet over a date range, and the fleet's unstable
+ * (flapping) devices
+ */
+
+// Global variables
+let availabilityReport = null;
+
+// Default report range in days
+const REPORT_DEFAULT_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+document.addEventListener('DOMContentLoaded', function() {
+    if (document.body.classList.contains('not-authenticated')) {
+        return;
+    }
+    
+    initReports();
+});
+
+/**
+ * Wire up the report page controls and its menu entry
+ */
+function initReports() {
+    const section = document.getElementById('reports-section');
+    if (!section) return;
+    
+    // Other menu entries have no page of their own, so they lead back to the device list
+    document.querySelectorAll('.menu-item').forEach(item => {
+        item.addEventListener('click', () => {
+            if (item.dataset.page === 'reports') {
+                showReportsSection();
+            } else if (section.classList.contains('active')) {
+                showDeviceListSection();
+            }
+        });
+    });
+    
+    const today = new Date();
+    document.getElementById('report-to').value = toDateInputValue(today);
+    document.getElementById('report-from').value = toDateInputValue(new Date(today.getTime() - (REPORT_DEFAULT_DAYS - 1) * DAY_MS));
+    
+    document.getElementById('report-run-btn').addEventListener('click', runAvailabilityReport);
+    document.getElementById('report-csv-btn').addEventListener('click', downloadAvailabilityReport);
+}
+
+/**
+ * Show the report page
+ */
+async function showReportsSection() {
+    document.getElementById('device-list-section').classList.remove('active');
+    document.getElementById('remote-viewer-section').classList.remove('active');
+    document.getElementById('device-details-section').classList.remove('active');
+    document.getElementById('reports-section').classList.add('active');
+    document.getElementById('page-title').textContent = 'Reports';
+    
+    await populateReportScopes();
+    
+    if (!availabilityReport) {
+        runAvailabilityReport();
+    }
+}
+
+/**
+ * Fill the scope selector with groups and the devices loaded in the device list
+ */
+async function populateReportScopes() {
+    const select = document.getElementById('report-scope-select');
+    const selected = select.value;
+    
+    let groups = [];
+    try {
+        groups = (await apiRequest('/api/devices/groups')).groups || [];
+    } catch (error) {
+        console.error('Error loading groups for reports:', error);
+    }
+    
+    select.innerHTML = '';
+    select.appendChild(new Option('All devices', 'all'));
+    
+    const scopes = [
+        { label: 'Groups', type: 'group', items: groups.map(group => ({ id: group.id, name: group.name })) },
+        { label: 'Devices', type: 'device', items: devices.map(device => ({ id: device.remotePcId, name: device.systemName || device.remotePcId })) }
+    ];
+    
+    scopes.forEach(scope => {
+        if (scope.items.length === 0) return;
+        
+        const optgroup = document.createElement('optgroup');
+        optgroup.label = scope.label;
+        scope.items
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(item => optgroup.appendChild(new Option(item.name, `${scope.type}:${item.id}`)));
+        select.appendChild(optgroup);
+    });
+    
+    if ([...select.options].some(option => option.value === selected)) {
+        select.value = selected;
+    }
+}
+
+/**
+ * Build the report query from the page controls
+ * Dates are whole UTC days; the end date is included.
+ * @returns {URLSearchParams|null} Query, or null if the dates are invalid
+ */
+function getReportQuery() {
+    const scope = document.getElementById('report-scope-select').value || 'all';
+    const fromValue = document.getElementById('report-from').value;
+    const toValue = document.getElementById('report-to').value;
+    
+    if (!fromValue || !toValue || fromValue > toValue) {
+        Utils.showNotification('Choose a start date on or before the end date', 'error');
+        return null;
+    }
+    
+    const params = new URLSearchParams();
+    const separator = scope.indexOf(':');
+    
+    if (separator === -1) {
+        params.set('targetType', 'all');
+    } else {
+        params.set('targetType', scope.slice(0, separator));
+        params.set('targetId', scope.slice(separator + 1));
+    }
+    
+    params.set('from', new Date(`${fromValue}T00:00:00Z`).toISOString());
+    params.set('to', new Date(new Date(`${toValue}T00:00:00Z`).getTime() + DAY_MS).toISOString());
+    
+    return params;
+}
+
+/**
+ * Run the report and render it
+ */
+async function runAvailabilityReport() {
+    const params = getReportQuery();
+    if (!params) return;
+    
+    const content = document.getElementById('report-content');
+    content.innerHTML = '<p class="details-empty">Loading report...</p>';
+    
+    try {
+        const data = await apiRequest(`/api/reports/availability?${params.toString()}`);
+        availabilityReport = data.report;
+        renderAvailabilityReport(availabilityReport);
+    } catch (error) {
+        console.error('Error loading availability report:', error);
+        content.innerHTML = '';
+        Utils.showNotification(error.message, 'error');
+        return;
+    }
+    
+    try {
+        const unstable = await apiRequest(`/api/reports/unstable?from=${encodeURIComponent(params.get('from'))}&to=${encodeURIComponent(params.get('to'))}`);
+        renderUnstableDevices(unstable.report);
+    } catch (error) {
+        console.error('Error loading unstable devices report:', error);
+    }
+}
+
+/**
+ * Download the report for the current controls as CSV
+ */
+async function downloadAvailabilityReport() {
+    const params = getReportQuery();
+    if (!params) return;
+    
+    params.set('format', 'csv');
+    
+    try {
+        const response = await fetch(`/api/reports/availability?${params.toString()}`, {
+            headers: { 'Authorization': `Bearer ${Auth.getToken()}` }
+        });
+        
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.message || 'Report download failed');
+        }
+        
+        const blob = await response.blob();
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `availability-${document.getElementById('report-from').value}-${document.getElementById('report-to').value}.csv`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (error) {
+        Utils.showNotification(error.message, 'error');
+    }
+}
+
+/**
+ * Render the report summary, per-device table and outage list
+ * @param {Object} report - Availability report
+ */
+function renderAvailabilityReport(report) {
+    const content = document.getElementById('report-content');
+    content.innerHTML = '';
+    
+    const { summary } = report;
+    const stats = [
+        { label: 'Uptime', value: formatUptime(summary.uptimePercent) },
+        { label: 'Outages', value: summary.outageCount },
+        { label: 'Longest outage', value: formatDuration(summary.longestOutageSeconds) },
+        { label: 'Downtime', value: formatDuration(summary.downtimeSeconds) },
+        { label: 'Devices affected', value: `${summary.devicesWithOutages} / ${summary.devices}` }
+    ];
+    
+    const summaryElement = document.createElement('div');
+    summaryElement.className = 'report-summary';
+    stats.forEach(stat => {
+        const item = document.createElement('div');
+        item.className = 'report-stat';
+        
+        const value = document.createElement('span');
+        value.className = 'report-stat-value';
+        value.textContent = stat.value;
+        
+        const label = document.createElement('span');
+        label.className = 'report-stat-label';
+        label.textContent = stat.label;
+        
+        item.append(value, label);
+        summaryElement.appendChild(item);
+    });
+    content.appendChild(summaryElement);
+    
+    appendDetailsHeading(content, `${report.scope.name}: ${Utils.formatDate(report.from, true)} - ${Utils.formatDate(report.to, true)}`);
+    
+    const table = createDetailsTable(
+        ['Device', 'Uptime', 'Outages', 'Longest outage', 'Downtime', 'Monitored', 'Maintenance'],
+        report.devices.map(device => [
+            device.systemName,
+            formatUptime(device.uptimePercent),
+            device.outageCount,
+            formatDuration(device.longestOutageSeconds),
+            formatDuration(device.downtimeSeconds),
+            formatDuration(device.monitoredSeconds),
+            formatDuration(device.maintenanceSeconds)
+        ]),
+        'report-table'
+    );
+    
+    // Device names open the device details
+    table.tBodies[0].querySelectorAll('tr').forEach((row, index) => {
+        const device = report.devices[index];
+        if (!device) return;
+        
+        row.classList.toggle('report-row-down', device.outageCount > 0);
+        row.cells[0].classList.add('report-device-link');
+        row.cells[0].addEventListener('click', () => showDeviceDetails(device.remotePcId));
+    });
+    content.appendChild(table);
+    
+    const outages = report.devices
+        .flatMap(device => device.outages.map(outage => ({ ...outage, systemName: device.systemName })))
+        .sort((a, b) => b.durationSeconds - a.durationSeconds);
+    
+    if (outages.length > 0) {
+        appendDetailsHeading(content, 'Outages');
+        content.appendChild(createDetailsTable(
+            ['Device', 'Start', 'End', 'Duration'],
+            outages.map(outage => [
+                outage.systemName,
+                Utils.formatDate(outage.start, true),
+                outage.ongoing ? 'Ongoing' : Utils.formatDate(outage.end, true),
+                formatDuration(outage.durationSeconds)
+            ])
+        ));
+    }
+}
+
+/**
+ * Append the devices that flapped or changed status often in the report range
+ * The list always covers the whole fleet, whatever scope is selected.
+ * @param {Object} report - Unstable devices report
+ */
+function renderUnstableDevices(report) {
+    const content = document.getElementById('report-content');
+    
+    appendDetailsHeading(content, `Unstable devices (${report.threshold}+ status changes in ${Math.round(report.window / 60000)} minutes)`);
+    
+    if (report.devices.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'details-empty';
+        empty.textContent = 'No device flapped in this range.';
+        content.appendChild(empty);
+        return;
+    }
+    
+    const table = createDetailsTable(
+        ['Device', 'Status', 'Flapping since', 'Episodes', 'Status changes'],
+        report.devices.map(device => [
+            device.systemName,
+            capitalizeFirstLetter(device.status || 'unknown'),
+            device.flapping ? Utils.formatDate(device.flappingSince, true) : 'Stable',
+            device.episodes,
+            device.transitions
+        ]),
+        'report-table'
+    );
+    
+    table.tBodies[0].querySelectorAll('tr').forEach((row, index) => {
+        const device = report.devices[index];
+        if (!device) return;
+        
+        row.classList.toggle('report-row-down', device.flapping);
+        row.cells[0].classList.add('report-device-link');
+        row.cells[0].addEventListener('click', () => showDeviceDetails(device.remotePcId));
+    });
+    content.appendChild(table);
+}
+
+/**
+ * Format an uptime percentage
+ * @param {number|null} percent - Uptime percentage
+ * @returns {string} Formatted value
+ */
+function formatUptime(percent) {
+    return percent === null || percent === undefined ? 'No data' : `${percent.toFixed(percent === 100 ? 0 : 3)}%`;
+}
+
+/**
+ * Format a duration in seconds as days, hours and minutes
+ * @param {number} seconds - Duration
+ * @returns {string} Human-readable duration
+ */
+function formatDuration(seconds) {
+    if (!seconds) return '0m';
+    if (seconds < 60) return `${seconds}s`;
+    
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    
+    return [days && `${days}d`, hours && `${hours}h`, minutes && `${minutes}m`]
+        .filter(Boolean)
+        .join(' ') || '0m';
+}
+
+/**
+ * Format a date as the value of a date input (UTC day)
+ * @param {Date} date - Date
+ * @returns {string} YYYY-MM-DD
+ */
+function toDateInputValue(date) {
+    return date.toISOString().split('T')[0];
+}
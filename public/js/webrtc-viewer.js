@@ -14,6 +14,8 @@ const WynzioWebRTC = (function() {
   let viewerElement = null;
   let streamElement = null;
   let controlsEnabled = false;
+  let hasControl = false; // Whether this viewer holds input control of the device's session
+  let viewerSession = null; // Last session-update: { remotePcId, controllerId, participants }
   let connectionCallbacks = {};
   let dataChannel = null;
   let reconnectAttempts = 0;
@@ -168,7 +170,10 @@ const WynzioWebRTC = (function() {
         onConnecting: options.onConnecting || function() {},
         onConnected: options.onConnected || function() {},
         onDisconnected: options.onDisconnected || function() {},
-        onError: options.onError || function() {}
+        onError: options.onError || function() {},
+        onSessionUpdate: options.onSessionUpdate || function() {},
+        onControlRequested: options.onControlRequested || function() {},
+        onSessionError: options.onSessionError || function() {}
       };
       
       // Initialize controls state
@@ -178,6 +183,8 @@ const WynzioWebRTC = (function() {
       isConnected = false;
       isConnecting = false;
       reconnectAttempts = 0;
+      hasControl = false;
+      viewerSession = null;
       
       // Set preferred codecs - matching Windows app VideoEncoderEndPoint settings
       if (options.preferredCodecs) {
@@ -194,7 +201,13 @@ const WynzioWebRTC = (function() {
         isConnecting: () => isConnecting,
         enableControls: this.enableControls.bind(this),
         disableControls: this.disableControls.bind(this),
-        sendControlCommand: this.sendControlCommand.bind(this)
+        sendControlCommand: this.sendControlCommand.bind(this),
+        hasControl: () => hasControl,
+        getSession: () => viewerSession,
+        requestControl: this.requestControl.bind(this),
+        releaseControl: this.releaseControl.bind(this),
+        transferControl: this.transferControl.bind(this),
+        denyControl: this.denyControl.bind(this)
       };
     }
     
@@ -341,6 +354,36 @@ const WynzioWebRTC = (function() {
         }
       });
       
+      // A reconnected socket is a new participant to the server - rejoin the session
+      socket.on('connect', () => {
+        if (remotePcId && (isConnected || isConnecting)) {
+          socket.emit('join-session', { remotePcId });
+        }
+      });
+      
+      // Handle viewer session changes - several dashboards can watch, one holds control
+      socket.on('session-update', (data) => {
+        if (data.remotePcId !== remotePcId) return;
+        
+        viewerSession = data;
+        hasControl = data.participants.some(participant => participant.you && participant.controller);
+        connectionCallbacks.onSessionUpdate(data, hasControl);
+      });
+      
+      // Another viewer asks this controller for control
+      socket.on('control-requested', (data) => {
+        if (data.remotePcId === remotePcId && hasControl) {
+          connectionCallbacks.onControlRequested(data);
+        }
+      });
+      
+      // Handle refused session actions (control commands while not in control, denied requests)
+      socket.on('session-error', (data) => {
+        if (data.remotePcId && data.remotePcId !== remotePcId) return;
+        console.warn('Session error:', data.error);
+        connectionCallbacks.onSessionError(data.error);
+      });
+      
       // Handle connection errors
       socket.on('connection-error', (data) => {
         console.error('Connection error:', data.error);
@@ -388,6 +431,9 @@ const WynzioWebRTC = (function() {
           // Notify connecting
           connectionCallbacks.onConnecting();
           
+          // Join the device's viewer session; the server tells us whether we hold control
+          socket.emit('join-session', { remotePcId });
+          
           // Create peer connection with configuration matching Windows app
           peerConnection = new RTCPeerConnection(config);
           
@@ -654,11 +700,16 @@ const WynzioWebRTC = (function() {
             from: clientId,
             to: remotePcId
           });
+          
+          // Leave the viewer session so control passes on
+          socket.emit('leave-session', { remotePcId });
         }
         
         // Update state
         isConnected = false;
         isConnecting = false;
+        hasControl = false;
+        viewerSession = null;
         
         // Notify disconnected
         connectionCallbacks.onDisconnected();
@@ -1099,6 +1150,11 @@ const WynzioWebRTC = (function() {
         return false;
       }
       
+      // Watching viewers don't send input - only the session's controller does
+      if (!hasControl) {
+        return false;
+      }
+      
       try {
         // Validate command format to exactly match Windows app InputService.cs expectations
         let validatedCommand;
@@ -1199,6 +1255,45 @@ const WynzioWebRTC = (function() {
       }
     }
     
+    /**
+     * Ask for control of the device
+     * Granted straight away when nobody holds it, otherwise the controller is asked.
+     */
+    requestControl() {
+      if (socket && remotePcId) {
+        socket.emit('control-request', { remotePcId });
+      }
+    }
+    
+    /**
+     * Give up control of the device
+     */
+    releaseControl() {
+      if (socket && remotePcId && hasControl) {
+        socket.emit('control-release', { remotePcId });
+      }
+    }
+    
+    /**
+     * Hand control of the device to another viewer
+     * @param {String} participantId - Participant ID of the viewer that gets control
+     */
+    transferControl(participantId) {
+      if (socket && remotePcId && hasControl) {
+        socket.emit('control-transfer', { remotePcId, to: participantId });
+      }
+    }
+    
+    /**
+     * Turn down another viewer's control request
+     * @param {String} participantId - Participant ID of the requesting viewer
+     */
+    denyControl(participantId) {
+      if (socket && remotePcId && hasControl) {
+        socket.emit('control-deny', { remotePcId, to: participantId });
+      }
+    }
+    
     /**
      * Convert event coordinates to normalized coordinates
      * @param {Event} event - Mouse or touch event
@@ -1241,7 +1336,7 @@ const WynzioWebRTC = (function() {
   
   // Event handlers - defined as properties of the prototype
   WebRTCClient.prototype.handleMouseDown = function(event) {
-    if (!controlsEnabled || !isConnected) return;
+    if (!controlsEnabled || !isConnected || !hasControl) return;
     event.preventDefault();
     
     const coords = instance.getNormalizedCoordinates(event);
@@ -1265,7 +1360,7 @@ const WynzioWebRTC = (function() {
   };
   
   WebRTCClient.prototype.handleMouseUp = function(event) {
-    if (!controlsEnabled || !isConnected) return;
+    if (!controlsEnabled || !isConnected || !hasControl) return;
     event.preventDefault();
     
     const coords = instance.getNormalizedCoordinates(event);
@@ -1289,7 +1384,7 @@ const WynzioWebRTC = (function() {
   };
   
   WebRTCClient.prototype.handleMouseMove = function(event) {
-    if (!controlsEnabled || !isConnected) return;
+    if (!controlsEnabled || !isConnected || !hasControl) return;
     
     const coords = instance.getNormalizedCoordinates(event);
     if (!coords) return;
@@ -1309,7 +1404,7 @@ const WynzioWebRTC = (function() {
   };
   
   WebRTCClient.prototype.handleMouseWheel = function(event) {
-    if (!controlsEnabled || !isConnected) return;
+    if (!controlsEnabled || !isConnected || !hasControl) return;
     event.preventDefault();
     
     const delta = Math.sign(event.deltaY) * -1; // Invert delta for natural scrolling
@@ -1322,12 +1417,12 @@ const WynzioWebRTC = (function() {
   };
   
   WebRTCClient.prototype.handleContextMenu = function(event) {
-    if (!controlsEnabled || !isConnected) return;
+    if (!controlsEnabled || !isConnected || !hasControl) return;
     event.preventDefault(); // Prevent browser context menu
   };
   
   WebRTCClient.prototype.handleKeyDown = function(event) {
-    if (!controlsEnabled || !isConnected) return;
+    if (!controlsEnabled || !isConnected || !hasControl) return;
     
     // Focus is on the viewer element or it's within the document
     if (!event.target.closest('#screen-view') && event.target !== document.documentElement) {
@@ -1342,7 +1437,7 @@ const WynzioWebRTC = (function() {
   };
   
   WebRTCClient.prototype.handleKeyUp = function(event) {
-    if (!controlsEnabled || !isConnected) return;
+    if (!controlsEnabled || !isConnected || !hasControl) return;
     
     // Focus is on the viewer element or it's within the document
     if (!event.target.closest('#screen-view') && event.target !== document.documentElement) {
@@ -1357,7 +1452,7 @@ const WynzioWebRTC = (function() {
   };
   
   WebRTCClient.prototype.handleTouchStart = function(event) {
-    if (!controlsEnabled || !isConnected) return;
+    if (!controlsEnabled || !isConnected || !hasControl) return;
     event.preventDefault();
     
     // Store touch start time for detecting long press
@@ -1383,7 +1478,7 @@ const WynzioWebRTC = (function() {
   };
   
   WebRTCClient.prototype.handleTouchEnd = function(event) {
-    if (!controlsEnabled || !isConnected) return;
+    if (!controlsEnabled || !isConnected || !hasControl) return;
     event.preventDefault();
     
     // Calculate touch duration for long press detection
@@ -1411,7 +1506,7 @@ const WynzioWebRTC = (function() {
   };
   
   WebRTCClient.prototype.handleTouchMove = function(event) {
-    if (!controlsEnabled || !isConnected) return;
+    if (!controlsEnabled || !isConnected || !hasControl) return;
     event.preventDefault();
     
     const coords = instance.getNormalizedCoordinates(event);
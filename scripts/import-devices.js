@@ -0,0 +1,118 @@
+/**
+ * One-shot importer: copies data/devices/*.json into the PostgreSQL devices table
+ *
+ * Usage: node scripts/import-devices.js [--dir <path>] [--overwrite] [--dry-run]
+ *   --dir        Source directory (default: data/devices)
+ *   --overwrite  Replace devices that already exist in the database
+ *   --dry-run    Validate and report without writing
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const { pool, testConnection, applyDeviceSchema } = require('../config/db');
+const PgDeviceStore = require('../api/services/stores/pgDeviceStore');
+
+/**
+ * Parse command line arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArgs(argv) {
+  const options = {
+    dir: path.join(__dirname, '../data/devices'),
+    overwrite: false,
+    dryRun: false
+  };
+  
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dir') {
+      options.dir = path.resolve(argv[++i]);
+    } else if (argv[i] === '--overwrite') {
+      options.overwrite = true;
+    } else if (argv[i] === '--dry-run') {
+      options.dryRun = true;
+    }
+  }
+  
+  return options;
+}
+
+/**
+ * Normalize a legacy device file into the current record shape
+ * @param {Object} raw - Parsed file contents
+ * @param {string} fileId - remotePcId derived from the file name
+ * @returns {Object} Device data
+ */
+function normalizeDevice(raw, fileId) {
+  // Older files used deviceId before the Windows app switched to remotePcId
+  const { deviceId, ...rest } = raw;
+  
+  return {
+    ...rest,
+    remotePcId: raw.remotePcId || deviceId || fileId,
+    systemName: raw.systemName || 'Unknown Device',
+    status: raw.status || 'offline',
+    connections: raw.connections || 0,
+    metadata: raw.metadata || {}
+  };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  
+  if (!await testConnection()) {
+    throw new Error('Cannot connect to database');
+  }
+  
+  const client = await pool.connect();
+  try {
+    await applyDeviceSchema(client);
+  } finally {
+    client.release();
+  }
+  
+  const store = new PgDeviceStore(pool);
+  const files = (await fs.readdir(options.dir)).filter(file => file.endsWith('.json'));
+  const counts = { imported: 0, skipped: 0, failed: 0 };
+  
+  for (const file of files) {
+    const fileId = path.basename(file, '.json');
+    
+    try {
+      const raw = JSON.parse(await fs.readFile(path.join(options.dir, file), 'utf8'));
+      
+      if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        console.warn(`Skipping ${file}: not a single device record`);
+        counts.skipped++;
+        continue;
+      }
+      
+      const device = normalizeDevice(raw, fileId);
+      
+      if (!options.overwrite && await store.getDevice(device.remotePcId)) {
+        console.log(`Skipping ${device.remotePcId}: already in database`);
+        counts.skipped++;
+        continue;
+      }
+      
+      if (!options.dryRun) {
+        await store.saveDevice(device);
+      }
+      
+      console.log(`${options.dryRun ? 'Would import' : 'Imported'} ${device.remotePcId} (${device.systemName})`);
+      counts.imported++;
+    } catch (error) {
+      console.error(`Failed to import ${file}: ${error.message}`);
+      counts.failed++;
+    }
+  }
+  
+  console.log(`Done: ${counts.imported} imported, ${counts.skipped} skipped, ${counts.failed} failed`);
+  return counts.failed === 0;
+}
+
+main()
+  .then(ok => pool.end().then(() => process.exit(ok ? 0 : 1)))
+  .catch(error => {
+    console.error('Device import failed:', error.message);
+    pool.end().then(() => process.exit(1));
+  });
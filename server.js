@@ -12,10 +12,17 @@ const config = require("./config/app");
 const authRoutes = require("./api/routes/auth");
 const userRoutes = require("./api/routes/users");
 const deviceRoutes = require("./api/routes/devices");
+const alertRoutes = require("./api/routes/alerts");
+const notificationRoutes = require("./api/routes/notifications");
+const reportRoutes = require("./api/routes/reports");
 
 // Import WebSocket services
 const signalingService = require("./socket/signalingService");
 const healthMonitor = require("./api/services/healthMonitor");
+const presenceEngine = require("./api/services/presenceEngine");
+const metricsManager = require("./api/services/metricsManager");
+const notificationManager = require("./api/services/notificationManager");
+const retentionManager = require("./api/services/retentionManager");
 
 // Create Express app
 const app = express();
@@ -87,6 +94,9 @@ app.get("/api/health", (req, res) => {
 app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/devices", deviceRoutes);
+app.use("/api/alerts", alertRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/reports", reportRoutes);
 
 // API 404 handler - specifically for API routes only
 app.use('/api/*', (req, res) => {
@@ -192,9 +202,21 @@ async function startServer() {
     // Initialize database schema if needed
     await initializeSchema();
     
-    // Start health monitoring service with aligned thresholds
+    // Start deciding and broadcasting device status transitions
+    presenceEngine.start(io);
+    
+    // Start health monitoring service (alert rules, monitoring summaries)
     healthMonitor.startMonitoring(io);
     
+    // Start buffering heartbeat metrics to the device store
+    metricsManager.start();
+    
+    // Start sending queued notifications
+    notificationManager.start();
+    
+    // Schedule the nightly history archival and retention
+    retentionManager.start();
+    
     // Start server
     const port = process.env.PORT || config.port || 3000;
     server.listen(port, () => {
@@ -218,11 +240,27 @@ startServer();
 process.on("SIGTERM", shutdown);
 process.on("SIGINT", shutdown);
 
-function shutdown() {
+async function shutdown() {
   logger.info("Shutting down gracefully...");
   
-  // Stop health monitoring
+  // Force shutdown after 10 seconds
+  setTimeout(() => {
+    logger.error("Forced shutdown after timeout");
+    process.exit(1);
+  }, 10000);
+  
+  // Stop health monitoring and the presence sweep
   healthMonitor.stopMonitoring();
+  presenceEngine.stop();
+  
+  // Stop sending notifications - the queue is persisted
+  notificationManager.stop();
+  
+  // Cancel the nightly retention run
+  retentionManager.stop();
+  
+  // Write out buffered metrics before the store and the process go away
+  await metricsManager.stop().catch(error => logger.error("Error flushing metrics:", error));
   
   // Close server
   server.close(() => {
@@ -234,10 +272,4 @@ function shutdown() {
       process.exit(0);
     });
   });
-  
-  // Force shutdown after 10 seconds
-  setTimeout(() => {
-    logger.error("Forced shutdown after timeout");
-    process.exit(1);
-  }, 10000);
 }
\ No newline at end of file
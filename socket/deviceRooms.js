@@ -0,0 +1,51 @@
+/**
+ * Device Rooms
+ * Dashboard broadcasts about one device go to that device's Socket.IO room,
+ * which only holds the dashboard sockets whose user can view the device.
+ * Membership is checked against the device ACLs before every broadcast, so
+ * new grants, revoked grants and group membership changes apply to the next
+ * update without a reconnect.
+ */
+const deviceManager = require('../api/services/deviceManager');
+const accessControl = require('../api/services/accessControl');
+
+/**
+ * Get the room name of a device
+ * @param {string} remotePcId - Device identifier
+ * @returns {string} Room name
+ */
+function deviceRoom(remotePcId) {
+  return `device:${remotePcId}`;
+}
+
+/**
+ * Send an event to the dashboards that can view a device
+ * @param {Object} io - Socket.IO instance
+ * @param {string} remotePcId - Device identifier
+ * @param {string} event - Event name
+ * @param {Object} payload - Event data
+ * @returns {Promise<void>}
+ */
+async function emitToViewers(io, remotePcId, event, payload) {
+  const room = deviceRoom(remotePcId);
+  // A removed device is still matched by device and 'all' grants, so its last updates reach its viewers
+  const device = await deviceManager.findDevice(remotePcId) || { remotePcId };
+  
+  // Dashboard sockets are the ones authenticated as a user
+  const dashboards = Array.from(io.of('/').sockets.values()).filter(socket => socket.user);
+  const access = await Promise.all(dashboards.map(socket => accessControl.getDeviceAccess(socket.user, device)));
+  
+  dashboards.forEach((socket, index) => {
+    if (access[index]) {
+      socket.join(room);
+    } else {
+      socket.leave(room);
+    }
+  });
+  
+  io.to(room).emit(event, payload);
+}
+
+module.exports = {
+  emitToViewers
+};
@@ -3,7 +3,7 @@
  * Validates connections based on client type
  */
 const jwt = require('jsonwebtoken');
-const deviceManager = require('../../api/services/deviceManager');
+const enrollmentManager = require('../../api/services/enrollmentManager');
 const logger = require('../../utils/logger');
 const config = require('../../config/app');
 const signalingService = require('../signalingService');
@@ -41,107 +41,86 @@ module.exports = async function(socket, next) {
 
 /**
  * Authenticate device client (Windows app)
+ * Devices present their per-device secret, or a one-time enrollment code that
+ * is exchanged for a secret during 'auto-register'
  * @param {Object} socket - Socket.io socket
  * @param {Function} next - Next function
  */
 async function authenticateDevice(socket, next) {
   try {
-    // Handle both header and query/auth API key sources to accommodate Windows app
-    let apiKey = null;
+    // Handle both header and query/auth credential sources to accommodate Windows app
+    let secret = null;
     
     // Check authorization header first (primary method used by Windows app)
     if (socket.handshake.headers && socket.handshake.headers.authorization) {
       const authHeader = socket.handshake.headers.authorization;
       if (authHeader.startsWith('ApiKey ')) {
-        apiKey = authHeader.substring(7); // Remove 'ApiKey ' prefix
+        secret = authHeader.substring(7); // Remove 'ApiKey ' prefix
+      } else if (authHeader.startsWith('Device ')) {
+        secret = authHeader.substring(7); // Remove 'Device ' prefix
       } else {
-        apiKey = authHeader; // Try raw value
+        secret = authHeader; // Try raw value
       }
     }
     // Check auth object next
-    else if (socket.handshake.auth && socket.handshake.auth.apiKey) {
-      apiKey = socket.handshake.auth.apiKey;
+    else if (socket.handshake.auth && (socket.handshake.auth.deviceSecret || socket.handshake.auth.apiKey)) {
+      secret = socket.handshake.auth.deviceSecret || socket.handshake.auth.apiKey;
     }
     // Check query parameter next
     else if (socket.handshake.query && socket.handshake.query.apiKey) {
-      apiKey = socket.handshake.query.apiKey;
-    }
-    // Check direct 'auto-register' message for compatibility with Windows app (ConnectionSettings.cs)
-    else if (socket.handshake.query.remotePcId) {
-      // For the initial connection, use default API key from configuration
-      // This will be validated properly during the 'auto-register' event
-      apiKey = config.remoteApiKey; // Updated from deviceApiKey to remoteApiKey
-      logger.info(`Using default API key for initial device connection: ${socket.handshake.query.remotePcId}`);
+      secret = socket.handshake.query.apiKey;
     }
     
+    const enrollmentCode = (socket.handshake.auth && socket.handshake.auth.enrollmentCode) ||
+                           socket.handshake.query.enrollmentCode || null;
+    
     // Get remotePcId from multiple possible sources - Windows app uses remotePcId
     const remotePcId = socket.handshake.query.remotePcId;
     
-    // Basic validation
-    if (!apiKey) {
-      // For development/testing only - auto-pass with correct device API key
-      if (process.env.NODE_ENV === 'development' && remotePcId) {
-        apiKey = config.remoteApiKey; // Updated from deviceApiKey to remoteApiKey
-        logger.warn(`DEV MODE: Auto-assigning API key for device ${remotePcId}`);
-      } else {
-        logger.warn('Device connection attempt without API key');
-        return next(new Error('API key required'));
-      }
-    }
-    
     if (!remotePcId) {
       logger.warn('Device connection attempt without remotePcId');
       return next(new Error('remotePcId required'));
     }
     
+    // Basic validation
+    if (!secret && !enrollmentCode) {
+      logger.warn(`Device connection attempt without credentials: ${remotePcId}`);
+      return next(new Error('Device credential or enrollment code required'));
+    }
+    
+    const method = await enrollmentManager.authenticateDevice(remotePcId, { secret, enrollmentCode });
+    
+    if (!method) {
+      logger.warn(`Invalid credentials used by device ${remotePcId}`);
+      return next(new Error('Invalid device credentials'));
+    }
+    
     // Check for session reuse if sid provided - added for Windows app compatibility
+    // The connection maps are only updated by the signaling service, after its
+    // identity check: a reused sid proves nothing about the machine behind it
     const sid = socket.handshake.auth.sid;
     if (sid) {
       if (signalingService.isSessionValid(sid)) {
         logger.info(`Reusing valid session for device ${remotePcId}`);
         // Extend session
         signalingService.extendSession(sid);
-        // Also store connection mapping for better reconnection
-        signalingService.storeConnection(remotePcId, sid);
-        // Update active connections map if the device reconnects
-        if (signalingService.activeConnections) {
-          signalingService.activeConnections.set(remotePcId, socket);
-        }
       } else {
         // Don't reject immediately, let Windows app fall back to new handshake
         logger.info(`Invalid or expired session for device ${remotePcId}, will use new handshake`);
       }
     }
     
-    // Validate API key against config and handle multiple formats
-    let isValidKey = false;
-    
-    // Normalize API keys for comparison to match Windows app exactly
-    const expectedKey = config.remoteApiKey.replace('ApiKey ', '');
-    const providedKey = apiKey.replace('ApiKey ', '');
-    
-    // Direct string comparison
-    if (providedKey === expectedKey) {
-        isValidKey = true;
-    } else {
-        // Fall back to database validation
-        isValidKey = await deviceManager.validateApiKey(apiKey);
-    }
-    
-    if (!isValidKey) {
-      logger.warn(`Invalid API key used by device ${remotePcId}`);
-      return next(new Error('Invalid API key'));
-    }
-    
     // Attach device info to socket
     socket.remotePcId = remotePcId;
     socket.deviceAuth = {
-      apiKey: providedKey, // Use normalized key
+      // 'secret', 'legacy-key' or 'enrollment' (pending until auto-register)
+      method,
+      enrollmentCode: method === 'enrollment' ? enrollmentCode : null,
       authenticated: true,
       authenticatedAt: new Date()
     };
     
-    logger.info(`Device authenticated: ${remotePcId}`);
+    logger.info(`Device authenticated: ${remotePcId} (${method})`);
     return next();
   } catch (error) {
     logger.error(`Device authentication error: ${error.message}`);
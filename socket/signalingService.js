@@ -5,6 +5,18 @@
  */
 const socketIo = require('socket.io');
 const deviceManager = require('../api/services/deviceManager');
+const groupManager = require('../api/services/groupManager');
+const inventoryManager = require('../api/services/inventoryManager');
+const enrollmentManager = require('../api/services/enrollmentManager');
+const accessControl = require('../api/services/accessControl');
+const deviceIdentity = require('../api/services/deviceIdentity');
+const maintenanceManager = require('../api/services/maintenanceManager');
+const metricsManager = require('../api/services/metricsManager');
+const alertManager = require('../api/services/alertManager');
+const presenceEngine = require('../api/services/presenceEngine');
+const heartbeatQuality = require('../api/services/heartbeatQuality');
+const viewerSessionManager = require('../api/services/viewerSessionManager');
+const { emitToViewers } = require('./deviceRooms');
 const logger = require('../utils/logger');
 const fs = require('fs');
 const path = require('path');
@@ -18,6 +30,28 @@ const PING_TIMEOUT = 20000; // 20 seconds - matching Windows app default
 const RECONNECT_BASE_DELAY = 30000; // 30 seconds to match Windows app RECONNECT_INTERVAL
 const MAX_RECONNECT_ATTEMPTS = 5; // Match Windows app setting
 const SESSION_TIMEOUT = 24 * 60 * 60 * 1000; // 24 hours to match Windows app SessionManager.cs exactly
+// Events that route remote-control traffic between dashboards and devices
+const SIGNALING_EVENTS = ['request-connection', 'message', 'offer', 'answer', 'ice-candidate', 'control-command', 'control-response'];
+// Dashboard events that reach a device: the field each handler routes by and the
+// device access it needs. WebRTC negotiation and joining a viewer session only need
+// view access - the device accepts input from the session's controller alone - while
+// starting a connection, sending commands and moving input control need control access.
+// Quiet events are refused without a connection-error.
+const DASHBOARD_EVENT_TARGETS = {
+  'request-connection': { field: 'remotePcId', level: 'control' },
+  'message': { field: 'to', level: 'view' },
+  'offer': { field: 'targetId', level: 'view' },
+  'answer': { field: 'targetId', level: 'view' },
+  'ice-candidate': { field: 'targetId', level: 'view' },
+  'control-command': { field: 'remotePcId', level: 'control' },
+  'join-session': { field: 'remotePcId', level: 'view', quiet: true },
+  'leave-session': { field: 'remotePcId', level: 'view', quiet: true },
+  'control-request': { field: 'remotePcId', level: 'control' },
+  'control-transfer': { field: 'remotePcId', level: 'control' },
+  'control-release': { field: 'remotePcId', level: 'control' },
+  'control-deny': { field: 'remotePcId', level: 'control' },
+  'device-status-request': { field: 'remotePcId', level: 'view', quiet: true }
+};
 
 // Ensure data directory exists
 if (!fs.existsSync(DEVICE_DATA_DIR)) {
@@ -124,6 +158,21 @@ class SignalingService {
 
     logger.info(`New ${clientType} connection: ${remotePcId || clientId}`);
     
+    // A second machine claiming a connected device's ID must not take over its connection
+    if (clientType === 'device') {
+      const auth = socket.handshake.auth || {};
+      socket.deviceFingerprint = deviceIdentity.computeFingerprint(
+        auth.fingerprint || auth.hardware || socket.handshake.query.fingerprint
+      );
+      
+      if (this.rejectIdentityConflict(socket, remotePcId)) {
+        return;
+      }
+      
+      // Counted for reconnect alert rules
+      alertManager.recordConnection(remotePcId);
+    }
+    
     // Reset reconnection attempts on successful connection
     if (remotePcId) {
       this.reconnectAttempts.set(remotePcId, 0);
@@ -166,17 +215,10 @@ class SignalingService {
         // Instead, mark last disconnect time for cleanup during monitoring
         this.connectionTimestamps.set(remotePcId, Date.now() - RECONNECT_BASE_DELAY); // Mark as potentially reconnecting
         
-        // Update status for devices
-        deviceManager.updateDeviceStatus(remotePcId, 'offline')
-          .then(() => {
-            this.io.emit('device-status-update', {
-              remotePcId: remotePcId,
-              status: 'offline',
-              timestamp: new Date().toISOString(),
-              reason: reason
-            });
-          })
+        // Update status for devices - ignored if the device already reconnected on a new socket
+        presenceEngine.disconnected(remotePcId, socket.id, reason)
           .catch(err => logger.error(`Error updating device status: ${err.message}`));
+        heartbeatQuality.connectionClosed(remotePcId);
           
         // Schedule reconnection attempt if not an intentional disconnect
         if (reason !== 'client namespace disconnect' && reason !== 'io server disconnect') {
@@ -185,6 +227,10 @@ class SignalingService {
       } else {
         logger.info(`Client disconnected: ${clientId}, reason: ${reason}`);
         this.activeConnections.delete(clientId);
+        
+        // Leaving viewers hand control on
+        viewerSessionManager.leaveAll(socket.id)
+          .forEach(viewedPcId => this.emitSessionUpdate(viewedPcId));
       }
     });
 
@@ -209,14 +255,7 @@ class SignalingService {
         this.activeConnections.set(remotePcId, socket);
         
         // Update device status if reconnected
-        deviceManager.updateDeviceStatus(remotePcId, 'online')
-          .then(() => {
-            this.io.emit('device-status-update', {
-              remotePcId: remotePcId,
-              status: 'online',
-              timestamp: new Date().toISOString()
-            });
-          })
+        presenceEngine.connected(remotePcId, socket.id)
           .catch(err => logger.error(`Error updating device status: ${err.message}`));
       } else {
         logger.info(`Client ${clientId} reconnected after ${attemptNumber} attempts`);
@@ -227,11 +266,8 @@ class SignalingService {
     // Handle explicit reconnection failure
     socket.on('reconnect_failed', () => {
       if (remotePcId) {
+        // Already marked offline by the presence engine when the socket disconnected
         logger.warn(`Device ${remotePcId} failed to reconnect after max attempts`);
-        
-        // Mark device as offline if it's a device
-        deviceManager.updateDeviceStatus(remotePcId, 'offline')
-          .catch(err => logger.error(`Error updating device status: ${err.message}`));
       } else {
         logger.warn(`Client ${clientId} failed to reconnect after max attempts`);
       }
@@ -348,6 +384,46 @@ class SignalingService {
     this.reconnectTimers.set(remotePcId, timer);
   }
 
+  /**
+   * Refuse a device socket when another machine is connected under the same remotePcId
+   * The connected socket keeps the device; the device is flagged for an admin.
+   * @param {Object} socket - New device socket
+   * @param {String} remotePcId - Remote PC identifier
+   * @returns {boolean} True if the socket was refused
+   */
+  rejectIdentityConflict(socket, remotePcId) {
+    const existing = this.activeConnections.get(remotePcId);
+    
+    if (!existing || existing === socket || !existing.connected ||
+        !deviceIdentity.fingerprintsConflict(existing.deviceFingerprint, socket.deviceFingerprint)) {
+      return false;
+    }
+    
+    const ipAddress = socket.handshake.address;
+    logger.warn(`Refused connection for ${remotePcId} from ${ipAddress}: hardware fingerprint differs from the connected device`);
+    
+    socket.emit('error', {
+      error: 'Device identity conflict: another machine is connected with this remotePcId'
+    });
+    socket.disconnect(true);
+    
+    deviceManager.flagIdentityConflict(remotePcId, {
+      expected: existing.deviceFingerprint,
+      reported: socket.deviceFingerprint,
+      ipAddress,
+      source: 'connection'
+    })
+      .then(device => {
+        this.io.emit('device-identity-conflict', {
+          remotePcId,
+          ...device.identityConflict
+        });
+      })
+      .catch(err => logger.error(`Error flagging identity conflict for ${remotePcId}: ${err.message}`));
+    
+    return true;
+  }
+
   /**
    * Handle device client connection (Windows app)
    * @param {Object} socket - Socket instance
@@ -361,6 +437,39 @@ class SignalingService {
     // Start connection monitoring
     this.monitorDeviceConnection(remotePcId);
 
+    // A known device is online as soon as its socket connects
+    presenceEngine.connected(remotePcId, socket.id)
+      .catch(err => logger.error(`Error updating device status: ${err.message}`));
+
+    // A device reconnecting during a viewer session learns who holds control again
+    const controller = viewerSessionManager.getController(remotePcId);
+    if (controller) {
+      socket.emit('control-holder', { peerId: controller.peerId });
+    }
+
+    // Until its enrollment code has been exchanged, a device may only auto-register;
+    // until it is approved, it may not take part in remote-control sessions
+    socket.use(async ([event], next) => {
+      if (socket.deviceAuth && socket.deviceAuth.method === 'enrollment' && event !== 'auto-register') {
+        return next(new Error('Device not enrolled'));
+      }
+      if (!SIGNALING_EVENTS.includes(event)) {
+        return next();
+      }
+      
+      try {
+        // The stored record decides, so a decision applies from the next event on
+        const device = await deviceManager.findDevice(remotePcId);
+        if (device && !deviceManager.isApproved(device)) {
+          return next(new Error('Device pending approval'));
+        }
+        next();
+      } catch (error) {
+        logger.warn(`Approval lookup failed for ${remotePcId}: ${error.message}`);
+        next(new Error('Approval check failed'));
+      }
+    });
+
     // Auto-register handler - matches Windows app SignalingService.cs format exactly
     socket.on('auto-register', async (deviceInfo) => {
       try {
@@ -381,60 +490,104 @@ class SignalingService {
         logger.debug(`Auto-register request from ${remotePcId}:`, data);
         
         // Extract fields using Windows app format names
-        const receivedRemotePcId = data.remotePcId || remotePcId;
-        const systemName = data.systemName || 'Unknown Device';
-        const apiKey = data.apiKey;
+        // The socket was authenticated for its handshake remotePcId only
+        const receivedRemotePcId = remotePcId;
+        // Left out when not reported, so a name given at import is kept
+        const systemName = data.systemName || undefined;
         const metadata = {
           OSName: data.OSName,
           OSversion: data.OSversion
         };
         
-        // Validate required fields
-        if (!receivedRemotePcId || !apiKey) {
+        if (data.remotePcId && data.remotePcId !== remotePcId) {
           socket.emit('error', { 
-            error: 'Missing required fields' 
+            error: 'remotePcId does not match the authenticated device' 
           });
           return;
         }
+        
+        // Enrollment: a pending socket must exchange its code; an already
+        // authenticated legacy device may send one to move to its own credential
+        const enrollmentCode = socket.deviceAuth.method === 'enrollment'
+          ? socket.deviceAuth.enrollmentCode
+          : data.enrollmentCode;
+        const enrollment = enrollmentCode
+          ? await enrollmentManager.redeemCode(enrollmentCode, receivedRemotePcId)
+          : null;
 
-        // Validate API key - exact match with the key from Windows app
-        const isValidKey = await deviceManager.validateApiKey(apiKey);
-        if (!isValidKey) {
-          socket.emit('error', { 
-            error: 'Invalid API key' 
-          });
-          return;
+        // Register device in database - a device enrolling with an admin-issued
+        // code is already vouched for, so only unknown devices wait for approval
+        // Older agents only report hardware identifiers here, not in the handshake
+        if (!socket.deviceFingerprint) {
+          socket.deviceFingerprint = deviceIdentity.computeFingerprint(data.fingerprint || data.hardware);
         }
-
-        // Register device in database
+        
         const device = await deviceManager.registerDevice({
           remotePcId: receivedRemotePcId,
           systemName,
-          status: 'online',
           lastConnection: new Date(),
-          apiKey,
-          metadata: metadata || {}
+          metadata: metadata || {},
+          fingerprint: socket.deviceFingerprint,
+          ipAddress: socket.handshake.address,
+          requireApproval: config.security.requireDeviceApproval && !enrollment
         });
+        
+        const pending = !deviceManager.isApproved(device);
+        
+        let deviceSecret;
+        if (enrollment) {
+          deviceSecret = await enrollmentManager.issueCredential(receivedRemotePcId, enrollment.id);
+          socket.deviceAuth.method = 'secret';
+          socket.deviceAuth.enrollmentCode = null;
+        }
 
-        // Send confirmation exactly as Windows app expects
-        socket.emit('registration-success', { 
+        // Re-evaluate rule-based group membership against the new record
+        await groupManager.refreshDeviceMembership(receivedRemotePcId)
+          .catch(err => logger.warn(`Group membership refresh failed for ${receivedRemotePcId}: ${err.message}`));
+
+        // Send confirmation exactly as Windows app expects; a newly issued secret is
+        // sent once and must be stored by the agent for later handshakes
+        socket.emit('registration-success', deviceSecret ? { 
+          status: "success",
+          deviceSecret
+        } : { 
           status: "success"
         });
+        
+        if (device.identityConflict && device.identityConflict.reported === socket.deviceFingerprint) {
+          this.io.emit('device-identity-conflict', {
+            remotePcId: receivedRemotePcId,
+            ...device.identityConflict
+          });
+        }
+        
+        if (pending) {
+          this.io.emit('device-approval-update', {
+            remotePcId: receivedRemotePcId,
+            systemName: device.systemName,
+            state: 'pending',
+            timestamp: new Date().toISOString()
+          });
+        }
 
-        // Update all dashboard clients
-        this.io.emit('device-status-update', {
-          remotePcId: receivedRemotePcId,
-          systemName,
-          status: 'online',
-          timestamp: new Date().toISOString()
-        });
+        // Registering counts as a heartbeat - brings a new or offline device online
+        // and updates all dashboard clients
+        await presenceEngine.heartbeat(receivedRemotePcId);
 
-        logger.info(`Device registered: ${receivedRemotePcId} (${systemName})`);
+        logger.info(`Device registered: ${receivedRemotePcId} (${device.systemName})`);
       } catch (error) {
         logger.error(`Device registration error:`, error);
         socket.emit('error', { 
           error: error.message 
         });
+        
+        // Archived and rejected devices are not allowed back in, and a device whose
+        // enrollment failed has nothing else it may do on this connection
+        if ((error.message && (error.message.startsWith('Device archived') || error.message.startsWith('Device rejected'))) ||
+            socket.deviceAuth.method === 'enrollment') {
+          this.activeConnections.delete(remotePcId);
+          socket.disconnect(true);
+        }
       }
     });
 
@@ -445,8 +598,10 @@ class SignalingService {
         // Update timestamp
         this.connectionTimestamps.set(remotePcId, Date.now());
         // Update device last seen
-        deviceManager.updateDeviceLastSeen(remotePcId)
+        presenceEngine.heartbeat(remotePcId)
           .catch(err => logger.error(`Error updating device last seen: ${err.message}`));
+        heartbeatQuality.recordHeartbeat(remotePcId, 'ping')
+          .catch(err => logger.error(`Error recording heartbeat timing: ${err.message}`));
           
         // Send pong (type 3) if needed - Engine.IO should do this automatically
         // but we're ensuring it happens for Windows app compatibility
@@ -458,18 +613,62 @@ class SignalingService {
       }
     });
     
-    // Handle explicit heartbeat event
+    // Handle explicit heartbeat event - may carry CPU, memory, disk and network usage
     socket.on('heartbeat', (data) => {
       this.connectionTimestamps.set(remotePcId, Date.now());
-      deviceManager.updateDeviceLastSeen(remotePcId)
+      presenceEngine.heartbeat(remotePcId)
         .catch(err => logger.error(`Error updating device last seen: ${err.message}`));
+      heartbeatQuality.recordHeartbeat(remotePcId, 'heartbeat')
+        .catch(err => logger.error(`Error recording heartbeat timing: ${err.message}`));
+      
+      // Same envelope handling as auto-register: object or [eventName, data] / [data]
+      let payload = data;
+      if (Array.isArray(data) && data.length > 0) {
+        payload = (data[0] === 'heartbeat' && data.length > 1) ? data[1] : data[0];
+      }
+      
+      metricsManager.recordSample(remotePcId, payload);
+    });
+
+    // Inventory report - structured hardware/software inventory from the agent
+    socket.on('inventory', async (report) => {
+      try {
+        // Same envelope handling as auto-register: object or [eventName, data] / [data]
+        let data = report;
+        if (Array.isArray(report) && report.length > 0) {
+          data = (report[0] === 'inventory' && report.length > 1) ? report[1] : report[0];
+        }
+        
+        const result = await inventoryManager.recordInventory(remotePcId, data);
+        
+        socket.emit('inventory-received', {
+          status: "success",
+          version: result.version,
+          changed: result.changed
+        });
+        
+        if (result.changed) {
+          this.io.emit('device-inventory-update', {
+            remotePcId,
+            version: result.version,
+            timestamp: new Date().toISOString()
+          });
+        }
+      } catch (error) {
+        logger.error(`Inventory report error for ${remotePcId}:`, error);
+        socket.emit('error', { 
+          error: error.message 
+        });
+      }
     });
 
     // Socket.IO ping is handled internally, but we can log it
     socket.on('ping', () => {
       this.connectionTimestamps.set(remotePcId, Date.now());
-      deviceManager.updateDeviceLastSeen(remotePcId)
+      presenceEngine.heartbeat(remotePcId)
         .catch(err => logger.error(`Error updating device last seen: ${err.message}`));
+      heartbeatQuality.recordHeartbeat(remotePcId, 'ping')
+        .catch(err => logger.error(`Error recording heartbeat timing: ${err.message}`));
     });
 
     // WebRTC signaling handlers - modified to match Windows app format exactly
@@ -509,7 +708,7 @@ class SignalingService {
         // For offers, update connection status
         if (messageType === 'offer' && data.payload) {
           // Update device last seen
-          await deviceManager.updateDeviceLastSeen(remotePcId);
+          await presenceEngine.heartbeat(remotePcId);
         }
       } catch (error) {
         logger.error(`Error processing message from ${remotePcId}:`, error);
@@ -689,6 +888,62 @@ class SignalingService {
     // Store connection
     this.activeConnections.set(userId, socket);
     
+    // Nothing is routed to devices waiting for approval or outside the user's ACLs,
+    // and maintenance windows may refuse new sessions. The check runs on the field
+    // the event's handler routes by, so no other field can smuggle in a target.
+    socket.use(async ([event, data], next) => {
+      const route = DASHBOARD_EVENT_TARGETS[event];
+      if (!route) {
+        return next();
+      }
+      
+      const { level } = route;
+      const target = data && data[route.field];
+      
+      const reject = (error) => {
+        if (!route.quiet) {
+          socket.emit('connection-error', {
+            requestId: data && data.requestId,
+            error
+          });
+        }
+        next(new Error(error));
+      };
+      
+      if (typeof target !== 'string' || !target) {
+        return reject(`Missing ${route.field}`);
+      }
+      
+      try {
+        const device = await deviceManager.findDevice(target);
+        
+        if (!device) {
+          return reject(`Device not found: ${target}`);
+        }
+        
+        if (!route.quiet && !deviceManager.isApproved(device)) {
+          return reject('Device pending approval');
+        }
+        
+        if (!(await accessControl.canAccess(socket.user, device, level))) {
+          logger.warn(`Dashboard user ${userId} denied ${event} for device ${target}`);
+          return reject('Access denied');
+        }
+        
+        // Maintenance windows can refuse new remote-control sessions
+        if (event === 'request-connection') {
+          const maintenance = await maintenanceManager.getActiveMaintenance(device);
+          if (maintenance && maintenance.blockRemoteControl) {
+            return reject(`Device in maintenance until ${maintenance.endsAt}`);
+          }
+        }
+        next();
+      } catch (error) {
+        logger.error(`Error checking device access for ${userId}:`, error);
+        next(new Error('Access check failed'));
+      }
+    });
+    
     // Handle session reuse - for WebSocket connections from Windows app
     const sid = socket.handshake.auth.sid;
     if (sid) {
@@ -709,6 +964,7 @@ class SignalingService {
     
     // Send initial device list
     deviceManager.getOnlineDevices()
+      .then(devices => accessControl.filterDevices(socket.user, devices))
       .then(devices => {
         socket.emit('device-list', devices);
       })
@@ -719,7 +975,7 @@ class SignalingService {
     // Handle device list request
     socket.on('device-list-request', async () => {
       try {
-        const devices = await deviceManager.getOnlineDevices();
+        const devices = await accessControl.filterDevices(socket.user, await deviceManager.getOnlineDevices());
         socket.emit('device-list', devices);
       } catch (error) {
         logger.error('Error retrieving device list:', error);
@@ -785,6 +1041,8 @@ class SignalingService {
           requestId,
           timestamp: new Date()
         });
+        
+        this.joinViewerSession(socket, userId, remotePcId);
 
         // Format message as Windows app expects - exactly matching the format in 
         // the Windows app's SignalingService.cs
@@ -991,6 +1249,16 @@ class SignalingService {
         const { remotePcId, command } = data;
         const deviceSocket = this.activeConnections.get(remotePcId);
         
+        // Only the viewer holding control drives the device's input
+        if (!viewerSessionManager.isController(remotePcId, socket.id)) {
+          logger.debug(`Dropped control command from ${userId} for ${remotePcId}: not the controller`);
+          socket.emit('session-error', {
+            remotePcId,
+            error: 'Access denied: another viewer has control of this device'
+          });
+          return;
+        }
+        
         if (deviceSocket) {
           // Format to match what Windows app expects in InputService.cs
           deviceSocket.emit('control-command', {
@@ -1011,6 +1279,74 @@ class SignalingService {
       }
     });
     
+    // Handle viewer session membership
+    socket.on('join-session', async (data) => {
+      if (!data || !data.remotePcId) return;
+      
+      try {
+        // Viewers without control access watch but never get control
+        const device = await deviceManager.findDevice(data.remotePcId);
+        const canControl = deviceManager.isApproved(device) &&
+                           await accessControl.canAccess(socket.user, device, 'control');
+        
+        this.joinViewerSession(socket, userId, data.remotePcId, canControl);
+      } catch (error) {
+        logger.error(`Error joining the viewer session of ${data.remotePcId} for ${userId}:`, error);
+        socket.emit('session-error', {
+          remotePcId: data.remotePcId,
+          error: 'Error joining session'
+        });
+      }
+    });
+    
+    socket.on('leave-session', (data) => {
+      if (!data || !data.remotePcId) return;
+      
+      if (viewerSessionManager.leave(data.remotePcId, socket.id)) {
+        this.emitSessionUpdate(data.remotePcId);
+      }
+    });
+    
+    // Handle control handoff between viewers
+    socket.on('control-request', (data) => {
+      this.runSessionAction(socket, data, remotePcId => {
+        // The controller decides whether to hand over
+        if (!viewerSessionManager.requestControl(remotePcId, socket.id)) {
+          const requester = viewerSessionManager.getParticipantSession(remotePcId, socket.id).participants.get(socket.id);
+          const controllerSocket = this.getSocket(viewerSessionManager.getController(remotePcId).socketId);
+          if (controllerSocket) {
+            controllerSocket.emit('control-requested', {
+              remotePcId,
+              participantId: requester.id,
+              username: requester.username
+            });
+          }
+        }
+      });
+    });
+    
+    socket.on('control-transfer', (data) => {
+      this.runSessionAction(socket, data, remotePcId => viewerSessionManager.transferControl(remotePcId, socket.id, data.to));
+    });
+    
+    socket.on('control-release', (data) => {
+      this.runSessionAction(socket, data, remotePcId => viewerSessionManager.releaseControl(remotePcId, socket.id));
+    });
+    
+    socket.on('control-deny', (data) => {
+      this.runSessionAction(socket, data, remotePcId => {
+        const requester = viewerSessionManager.denyRequest(remotePcId, socket.id, data.to);
+        
+        const requesterSocket = requester && this.getSocket(requester.socketId);
+        if (requesterSocket) {
+          requesterSocket.emit('session-error', {
+            remotePcId,
+            error: 'Control request denied'
+          });
+        }
+      });
+    });
+    
     // Handle device status requests
     socket.on('device-status-request', async (data) => {
       try {
@@ -1036,6 +1372,81 @@ class SignalingService {
     });
   }
 
+  /**
+   * Add a dashboard to a device's viewer session and tell the participants
+   * @param {Object} socket - Dashboard socket
+   * @param {String} userId - Dashboard client ID, the peer ID its WebRTC input arrives under
+   * @param {String} remotePcId - Remote PC ID
+   * @param {Boolean} canControl - Whether the dashboard's user has control access to the device
+   */
+  joinViewerSession(socket, userId, remotePcId, canControl = true) {
+    viewerSessionManager.join(remotePcId, {
+      socketId: socket.id,
+      peerId: userId,
+      canControl,
+      userId: socket.user ? socket.user.id : null,
+      username: socket.user ? socket.user.username : null
+    });
+    
+    this.emitSessionUpdate(remotePcId);
+  }
+
+  /**
+   * Apply a control handoff event and tell the participants
+   * Failures are reported to the sender only.
+   * @param {Object} socket - Dashboard socket
+   * @param {Object} data - Event data with remotePcId
+   * @param {Function} action - Called with the remotePcId
+   */
+  runSessionAction(socket, data, action) {
+    const remotePcId = data && data.remotePcId;
+    
+    try {
+      if (!remotePcId) {
+        throw new Error('Missing remotePcId');
+      }
+      
+      action(remotePcId);
+      this.emitSessionUpdate(remotePcId);
+    } catch (error) {
+      socket.emit('session-error', {
+        remotePcId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Send a viewer session's participants and controller to everyone in it,
+   * and tell the device whose input to accept
+   * Each participant gets its own snapshot, with its entry marked you: true.
+   * @param {String} remotePcId - Remote PC ID
+   */
+  emitSessionUpdate(remotePcId) {
+    viewerSessionManager.getSocketIds(remotePcId).forEach(socketId => {
+      const participantSocket = this.getSocket(socketId);
+      if (participantSocket) {
+        participantSocket.emit('session-update', viewerSessionManager.getSession(remotePcId, socketId));
+      }
+    });
+    
+    // Data channel input bypasses the server, so the device has to filter it by peer
+    const deviceSocket = this.activeConnections.get(remotePcId);
+    if (deviceSocket) {
+      const controller = viewerSessionManager.getController(remotePcId);
+      deviceSocket.emit('control-holder', { peerId: controller ? controller.peerId : null });
+    }
+  }
+
+  /**
+   * Look up a connected socket by its ID
+   * @param {String} socketId - Socket ID
+   * @returns {Object|null} Socket, null when it disconnected
+   */
+  getSocket(socketId) {
+    return (this.io && this.io.sockets && this.io.sockets.sockets.get(socketId)) || null;
+  }
+
   /**
    * Handle connection request with socket
    * @param {Object} clientSocket - Client socket
@@ -1081,22 +1492,10 @@ class SignalingService {
     // Check all devices with timestamps
     this.connectionTimestamps.forEach(async (timestamp, remotePcId) => {
       try {
-        // Auto-detect device status based on last seen time
-        await deviceManager.detectDeviceStatus(remotePcId);
-        
-        // Get current device status
+        // Get current device status - decided by the presence engine, not here
         const device = await deviceManager.getDeviceByRemotePcId(remotePcId);
         
-        // If device was online but is now idle/offline, notify clients
-        if (device.status !== 'online' && this.activeConnections.has(remotePcId)) {
-          this.io.emit('device-status-update', {
-            remotePcId,
-            status: device.status,
-            timestamp: new Date().toISOString()
-          });
-        }
-        
-        // If device was offline but is now online (based on detectDeviceStatus), 
+        // If device is online but its socket is not tracked, 
         // update active connections if needed
         if (device.status === 'online' && !this.activeConnections.has(remotePcId)) {
           // Check if we have a session mapping for this device
@@ -1148,6 +1547,66 @@ class SignalingService {
     });
   }
 
+  /**
+   * Apply an approval decision to a connected device and notify dashboards
+   * @param {string} remotePcId - Device identifier
+   * @param {string} state - 'approved' or 'rejected'
+   */
+  applyApprovalDecision(remotePcId, state) {
+    if (this.io) {
+      this.io.emit('device-approval-update', {
+        remotePcId,
+        state,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (state === 'rejected') {
+      this.disconnectDevice(remotePcId, 'Device registration rejected');
+    }
+  }
+
+  /**
+   * Notify the alerted device's viewers that an alert was acknowledged or resolved by a user
+   * @param {Object} alert - Alert
+   */
+  emitAlertUpdate(alert) {
+    if (this.io) {
+      emitToViewers(this.io, alert.remotePcId, 'alert-update', alert)
+        .catch(err => logger.error(`Error broadcasting alert ${alert.id}: ${err.message}`));
+    }
+  }
+
+  /**
+   * Disconnect a device and notify dashboards
+   * @param {string} remotePcId - Device identifier
+   * @param {string} reason - Reason sent to the device
+   * @param {Object} options - { removed: false when the device stays in the registry }
+   */
+  disconnectDevice(remotePcId, reason, options = {}) {
+    const socket = this.activeConnections.get(remotePcId);
+    
+    if (this.reconnectTimers.has(remotePcId)) {
+      clearTimeout(this.reconnectTimers.get(remotePcId));
+      this.reconnectTimers.delete(remotePcId);
+    }
+    
+    if (socket) {
+      this.activeConnections.delete(remotePcId);
+      socket.emit('error', { error: reason });
+      socket.disconnect(true);
+      logger.info(`Device ${remotePcId} disconnected: ${reason}`);
+    }
+    
+    if (this.io && options.removed !== false) {
+      this.io.emit('device-removed', {
+        remotePcId,
+        reason,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
   /**
    * Get active connection count
    * @returns {number} Number of active connections
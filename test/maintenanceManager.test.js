@@ -0,0 +1,58 @@
+/**
+ * Maintenance Manager tests
+ * Recurrence of monthly windows and the validation of window definitions,
+ * with the device store stubbed out.
+ */
+process.env.LOG_TO_FILE = 'false';
+process.env.LOG_LEVEL = 'ERROR';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const deviceManager = require('../api/services/deviceManager');
+const maintenanceManager = require('../api/services/maintenanceManager');
+
+const DEVICE = { remotePcId: 'pc-1' };
+
+/**
+ * Build a window targeting DEVICE
+ * @param {Object} fields - Fields to set
+ * @returns {Object} Window definition
+ */
+function monthlyWindow(fields = {}) {
+  return {
+    name: 'Patch night',
+    targetType: 'device',
+    targetId: DEVICE.remotePcId,
+    startsAt: '2025-01-31T22:00:00.000Z',
+    durationMinutes: 120,
+    recurrence: { frequency: 'monthly', interval: 1, until: null },
+    ...fields
+  };
+}
+
+test('monthly windows on a late day fall on the last day of shorter months', async t => {
+  t.mock.method(maintenanceManager, 'loadWindows', async () => [{ id: 'mw-1', ...monthlyWindow() }]);
+  
+  const periods = await maintenanceManager.getMaintenancePeriods(DEVICE, {
+    from: new Date('2025-01-01T00:00:00Z'),
+    to: new Date('2025-06-01T00:00:00Z')
+  });
+  
+  assert.deepEqual(periods.map(p => p.start.toISOString().slice(0, 10)),
+    ['2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30', '2025-05-31']);
+});
+
+test('monthly windows longer than the shortest month are rejected', async t => {
+  t.mock.method(deviceManager, 'getDeviceByRemotePcId', async () => DEVICE);
+  t.mock.method(maintenanceManager, 'loadWindows', async () => []);
+  t.mock.method(maintenanceManager, 'saveWindows', async () => {});
+  
+  await assert.rejects(maintenanceManager.createWindow(monthlyWindow({ durationMinutes: 29 * 24 * 60 }), 1),
+    /longer than the recurrence interval/);
+  
+  const window = await maintenanceManager.createWindow(monthlyWindow({
+    durationMinutes: 29 * 24 * 60,
+    recurrence: { frequency: 'monthly', interval: 2 }
+  }), 1);
+  assert.equal(window.recurrence.interval, 2);
+});
@@ -0,0 +1,135 @@
+/**
+ * Presence Engine tests
+ * How transitions are recorded and announced, with the device store,
+ * maintenance windows and flap detection stubbed out.
+ */
+process.env.LOG_TO_FILE = 'false';
+process.env.LOG_LEVEL = 'ERROR';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const deviceManager = require('../api/services/deviceManager');
+const maintenanceManager = require('../api/services/maintenanceManager');
+const notificationManager = require('../api/services/notificationManager');
+const statusThresholds = require('../api/services/statusThresholds');
+const flapDetector = require('../api/services/flapDetector');
+const presenceEngine = require('../api/services/presenceEngine');
+
+const NOW = new Date('2024-05-01T12:00:00Z');
+
+/**
+ * Stub the services presenceEngine.handle talks to
+ * @param {Object} t - Test context
+ * @param {Object} options - { device, maintenance, observed }
+ * @returns {Object} Calls seen: { statusUpdates, broadcasts, notifications, flapChecks }
+ */
+function stubServices(t, { device, maintenance = null, observed = 'online' }) {
+  const calls = { statusUpdates: [], broadcasts: [], notifications: [], flapChecks: 0 };
+  
+  t.mock.method(deviceManager, 'findDevice', async () => ({ ...device }));
+  t.mock.method(deviceManager, 'updateDeviceLastSeen', async () => ({ ...device, lastSeen: NOW.toISOString() }));
+  t.mock.method(deviceManager, 'updateDeviceStatus', async (remotePcId, status, details) => {
+    calls.statusUpdates.push({ status, ...details });
+    return { ...device, status };
+  });
+  t.mock.method(maintenanceManager, 'getActiveMaintenance', async () => maintenance);
+  t.mock.method(statusThresholds, 'detectStatus', async () => observed);
+  t.mock.method(flapDetector, 'handleStatusChange', async () => {
+    calls.flapChecks++;
+    return { broadcast: true, notify: true, flapping: false, transitions: 1 };
+  });
+  t.mock.method(notificationManager, 'notifyStatusChange', async (d, status) => {
+    calls.notifications.push(status);
+  });
+  t.mock.method(presenceEngine, 'broadcast', update => {
+    calls.broadcasts.push(update);
+  });
+  
+  return calls;
+}
+
+test('a transition is recorded, broadcast and notified', async t => {
+  const calls = stubServices(t, { device: { remotePcId: 'pc-1', status: 'online' } });
+  
+  const result = await presenceEngine.handle('pc-1', { type: 'disconnect', detail: 'transport close' }, NOW);
+  
+  assert.equal(result.previousStatus, 'online');
+  assert.equal(result.status, 'offline');
+  assert.equal(result.reason, 'disconnect: transport close');
+  assert.deepEqual(calls.statusUpdates, [{ status: 'offline', reason: 'disconnect: transport close', maintenanceWindowId: null }]);
+  assert.equal(calls.broadcasts.length, 1);
+  assert.equal(calls.broadcasts[0].status, 'offline');
+  assert.deepEqual(calls.notifications, ['offline']);
+});
+
+test('a transition inside a maintenance window is recorded but not announced', async t => {
+  const calls = stubServices(t, {
+    device: { remotePcId: 'pc-1', status: 'online' },
+    maintenance: { windowId: 'mw-1' }
+  });
+  
+  const result = await presenceEngine.handle('pc-1', { type: 'disconnect' }, NOW);
+  
+  assert.equal(result.status, 'offline');
+  assert.equal(result.maintenanceWindowId, 'mw-1');
+  assert.deepEqual(calls.statusUpdates, [{ status: 'offline', reason: 'disconnect', maintenanceWindowId: 'mw-1' }]);
+  assert.equal(calls.flapChecks, 0);
+  assert.equal(calls.broadcasts.length, 0);
+  assert.equal(calls.notifications.length, 0);
+});
+
+test('a timeout demotes an online device to idle', async t => {
+  const calls = stubServices(t, { device: { remotePcId: 'pc-1', status: 'online' }, observed: 'idle' });
+  
+  const result = await presenceEngine.handle('pc-1', { type: 'timeout' }, NOW);
+  
+  assert.equal(result.status, 'idle');
+  assert.equal(calls.statusUpdates[0].reason, 'timeout');
+  assert.deepEqual(calls.notifications, ['idle']);
+});
+
+test('a timeout never brings an offline device back', async t => {
+  const calls = stubServices(t, { device: { remotePcId: 'pc-1', status: 'offline' }, observed: 'online' });
+  
+  assert.equal(await presenceEngine.handle('pc-1', { type: 'timeout' }, NOW), null);
+  assert.equal(calls.statusUpdates.length, 0);
+  assert.equal(calls.broadcasts.length, 0);
+});
+
+test('events for unregistered and archived devices are ignored', async t => {
+  const calls = stubServices(t, { device: { remotePcId: 'pc-1', status: 'offline', archivedAt: NOW.toISOString() } });
+  
+  assert.equal(await presenceEngine.handle('pc-1', { type: 'connect' }, NOW), null);
+  
+  deviceManager.findDevice.mock.mockImplementation(async () => null);
+  assert.equal(await presenceEngine.handle('pc-2', { type: 'connect' }, NOW), null);
+  assert.equal(calls.statusUpdates.length, 0);
+});
+
+test('a flapping device that settles down during maintenance is not announced', async t => {
+  const calls = stubServices(t, {
+    device: { remotePcId: 'pc-1', status: 'online', flapping: true },
+    maintenance: { windowId: 'mw-1' }
+  });
+  const evaluate = t.mock.method(flapDetector, 'evaluate', async () => ({ changed: 'stopped', device: { remotePcId: 'pc-1' } }));
+  
+  await presenceEngine.checkFlapping('pc-1', NOW);
+  await presenceEngine.broadcastCurrent('pc-1');
+  
+  assert.equal(evaluate.mock.callCount(), 0);
+  assert.equal(calls.broadcasts.length, 0);
+  assert.equal(calls.notifications.length, 0);
+});
+
+test('a flapping device that settles down is announced once', async t => {
+  const calls = stubServices(t, { device: { remotePcId: 'pc-1', status: 'online', flapping: true } });
+  t.mock.method(flapDetector, 'evaluate', async () => ({
+    changed: 'stopped',
+    device: { remotePcId: 'pc-1', systemName: 'PC 1', status: 'online', lastSeen: NOW.toISOString() }
+  }));
+  
+  await presenceEngine.checkFlapping('pc-1', NOW);
+  
+  assert.deepEqual(calls.broadcasts.map(update => [update.status, update.flapping]), [['online', false]]);
+  assert.deepEqual(calls.notifications, ['online']);
+});
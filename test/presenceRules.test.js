@@ -0,0 +1,62 @@
+/**
+ * Presence Rules tests
+ * The transition table of presenceRules.nextStatus.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { STATUSES, nextStatus } = require('../api/services/presenceRules');
+
+test('connect and heartbeat bring a device online', () => {
+  for (const type of ['connect', 'heartbeat']) {
+    assert.equal(nextStatus('offline', { type }), 'online');
+    assert.equal(nextStatus('idle', { type }), 'online');
+    assert.equal(nextStatus(undefined, { type }), 'online');
+    assert.equal(nextStatus('online', { type }), null);
+  }
+});
+
+test('disconnect takes a device offline', () => {
+  assert.equal(nextStatus('online', { type: 'disconnect' }), 'offline');
+  assert.equal(nextStatus('idle', { type: 'disconnect' }), 'offline');
+  assert.equal(nextStatus(undefined, { type: 'disconnect' }), 'offline');
+  assert.equal(nextStatus('offline', { type: 'disconnect' }), null);
+});
+
+test('timeout demotes an online device to idle, then offline', () => {
+  assert.equal(nextStatus('online', { type: 'timeout', observed: 'online' }), null);
+  assert.equal(nextStatus('online', { type: 'timeout', observed: 'idle' }), 'idle');
+  assert.equal(nextStatus('online', { type: 'timeout', observed: 'offline' }), 'offline');
+  assert.equal(nextStatus('idle', { type: 'timeout', observed: 'idle' }), null);
+  assert.equal(nextStatus('idle', { type: 'timeout', observed: 'offline' }), 'offline');
+});
+
+test('timeout never promotes a device', () => {
+  assert.equal(nextStatus('idle', { type: 'timeout', observed: 'online' }), null);
+  assert.equal(nextStatus('offline', { type: 'timeout', observed: 'online' }), null);
+  assert.equal(nextStatus('offline', { type: 'timeout', observed: 'idle' }), null);
+  assert.equal(nextStatus('offline', { type: 'timeout', observed: 'offline' }), null);
+});
+
+test('timeout leaves never-seen devices and unknown observations alone', () => {
+  assert.equal(nextStatus(undefined, { type: 'timeout', observed: 'offline' }), null);
+  assert.equal(nextStatus(null, { type: 'timeout', observed: 'idle' }), null);
+  assert.equal(nextStatus('online', { type: 'timeout' }), null);
+  assert.equal(nextStatus('online', { type: 'timeout', observed: 'unknown' }), null);
+});
+
+test('set applies any valid status', () => {
+  for (const current of [undefined, ...STATUSES]) {
+    for (const status of STATUSES) {
+      assert.equal(nextStatus(current, { type: 'set', status }), status === current ? null : status);
+    }
+  }
+});
+
+test('set rejects invalid statuses', () => {
+  assert.throws(() => nextStatus('online', { type: 'set', status: 'sleeping' }), /Invalid status value/);
+  assert.throws(() => nextStatus('online', { type: 'set' }), /Invalid status value/);
+});
+
+test('unknown events are rejected', () => {
+  assert.throws(() => nextStatus('online', { type: 'reboot' }), /Invalid presence event: reboot/);
+});
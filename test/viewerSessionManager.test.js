@@ -0,0 +1,105 @@
+/**
+ * Viewer Session Manager tests
+ * Joining, control handoff and view-only participants. Every test uses its own
+ * device so the shared singleton's sessions never overlap.
+ */
+process.env.LOG_TO_FILE = 'false';
+process.env.LOG_LEVEL = 'ERROR';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const viewerSessionManager = require('../api/services/viewerSessionManager');
+
+/**
+ * Join a device's session
+ * @param {string} remotePcId - Device identifier
+ * @param {string} socketId - Socket ID
+ * @param {boolean} canControl - Whether the viewer has control access
+ * @returns {boolean} Result of join()
+ */
+function join(remotePcId, socketId, canControl = true) {
+  return viewerSessionManager.join(remotePcId, {
+    socketId,
+    peerId: `web-client-${socketId}`,
+    canControl,
+    username: socketId
+  });
+}
+
+/**
+ * Find a participant's ID in the session snapshot
+ * @param {string} remotePcId - Device identifier
+ * @param {string} socketId - Socket ID of the participant
+ * @returns {string} Participant ID
+ */
+function participantId(remotePcId, socketId) {
+  return viewerSessionManager.getSession(remotePcId, socketId).participants.find(p => p.you).id;
+}
+
+test('the first viewer gets control and the session names viewers by participant ID', () => {
+  assert.equal(join('pc-first', 's1'), true);
+  assert.equal(join('pc-first', 's2'), true);
+  
+  assert.equal(viewerSessionManager.isController('pc-first', 's1'), true);
+  assert.equal(viewerSessionManager.getController('pc-first').peerId, 'web-client-s1');
+  
+  const session = viewerSessionManager.getSession('pc-first', 's2');
+  assert.equal(session.controllerId, participantId('pc-first', 's1'));
+  assert.deepEqual(session.participants.map(p => [p.username, p.controller, p.you]), [['s1', true, false], ['s2', false, true]]);
+  assert.ok(session.participants.every(p => !('socketId' in p) && !('peerId' in p)));
+});
+
+test('control requests are queued and control passes to the requester when the controller leaves', () => {
+  join('pc-handoff', 'h1');
+  join('pc-handoff', 'h2');
+  
+  assert.equal(viewerSessionManager.requestControl('pc-handoff', 'h2'), false);
+  assert.equal(viewerSessionManager.getSession('pc-handoff').participants[1].requestedControl, true);
+  
+  assert.equal(viewerSessionManager.leave('pc-handoff', 'h1'), true);
+  assert.equal(viewerSessionManager.isController('pc-handoff', 'h2'), true);
+  
+  assert.deepEqual(viewerSessionManager.leaveAll('h2'), ['pc-handoff']);
+  assert.equal(viewerSessionManager.getSession('pc-handoff'), null);
+});
+
+test('only the controller hands over control', () => {
+  join('pc-transfer', 's1');
+  join('pc-transfer', 's2');
+  
+  assert.throws(() => viewerSessionManager.transferControl('pc-transfer', 's2', participantId('pc-transfer', 's1')),
+    /only the controller/);
+  
+  viewerSessionManager.transferControl('pc-transfer', 's1', participantId('pc-transfer', 's2'));
+  assert.equal(viewerSessionManager.isController('pc-transfer', 's2'), true);
+});
+
+test('view-only viewers never get control', () => {
+  join('pc-view', 'viewer', false);
+  assert.equal(viewerSessionManager.getController('pc-view'), null);
+  assert.throws(() => viewerSessionManager.requestControl('pc-view', 'viewer'), /view-only/);
+  
+  join('pc-view', 'controller');
+  assert.equal(viewerSessionManager.isController('pc-view', 'controller'), true);
+  assert.throws(() => viewerSessionManager.transferControl('pc-view', 'controller', participantId('pc-view', 'viewer')),
+    /can only view/);
+});
+
+test('a view-only viewer that joins again with control access can take control', () => {
+  join('pc-upgrade', 's1', false);
+  
+  assert.equal(join('pc-upgrade', 's1', true), false);
+  assert.equal(viewerSessionManager.isController('pc-upgrade', 's1'), true);
+  assert.equal(viewerSessionManager.getSession('pc-upgrade', 's1').participants.length, 1);
+});
+
+test('a rejoining viewer that lost control access gives up control', () => {
+  join('pc-downgrade', 's1');
+  join('pc-downgrade', 's2');
+  viewerSessionManager.requestControl('pc-downgrade', 's2');
+  
+  join('pc-downgrade', 's1', false);
+  
+  assert.equal(viewerSessionManager.isController('pc-downgrade', 's2'), true);
+  assert.throws(() => viewerSessionManager.requestControl('pc-downgrade', 's1'), /view-only/);
+});
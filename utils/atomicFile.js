@@ -0,0 +1,110 @@
+/**
+ * Atomic file helpers
+ * Crash-safe writes (temp file + fsync + rename) and per-key serialized queues
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Suffix used for in-flight temp files; leftovers are removed on startup
+const TEMP_SUFFIX = '.tmp';
+
+/**
+ * Write a file atomically: readers see either the old or the new content, never a partial write
+ * @param {string} filePath - Destination path
+ * @param {string|Buffer} data - File contents
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, data) {
+  const tempPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}${TEMP_SUFFIX}`
+  );
+  
+  const handle = await fs.open(tempPath, 'w');
+  try {
+    await handle.writeFile(data, typeof data === 'string' ? 'utf8' : undefined);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  
+  try {
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Serialize a value as pretty JSON and write it atomically
+ * @param {string} filePath - Destination path
+ * @param {any} value - Value to serialize
+ * @returns {Promise<void>}
+ */
+async function writeJsonAtomic(filePath, value) {
+  await writeFileAtomic(filePath, JSON.stringify(value, null, 2));
+}
+
+/**
+ * Remove temp files left behind by writes interrupted by a crash
+ * @param {string} dir - Directory to clean
+ * @returns {Promise<number>} Number of files removed
+ */
+async function removeStaleTempFiles(dir) {
+  const files = await fs.readdir(dir);
+  const stale = files.filter(file => file.startsWith('.') && file.endsWith(TEMP_SUFFIX));
+  
+  for (const file of stale) {
+    await fs.unlink(path.join(dir, file)).catch(() => {});
+  }
+  
+  return stale.length;
+}
+
+/**
+ * Runs async tasks one at a time per key, in submission order
+ */
+class KeyedQueue {
+  constructor() {
+    this.tails = new Map();
+  }
+
+  /**
+   * Queue a task behind any pending task for the same key
+   * @param {string} key - Queue key
+   * @param {Function} task - Async function to run
+   * @returns {Promise<any>} Task result
+   */
+  run(key, task) {
+    const previous = this.tails.get(key) || Promise.resolve();
+    const result = previous.then(() => task());
+    
+    // The chain must survive a failed task so later tasks still run
+    const tail = result.catch(() => {});
+    this.tails.set(key, tail);
+    tail.then(() => {
+      if (this.tails.get(key) === tail) {
+        this.tails.delete(key);
+      }
+    });
+    
+    return result;
+  }
+
+  /**
+   * Number of keys with pending work
+   * @returns {number} Pending key count
+   */
+  get size() {
+    return this.tails.size;
+  }
+}
+
+module.exports = {
+  writeFileAtomic,
+  writeJsonAtomic,
+  removeStaleTempFiles,
+  KeyedQueue
+};
@@ -0,0 +1,124 @@
+/**
+ * CSV Utilities
+ * Minimal RFC 4180 reader/writer for device import and export
+ */
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted cells, escaped quotes ("") and CRLF/LF line endings
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+  
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+    
+    if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  
+  if (inQuotes) {
+    throw new Error('Invalid CSV: unterminated quoted field');
+  }
+  
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  
+  // Ignore blank lines
+  return rows.filter(r => r.length > 1 || r[0].trim() !== '');
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by header
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Records
+ */
+function parseCsvRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  
+  if (!header) {
+    return [];
+  }
+  
+  const keys = header.map(key => key.trim());
+  
+  return rows.map(row => {
+    const record = {};
+    keys.forEach((key, index) => {
+      if (key) record[key] = row[index] !== undefined ? row[index] : '';
+    });
+    return record;
+  });
+}
+
+/**
+ * Format a value as a CSV cell
+ * Cells that a spreadsheet would treat as a formula are prefixed with a quote
+ * @param {any} value - Cell value
+ * @returns {string} CSV cell
+ */
+function formatCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from a header and records
+ * @param {Array<string>} columns - Column names
+ * @param {Array<Object>} records - Records keyed by column
+ * @returns {string} CSV text (CRLF line endings)
+ */
+function toCsv(columns, records) {
+  const lines = [columns.map(formatCell).join(',')];
+  
+  for (const record of records) {
+    lines.push(columns.map(column => formatCell(record[column])).join(','));
+  }
+  
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  toCsv
+};
@@ -0,0 +1,254 @@
+/**
+ * Day Log Utilities
+ * Append-only NDJSON files with one file per day, and their gzip archives.
+ *
+ * A day is stored under a base path (e.g. data/logs/<remotePcId>_2024-05-01) as:
+ *   <base>.json       - legacy JSON array, written before the switch to NDJSON
+ *   <base>.ndjson.gz  - archived records
+ *   <base>.ndjson     - records appended since (normally only for recent days)
+ * Readers merge all three, in that order.
+ *
+ * Appends, archiving and removal of a day run one at a time per base path, so
+ * a record appended while the day is being archived is never lost.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const util = require('util');
+const { writeFileAtomic, KeyedQueue } = require('./atomicFile');
+
+const gzip = util.promisify(zlib.gzip);
+const gunzip = util.promisify(zlib.gunzip);
+
+// Constants
+const DAY_PATTERN = /^(.*?)(\d{4}-\d{2}-\d{2})(\.json|\.ndjson\.gz|\.ndjson)$/;
+
+// Writes per day base path
+const dayQueue = new KeyedQueue();
+
+/**
+ * Append one record to a day file
+ * Appends never rewrite the file, so concurrent writers cannot drop each other's records.
+ * @param {string} basePath - Day base path (without extension)
+ * @param {Object} record - Record
+ * @returns {Promise<void>}
+ */
+async function appendRecord(basePath, record) {
+  await appendRecords(basePath, [record]);
+}
+
+/**
+ * Append several records to a day file in one write
+ * @param {string} basePath - Day base path (without extension)
+ * @param {Array} records - Records
+ * @returns {Promise<void>}
+ */
+async function appendRecords(basePath, records) {
+  if (records.length === 0) return;
+  const lines = records.map(record => JSON.stringify(record) + '\n').join('');
+  await dayQueue.run(basePath, () => fs.appendFile(`${basePath}.ndjson`, lines, 'utf8'));
+}
+
+/**
+ * Read all records of a day, whatever format they are stored in
+ * @param {string} basePath - Day base path (without extension)
+ * @returns {Promise<Array>} Records in write order
+ */
+async function readRecords(basePath) {
+  const records = [];
+  
+  const legacy = await readFileIfExists(`${basePath}.json`);
+  if (legacy !== null) {
+    try {
+      const parsed = JSON.parse(legacy.toString('utf8'));
+      if (Array.isArray(parsed)) records.push(...parsed);
+    } catch (err) {
+      // Unreadable legacy file - treated as empty like before
+    }
+  }
+  
+  const archived = await readFileIfExists(`${basePath}.ndjson.gz`);
+  if (archived !== null) {
+    records.push(...parseLines((await gunzip(archived)).toString('utf8')));
+  }
+  
+  const appended = await readFileIfExists(`${basePath}.ndjson`);
+  if (appended !== null) {
+    records.push(...parseLines(appended.toString('utf8')));
+  }
+  
+  return records;
+}
+
+/**
+ * List the days stored in a directory
+ * @param {string} dir - Directory
+ * @param {string|null} prefix - File name prefix before the date (e.g. '<remotePcId>_' or 'summary_'), null for any
+ * @returns {Promise<Array>} { day, basePath, files } oldest first; files are the existing file paths
+ */
+async function listDays(dir, prefix = '') {
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (err) {
+    return [];
+  }
+  
+  const days = new Map();
+  
+  for (const file of files) {
+    const match = DAY_PATTERN.exec(file);
+    if (!match || (prefix !== null && match[1] !== prefix)) continue;
+    
+    const basePath = path.join(dir, `${match[1]}${match[2]}`);
+    if (!days.has(basePath)) {
+      days.set(basePath, { day: match[2], basePath, files: [] });
+    }
+    days.get(basePath).files.push(path.join(dir, file));
+  }
+  
+  return [...days.values()].sort((a, b) =>
+    (a.day < b.day ? -1 : a.day > b.day ? 1 : a.basePath < b.basePath ? -1 : 1));
+}
+
+/**
+ * Compress a day into its gzip archive and remove the plain files
+ * Appends to the day wait until the archive is written, then start a new .ndjson file.
+ * @param {Object} entry - Day from listDays
+ * @returns {Promise<Object|null>} { bytesBefore, bytesAfter }, or null if the day was already archived
+ */
+async function archiveDay(entry) {
+  return dayQueue.run(entry.basePath, async () => {
+    // Re-check under the queue: the day may have changed since it was listed
+    const plainFiles = [];
+    for (const file of [`${entry.basePath}.json`, `${entry.basePath}.ndjson`]) {
+      if (await fs.stat(file).catch(() => null)) plainFiles.push(file);
+    }
+    if (plainFiles.length === 0) return null;
+    
+    const archivePath = `${entry.basePath}.ndjson.gz`;
+    const bytesBefore = await totalSize([...plainFiles, archivePath]);
+    const records = await readRecords(entry.basePath);
+    await writeFileAtomic(archivePath, await gzip(records.map(record => JSON.stringify(record) + '\n').join('')));
+    
+    for (const file of plainFiles) {
+      await fs.rm(file, { force: true });
+    }
+    
+    return { bytesBefore, bytesAfter: await totalSize([archivePath]) };
+  });
+}
+
+/**
+ * Delete all files of a day
+ * @param {Object} entry - Day from listDays
+ * @returns {Promise<number>} Bytes freed
+ */
+async function removeDay(entry) {
+  return dayQueue.run(entry.basePath, async () => {
+    const bytes = await totalSize(entry.files);
+    
+    for (const file of entry.files) {
+      await fs.rm(file, { force: true });
+    }
+    
+    return bytes;
+  });
+}
+
+/**
+ * Sum the size of the files under a directory
+ * @param {string} dir - Directory
+ * @param {Function} include - Called with the path relative to dir; return false to skip a file
+ * @returns {Promise<Object>} { bytes, files }
+ */
+async function getDirectoryUsage(dir, include = () => true) {
+  const usage = { bytes: 0, files: 0 };
+  
+  async function walk(current) {
+    let entries;
+    try {
+      entries = await fs.readdir(current, { withFileTypes: true });
+    } catch (err) {
+      return;
+    }
+    
+    for (const item of entries) {
+      const itemPath = path.join(current, item.name);
+      
+      if (item.isDirectory()) {
+        await walk(itemPath);
+      } else if (item.isFile() && include(path.relative(dir, itemPath))) {
+        const stat = await fs.stat(itemPath).catch(() => null);
+        if (stat) {
+          usage.bytes += stat.size;
+          usage.files++;
+        }
+      }
+    }
+  }
+  
+  await walk(dir);
+  return usage;
+}
+
+/**
+ * Parse NDJSON text, skipping blank and unreadable lines
+ * A line cut short by a crash mid-append is the only expected bad line.
+ * @param {string} text - NDJSON text
+ * @returns {Array} Records
+ */
+function parseLines(text) {
+  const records = [];
+  
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch (err) {
+      // Skip partial line
+    }
+  }
+  
+  return records;
+}
+
+/**
+ * Read a file, returning null when it does not exist
+ * @param {string} filePath - File path
+ * @returns {Promise<Buffer|null>} Contents
+ */
+async function readFileIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Total size of existing files
+ * @param {Array<string>} files - File paths
+ * @returns {Promise<number>} Bytes
+ */
+async function totalSize(files) {
+  let bytes = 0;
+  
+  for (const file of files) {
+    const stat = await fs.stat(file).catch(() => null);
+    if (stat) bytes += stat.size;
+  }
+  
+  return bytes;
+}
+
+module.exports = {
+  appendRecord,
+  appendRecords,
+  readRecords,
+  listDays,
+  archiveDay,
+  removeDay,
+  getDirectoryUsage
+};
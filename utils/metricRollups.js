@@ -0,0 +1,64 @@
+/**
+ * Metric rollup helpers
+ * A rollup bucket cut short by a shutdown is stored as it stood, and the
+ * samples received after the restart form a second part of the same bucket.
+ * Parts with the same start time are merged into one rollup when read.
+ */
+
+/**
+ * Merge rollup samples that share a bucket start
+ * Averages are weighted by each part's sample count.
+ * @param {Array} samples - Rollup samples { t, count, avg, min, max }, oldest first
+ * @returns {Array} Samples with one entry per bucket start, oldest first
+ */
+function mergeRollups(samples) {
+  const merged = [];
+  const byStart = new Map();
+  
+  for (const sample of samples) {
+    const existing = byStart.get(sample.t);
+    if (existing) {
+      Object.assign(existing, mergePair(existing, sample));
+    } else {
+      const copy = { ...sample };
+      byStart.set(sample.t, copy);
+      merged.push(copy);
+    }
+  }
+  
+  return merged;
+}
+
+/**
+ * Merge two parts of one rollup bucket
+ * @param {Object} a - Rollup sample
+ * @param {Object} b - Rollup sample with the same start
+ * @returns {Object} Merged rollup sample
+ */
+function mergePair(a, b) {
+  const count = (a.count || 0) + (b.count || 0);
+  const avg = {};
+  const min = { ...a.min };
+  const max = { ...a.max };
+  
+  for (const metric of new Set([...Object.keys(a.avg || {}), ...Object.keys(b.avg || {})])) {
+    const inA = a.avg && a.avg[metric] !== undefined;
+    const inB = b.avg && b.avg[metric] !== undefined;
+    avg[metric] = inA && inB
+      ? Math.round(((a.avg[metric] * a.count + b.avg[metric] * b.count) / count) * 100) / 100
+      : (inA ? a.avg[metric] : b.avg[metric]);
+  }
+  
+  for (const [metric, value] of Object.entries(b.min || {})) {
+    min[metric] = min[metric] === undefined ? value : Math.min(min[metric], value);
+  }
+  for (const [metric, value] of Object.entries(b.max || {})) {
+    max[metric] = max[metric] === undefined ? value : Math.max(max[metric], value);
+  }
+  
+  return { ...a, ...b, t: a.t, count, avg, min, max };
+}
+
+module.exports = {
+  mergeRollups
+};
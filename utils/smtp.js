@@ -0,0 +1,250 @@
+/**
+ * SMTP Utilities
+ * Minimal SMTP client for plain-text notification email: implicit TLS or
+ * STARTTLS, AUTH PLAIN, one message per connection
+ */
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+// Constants
+const DEFAULT_TIMEOUT = 15000;
+
+/**
+ * Send a plain-text email
+ * @param {Object} options - { host, port, secure, starttls, username, password,
+ *   rejectUnauthorized, from, to, subject, text, timeout }
+ * @returns {Promise<Object>} { messageId, response } - response is the server's reply to the message
+ */
+async function sendMail(options) {
+  const recipients = Array.isArray(options.to) ? options.to : [options.to];
+  const connection = await SmtpConnection.open(options);
+  
+  try {
+    await connection.expect(220);
+    let capabilities = await connection.command(`EHLO ${os.hostname()}`, 250);
+    
+    if (!options.secure && options.starttls !== false && /\bSTARTTLS\b/i.test(capabilities)) {
+      await connection.command('STARTTLS', 220);
+      await connection.upgrade(options);
+      capabilities = await connection.command(`EHLO ${os.hostname()}`, 250);
+    }
+    
+    if (options.username) {
+      const credentials = Buffer.from(`\0${options.username}\0${options.password || ''}`).toString('base64');
+      await connection.command(`AUTH PLAIN ${credentials}`, 235);
+    }
+    
+    await connection.command(`MAIL FROM:<${options.from}>`, 250);
+    for (const recipient of recipients) {
+      await connection.command(`RCPT TO:<${recipient}>`, [250, 251]);
+    }
+    
+    await connection.command('DATA', 354);
+    
+    const messageId = `<${crypto.randomUUID()}@${options.from.split('@')[1] || os.hostname()}>`;
+    const message = formatMessage({ ...options, to: recipients, messageId });
+    const response = await connection.command(`${message}\r\n.`, 250);
+    
+    await connection.command('QUIT', 221).catch(() => {});
+    return { messageId, response };
+  } finally {
+    connection.close();
+  }
+}
+
+/**
+ * Build the message headers and body, with CRLF line endings and dot-stuffing
+ * @param {Object} options - { from, to, subject, text, messageId }
+ * @returns {string} Message data
+ */
+function formatMessage(options) {
+  const headers = [
+    `From: ${options.from}`,
+    `To: ${options.to.join(', ')}`,
+    `Subject: ${encodeHeader(options.subject || '')}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${options.messageId}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit'
+  ];
+  
+  const body = String(options.text || '')
+    .replace(/\r?\n/g, '\r\n')
+    .split('\r\n')
+    .map(line => (line.startsWith('.') ? `.${line}` : line))
+    .join('\r\n');
+  
+  return `${headers.join('\r\n')}\r\n\r\n${body}`;
+}
+
+/**
+ * Encode a header value as an RFC 2047 word when it is not plain ASCII
+ * @param {string} value - Header value
+ * @returns {string} Encoded value
+ */
+function encodeHeader(value) {
+  const clean = value.replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7e]*$/.test(clean) ? clean : `=?UTF-8?B?${Buffer.from(clean).toString('base64')}?=`;
+}
+
+/**
+ * One SMTP session: sends command lines and reads (multi-line) replies
+ */
+class SmtpConnection {
+  /**
+   * Connect to the server
+   * @param {Object} options - { host, port, secure, rejectUnauthorized, timeout }
+   * @returns {Promise<SmtpConnection>} Connection
+   */
+  static open(options) {
+    return new Promise((resolve, reject) => {
+      const port = options.port || (options.secure ? 465 : 587);
+      const socket = options.secure
+        ? tls.connect({ host: options.host, port, servername: options.host, rejectUnauthorized: options.rejectUnauthorized !== false })
+        : net.connect({ host: options.host, port });
+      
+      const onError = error => reject(error);
+      socket.once('error', onError);
+      socket.once(options.secure ? 'secureConnect' : 'connect', () => {
+        socket.removeListener('error', onError);
+        resolve(new SmtpConnection(socket, options.timeout || DEFAULT_TIMEOUT));
+      });
+    });
+  }
+
+  constructor(socket, timeout) {
+    this.timeout = timeout;
+    this.buffer = '';
+    this.lines = [];
+    // Replies that arrived before anyone asked, and readers waiting for one
+    this.replies = [];
+    this.waiting = [];
+    this.error = null;
+    this.attach(socket);
+  }
+
+  /**
+   * Listen for replies on a socket
+   * @param {Object} socket - TCP or TLS socket
+   */
+  attach(socket) {
+    this.socket = socket;
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.timeout, () => this.fail(new Error('SMTP connection timed out')));
+    socket.on('data', chunk => this.receive(chunk));
+    socket.on('error', error => this.fail(error));
+    socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+  }
+
+  /**
+   * Switch the connection to TLS after STARTTLS
+   * @param {Object} options - { host, rejectUnauthorized }
+   * @returns {Promise<void>}
+   */
+  upgrade(options) {
+    const plain = this.socket;
+    plain.removeAllListeners('data');
+    plain.removeAllListeners('error');
+    plain.removeAllListeners('close');
+    plain.setTimeout(0);
+    
+    return new Promise((resolve, reject) => {
+      const secure = tls.connect({
+        socket: plain,
+        servername: options.host,
+        rejectUnauthorized: options.rejectUnauthorized !== false
+      });
+      secure.once('error', reject);
+      secure.once('secureConnect', () => {
+        secure.removeListener('error', reject);
+        this.attach(secure);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Collect reply lines; a reply ends with a "ddd " line
+   * @param {string} chunk - Received data
+   */
+  receive(chunk) {
+    this.buffer += chunk;
+    let index;
+    
+    while ((index = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, index).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(index + 1);
+      this.lines.push(line);
+      
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: parseInt(line.slice(0, 3), 10), text: this.lines.join('\n') };
+        this.lines = [];
+        const reader = this.waiting.shift();
+        if (reader) {
+          reader.resolve(reply);
+        } else {
+          this.replies.push(reply);
+        }
+      }
+    }
+  }
+
+  /**
+   * Fail all waiting readers
+   * @param {Error} error - Connection error
+   */
+  fail(error) {
+    if (!this.error) {
+      this.error = error;
+    }
+    this.waiting.splice(0).forEach(reader => reader.reject(this.error));
+  }
+
+  /**
+   * Read the next reply and check its code
+   * @param {number|Array<number>} expected - Accepted reply codes
+   * @returns {Promise<string>} Reply text
+   */
+  async expect(expected) {
+    const reply = this.replies.length > 0
+      ? this.replies.shift()
+      : await new Promise((resolve, reject) => {
+        if (this.error) return reject(this.error);
+        this.waiting.push({ resolve, reject });
+      });
+    
+    const codes = Array.isArray(expected) ? expected : [expected];
+    if (!codes.includes(reply.code)) {
+      throw new Error(`SMTP error: ${reply.text}`);
+    }
+    return reply.text;
+  }
+
+  /**
+   * Send a command line and read its reply
+   * @param {string} line - Command
+   * @param {number|Array<number>} expected - Accepted reply codes
+   * @returns {Promise<string>} Reply text
+   */
+  async command(line, expected) {
+    if (this.error) throw this.error;
+    this.socket.write(`${line}\r\n`);
+    return this.expect(expected);
+  }
+
+  /**
+   * Close the connection
+   */
+  close() {
+    this.socket.removeAllListeners('close');
+    this.socket.destroy();
+  }
+}
+
+module.exports = {
+  sendMail,
+  formatMessage
+};